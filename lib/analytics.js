@@ -0,0 +1,125 @@
+// Self-hosted visit counts: page views, /api/status checks and a few page
+// events from app.js (map loads, call taps, sections viewed), totalled per
+// hour of each day in the schedule's timezone. Nothing about the visitor is
+// kept - no IP address, cookie or user agent - only how often things happened.
+//
+// Stored as { days: { "2026-07-05": { pageview: { "9": 41, "10": 12 }, ... } } }
+
+const schedule = require('./schedule');
+
+// Page sections app.js reports when they scroll into view
+const SECTIONS = ['pricing', 'booking', 'sellers', 'location', 'rules', 'gallery', 'lostfound', 'alerts', 'contact'];
+// Counted by the server
+const SERVER_METRICS = ['pageview', 'status'];
+// Sent by app.js to POST /api/analytics
+const EVENTS = ['map', 'call', 'email', ...SECTIONS.map(id => `section.${id}`)];
+const METRICS = [...SERVER_METRICS, ...EVENTS];
+
+// Older days are dropped when new counts are saved
+const RETENTION_DAYS = 400;
+
+// Link previews, search engines and uptime checks are not visitors
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|headless|lighthouse|monitor|curl|wget|python-requests/i;
+
+function isBot(userAgent) {
+    return !userAgent || BOT_PATTERN.test(userAgent);
+}
+
+/**
+ * Counts held in memory between saves, so a busy Sunday morning costs one
+ * store write a minute rather than one per request.
+ */
+function createCounter({ timezone = schedule.DEFAULT_SCHEDULE.timezone } = {}) {
+    let pending = {};
+
+    return {
+        record(metric, now = new Date()) {
+            const local = schedule.getLocalParts(now, timezone);
+            const hour = Math.floor(local.minutes / 60);
+            const day = pending[local.date] || (pending[local.date] = {});
+            const hours = day[metric] || (day[metric] = {});
+            hours[hour] = (hours[hour] || 0) + 1;
+        },
+
+        // Everything counted since the last drain
+        drain() {
+            const counts = pending;
+            pending = {};
+            return counts;
+        }
+    };
+}
+
+function readAnalytics(data) {
+    return { days: (data && data.days) || {} };
+}
+
+// Adds drained counts to the stored totals, dropping days past the retention period
+function mergeCounts(data, counts, now = new Date()) {
+    const days = { ...readAnalytics(data).days };
+    for (const [date, metrics] of Object.entries(counts)) {
+        const day = { ...days[date] };
+        for (const [metric, hours] of Object.entries(metrics)) {
+            const totals = { ...day[metric] };
+            for (const [hour, count] of Object.entries(hours)) totals[hour] = (totals[hour] || 0) + count;
+            day[metric] = totals;
+        }
+        days[date] = day;
+    }
+
+    const oldest = schedule.addDays(now.toISOString().slice(0, 10), -RETENTION_DAYS);
+    for (const date of Object.keys(days)) {
+        if (date < oldest) delete days[date];
+    }
+    return { days };
+}
+
+/**
+ * Totals for the dates from..to (inclusive): per day, per hour of the day and
+ * per weekday (Monday first), for every metric.
+ */
+function summarize(data, from, to) {
+    const empty = length => Object.fromEntries(METRICS.map(metric => [metric, new Array(length).fill(0)]));
+    const byHour = empty(24);
+    const byWeekday = empty(7);
+    const totals = Object.fromEntries(METRICS.map(metric => [metric, 0]));
+    const stored = readAnalytics(data).days;
+    const days = [];
+
+    for (let date = from; date <= to; date = schedule.addDays(date, 1)) {
+        const counts = stored[date] || {};
+        const weekday = (schedule.WEEKDAYS.indexOf(schedule.weekdayOf(date)) + 6) % 7;
+        const day = { date, counts: {} };
+        for (const metric of METRICS) {
+            let count = 0;
+            for (const [hour, value] of Object.entries(counts[metric] || {})) {
+                byHour[metric][Number(hour)] += value;
+                count += value;
+            }
+            byWeekday[metric][weekday] += count;
+            totals[metric] += count;
+            day.counts[metric] = count;
+        }
+        days.push(day);
+    }
+    return { from, to, days, totals, byHour, byWeekday };
+}
+
+// One row per day, one column per metric
+function toCsv(summary) {
+    const rows = summary.days.map(day => [day.date, ...METRICS.map(metric => day.counts[metric])].join(','));
+    return [['date', ...METRICS].join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    SECTIONS,
+    EVENTS,
+    METRICS,
+    RETENTION_DAYS,
+    isBot,
+    createCounter,
+    readAnalytics,
+    mergeCounts,
+    summarize,
+    toCsv
+};
@@ -0,0 +1,50 @@
+// Admin accounts: password hashing and role permissions.
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+// What each role may change in the admin panel
+const ROLES = {
+    owner: ['status', 'notify', 'schedule', 'content', 'weather', 'gallery', 'hero', 'bookings', 'users', 'history', 'analytics', 'backup', 'sellers', 'lostfound', 'inbox', 'gate'],
+    staff: ['status', 'lostfound', 'gate']
+};
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, KEY_LENGTH, (error, key) => {
+            if (error) return reject(error);
+            resolve(`scrypt$${salt}$${key.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, stored) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, hash] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+        crypto.scrypt(String(password || ''), salt, KEY_LENGTH, (error, key) => {
+            if (error) return reject(error);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+        });
+    });
+}
+
+function can(user, permission) {
+    return !!user && (ROLES[user.role] || []).includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    normalizeUsername,
+    hashPassword,
+    verifyPassword,
+    can
+};
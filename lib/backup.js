@@ -0,0 +1,314 @@
+// Site backups: the stored documents and the uploaded images they point at,
+// packed into one .tar.gz with a manifest of SHA-256 checksums. Archives are
+// checked in full before anything is restored, and can be compared with the
+// live data first (a dry run). Snapshots are archives kept in a local folder.
+//
+// Archive layout:
+//   manifest.json             { format, version, createdAt, files: { path: { size, sha256 } } }
+//   documents/status.json     one file per document in BACKUP_DOCUMENTS that has been saved
+//   uploads/gallery/...       gallery, hero, seller and lost property photos, keyed as in the blob store
+
+const path = require('path');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const crypto = require('crypto');
+const images = require('./images');
+
+const FORMAT = 'rhyl-carboot-backup';
+const VERSION = 1;
+
+// Accounts, push keys and phone subscriptions belong to the server they were made on, so they are left out
+const BACKUP_DOCUMENTS = ['status', 'gallery', 'hero-background', 'schedule', 'pricing', 'content', 'weather', 'bookings', 'sellers', 'lost-found', 'enquiries', 'gate', 'site-map'];
+const UPLOAD_FOLDERS = { gallery: 'gallery', hero: 'hero', sellers: 'sellers', lostFound: 'lost-found' };
+
+// Refuse archives that would unpack to more than this (a handful of photos is a few MB)
+const MAX_UNPACKED_BYTES = 500 * 1024 * 1024;
+
+const BLOCK = 512;
+const SNAPSHOT_NAME = /^snapshot-\d{8}-\d{6}(-\d+)?\.tar\.gz$/;
+const UPLOAD_KEY = /^(gallery|hero|sellers|lost-found)\/[A-Za-z0-9._-]+$/;
+
+class InvalidBackupError extends Error {}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// ustar header for a regular file; long paths are split into the prefix field
+function tarHeader(name, size, mtime) {
+    let prefix = '';
+    if (Buffer.byteLength(name) > 100) {
+        const split = name.lastIndexOf('/', 155);
+        if (split <= 0 || Buffer.byteLength(name.slice(split + 1)) > 100) throw new Error(`Path too long for the archive: ${name}`);
+        prefix = name.slice(0, split);
+        name = name.slice(split + 1);
+    }
+
+    const header = Buffer.alloc(BLOCK);
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+    header.write(name, 0, 100);
+    header.write(octal(0o644, 8), 100);
+    header.write(octal(0, 8), 108);
+    header.write(octal(0, 8), 116);
+    header.write(octal(size, 12), 124);
+    header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+    header.write('        ', 148);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    header.write(prefix, 345, 155);
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+    return header;
+}
+
+function packTar(entries, mtime) {
+    const blocks = [];
+    for (const { name, body } of entries) {
+        blocks.push(tarHeader(name, body.length, mtime), body);
+        const padding = (BLOCK - (body.length % BLOCK)) % BLOCK;
+        if (padding) blocks.push(Buffer.alloc(padding));
+    }
+    blocks.push(Buffer.alloc(BLOCK * 2));
+    return Buffer.concat(blocks);
+}
+
+// Regular files only; directories (from re-packing with tar) are skipped
+function unpackTar(buffer) {
+    const entries = [];
+    let offset = 0;
+    while (offset + BLOCK <= buffer.length) {
+        const header = buffer.subarray(offset, offset + BLOCK);
+        if (header.every(byte => byte === 0)) break;
+
+        const text = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+        let checksum = 0;
+        header.forEach((byte, index) => { checksum += index >= 148 && index < 156 ? 32 : byte; });
+        if (parseInt(text(148, 8).trim(), 8) !== checksum) throw new InvalidBackupError('The archive is damaged');
+
+        const size = parseInt(text(124, 12).trim() || '0', 8);
+        const prefix = text(345, 155);
+        const name = (prefix ? `${prefix}/${text(0, 100)}` : text(0, 100)).replace(/^\.\//, '');
+        const type = text(156, 1) || '0';
+        const start = offset + BLOCK;
+        if (start + size > buffer.length) throw new InvalidBackupError('The archive is incomplete');
+
+        if (type === '0') entries.push({ name, body: buffer.subarray(start, start + size) });
+        else if (type !== '5') throw new InvalidBackupError(`Unexpected entry in the archive: ${name}`);
+        offset = start + Math.ceil(size / BLOCK) * BLOCK;
+    }
+    return entries;
+}
+
+// Blob keys of every image the gallery, hero background, seller profiles and lost property board use
+function uploadKeys(documents) {
+    const gallery = (documents.gallery && documents.gallery.images) || [];
+    const sellers = (documents.sellers && documents.sellers.sellers) || [];
+    const lostFound = (documents['lost-found'] && documents['lost-found'].items) || [];
+    return [
+        ...gallery.flatMap(image => images.imageKeys(UPLOAD_FOLDERS.gallery, image)),
+        ...images.imageKeys(UPLOAD_FOLDERS.hero, documents['hero-background']),
+        ...sellers.flatMap(seller => images.imageKeys(UPLOAD_FOLDERS.sellers, seller.photo)),
+        ...lostFound.flatMap(item => images.imageKeys(UPLOAD_FOLDERS.lostFound, item.photo))
+    ];
+}
+
+/**
+ * Everything needed to put the site back as it is now, as a gzipped tar.
+ * Images that are listed but missing from the blob store are left out.
+ */
+async function createBackup({ store, blobs, now = new Date() }) {
+    const entries = [];
+    const documents = {};
+    for (const name of BACKUP_DOCUMENTS) {
+        const data = await store.get(name);
+        if (data === null) continue;
+        documents[name] = data;
+        entries.push({ name: `documents/${name}.json`, body: Buffer.from(JSON.stringify(data, null, 2)) });
+    }
+    for (const key of [...new Set(uploadKeys(documents))]) {
+        const blob = await blobs.get(key);
+        if (blob) entries.push({ name: `uploads/${key}`, body: blob.body });
+    }
+
+    const manifest = {
+        format: FORMAT,
+        version: VERSION,
+        createdAt: now.toISOString(),
+        files: Object.fromEntries(entries.map(entry => [entry.name, { size: entry.body.length, sha256: sha256(entry.body) }]))
+    };
+    const archive = packTar([{ name: 'manifest.json', body: Buffer.from(JSON.stringify(manifest, null, 2)) }, ...entries], now);
+    return zlib.gzipSync(archive);
+}
+
+/**
+ * Unpacks and checks an archive: every file must be listed in the manifest with
+ * a matching checksum, and nothing else may be there. Throws InvalidBackupError.
+ * Returns { manifest, documents: { name: data }, uploads: { key: Buffer } }.
+ */
+function readBackup(archive) {
+    let entries;
+    try {
+        entries = unpackTar(zlib.gunzipSync(archive, { maxOutputLength: MAX_UNPACKED_BYTES }));
+    } catch (error) {
+        if (error instanceof InvalidBackupError) throw error;
+        throw new InvalidBackupError('Not a backup archive (.tar.gz)');
+    }
+
+    const files = new Map(entries.map(entry => [entry.name, entry.body]));
+    let manifest;
+    try {
+        manifest = JSON.parse(files.get('manifest.json').toString('utf8'));
+    } catch {
+        throw new InvalidBackupError('The archive has no readable manifest.json');
+    }
+    if (manifest.format !== FORMAT || manifest.version !== VERSION || !manifest.files) {
+        throw new InvalidBackupError('Not a backup from this site');
+    }
+    files.delete('manifest.json');
+
+    for (const name of files.keys()) {
+        if (!Object.hasOwn(manifest.files, name)) throw new InvalidBackupError(`${name} is not listed in the manifest`);
+    }
+
+    const documents = {};
+    const uploads = {};
+    for (const [name, expected] of Object.entries(manifest.files)) {
+        const body = files.get(name);
+        if (!body) throw new InvalidBackupError(`${name} is missing from the archive`);
+        if (body.length !== expected.size || sha256(body) !== expected.sha256) {
+            throw new InvalidBackupError(`${name} does not match its checksum`);
+        }
+
+        const document = /^documents\/(.+)\.json$/.exec(name);
+        if (document && BACKUP_DOCUMENTS.includes(document[1])) {
+            try {
+                documents[document[1]] = JSON.parse(body.toString('utf8'));
+            } catch {
+                throw new InvalidBackupError(`${name} is not valid JSON`);
+            }
+        } else if (name.startsWith('uploads/') && UPLOAD_KEY.test(name.slice(8))) {
+            uploads[name.slice(8)] = body;
+        } else {
+            throw new InvalidBackupError(`Unexpected file in the archive: ${name}`);
+        }
+    }
+
+    return { manifest, documents, uploads };
+}
+
+/**
+ * What restoring would change, without changing anything: each document as
+ * added, changed or unchanged, the images to write, and the gallery size.
+ */
+async function previewRestore({ store, blobs }, backup) {
+    const documents = [];
+    for (const [name, data] of Object.entries(backup.documents)) {
+        const current = await store.get(name);
+        const change = current === null ? 'added' : JSON.stringify(current) === JSON.stringify(data) ? 'unchanged' : 'changed';
+        documents.push({ name, change });
+    }
+
+    const uploads = { added: 0, changed: 0, unchanged: 0 };
+    for (const [key, body] of Object.entries(backup.uploads)) {
+        const current = await blobs.get(key);
+        if (!current) uploads.added++;
+        else if (sha256(current.body) === sha256(body)) uploads.unchanged++;
+        else uploads.changed++;
+    }
+
+    const currentGallery = await store.get('gallery');
+    return {
+        createdAt: backup.manifest.createdAt,
+        documents,
+        uploads,
+        gallery: {
+            before: ((currentGallery && currentGallery.images) || []).length,
+            after: backup.documents.gallery ? (backup.documents.gallery.images || []).length : null
+        }
+    };
+}
+
+// Images first, so no restored document ever points at a file that is not there yet
+async function restoreBackup({ store, blobs }, backup) {
+    for (const [key, body] of Object.entries(backup.uploads)) {
+        await blobs.put(key, body, key.endsWith('.webp') ? 'image/webp' : 'image/jpeg');
+    }
+    for (const [name, data] of Object.entries(backup.documents)) {
+        await store.set(name, data);
+    }
+}
+
+/**
+ * Archives kept in `dir`, newest first, with only the newest `keep` kept.
+ * Names come from the time they were taken, so a listed name is all a caller can ask for.
+ */
+function createSnapshotStore({ dir, keep }) {
+    function resolve(name) {
+        if (!SNAPSHOT_NAME.test(name || '')) throw new InvalidBackupError('Unknown snapshot');
+        return path.join(dir, name);
+    }
+
+    async function list() {
+        let names;
+        try {
+            names = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const snapshots = [];
+        for (const name of names.filter(item => SNAPSHOT_NAME.test(item))) {
+            const stats = await fs.stat(path.join(dir, name));
+            snapshots.push({ name, size: stats.size, createdAt: stats.mtime.toISOString() });
+        }
+        return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    return {
+        dir,
+        keep,
+        list,
+
+        async save(archive, now = new Date()) {
+            await fs.mkdir(dir, { recursive: true });
+            const stamp = now.toISOString().replace(/\.\d+Z$/, '').replace(/[-:]/g, '').replace('T', '-');
+            let name = `snapshot-${stamp}.tar.gz`;
+            // Two in the same second (a manual one, then a restore) get a counter
+            for (let count = 2; await fs.access(path.join(dir, name)).then(() => true, () => false); count++) {
+                name = `snapshot-${stamp}-${count}.tar.gz`;
+            }
+            await fs.writeFile(path.join(dir, name), archive);
+            await fs.utimes(path.join(dir, name), now, now);
+
+            for (const old of (await list()).slice(keep)) {
+                await fs.unlink(path.join(dir, old.name)).catch(() => {});
+            }
+            return name;
+        },
+
+        // The archive, or null if there is no such snapshot
+        async read(name) {
+            try {
+                return await fs.readFile(resolve(name));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = {
+    BACKUP_DOCUMENTS,
+    InvalidBackupError,
+    packTar,
+    unpackTar,
+    createBackup,
+    readBackup,
+    previewRestore,
+    restoreBackup,
+    createSnapshotStore
+};
@@ -0,0 +1,126 @@
+// Seller pitch bookings: validation, capacity and references.
+
+const crypto = require('crypto');
+const schedule = require('./schedule');
+const pricing = require('./pricing');
+
+const DEFAULT_CAPACITY = { saturday: 80, sunday: 120 };
+// Extra trading days on other weekdays (added as schedule exceptions) take this day's capacity
+const EXTRA_DAY_CAPACITY = 'saturday';
+const BOOKING_WINDOW_DAYS = 56;
+const STATUSES = ['pending', 'confirmed', 'cancelled'];
+
+// No 0/O or 1/I so references can be read out over the phone
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateReference(existing) {
+    let reference;
+    do {
+        const bytes = crypto.randomBytes(6);
+        reference = 'RCB-' + Array.from(bytes, byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+    } while (existing.some(booking => booking.reference === reference));
+    return reference;
+}
+
+function countActive(bookings, date) {
+    return bookings.filter(booking => booking.date === date && booking.status !== 'cancelled').length;
+}
+
+function getCapacity(bookingsData, date) {
+    const capacity = { ...DEFAULT_CAPACITY, ...bookingsData.capacity };
+    return capacity[schedule.weekdayOf(date)] ?? capacity[EXTRA_DAY_CAPACITY];
+}
+
+/**
+ * What can be booked on a date: whether it is a bookable trading day,
+ * the pitch types on offer and how many pitches are left.
+ */
+function getAvailability({ date, pricingData, scheduleData, bookingsData, today }) {
+    const lastDate = schedule.addDays(today, BOOKING_WINDOW_DAYS);
+    if (date <= today || date > lastDate) {
+        return { date, bookable: false, reason: `Bookings open up to ${BOOKING_WINDOW_DAYS / 7} weeks ahead and close the day before` };
+    }
+    if (!schedule.getHoursForDate(scheduleData, date)) {
+        return { date, bookable: false, reason: 'We are not open on that date' };
+    }
+
+    const vehicles = pricing.getVehiclesForDay(pricingData, schedule.weekdayOf(date));
+    const remaining = Math.max(0, getCapacity(bookingsData, date) - countActive(bookingsData.bookings, date));
+    let reason = '';
+    if (vehicles.length === 0) reason = 'No pitches can be booked on that day';
+    else if (remaining === 0) reason = 'Fully booked';
+    return {
+        date,
+        bookable: !reason,
+        reason,
+        remaining,
+        vehicles
+    };
+}
+
+// Returns { error } or { booking } ready to be stored
+function createBooking(input, context) {
+    const date = String(input.date || '');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return { error: 'Please choose a date' };
+
+    const availability = getAvailability({ ...context, date });
+    if (!availability.bookable) return { error: availability.reason || 'That date cannot be booked' };
+
+    const vehicle = availability.vehicles.find(item => item.id === input.vehicle);
+    if (!vehicle) return { error: 'Please choose a pitch type available on that day' };
+
+    const name = String(input.name || '').trim();
+    const phone = String(input.phone || '').trim();
+    const email = String(input.email || '').trim();
+    if (name.length < 2 || name.length > 100) return { error: 'Please enter your name' };
+    if (!/^[0-9+()\s-]{7,20}$/.test(phone)) return { error: 'Please enter a valid phone number' };
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: 'Please enter a valid email address' };
+
+    const earlyEntry = input.earlyEntry === true || input.earlyEntry === 'true' || input.earlyEntry === 'on';
+    const now = new Date().toISOString();
+
+    return {
+        booking: {
+            reference: generateReference(context.bookingsData.bookings),
+            date,
+            vehicle: vehicle.id,
+            vehicleLabel: vehicle.label,
+            earlyEntry,
+            price: vehicle.price + (earlyEntry ? context.pricingData.sellers.earlyEntry.fee : 0),
+            priceFrom: !!vehicle.from,
+            name,
+            phone,
+            email,
+            status: 'pending',
+            createdAt: now,
+            updatedAt: now
+        }
+    };
+}
+
+function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    // Stop spreadsheet apps treating a typed-in name as a formula (phone numbers are left alone)
+    if (/^[=+\-@]/.test(text) && !/^[+-]?[\d\s()]+$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(bookings) {
+    const columns = ['reference', 'date', 'vehicleLabel', 'earlyEntry', 'price', 'name', 'phone', 'email', 'status', 'createdAt'];
+    const rows = bookings.map(booking => columns.map(column => {
+        if (column === 'price') return csvCell((booking.price / 100).toFixed(2));
+        return csvCell(booking[column]);
+    }).join(','));
+    return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    DEFAULT_CAPACITY,
+    STATUSES,
+    getCapacity,
+    countActive,
+    getAvailability,
+    createBooking,
+    csvCell,
+    toCsv
+};
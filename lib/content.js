@@ -0,0 +1,111 @@
+// Editable site content: rules, prohibited items, opening notes and contact details.
+// Opening times themselves come from the schedule and prices from the pricing
+// config, so each fact is stored in exactly one place.
+
+const DEFAULT_CONTENT = {
+    rules: {
+        sellers: [
+            'Setup only during designated hours',
+            'Payment required before setup',
+            'Follow staff instructions (Abuse towards staff will not be tolerated)',
+            'Courteous behavior required (Abuse towards other sellers will not be tolerated)',
+            'Household items only'
+        ],
+        buyers: [
+            'Pay entry fees at gate',
+            'Get stamp for re-entry',
+            'Follow designated areas',
+            'Respect seller spaces',
+            'No "boot diving"',
+            'Cash only'
+        ],
+        prohibited: [
+            'Weapons or dangerous items',
+            'Stolen goods',
+            'Counterfeit items',
+            'Adult material',
+            'Live animals',
+            'Food/beverages'
+        ]
+    },
+    // Shown in the seller rules and on the pricing cards (weather permitting)
+    sellersRemainUntil: '12:00',
+    openingNotes: ['Weather dependent'],
+    contact: {
+        phone: '01745 123456',
+        email: 'info@rhylcarboot.com',
+        // Page address; the link is left off the site while this is empty
+        facebook: ''
+    }
+};
+
+const MAX_ITEMS = 30;
+const MAX_ITEM_LENGTH = 200;
+
+function readContent(data) {
+    return {
+        ...DEFAULT_CONTENT,
+        ...data,
+        rules: { ...DEFAULT_CONTENT.rules, ...(data && data.rules) },
+        contact: { ...DEFAULT_CONTENT.contact, ...(data && data.contact) }
+    };
+}
+
+// Textarea -> list, one item per line
+function parseList(text, label) {
+    const items = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (items.length > MAX_ITEMS) throw new Error(`${label}: at most ${MAX_ITEMS} lines`);
+    const long = items.find(item => item.length > MAX_ITEM_LENGTH);
+    if (long) throw new Error(`${label}: "${long.slice(0, 40)}..." is longer than ${MAX_ITEM_LENGTH} characters`);
+    return items;
+}
+
+function formatList(items) {
+    return (items || []).join('\n');
+}
+
+// tel: link target, e.g. "01745 123456" -> "01745123456"
+function phoneHref(phone) {
+    return String(phone || '').replace(/[^\d+]/g, '');
+}
+
+function parseContact(input) {
+    const phone = String(input.phone || '').trim();
+    const email = String(input.email || '').trim();
+    if (!/^[0-9+()\s-]{7,20}$/.test(phone)) throw new Error('Please enter a valid phone number');
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new Error('Please enter a valid email address');
+    const facebook = String(input.facebook || '').trim();
+    if (facebook && !/^https:\/\/(www\.|m\.)?facebook\.com\/[^\s"<>]+$/i.test(facebook)) {
+        throw new Error('Please enter the full Facebook page address (https://www.facebook.com/...)');
+    }
+    return { phone, email, facebook };
+}
+
+/**
+ * Everything the public page renders in one response: content, prices and the
+ * weekly opening times and season from the schedule.
+ */
+function buildPublicContent({ content, pricing, schedule }) {
+    const data = readContent(content);
+    return {
+        rules: data.rules,
+        sellersRemainUntil: data.sellersRemainUntil,
+        openingTimes: {
+            weekly: schedule.weekly,
+            season: schedule.season,
+            notes: data.openingNotes
+        },
+        contact: { ...data.contact, phoneHref: phoneHref(data.contact.phone) },
+        pricing
+    };
+}
+
+module.exports = {
+    DEFAULT_CONTENT,
+    readContent,
+    parseList,
+    formatList,
+    phoneHref,
+    parseContact,
+    buildPublicContent
+};
@@ -0,0 +1,104 @@
+// Contact form enquiries: validation, the honeypot spam check and the e-mail
+// each one is forwarded as. Enquiries are kept for the admin inbox whether or
+// not mail is set up; `forward` tracks the copy sent by e-mail.
+
+const crypto = require('crypto');
+
+// Labels are site.contact.category.* messages
+const CATEGORIES = ['general', 'trade', 'booking', 'lostfound', 'other'];
+const STATUSES = ['new', 'read', 'replied'];
+
+// Hidden from people by the page; bots that fill in every field fill this in too
+const HONEYPOT_FIELD = 'website';
+
+// Failed sends are retried this far apart until this many attempts, then left for the admin to resend
+const MAX_FORWARD_ATTEMPTS = 5;
+const FORWARD_RETRY_MINUTES = 5;
+
+const MAX_MESSAGE = 3000;
+
+function isSpam(input) {
+    return String(input[HONEYPOT_FIELD] || '').trim() !== '';
+}
+
+/**
+ * Returns { error } or { enquiry } ready to be stored. `forward` starts as
+ * pending when there is a transport to send it with, otherwise null.
+ */
+function parseEnquiry(input, { forward }) {
+    const category = String(input.category || '');
+    if (!CATEGORIES.includes(category)) return { error: 'Please choose what your message is about' };
+
+    const name = String(input.name || '').trim();
+    const email = String(input.email || '').trim();
+    const phone = String(input.phone || '').trim();
+    const message = String(input.message || '').trim();
+    if (name.length < 2 || name.length > 100) return { error: 'Please enter your name' };
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 200) return { error: 'Please enter a valid email address so we can reply' };
+    if (phone && !/^[0-9+()\s-]{7,20}$/.test(phone)) return { error: 'Please enter a valid phone number' };
+    if (message.length < 10) return { error: 'Please write a little more about what you need' };
+    if (message.length > MAX_MESSAGE) return { error: `Please keep your message under ${MAX_MESSAGE} characters` };
+
+    return {
+        enquiry: {
+            id: crypto.randomUUID(),
+            category,
+            name,
+            email,
+            phone,
+            message,
+            status: 'new',
+            createdAt: new Date().toISOString(),
+            forward: forward ? { status: 'pending', attempts: 0 } : null
+        }
+    };
+}
+
+// A pending forward is sent straight away, and after a failure once its wait is over
+function forwardDue(enquiry, now = new Date()) {
+    const { forward } = enquiry;
+    return !!forward && forward.status === 'pending' && (!forward.retryAt || new Date(forward.retryAt) <= now);
+}
+
+// The forward after a failed send: pending again later, or failed for good once out of attempts
+function failedForward(forward, error, now = new Date()) {
+    const attempts = forward.attempts + 1;
+    if (attempts >= MAX_FORWARD_ATTEMPTS) return { status: 'failed', attempts, lastError: error.message };
+    return {
+        status: 'pending',
+        attempts,
+        lastError: error.message,
+        retryAt: new Date(now.getTime() + FORWARD_RETRY_MINUTES * 60 * 1000).toISOString()
+    };
+}
+
+// The e-mail sent to the site's inbox: replying to it goes straight to the visitor
+function forwardMessage(enquiry, { to, categoryLabel }) {
+    return {
+        to,
+        replyTo: { name: enquiry.name, address: enquiry.email },
+        subject: `Website enquiry (${categoryLabel}) from ${enquiry.name}`,
+        text: [
+            `Category: ${categoryLabel}`,
+            `Name: ${enquiry.name}`,
+            `Email: ${enquiry.email}`,
+            ...(enquiry.phone ? [`Phone: ${enquiry.phone}`] : []),
+            `Sent: ${enquiry.createdAt}`,
+            '',
+            enquiry.message
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    CATEGORIES,
+    STATUSES,
+    HONEYPOT_FIELD,
+    MAX_FORWARD_ATTEMPTS,
+    FORWARD_RETRY_MINUTES,
+    isSpam,
+    forwardDue,
+    failedForward,
+    parseEnquiry,
+    forwardMessage
+};
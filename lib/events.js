@@ -0,0 +1,68 @@
+// Server-Sent Events hub: keeps the open /api/events connections and pushes
+// named events (status, gallery, hero) to all of them. Each connection has a
+// language, so an event's data can be a function returning it per language.
+
+function createEventHub({ heartbeatMs = 25000, retryMs = 5000 } = {}) {
+    // response -> language
+    const clients = new Map();
+    let heartbeat = null;
+
+    function send(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Comment lines keep proxies (and Render's load balancer) from closing idle streams
+    function startHeartbeat() {
+        if (heartbeat) return;
+        heartbeat = setInterval(() => {
+            for (const res of clients.keys()) res.write(': ping\n\n');
+        }, heartbeatMs);
+        heartbeat.unref();
+    }
+
+    function stopHeartbeat() {
+        clearInterval(heartbeat);
+        heartbeat = null;
+    }
+
+    return {
+        // Attach a request as a subscriber and send it the current state straight away
+        subscribe(req, res, initialEvents = [], language = null) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.write(`retry: ${retryMs}\n\n`);
+            initialEvents.forEach(({ event, data }) => send(res, event, data));
+
+            clients.set(res, language);
+            startHeartbeat();
+
+            req.on('close', () => {
+                clients.delete(res);
+                if (clients.size === 0) stopHeartbeat();
+            });
+        },
+
+        // `data` or `data(language)`, worked out once per language
+        broadcast(event, data) {
+            const byLanguage = new Map();
+            for (const [res, language] of clients) {
+                if (typeof data !== 'function') {
+                    send(res, event, data);
+                    continue;
+                }
+                if (!byLanguage.has(language)) byLanguage.set(language, data(language));
+                send(res, event, byLanguage.get(language));
+            }
+        },
+
+        get size() {
+            return clients.size;
+        }
+    };
+}
+
+module.exports = { createEventHub };
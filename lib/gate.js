@@ -0,0 +1,207 @@
+// Gate tally: entry tickets and seller pitch fees taken at the gate, counted on
+// the staff page (public/gate.js). Phones keep their taps while the signal is
+// down and send them later in batches; each batch has an id so one that is
+// sent twice is only counted once. A batch the server cannot count (a ticket
+// type since taken out of the prices, or taps older than SYNC_DAYS) is kept for
+// the office to check rather than lost, as the phone lets go of it once sent.
+//
+// Stored as { days: { "2026-07-05": { tickets: { "buyers.early": { label, price, count } },
+//                                     weather, batches: [ids], updatedAt } },
+//             rejected: [{ id, date, counts, error, user, receivedAt }] }
+
+const schedule = require('./schedule');
+const pricing = require('./pricing');
+const { csvCell } = require('./bookings');
+
+// How far back a phone that has been offline can still send taps
+const SYNC_DAYS = 7;
+
+const MAX_BATCH_COUNT = 1000;
+// Rejected batches kept at most, oldest dropped first
+const MAX_REJECTED = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BATCH_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * What can be counted on a date, from the pricing config: every buyer ticket,
+ * then the pitch types sellers pay for on that weekday. Ids are prefixed with
+ * the group, as a buyer ticket and a pitch type may share an id.
+ */
+function ticketTypes(pricingData, date) {
+    return [
+        ...(pricingData.buyers || []).map(ticket => ({ id: `buyers.${ticket.id}`, group: 'buyers', label: ticket.label, price: ticket.price })),
+        ...pricing.getVehiclesForDay(pricingData, schedule.weekdayOf(date)).map(pitch => ({
+            id: `sellers.${pitch.id}`, group: 'sellers', label: pitch.label, price: pitch.price
+        }))
+    ];
+}
+
+// The ticket types for each weekday, so a page opened offline on another day still has the right buttons
+function ticketTypesByWeekday(pricingData) {
+    // 4 January 2026 was a Sunday
+    return Object.fromEntries(schedule.WEEKDAYS.map((weekday, index) => [
+        weekday, ticketTypes(pricingData, schedule.addDays('2026-01-04', index))
+    ]));
+}
+
+function readGate(data) {
+    return { days: (data && data.days) || {}, rejected: (data && data.rejected) || [] };
+}
+
+/**
+ * Adds one batch of taps ({ id, date, counts: { ticketId: n } }) to the stored
+ * totals. Counts may be negative (a tap taken back) but a total never drops
+ * below zero. Returns { error } or { data, duplicate }.
+ */
+function applyBatch(data, batch, { pricingData, today, now = new Date() }) {
+    const { id, date, counts } = batch || {};
+    if (!BATCH_ID_PATTERN.test(id || '')) return { error: 'Invalid batch id' };
+    if (!DATE_PATTERN.test(date || '') || date > today || date < schedule.addDays(today, -SYNC_DAYS)) {
+        return { error: `Taps can only be sent for the last ${SYNC_DAYS} days` };
+    }
+    if (!counts || typeof counts !== 'object' || Array.isArray(counts)) return { error: 'Invalid counts' };
+
+    const types = ticketTypes(pricingData, date);
+    for (const [ticket, count] of Object.entries(counts)) {
+        if (!types.some(type => type.id === ticket)) return { error: `Unknown ticket type "${ticket}"` };
+        if (!Number.isInteger(count) || Math.abs(count) > MAX_BATCH_COUNT) return { error: 'Invalid counts' };
+    }
+
+    const stored = readGate(data);
+    if (stored.days[date] && stored.days[date].batches.includes(id)) return { data: stored, duplicate: true };
+
+    const day = stored.days[date] || { tickets: {}, weather: null, batches: [] };
+    const tickets = { ...day.tickets };
+    for (const [ticket, count] of Object.entries(counts)) {
+        const type = types.find(item => item.id === ticket);
+        const total = Math.max(0, ((tickets[ticket] && tickets[ticket].count) || 0) + count);
+        // The price is the one charged that day, so later price changes leave old takings alone
+        tickets[ticket] = { label: type.label, price: type.price, count: total };
+    }
+
+    return {
+        data: {
+            ...stored,
+            days: {
+                ...stored.days,
+                [date]: { ...day, tickets, batches: [...day.batches, id], updatedAt: now.toISOString() }
+            }
+        },
+        duplicate: false
+    };
+}
+
+/**
+ * Notes the forecast for a counted day (from the weather advisory) so busy and
+ * quiet weekends can be read against the weather. The latest forecast for the
+ * day wins; one for another day, or one that does not cover opening hours, is ignored.
+ */
+function recordWeather(data, advisory) {
+    const stored = readGate(data);
+    if (!advisory || advisory.level === 'unknown' || !stored.days[advisory.date]) return stored;
+
+    const weather = {
+        condition: advisory.condition,
+        windGust: advisory.windGust,
+        precipitationProbability: advisory.precipitationProbability,
+        level: advisory.level
+    };
+    return { ...stored, days: { ...stored.days, [advisory.date]: { ...stored.days[advisory.date], weather } } };
+}
+
+/**
+ * Keeps a batch applyBatch turned away, with the reason and who sent it. Only
+ * whole-number counts are kept; a batch without a proper id did not come from
+ * the gate counter and is dropped.
+ */
+function keepRejected(data, batch, error, { user, now = new Date() }) {
+    const stored = readGate(data);
+    const { id, date, counts } = batch || {};
+    if (!BATCH_ID_PATTERN.test(id || '') || stored.rejected.some(item => item.id === id)) return stored;
+
+    const kept = {
+        id,
+        date: String(date || '').slice(0, 10),
+        counts: Object.fromEntries(Object.entries(counts && typeof counts === 'object' ? counts : {})
+            .filter(([ticket, count]) => ticket.length <= 60 && Number.isInteger(count))
+            .slice(0, 50)),
+        error,
+        user,
+        receivedAt: now.toISOString()
+    };
+    return { ...stored, rejected: [...stored.rejected, kept].slice(-MAX_REJECTED) };
+}
+
+// Returns null when there is no rejected batch with that id
+function dismissRejected(data, id) {
+    const stored = readGate(data);
+    if (!stored.rejected.some(item => item.id === id)) return null;
+    return { ...stored, rejected: stored.rejected.filter(item => item.id !== id) };
+}
+
+// Visitors through the gate, sellers' pitches and the money taken, for one stored day
+function dayTotals(day) {
+    const totals = { buyers: 0, sellers: 0, takings: 0 };
+    for (const [ticket, { price, count }] of Object.entries((day && day.tickets) || {})) {
+        totals[ticket.startsWith('sellers.') ? 'sellers' : 'buyers'] += count;
+        totals.takings += price * count;
+    }
+    return totals;
+}
+
+function countsOf(day) {
+    return Object.fromEntries(Object.entries((day && day.tickets) || {}).map(([ticket, { count }]) => [ticket, count]));
+}
+
+/**
+ * Counted days between from and to (inclusive), oldest first, and the same days
+ * grouped into weekends (keyed by the Saturday) for comparing one with another.
+ */
+function summarize(data, from, to) {
+    const stored = readGate(data).days;
+    const days = Object.keys(stored)
+        .filter(date => date >= from && date <= to)
+        .sort()
+        .map(date => ({ date, weekday: schedule.weekdayOf(date), weather: stored[date].weather || null, ...dayTotals(stored[date]) }));
+
+    const weekends = [];
+    for (const day of days.filter(item => item.weekday === 'saturday' || item.weekday === 'sunday')) {
+        const saturday = day.weekday === 'saturday' ? day.date : schedule.addDays(day.date, -1);
+        let weekend = weekends.find(item => item.saturday === saturday);
+        if (!weekend) weekends.push(weekend = { saturday, days: {} });
+        weekend.days[day.weekday] = day;
+    }
+    return { from, to, days, weekends };
+}
+
+// One row per ticket type per day, with the day's weather
+function toCsv(data, from, to) {
+    const stored = readGate(data).days;
+    const rows = [];
+    for (const date of Object.keys(stored).filter(item => item >= from && item <= to).sort()) {
+        const day = stored[date];
+        for (const [ticket, { label, price, count }] of Object.entries(day.tickets)) {
+            rows.push([
+                date, schedule.weekdayOf(date), ticket, label, pricing.formatPounds(price), count,
+                pricing.formatPounds(price * count), day.weather ? day.weather.condition : ''
+            ].map(csvCell).join(','));
+        }
+    }
+    return [['date', 'weekday', 'ticket', 'label', 'price', 'count', 'total', 'weather'].join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    SYNC_DAYS,
+    ticketTypes,
+    ticketTypesByWeekday,
+    readGate,
+    applyBatch,
+    recordWeather,
+    keepRejected,
+    dismissRejected,
+    dayTotals,
+    countsOf,
+    summarize,
+    toCsv
+};
@@ -0,0 +1,162 @@
+// English and Welsh messages for the public page, app.js and the admin panel.
+// Catalogues are flat { "key": "text" } files in locales/; {name} placeholders
+// are filled from params. Missing Welsh text falls back to English.
+
+const { escapeHtml } = require('./security');
+
+const LANGUAGES = {
+    en: { name: 'English', locale: 'en-GB', path: '/' },
+    cy: { name: 'Cymraeg', locale: 'cy-GB', path: '/cy/' }
+};
+const DEFAULT_LANGUAGE = 'en';
+const COOKIE_NAME = 'rcb_lang';
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+const catalogues = {
+    en: require('../locales/en.json'),
+    cy: require('../locales/cy.json')
+};
+
+// "cy", "CY", "cy-GB" -> "cy"; anything unsupported -> null
+function normalizeLanguage(value) {
+    const code = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES[code] ? code : null;
+}
+
+// A cookie that cannot be decoded counts as no choice made
+function languageFromCookie(header) {
+    const match = new RegExp(`(?:^|;\\s*)${COOKIE_NAME}=([^;]+)`).exec(header || '');
+    if (!match) return null;
+    try {
+        return normalizeLanguage(decodeURIComponent(match[1]));
+    } catch {
+        return null;
+    }
+}
+
+// First supported language in Accept-Language, by quality
+function languageFromAcceptHeader(header) {
+    const ranked = String(header || '').split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(param => /^q=([\d.]+)$/.exec(param.trim())).find(Boolean);
+            return { language: normalizeLanguage(tag), quality: q ? Number(q[1]) : 1, index };
+        })
+        .filter(item => item.language && item.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+    return ranked.length ? ranked[0].language : null;
+}
+
+// ?lang= first, then the visitor's saved choice, then the browser's languages
+function requestLanguage(req) {
+    return normalizeLanguage(req.query && req.query.lang) ||
+        languageFromCookie(req.get('cookie')) ||
+        languageFromAcceptHeader(req.get('accept-language')) ||
+        DEFAULT_LANGUAGE;
+}
+
+function rememberLanguage(res, language) {
+    res.cookie(COOKIE_NAME, language, { maxAge: COOKIE_MAX_AGE, sameSite: 'lax', path: '/' });
+}
+
+function translate(language, key, params) {
+    const catalogue = catalogues[language] || catalogues[DEFAULT_LANGUAGE];
+    const text = catalogue[key] ?? catalogues[DEFAULT_LANGUAGE][key] ?? key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+function translator(language) {
+    return (key, params) => translate(language, key, params);
+}
+
+// Messages whose keys start with one of `prefixes`, with English filling any gaps (for the browser)
+function messagesFor(language, prefixes) {
+    const messages = {};
+    for (const source of [catalogues[DEFAULT_LANGUAGE], catalogues[language] || {}]) {
+        for (const [key, text] of Object.entries(source)) {
+            if (prefixes.some(prefix => key.startsWith(prefix))) messages[key] = text;
+        }
+    }
+    return messages;
+}
+
+// <script type="application/json"> block the client scripts read their messages from
+function messagesScript(language, prefixes) {
+    const json = JSON.stringify(messagesFor(language, prefixes)).replace(/</g, '\\u003c');
+    return `<script type="application/json" id="i18nMessages">${json}</script>`;
+}
+
+// Admin-entered text with an optional Welsh version
+function pickText(english, welsh, language) {
+    return language === 'cy' && welsh ? welsh : english;
+}
+
+/**
+ * Translates a page template. Elements marked data-i18n="key" get their text
+ * replaced, data-i18n-attr="content:key,aria-label:key" replaces attributes,
+ * and <html lang> is set. Only mark elements that contain plain text.
+ */
+function localizeHtml(html, language) {
+    const t = translator(language);
+    return html
+        .replace(/<html lang="[^"]*"/, `<html lang="${language}"`)
+        .replace(/(<([a-z][a-z0-9]*)\b[^>]*\sdata-i18n="([^"]+)"[^>]*>)[\s\S]*?(<\/\2>)/g,
+            (match, open, tag, key, close) => `${open}${escapeHtml(t(key))}${close}`)
+        .replace(/<[a-z][a-z0-9]*\b[^>]*\sdata-i18n-attr="([^"]+)"[^>]*>/g, (tag, spec) =>
+            spec.split(',').reduce((result, pair) => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                return result.replace(new RegExp(`(\\s${attribute}=")[^"]*"`), (found, start) => `${start}${escapeHtml(t(key))}"`);
+            }, tag));
+}
+
+// Language links for <head>: one per translation plus x-default and the canonical URL
+function alternateLinks(language, baseUrl) {
+    const links = Object.entries(LANGUAGES).map(([code, { path }]) =>
+        `<link rel="alternate" hreflang="${code}" href="${escapeHtml(baseUrl + path)}">`);
+    links.push(`<link rel="alternate" hreflang="x-default" href="${escapeHtml(baseUrl + LANGUAGES[DEFAULT_LANGUAGE].path)}">`);
+    links.push(`<link rel="canonical" href="${escapeHtml(baseUrl + LANGUAGES[language].path)}">`);
+    return links.join('\n    ');
+}
+
+// Link to the other language, written in that language. English carries ?lang=en
+// so a visitor who chose Welsh before isn't sent straight back to /cy/.
+function languageSwitcher(language, className) {
+    const other = language === 'cy' ? 'en' : 'cy';
+    const href = other === DEFAULT_LANGUAGE ? `/?lang=${other}` : LANGUAGES[other].path;
+    return `<a href="${href}" class="${className}" hreflang="${other}" lang="${other}">${LANGUAGES[other].name}</a>`;
+}
+
+// public/index.html in `language`, apart from the hreflang links: translated
+// text, the language switcher and the messages app.js renders with
+function localizePage(html, language) {
+    return localizeHtml(html, language)
+        .replace('<!-- i18n:switcher -->', languageSwitcher(language, 'nav-link lang-switch'))
+        .replace('<!-- i18n:messages -->', messagesScript(language, ['app.']));
+}
+
+// A localized page (or public/index.html itself) with its hreflang links for the site at `baseUrl`
+function addAlternateLinks(html, language, baseUrl) {
+    return html.replace('<!-- i18n:alternates -->', () => alternateLinks(language, baseUrl));
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    COOKIE_NAME,
+    normalizeLanguage,
+    languageFromCookie,
+    languageFromAcceptHeader,
+    requestLanguage,
+    rememberLanguage,
+    translate,
+    translator,
+    messagesFor,
+    messagesScript,
+    pickText,
+    localizeHtml,
+    alternateLinks,
+    localizePage,
+    addAlternateLinks,
+    languageSwitcher
+};
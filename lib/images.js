@@ -0,0 +1,93 @@
+// Upload pipeline: turns a raw phone photo into resized WebP variants plus a
+// JPEG fallback, with orientation applied and EXIF/GPS metadata dropped.
+
+const path = require('path');
+const sharp = require('sharp');
+
+const GALLERY_WIDTHS = [320, 640, 1024];
+const HERO_WIDTHS = [640, 1280, 1920];
+const SELLER_WIDTHS = [320, 640];
+const LOST_FOUND_WIDTHS = [320, 640];
+
+// Anything larger than this is almost certainly not a photo from a phone or camera
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+class InvalidImageError extends Error {}
+
+/**
+ * Process an uploaded image buffer into the blob store under `folder`.
+ * sharp drops all metadata unless asked to keep it, so EXIF/GPS never reaches storage.
+ * Returns the record stored in gallery.json / hero-background.json.
+ */
+async function processImage(buffer, { blobs, folder, baseName, widths }) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch {
+        throw new InvalidImageError('File is not a readable image');
+    }
+    if (!metadata.width || !metadata.height) {
+        throw new InvalidImageError('File is not a readable image');
+    }
+
+    // EXIF orientations 5-8 are rotated a quarter turn, so width and height swap
+    const rotated = (metadata.orientation || 1) >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const targets = [...new Set(widths.map(target => Math.min(target, width)))].sort((a, b) => a - b);
+    const variants = [];
+
+    for (const target of targets) {
+        const key = `${folder}/${baseName}-${target}.webp`;
+        const output = await sharp(buffer)
+            .rotate()
+            .resize({ width: target, withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer();
+        await blobs.put(key, output, 'image/webp');
+        variants.push({ width: target, url: blobs.url(key) });
+    }
+
+    // Largest size as JPEG for browsers without WebP support
+    const largest = targets[targets.length - 1];
+    const filename = `${baseName}.jpg`;
+    const fallback = await sharp(buffer)
+        .rotate()
+        .resize({ width: largest, withoutEnlargement: true })
+        .jpeg({ quality: 82, mozjpeg: true })
+        .toBuffer();
+    await blobs.put(`${folder}/${filename}`, fallback, 'image/jpeg');
+
+    return {
+        filename,
+        url: blobs.url(`${folder}/${filename}`),
+        width: largest,
+        height: Math.round(height * largest / width),
+        variants
+    };
+}
+
+// Blob keys of every file belonging to a processed image record
+function imageKeys(folder, record) {
+    if (!record) return [];
+    return [record.filename, ...(record.variants || []).map(variant => variant.url)]
+        .filter(Boolean)
+        .map(file => `${folder}/${path.posix.basename(file)}`);
+}
+
+// Delete every file belonging to a processed image record
+async function removeImageFiles(blobs, folder, record) {
+    await Promise.all(imageKeys(folder, record).map(key => blobs.remove(key).catch(() => {})));
+}
+
+module.exports = {
+    GALLERY_WIDTHS,
+    HERO_WIDTHS,
+    SELLER_WIDTHS,
+    LOST_FOUND_WIDTHS,
+    InvalidImageError,
+    processImage,
+    imageKeys,
+    removeImageFiles
+};
@@ -0,0 +1,140 @@
+// Lost property board: items found on the showfield (logged by staff, with a
+// photo) and items visitors have reported lost. Entries come off the public
+// board once claimed or when they expire; visitors' contact details stay in the
+// admin panel until their report expires, then they are cleared.
+
+const crypto = require('crypto');
+const schedule = require('./schedule');
+
+const KINDS = ['found', 'lost'];
+
+// Days an entry stays on the board
+const LISTING_DAYS = 28;
+
+// Visitor reports on the board at once; more are turned away until some are claimed or expire
+const MAX_OPEN_REPORTS = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readText(value, { label, min, max }) {
+    const text = String(value || '').trim();
+    if (text.length < min || text.length > max) {
+        return { error: min > 0 ? `Please enter ${label} (up to ${max} characters)` : `Please keep ${label} under ${max} characters` };
+    }
+    return { text };
+}
+
+// The day it went missing or was handed in: today, or a date in the last LISTING_DAYS days
+function readDate(value, today) {
+    const date = String(value || '').trim() || today;
+    if (!DATE_PATTERN.test(date) || date > today || date < schedule.addDays(today, -LISTING_DAYS)) {
+        return { error: `Please choose a date in the last ${LISTING_DAYS} days` };
+    }
+    return { date };
+}
+
+function createEntry(kind, fields, now) {
+    return {
+        id: crypto.randomUUID(),
+        kind,
+        ...fields,
+        photo: null,
+        status: 'open',
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + LISTING_DAYS * DAY_MS).toISOString()
+    };
+}
+
+/**
+ * A found item logged in the admin panel. Returns { error } or { item }
+ * ready to be stored; the photo is added by the caller once processed.
+ */
+function parseFoundItem(input, { today, now = new Date() }) {
+    const description = readText(input.description, { label: 'a description', min: 3, max: 200 });
+    if (description.error) return description;
+    const location = readText(input.location, { label: 'where it was found', min: 2, max: 100 });
+    if (location.error) return location;
+    const { error, date } = readDate(input.date, today);
+    if (error) return { error };
+
+    return { item: createEntry('found', { description: description.text, location: location.text, date }, now) };
+}
+
+// A visitor's lost-item report: a way to get back to them is required, and is never shown publicly
+function parseLostReport(input, { today, now = new Date() }) {
+    const description = readText(input.description, { label: 'what you lost', min: 3, max: 200 });
+    if (description.error) return description;
+    const location = readText(input.location, { label: 'where you lost it', min: 0, max: 100 });
+    if (location.error) return location;
+    const { error, date } = readDate(input.date, today);
+    if (error) return { error };
+
+    const name = String(input.name || '').trim();
+    const phone = String(input.phone || '').trim();
+    const email = String(input.email || '').trim();
+    if (name.length < 2 || name.length > 100) return { error: 'Please enter your name' };
+    if (!phone && !email) return { error: 'Please give a phone number or email address so we can reach you' };
+    if (phone && !/^[0-9+()\s-]{7,20}$/.test(phone)) return { error: 'Please enter a valid phone number' };
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: 'Please enter a valid email address' };
+
+    return {
+        item: createEntry('lost', { description: description.text, location: location.text, date, name, phone, email }, now)
+    };
+}
+
+function isListed(item, now = new Date()) {
+    return item.status === 'open' && new Date(item.expiresAt) > now;
+}
+
+function openReports(lostFoundData, now = new Date()) {
+    return lostFoundData.items.filter(item => item.kind === 'lost' && isListed(item, now)).length;
+}
+
+/**
+ * Clears the name, phone and email from visitors' reports that have expired,
+ * claimed or not. Returns the updated data and how many reports were cleared.
+ */
+function forgetExpiredContacts(lostFoundData, now = new Date()) {
+    let forgotten = 0;
+    const items = lostFoundData.items.map(item => {
+        if (item.kind !== 'lost' || item.contactRemovedAt || new Date(item.expiresAt) > now) return item;
+        forgotten++;
+        return { ...item, name: '', phone: '', email: '', contactRemovedAt: now.toISOString() };
+    });
+    return { data: { ...lostFoundData, items }, forgotten };
+}
+
+/**
+ * The public board: open, unexpired entries, newest first, split by kind.
+ * Only what helps reunite an item with its owner is passed on.
+ */
+function publicBoard(lostFoundData, now = new Date()) {
+    const board = Object.fromEntries(KINDS.map(kind => [kind, []]));
+    lostFoundData.items
+        .filter(item => isListed(item, now))
+        .sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt))
+        .forEach(item => {
+            board[item.kind].push({
+                id: item.id,
+                description: item.description,
+                location: item.location,
+                date: item.date,
+                photo: item.photo ? { url: item.photo.url, variants: item.photo.variants || [] } : null
+            });
+        });
+    return board;
+}
+
+module.exports = {
+    KINDS,
+    LISTING_DAYS,
+    MAX_OPEN_REPORTS,
+    parseFoundItem,
+    parseLostReport,
+    isListed,
+    openReports,
+    forgetExpiredContacts,
+    publicBoard
+};
@@ -0,0 +1,237 @@
+// Outgoing mail. A transport is anything with send({ to, replyTo, subject, text });
+// the SMTP one is written against net/tls so no mail library is needed.
+//
+//   MAIL_TRANSPORT  off (default): nothing is sent, enquiries stay in the admin inbox
+//                   smtp: SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE (true for
+//                   TLS from the start, usually port 465), SMTP_USER, SMTP_PASS,
+//                   SMTP_REQUIRE_TLS (false allows a login without TLS)
+//   MAIL_FROM       sender address (default the SMTP user)
+//
+// Without SMTP_SECURE the connection is upgraded with STARTTLS whenever the
+// server offers it. The login is only ever sent over TLS: a server that does
+// not offer STARTTLS (or a connection where the offer was stripped out on the
+// way) is refused, unless SMTP_REQUIRE_TLS=false - for a local test server only.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT = 15000;
+
+class SmtpError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Header values never carry line breaks (no header injection); non-ASCII is encoded
+function encodeHeader(value) {
+    const text = String(value || '').replace(/[\r\n]+/g, ' ').trim();
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function formatAddress(address) {
+    if (typeof address === 'string') return `<${address}>`;
+    return address.name ? `${encodeHeader(address.name.replace(/["\\]/g, ''))} <${address.address}>` : `<${address.address}>`;
+}
+
+function addressOf(address) {
+    return typeof address === 'string' ? address : address.address;
+}
+
+/**
+ * An RFC 5322 message with a base64 text/plain body (any language, any line length).
+ * Lines end in CRLF; the caller adds the final "." for DATA.
+ */
+function buildMessage({ from, to, replyTo, subject, text, date = new Date(), messageId }) {
+    const domain = addressOf(from).split('@')[1] || 'localhost';
+    const headers = [
+        `From: ${formatAddress(from)}`,
+        `To: ${[].concat(to).map(formatAddress).join(', ')}`,
+        ...(replyTo ? [`Reply-To: ${formatAddress(replyTo)}`] : []),
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${messageId || crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ];
+    const body = Buffer.from(String(text).replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+// Reads SMTP replies (multi-line ones end with "250 " rather than "250-") from
+// whichever socket is current, so the session survives a STARTTLS upgrade
+function createSession(socket, timeout) {
+    const replies = [];
+    const waiting = [];
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+
+    function onData(chunk) {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, end).replace(/\r$/, '');
+            buffer = buffer.slice(end + 1);
+            lines.push(line);
+            if (/^\d{3}(?!-)/.test(line)) {
+                const reply = { code: Number(line.slice(0, 3)), lines: lines.map(item => item.slice(4)) };
+                lines = [];
+                if (waiting.length) waiting.shift().resolve(reply);
+                else replies.push(reply);
+            }
+        }
+    }
+
+    function onError(error) {
+        failure = error;
+        while (waiting.length) waiting.shift().reject(error);
+    }
+
+    function onClose() {
+        onError(failure || new SmtpError('The mail server closed the connection'));
+    }
+
+    function attach(target) {
+        target.on('data', onData);
+        target.on('error', onError);
+        target.on('close', onClose);
+        target.setTimeout(timeout, () => target.destroy(new SmtpError('The mail server did not answer in time')));
+        socket = target;
+    }
+
+    function detach() {
+        socket.removeListener('data', onData);
+        socket.removeListener('error', onError);
+        socket.removeListener('close', onClose);
+        socket.setTimeout(0);
+    }
+
+    function read() {
+        if (replies.length) return Promise.resolve(replies.shift());
+        if (failure) return Promise.reject(failure);
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+
+    async function expect(codes, reply) {
+        const result = await (reply || read());
+        if (!codes.includes(result.code)) {
+            throw new SmtpError(`The mail server refused the message: ${result.code} ${result.lines.join(' ')}`, result.code);
+        }
+        return result;
+    }
+
+    attach(socket);
+
+    return {
+        read,
+        expect,
+        command(line, codes) {
+            socket.write(`${line}\r\n`);
+            return expect(codes);
+        },
+        upgrade(options) {
+            detach();
+            return new Promise((resolve, reject) => {
+                const secure = tls.connect({ ...options, socket }, () => resolve());
+                secure.once('error', reject);
+                attach(secure);
+            });
+        },
+        close() {
+            socket.end();
+            socket.destroy();
+        }
+    };
+}
+
+function connect({ host, port, secure, timeout }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host })
+            : net.connect({ host, port });
+        socket.once(secure ? 'secureConnect' : 'connect', () => {
+            socket.removeListener('error', reject);
+            resolve(socket);
+        });
+        socket.once('error', reject);
+        socket.setTimeout(timeout, () => socket.destroy(new SmtpError('Could not reach the mail server')));
+    });
+}
+
+/**
+ * Sends each message over a fresh connection: EHLO, STARTTLS when offered,
+ * AUTH PLAIN when a user is set (over TLS unless `requireTls` is false), then
+ * one MAIL/RCPT/DATA exchange.
+ */
+function createSmtpTransport({ host, port = 587, secure = false, requireTls = true, user, pass, from, timeout = DEFAULT_TIMEOUT, clientName = os.hostname() }) {
+    if (!host) throw new Error('SMTP_HOST is required for MAIL_TRANSPORT=smtp');
+    if (!from) throw new Error('MAIL_FROM (or SMTP_USER) is required for MAIL_TRANSPORT=smtp');
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            const session = createSession(await connect({ host, port, secure, timeout }), timeout);
+            try {
+                await session.expect([220]);
+                let encrypted = secure;
+                const hello = await session.command(`EHLO ${clientName}`, [250]);
+                if (!secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+                    await session.command('STARTTLS', [220]);
+                    await session.upgrade({ servername: host });
+                    await session.command(`EHLO ${clientName}`, [250]);
+                    encrypted = true;
+                }
+                if (user && !encrypted && requireTls) {
+                    throw new SmtpError('The mail server did not offer STARTTLS, so the login was not sent (SMTP_REQUIRE_TLS)');
+                }
+                if (user) {
+                    const credentials = Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64');
+                    await session.command(`AUTH PLAIN ${credentials}`, [235]);
+                }
+
+                await session.command(`MAIL FROM:<${addressOf(from)}>`, [250]);
+                for (const recipient of [].concat(message.to)) {
+                    await session.command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+                }
+                await session.command('DATA', [354]);
+                // A line starting with "." would end DATA early, so it is doubled
+                const data = buildMessage({ ...message, from }).replace(/^\./gm, '..');
+                await session.command(`${data}.`, [250]);
+                await session.command('QUIT', [221]).catch(() => {});
+            } finally {
+                session.close();
+            }
+        }
+    };
+}
+
+// The configured transport, or null when mail is switched off
+function createTransportFromEnv(env) {
+    const name = (env.MAIL_TRANSPORT || 'off').toLowerCase();
+    if (name === 'off') return null;
+    if (name === 'smtp') {
+        return createSmtpTransport({
+            host: env.SMTP_HOST,
+            port: env.SMTP_PORT ? Number(env.SMTP_PORT) : undefined,
+            secure: env.SMTP_SECURE === 'true',
+            requireTls: env.SMTP_REQUIRE_TLS !== 'false',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+            from: env.MAIL_FROM || env.SMTP_USER
+        });
+    }
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use smtp or off)`);
+}
+
+module.exports = {
+    SmtpError,
+    buildMessage,
+    createSmtpTransport,
+    createTransportFromEnv
+};
@@ -0,0 +1,147 @@
+// Site notices: short messages shown as banners above the status. Each has its
+// own start and end time, so "Gates open late today" does not outlive the day.
+
+const crypto = require('crypto');
+const schedule = require('./schedule');
+
+// Most serious first: banners are stacked in this order
+const SEVERITIES = {
+    cancellation: 'Cancellation',
+    warning: 'Warning',
+    info: 'Information'
+};
+
+const AUDIENCES = {
+    buyers: 'Buyers',
+    sellers: 'Sellers'
+};
+
+const MAX_MESSAGE_LENGTH = 280;
+const MAX_LINK_LENGTH = 500;
+const MAX_NOTICES = 50;
+// Ended notices stay listed in the admin panel for a while before they are dropped
+const KEEP_ENDED_DAYS = 30;
+
+/**
+ * The stored list. Status documents from before notices were a list have a single
+ * `notice` string, which becomes an information notice with no end.
+ */
+function readNotices(statusData) {
+    if (!statusData) return [];
+    if (Array.isArray(statusData.notices)) return statusData.notices;
+    const message = String(statusData.notice || '').trim();
+    if (!message) return [];
+    return [{
+        id: 'legacy-notice',
+        message,
+        severity: 'info',
+        audience: null,
+        link: null,
+        startsAt: statusData.lastUpdated || null,
+        endsAt: null,
+        createdAt: statusData.lastUpdated || null
+    }];
+}
+
+// 'scheduled', 'active' or 'ended'
+function noticeState(notice, now = new Date()) {
+    if (notice.startsAt && Date.parse(notice.startsAt) > now.getTime()) return 'scheduled';
+    if (notice.endsAt && Date.parse(notice.endsAt) <= now.getTime()) return 'ended';
+    return 'active';
+}
+
+function bySeverity(a, b) {
+    const rank = Object.keys(SEVERITIES);
+    return rank.indexOf(a.severity) - rank.indexOf(b.severity) ||
+        String(b.startsAt || '').localeCompare(String(a.startsAt || ''));
+}
+
+// What /api/status shows: notices live right now, most serious first.
+// `messageCy` is the optional Welsh text; the API sends one or the other.
+function activeNotices(notices, now = new Date()) {
+    return notices
+        .filter(notice => noticeState(notice, now) === 'active')
+        .sort(bySeverity)
+        .map(({ id, message, messageCy, severity, audience, link, startsAt, endsAt }) =>
+            ({ id, message, messageCy: messageCy || null, severity, audience, link, startsAt, endsAt }));
+}
+
+function parseMessage(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ');
+}
+
+// Drops notices that ended more than KEEP_ENDED_DAYS ago
+function pruneNotices(notices, now = new Date()) {
+    const cutoff = now.getTime() - KEEP_ENDED_DAYS * 24 * 60 * 60 * 1000;
+    return notices.filter(notice => !notice.endsAt || Date.parse(notice.endsAt) > cutoff);
+}
+
+// Site paths ("/#booking") or http(s) addresses only
+function parseLink(value) {
+    const link = String(value || '').trim();
+    if (!link) return null;
+    if (link.length > MAX_LINK_LENGTH) throw new Error('Link is too long');
+    if (/^\/(?!\/)/.test(link)) return link;
+    try {
+        const url = new URL(link);
+        if (url.protocol === 'https:' || url.protocol === 'http:') return url.href;
+    } catch {
+        // fall through
+    }
+    throw new Error('Link must start with / or https://');
+}
+
+/**
+ * A new notice from the admin form. Times are wall-clock "YYYY-MM-DDTHH:MM" in
+ * `timezone`; a blank start means now and a blank end means until removed.
+ */
+function parseNotice(input, { timezone = schedule.DEFAULT_SCHEDULE.timezone, now = new Date() } = {}) {
+    const message = parseMessage(input.message);
+    if (!message) throw new Error('Please enter the notice text');
+    const messageCy = parseMessage(input.messageCy) || null;
+    if ([message, messageCy].some(text => text && text.length > MAX_MESSAGE_LENGTH)) {
+        throw new Error(`Notices can be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const severity = input.severity || 'info';
+    if (!SEVERITIES[severity]) throw new Error('Unknown severity');
+
+    const audience = input.audience || null;
+    if (audience && !AUDIENCES[audience]) throw new Error('Unknown audience');
+
+    let startsAt = now;
+    if (input.startsAt) {
+        startsAt = schedule.fromLocalDateTime(input.startsAt, timezone);
+        if (!startsAt) throw new Error('Please enter a valid start date and time');
+    }
+    let endsAt = null;
+    if (input.endsAt) {
+        endsAt = schedule.fromLocalDateTime(input.endsAt, timezone);
+        if (!endsAt) throw new Error('Please enter a valid end date and time');
+        if (endsAt <= startsAt) throw new Error('The notice must end after it starts');
+        if (endsAt <= now) throw new Error('That end time has already passed');
+    }
+
+    return {
+        id: crypto.randomUUID(),
+        message,
+        messageCy,
+        severity,
+        audience,
+        link: parseLink(input.link),
+        startsAt: startsAt.toISOString(),
+        endsAt: endsAt ? endsAt.toISOString() : null,
+        createdAt: now.toISOString()
+    };
+}
+
+module.exports = {
+    SEVERITIES,
+    AUDIENCES,
+    MAX_NOTICES,
+    readNotices,
+    noticeState,
+    activeNotices,
+    pruneNotices,
+    parseNotice
+};
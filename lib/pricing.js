@@ -0,0 +1,105 @@
+// Shared pricing config. Amounts are in pence so totals never pick up rounding errors.
+
+const { toMinutes } = require('./schedule');
+
+const DEFAULT_PRICING = {
+    currency: 'GBP',
+    sellers: {
+        earlyEntry: { from: '06:00', to: '07:30', fee: 200 },
+        regularEntry: { from: '08:00', to: '09:00' },
+        // Pitch types sellers can book on each trading day. `from` marks a starting price.
+        days: {
+            saturday: [
+                { id: 'space', label: 'Per space', price: 500 }
+            ],
+            sunday: [
+                { id: 'car', label: 'Cars', price: 1200 },
+                { id: 'van', label: 'Vans', price: 1500 },
+                { id: 'trailer', label: 'Trailers', price: 300, from: true }
+            ]
+        }
+    },
+    buyers: [
+        { id: 'early', label: 'Early Entry', from: '06:00', to: '09:00', price: 500 },
+        { id: 'regular', label: 'Regular Entry', from: '09:00', price: 100 }
+    ]
+};
+
+function formatPrice(pence) {
+    return pence % 100 === 0 ? `£${pence / 100}` : `£${(pence / 100).toFixed(2)}`;
+}
+
+// Pitch types available on a weekday ('saturday', 'sunday', ...)
+function getVehiclesForDay(pricing, weekday) {
+    return (pricing.sellers.days || {})[weekday] || [];
+}
+
+// "12", "12.50" or "£12.50" -> 1250
+function parsePounds(value) {
+    const match = /^£?\s*(\d{1,4})(?:\.(\d{1,2}))?$/.exec(String(value || '').trim());
+    if (!match) return null;
+    return Number(match[1]) * 100 + Number((match[2] || '0').padEnd(2, '0'));
+}
+
+function formatPounds(pence) {
+    return (pence / 100).toFixed(2);
+}
+
+function splitLine(line) {
+    return line.split('|').map(part => part.trim());
+}
+
+function parseId(id, line) {
+    if (!/^[a-z0-9-]{1,30}$/.test(id || '')) throw new Error(`Invalid id (lowercase letters, digits and dashes) in: "${line}"`);
+    return id;
+}
+
+// Admin textarea, one pitch type per line: "car | Cars | 12.00" or "trailer | Trailers | from 3.00"
+function parsePitchLines(text) {
+    const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const items = lines.map(line => {
+        const [id, label, price] = splitLine(line);
+        const match = /^(from\s+)?(.+)$/i.exec(price || '');
+        const pence = match ? parsePounds(match[2]) : null;
+        if (!label || pence === null) throw new Error(`Invalid pitch line: "${line}"`);
+        return { id: parseId(id, line), label, price: pence, ...(match[1] ? { from: true } : {}) };
+    });
+    if (new Set(items.map(item => item.id)).size !== items.length) throw new Error('Pitch ids must be unique for each day');
+    return items;
+}
+
+function formatPitchLines(items) {
+    return (items || []).map(item => `${item.id} | ${item.label} | ${item.from ? 'from ' : ''}${formatPounds(item.price)}`).join('\n');
+}
+
+// Admin textarea, one ticket per line: "early | Early Entry | 06:00-09:00 | 5.00" or "regular | Regular Entry | 09:00 | 1.00"
+function parseBuyerLines(text) {
+    const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    return lines.map(line => {
+        const [id, label, hours, price] = splitLine(line);
+        const [from, to] = (hours || '').split('-').map(time => time.trim());
+        const pence = parsePounds(price);
+        if (!label || pence === null || toMinutes(from) === null || (to !== undefined && toMinutes(to) === null)) {
+            throw new Error(`Invalid ticket line: "${line}"`);
+        }
+        return { id: parseId(id, line), label, from, ...(to ? { to } : {}), price: pence };
+    });
+}
+
+function formatBuyerLines(tickets) {
+    return (tickets || []).map(ticket =>
+        `${ticket.id} | ${ticket.label} | ${ticket.from}${ticket.to ? '-' + ticket.to : ''} | ${formatPounds(ticket.price)}`
+    ).join('\n');
+}
+
+module.exports = {
+    DEFAULT_PRICING,
+    formatPrice,
+    getVehiclesForDay,
+    parsePounds,
+    formatPounds,
+    parsePitchLines,
+    formatPitchLines,
+    parseBuyerLines,
+    formatBuyerLines
+};
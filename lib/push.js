@@ -0,0 +1,112 @@
+// Web push: VAPID-signed, encrypted notifications to subscribed browsers.
+// web-push builds the signed request and we send it with fetch. Endpoints come
+// from the public subscribe form, so only the browsers' own push services are
+// accepted (see isPushServiceUrl) - anything else would let a visitor make the
+// server send requests to hosts of their choosing.
+
+const webpush = require('web-push');
+
+// What visitors can opt in to
+const TOPICS = {
+    weather: 'Weather closures and cancellations',
+    openings: 'Opening announcements',
+    notices: 'Other notices'
+};
+
+const TTL_SECONDS = 12 * 60 * 60;
+// A push service that has not answered by then counts as a failed send
+const SEND_TIMEOUT_MS = 10 * 1000;
+
+// Push services used by Chrome, Firefox, Safari and Edge; a leading dot matches any subdomain
+const PUSH_SERVICE_HOSTS = [
+    'fcm.googleapis.com',
+    'android.googleapis.com',
+    'updates.push.services.mozilla.com',
+    '.push.apple.com',
+    '.notify.windows.com'
+];
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Whether an endpoint is on a known push service, over https on the default
+ * port. `allowLocal` also lets through http://localhost, for a mock push
+ * service in development (PUSH_ALLOW_LOCAL=true).
+ */
+function isPushServiceUrl(endpoint, { allowLocal = false } = {}) {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        return false;
+    }
+    if (url.username || url.password) return false;
+    if (allowLocal && url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname)) return true;
+    if (url.protocol !== 'https:' || url.port) return false;
+    return PUSH_SERVICE_HOSTS.some(host => (host.startsWith('.') ? url.hostname.endsWith(host) : url.hostname === host));
+}
+
+function isValidSubscription(subscription, options) {
+    return !!subscription &&
+        typeof subscription.endpoint === 'string' &&
+        isPushServiceUrl(subscription.endpoint, options) &&
+        !!subscription.keys &&
+        typeof subscription.keys.p256dh === 'string' &&
+        typeof subscription.keys.auth === 'string';
+}
+
+function normalizeTopics(topics) {
+    const list = Array.isArray(topics) ? topics : [topics];
+    return [...new Set(list.filter(topic => Object.prototype.hasOwnProperty.call(TOPICS, topic)))];
+}
+
+function createPushSender({ publicKey, privateKey, subject }) {
+    const vapidDetails = { subject, publicKey, privateKey };
+
+    // Resolves with the push service's HTTP status code
+    async function send(subscription, payload) {
+        const details = webpush.generateRequestDetails(
+            { endpoint: subscription.endpoint, keys: subscription.keys },
+            JSON.stringify(payload),
+            { vapidDetails, TTL: TTL_SECONDS, urgency: 'high' }
+        );
+        const response = await fetch(details.endpoint, {
+            method: details.method,
+            headers: details.headers,
+            body: details.body,
+            signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+        });
+        return response.status;
+    }
+
+    /**
+     * Notify everyone subscribed to a topic.
+     * `expired` lists endpoints the push service says are gone (404/410), which should be removed.
+     */
+    async function sendToTopic(subscriptions, topic, payload) {
+        const targets = subscriptions.filter(subscription => (subscription.topics || []).includes(topic));
+        const results = await Promise.allSettled(targets.map(subscription => send(subscription, payload)));
+
+        const summary = { sent: 0, failed: 0, expired: [] };
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled' && result.value >= 200 && result.value < 300) {
+                summary.sent++;
+            } else if (result.status === 'fulfilled' && (result.value === 404 || result.value === 410)) {
+                summary.expired.push(targets[index].endpoint);
+            } else {
+                summary.failed++;
+            }
+        });
+        return summary;
+    }
+
+    return { publicKey, send, sendToTopic };
+}
+
+module.exports = {
+    TOPICS,
+    isPushServiceUrl,
+    isValidSubscription,
+    normalizeTopics,
+    generateVapidKeys: webpush.generateVAPIDKeys,
+    createPushSender
+};
@@ -0,0 +1,35 @@
+// In-memory fixed-window counter, keyed per client (normally the IP address).
+
+function createRateLimiter({ windowMs, max }) {
+    const hits = new Map();
+
+    function prune(now) {
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }
+
+    return {
+        // Seconds until the key may try again, or 0 if it is under the limit
+        retryAfter(key) {
+            const now = Date.now();
+            const entry = hits.get(key);
+            if (!entry || entry.resetAt <= now || entry.count < max) return 0;
+            return Math.ceil((entry.resetAt - now) / 1000);
+        },
+
+        hit(key) {
+            const now = Date.now();
+            prune(now);
+            const entry = hits.get(key);
+            if (entry && entry.resetAt > now) entry.count++;
+            else hits.set(key, { count: 1, resetAt: now + windowMs });
+        },
+
+        reset(key) {
+            hits.delete(key);
+        }
+    };
+}
+
+module.exports = { createRateLimiter };
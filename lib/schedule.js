@@ -0,0 +1,202 @@
+// Opening calendar: works out whether the field is open from the weekly
+// hours, the trading season and one-off date exceptions.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_SCHEDULE = {
+    timezone: 'Europe/London',
+    weekly: {
+        saturday: { open: '06:00', close: '13:00' },
+        sunday: { open: '06:00', close: '13:30' }
+    },
+    // Trading season as MM-DD, inclusive. Outside it the field is closed (November - March).
+    season: { start: '04-01', end: '10-31' },
+    // { date: 'YYYY-MM-DD', closed: true, reason } or { date, open: 'HH:MM', close: 'HH:MM', reason }
+    exceptions: []
+};
+
+// How far ahead to look for the next opening (covers the winter closure)
+const LOOKAHEAD_DAYS = 200;
+
+function toMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+// Calendar date, weekday and minutes past midnight in the schedule's timezone
+function getLocalParts(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    const isoDate = `${parts.year}-${parts.month}-${parts.day}`;
+    return {
+        date: isoDate,
+        weekday: WEEKDAYS[new Date(`${isoDate}T12:00:00Z`).getUTCDay()],
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+// "2026-05-03T09:30" on the wall clock in `timezone` -> Date, or null if it is not a date and time
+function fromLocalDateTime(dateTime, timezone) {
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(dateTime || '')) return null;
+    const wanted = Date.parse(`${dateTime}:00Z`);
+    if (Number.isNaN(wanted)) return null;
+
+    // Start from the same digits in UTC and correct by the zone's offset (twice, for clock changes)
+    let guess = wanted;
+    for (let i = 0; i < 2; i++) {
+        const local = getLocalParts(new Date(guess), timezone);
+        guess += wanted - (Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60000);
+    }
+    return new Date(guess);
+}
+
+// Date -> "2026-05-03T09:30" on the wall clock in `timezone` (for datetime-local inputs)
+function toLocalDateTime(date, timezone) {
+    const local = getLocalParts(date, timezone);
+    const hours = String(Math.floor(local.minutes / 60)).padStart(2, '0');
+    const minutes = String(local.minutes % 60).padStart(2, '0');
+    return `${local.date}T${hours}:${minutes}`;
+}
+
+function addDays(isoDate, days) {
+    const date = new Date(`${isoDate}T12:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function weekdayOf(isoDate) {
+    return WEEKDAYS[new Date(`${isoDate}T12:00:00Z`).getUTCDay()];
+}
+
+function inSeason(season, isoDate) {
+    if (!season || !season.start || !season.end) return true;
+    const monthDay = isoDate.slice(5);
+    if (season.start <= season.end) {
+        return monthDay >= season.start && monthDay <= season.end;
+    }
+    // Season wrapping the new year, e.g. 10-01 to 03-31
+    return monthDay >= season.start || monthDay <= season.end;
+}
+
+// Trading hours for a date, or null when closed. Exceptions win over the season and weekly hours.
+function getHoursForDate(schedule, isoDate) {
+    const exception = (schedule.exceptions || []).find(item => item.date === isoDate);
+    if (exception) {
+        if (exception.closed) return null;
+        return { open: exception.open, close: exception.close, reason: exception.reason || '' };
+    }
+
+    if (!inSeason(schedule.season, isoDate)) return null;
+
+    const hours = (schedule.weekly || {})[weekdayOf(isoDate)];
+    if (!hours || !hours.open || !hours.close) return null;
+    return { open: hours.open, close: hours.close };
+}
+
+function findNextOpening(schedule, local, skipToday) {
+    for (let offset = skipToday ? 1 : 0; offset <= LOOKAHEAD_DAYS; offset++) {
+        const isoDate = addDays(local.date, offset);
+        const hours = getHoursForDate(schedule, isoDate);
+        if (!hours) continue;
+        if (offset === 0 && toMinutes(hours.open) <= local.minutes) continue;
+        return { type: 'opens', date: isoDate, day: weekdayOf(isoDate), time: hours.open };
+    }
+    return null;
+}
+
+// Date rolls 2026-02-31 over into March, so a real date comes back unchanged
+function isRealDate(isoDate) {
+    const parsed = new Date(`${isoDate}T12:00:00Z`);
+    return /^\d{4}-\d{2}-\d{2}$/.test(isoDate || '') && !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === isoDate;
+}
+
+// Season bounds are "MM-DD"; 02-29 counts, as it is checked against a leap year
+function isMonthDay(value) {
+    return /^\d{2}-\d{2}$/.test(value || '') && isRealDate(`2024-${value}`);
+}
+
+// Admin textarea format, one per line: "2026-05-03 closed Reason" or "2026-05-04 07:00-12:00 Reason"
+function parseExceptions(text) {
+    return String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+        const match = /^(\d{4}-\d{2}-\d{2})\s+(closed|(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2}))\s*(.*)$/i.exec(line);
+        if (!match) throw new Error(`Invalid exception line: "${line}"`);
+        if (!isRealDate(match[1])) throw new Error(`Invalid date in exception line: "${line}"`);
+        if (match[2].toLowerCase() === 'closed') {
+            return { date: match[1], closed: true, reason: match[5] };
+        }
+        if (toMinutes(match[3]) === null || toMinutes(match[4]) === null) {
+            throw new Error(`Invalid time in exception line: "${line}"`);
+        }
+        if (toMinutes(match[3]) >= toMinutes(match[4])) {
+            throw new Error(`Opening time must be before closing time in exception line: "${line}"`);
+        }
+        return { date: match[1], open: match[3], close: match[4], reason: match[5] };
+    });
+}
+
+function formatExceptions(exceptions) {
+    return (exceptions || []).map(item => {
+        const hours = item.closed ? 'closed' : `${item.open}-${item.close}`;
+        return `${item.date} ${hours}${item.reason ? ' ' + item.reason : ''}`;
+    }).join('\n');
+}
+
+/**
+ * Resolve the public status from the schedule plus any manual override.
+ * An override only applies on the date it was set, so a "rained off" closure
+ * does not carry over to the next weekend.
+ */
+function computeStatus(schedule, statusData, now = new Date()) {
+    const timezone = schedule.timezone || DEFAULT_SCHEDULE.timezone;
+    const local = getLocalParts(now, timezone);
+    const today = getHoursForDate(schedule, local.date);
+
+    const scheduledOpen = !!today &&
+        local.minutes >= toMinutes(today.open) &&
+        local.minutes < toMinutes(today.close);
+
+    const override = statusData.override;
+    const overrideActive = !!override && override.date === local.date;
+    const status = overrideActive ? !!override.status : scheduledOpen;
+
+    let nextChange = null;
+    if (status && today && local.minutes < toMinutes(today.close)) {
+        nextChange = { type: 'closes', date: local.date, day: local.weekday, time: today.close };
+    } else if (!status) {
+        // A manual closure holds for the rest of the day
+        nextChange = findNextOpening(schedule, local, overrideActive);
+    }
+
+    return {
+        status,
+        source: overrideActive ? 'override' : 'schedule',
+        today: today ? { date: local.date, ...today } : null,
+        nextChange
+    };
+}
+
+module.exports = {
+    DEFAULT_SCHEDULE,
+    WEEKDAYS,
+    toMinutes,
+    getLocalParts,
+    fromLocalDateTime,
+    toLocalDateTime,
+    addDays,
+    weekdayOf,
+    getHoursForDate,
+    isRealDate,
+    isMonthDay,
+    parseExceptions,
+    formatExceptions,
+    computeStatus
+};
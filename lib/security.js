@@ -0,0 +1,114 @@
+// Security headers, the CORS allow-list, CSRF tokens for admin forms and HTML escaping.
+
+const crypto = require('crypto');
+
+const HSTS_MAX_AGE = 365 * 24 * 60 * 60;
+const CSRF_FIELD = '_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// "https://a.example, https://b.example" -> ['https://a.example', 'https://b.example']
+function parseOrigins(value) {
+    return String(value || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+// Options for the cors package: only listed origins get CORS headers; same-origin requests need none
+function corsOptions(allowedOrigins) {
+    return {
+        origin(origin, callback) {
+            callback(null, !!origin && allowedOrigins.includes(origin));
+        },
+        methods: ['GET', 'POST'],
+        maxAge: 600
+    };
+}
+
+function buildCsp({ nonce, imgSources = [] }) {
+    const directives = {
+        'default-src': ["'self'"],
+        'script-src': ["'self'", `'nonce-${nonce}'`],
+        // Inline style attributes are used throughout the page markup
+        'style-src': ["'self'", "'unsafe-inline'"],
+        'img-src': ["'self'", 'data:', 'blob:', ...imgSources],
+        'font-src': ["'self'", 'https://r2cdn.perplexity.ai'],
+        'connect-src': ["'self'"],
+        'frame-src': ["'none'"],
+        'worker-src': ["'self'"],
+        'manifest-src': ["'self'"],
+        'object-src': ["'none'"],
+        'base-uri': ["'self'"],
+        'form-action': ["'self'"],
+        'frame-ancestors': ["'none'"]
+    };
+    return Object.entries(directives).map(([name, values]) => `${name} ${values.join(' ')}`).join('; ');
+}
+
+/**
+ * Sets CSP, framing, sniffing and referrer headers on every response, and HSTS on HTTPS.
+ * Each response gets a fresh CSP nonce in res.locals.cspNonce for server-rendered inline scripts.
+ */
+function securityHeaders({ imgSources = [] } = {}) {
+    return (req, res, next) => {
+        const nonce = crypto.randomBytes(16).toString('base64');
+        res.locals.cspNonce = nonce;
+
+        res.set({
+            'Content-Security-Policy': buildCsp({ nonce, imgSources }),
+            'X-Frame-Options': 'DENY',
+            'X-Content-Type-Options': 'nosniff',
+            'Referrer-Policy': 'strict-origin-when-cross-origin',
+            'Permissions-Policy': 'camera=(), microphone=(), geolocation=()'
+        });
+        // Only over HTTPS (req.secure honours X-Forwarded-Proto from Render's proxy)
+        if (req.secure) {
+            res.set('Strict-Transport-Security', `max-age=${HSTS_MAX_AGE}; includeSubDomains`);
+        }
+        next();
+    };
+}
+
+// The session's CSRF token, created on first use
+function csrfToken(req) {
+    if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    return req.session.csrfToken;
+}
+
+function csrfField(req) {
+    return `<input type="hidden" name="${CSRF_FIELD}" value="${csrfToken(req)}">`;
+}
+
+function tokensMatch(expected, given) {
+    const a = Buffer.from(String(expected || ''));
+    const b = Buffer.from(String(given || ''));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Rejects a state-changing request unless it carries the session's token in the form or a header
+function verifyCsrf(req, res, next) {
+    const given = req.get(CSRF_HEADER) || (req.body && req.body[CSRF_FIELD]);
+    if (!req.session || !tokensMatch(req.session.csrfToken, given)) {
+        return res.status(403).json({ error: 'Form expired or invalid. Reload the page and try again.' });
+    }
+    next();
+}
+
+module.exports = {
+    CSRF_FIELD,
+    CSRF_HEADER,
+    escapeHtml,
+    parseOrigins,
+    corsOptions,
+    buildCsp,
+    securityHeaders,
+    csrfToken,
+    csrfField,
+    verifyCsrf
+};
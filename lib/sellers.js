@@ -0,0 +1,81 @@
+// Seller directory: opt-in stall profiles buyers can browse by category.
+// Profiles start as pending and are only shown once approved in the admin panel.
+
+const crypto = require('crypto');
+
+// Labels are app.sellers.category.* messages
+const CATEGORIES = ['household', 'vinyl', 'books', 'tools', 'clothing', 'toys', 'electronics', 'antiques', 'crafts', 'garden', 'sports'];
+const DAYS = ['saturday', 'sunday'];
+const STATUSES = ['pending', 'approved', 'hidden'];
+
+const MAX_CATEGORIES = 5;
+const MAX_DESCRIPTION = 300;
+// Sign-ups waiting for approval; more are turned away until some are moderated
+const MAX_PENDING = 100;
+
+// Form fields arrive as a single value or a list, depending on how many boxes were ticked
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value.map(String) : String(value).split(',').map(item => item.trim());
+}
+
+// Returns { error } or { profile } ready to be stored (without a photo)
+function parseProfile(input) {
+    const stallName = String(input.stallName || '').trim();
+    if (stallName.length < 2 || stallName.length > 60) return { error: 'Please enter a stall name (2-60 characters)' };
+
+    const description = String(input.description || '').trim();
+    if (description.length > MAX_DESCRIPTION) return { error: `Please keep the description under ${MAX_DESCRIPTION} characters` };
+
+    const categories = [...new Set(toList(input.categories))];
+    if (categories.length === 0 || categories.some(category => !CATEGORIES.includes(category))) {
+        return { error: 'Please choose what you sell from the list' };
+    }
+    if (categories.length > MAX_CATEGORIES) return { error: `Please choose up to ${MAX_CATEGORIES} categories` };
+
+    const days = DAYS.filter(day => toList(input.days).includes(day));
+    if (days.length === 0) return { error: 'Please choose the days you usually trade' };
+
+    const now = new Date().toISOString();
+    return {
+        profile: {
+            id: crypto.randomUUID(),
+            stallName,
+            description,
+            categories,
+            days,
+            photo: null,
+            status: 'pending',
+            createdAt: now,
+            updatedAt: now
+        }
+    };
+}
+
+/**
+ * Approved profiles as the public page sees them, by stall name.
+ * Only the photo's URLs are passed on, not its stored filename.
+ */
+function publicSellers(sellersData) {
+    return sellersData.sellers
+        .filter(seller => seller.status === 'approved')
+        .sort((a, b) => a.stallName.localeCompare(b.stallName, 'en', { sensitivity: 'base' }))
+        .map(seller => ({
+            id: seller.id,
+            stallName: seller.stallName,
+            description: seller.description,
+            categories: seller.categories,
+            days: seller.days,
+            photo: seller.photo ? { url: seller.photo.url, variants: seller.photo.variants || [] } : null
+        }));
+}
+
+module.exports = {
+    CATEGORIES,
+    DAYS,
+    STATUSES,
+    MAX_CATEGORIES,
+    MAX_PENDING,
+    parseProfile,
+    publicSellers
+};
@@ -0,0 +1,306 @@
+// Search engine and link preview metadata for the public page. The description,
+// schema.org JSON-LD and Open Graph/Twitter tags are built per request from the
+// live status, schedule, prices and hero image, so they are never out of date.
+
+const schedule = require('./schedule');
+const pricing = require('./pricing');
+const i18n = require('./i18n');
+const { SHOWFIELD } = require('./weather');
+const { escapeHtml } = require('./security');
+
+const ADDRESS = {
+    streetAddress: 'Rhuddlan Road',
+    addressLocality: 'Rhyl',
+    addressRegion: 'North Wales',
+    postalCode: 'LL18 2RG',
+    addressCountry: 'GB'
+};
+
+// Shared when no hero image has been uploaded yet
+const FALLBACK_IMAGE = { url: '/icons/icon-512.png', width: 512, height: 512 };
+
+// Trading days listed as events: enough to answer "is it on this weekend?"
+const EVENT_COUNT = 4;
+const LOOKAHEAD_DAYS = 200;
+
+// Monday first, so the weekend reads "Saturday ..., Sunday ..."
+const WEEK = [...schedule.WEEKDAYS.slice(1), schedule.WEEKDAYS[0]];
+
+function formatTime(t, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours >= 12 ? t('app.time.pm') : t('app.time.am');
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+function monthName(language, monthDay) {
+    return new Date(`2000-${monthDay}T12:00:00Z`)
+        .toLocaleString(i18n.LANGUAGES[language].locale, { month: 'long', timeZone: 'UTC' });
+}
+
+// Relative URLs (local uploads, icons) -> absolute, as crawlers and link previews need
+function absoluteUrl(url, baseUrl) {
+    return new URL(url, `${baseUrl}/`).href;
+}
+
+function heroImage(hero, baseUrl) {
+    if (!hero || !hero.filename) return { ...FALLBACK_IMAGE, url: absoluteUrl(FALLBACK_IMAGE.url, baseUrl), fallback: true };
+    return {
+        url: absoluteUrl(hero.url || `/uploads/hero/${hero.filename}`, baseUrl),
+        width: hero.width || null,
+        height: hero.height || null
+    };
+}
+
+// First and last day of the current (or next) trading season, as YYYY-MM-DD
+function seasonDates(season, today) {
+    if (!season || !season.start || !season.end) return null;
+    const year = Number(today.slice(0, 4));
+    const monthDay = today.slice(5);
+    if (season.start <= season.end) {
+        const start = monthDay > season.end ? year + 1 : year;
+        return { from: `${start}-${season.start}`, through: `${start}-${season.end}` };
+    }
+    // Season wrapping the new year: in its tail (before the end) it began last year
+    const start = monthDay <= season.end ? year - 1 : year;
+    return { from: `${start}-${season.start}`, through: `${start + 1}-${season.end}` };
+}
+
+/**
+ * The next few trading days from the schedule. A day closed by an exception,
+ * or by today's manual override, is kept and marked cancelled so search
+ * engines drop it rather than go on listing the regular hours.
+ */
+function upcomingTradingDays(scheduleData, statusData, now = new Date()) {
+    const timezone = scheduleData.timezone || schedule.DEFAULT_SCHEDULE.timezone;
+    const local = schedule.getLocalParts(now, timezone);
+    const regular = { ...scheduleData, exceptions: [] };
+    const days = [];
+
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS && days.length < EVENT_COUNT; offset++) {
+        const date = schedule.addDays(local.date, offset);
+        const hours = schedule.getHoursForDate(scheduleData, date);
+        const usual = schedule.getHoursForDate(regular, date);
+        const times = hours || usual;
+        if (!times) continue;
+        if (offset === 0 && local.minutes >= schedule.toMinutes(times.close)) continue;
+
+        const closedToday = offset === 0 && statusData.source === 'override' && !statusData.status;
+        days.push({
+            date,
+            day: schedule.weekdayOf(date),
+            open: times.open,
+            close: times.close,
+            cancelled: !hours || closedToday,
+            startDate: schedule.fromLocalDateTime(`${date}T${times.open}`, timezone).toISOString(),
+            endDate: schedule.fromLocalDateTime(`${date}T${times.close}`, timezone).toISOString()
+        });
+    }
+    return days;
+}
+
+// "Open now until 1:00 PM." / "Next open Saturday 6:00 AM." from the live status
+function describeStatus(t, language, statusData, now = new Date()) {
+    const change = statusData.nextChange;
+    if (statusData.status) {
+        return change ? t('seo.openNow', { time: formatTime(t, change.time) }) : t('seo.open');
+    }
+    if (!change) return t('seo.closed');
+
+    const dayName = t(`app.day.${change.day}`);
+    const daysAway = (new Date(`${change.date}T12:00:00Z`) - now) / 86400000;
+    // Beyond this week (e.g. over the winter closure) include the date itself
+    const when = daysAway > 6
+        ? `${dayName} ${Number(change.date.slice(8))} ${monthName(language, change.date.slice(5))}`
+        : dayName;
+    return t('seo.nextOpen', { when, time: formatTime(t, change.time) });
+}
+
+/**
+ * Page description: live status, weekly hours, season, prices and address,
+ * e.g. "Open now until 1:00 PM. Car boot sale at Rhyl Showfield, ...".
+ */
+function describePage(language, { statusData, scheduleData, pricingData }, now = new Date()) {
+    const t = i18n.translator(language);
+    const hours = WEEK
+        .filter(day => scheduleData.weekly && scheduleData.weekly[day])
+        .map(day => {
+            const { open, close } = scheduleData.weekly[day];
+            return `${t(`app.day.${day}`)} ${t('app.time.range', { from: formatTime(t, open), to: formatTime(t, close) })}`;
+        });
+
+    const season = scheduleData.season
+        ? t('seo.season', { start: monthName(language, scheduleData.season.start), end: monthName(language, scheduleData.season.end) })
+        : '';
+    const pitches = Object.values(pricingData.sellers.days || {}).flat().map(item => item.price);
+    const tickets = (pricingData.buyers || []).map(ticket => ticket.price);
+
+    return [
+        describeStatus(t, language, statusData, now),
+        t('seo.summary', { hours: hours.join(', '), season }),
+        tickets.length && pitches.length
+            ? t('seo.prices', { entry: pricing.formatPrice(Math.min(...tickets)), pitch: pricing.formatPrice(Math.min(...pitches)) })
+            : '',
+        t('seo.address')
+    ].filter(Boolean).join(' ');
+}
+
+function offer(name, category, pence, currency, url) {
+    return {
+        '@type': 'Offer',
+        name,
+        category,
+        price: (pence / 100).toFixed(2),
+        priceCurrency: currency,
+        url
+    };
+}
+
+/**
+ * schema.org graph: the car boot as a LocalBusiness with its seasonal opening
+ * hours and price range, plus an Event (with ticket and pitch prices) for each
+ * upcoming trading day.
+ */
+function structuredData(language, data, baseUrl, now = new Date()) {
+    const { statusData, scheduleData, pricingData, contactData, hero } = data;
+    const t = i18n.translator(language);
+    const pageUrl = baseUrl + i18n.LANGUAGES[language].path;
+    const image = heroImage(hero, baseUrl).url;
+    const currency = pricingData.currency || 'GBP';
+    const address = { '@type': 'PostalAddress', ...ADDRESS };
+    const local = schedule.getLocalParts(now, scheduleData.timezone || schedule.DEFAULT_SCHEDULE.timezone);
+    const season = seasonDates(scheduleData.season, local.date);
+
+    const openingHours = WEEK
+        .filter(day => scheduleData.weekly && scheduleData.weekly[day])
+        .map(day => ({
+            '@type': 'OpeningHoursSpecification',
+            dayOfWeek: `https://schema.org/${day[0].toUpperCase()}${day.slice(1)}`,
+            opens: scheduleData.weekly[day].open,
+            closes: scheduleData.weekly[day].close,
+            ...(season ? { validFrom: season.from, validThrough: season.through } : {})
+        }));
+
+    const prices = [
+        ...(pricingData.buyers || []).map(ticket => ticket.price),
+        ...Object.values(pricingData.sellers.days || {}).flat().map(item => item.price)
+    ];
+
+    const business = {
+        '@type': 'LocalBusiness',
+        '@id': `${baseUrl}/#business`,
+        name: t('seo.name'),
+        description: describePage(language, data, now),
+        url: pageUrl,
+        image,
+        telephone: contactData.phone,
+        email: contactData.email,
+        address,
+        geo: { '@type': 'GeoCoordinates', latitude: SHOWFIELD.latitude, longitude: SHOWFIELD.longitude },
+        openingHoursSpecification: openingHours,
+        currenciesAccepted: currency,
+        paymentAccepted: 'Cash',
+        ...(contactData.facebook ? { sameAs: [contactData.facebook] } : {}),
+        ...(prices.length ? { priceRange: `${pricing.formatPrice(Math.min(...prices))} - ${pricing.formatPrice(Math.max(...prices))}` } : {})
+    };
+
+    const events = upcomingTradingDays(scheduleData, statusData, now).map(day => ({
+        '@type': 'Event',
+        name: t('seo.eventName', { day: t(`app.day.${day.day}`) }),
+        startDate: day.startDate,
+        endDate: day.endDate,
+        eventStatus: day.cancelled ? 'https://schema.org/EventCancelled' : 'https://schema.org/EventScheduled',
+        eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+        inLanguage: i18n.LANGUAGES[language].locale,
+        url: pageUrl,
+        image,
+        location: { '@type': 'Place', name: t('seo.name'), address },
+        organizer: { '@id': business['@id'] },
+        offers: [
+            ...(pricingData.buyers || []).map(ticket =>
+                offer(ticket.label, t('seo.offer.buyers'), ticket.price, currency, `${pageUrl}#pricing`)),
+            ...pricing.getVehiclesForDay(pricingData, day.day).map(item =>
+                offer(item.label, t('seo.offer.sellers'), item.price, currency, `${pageUrl}#booking`))
+        ]
+    }));
+
+    return { '@context': 'https://schema.org', '@graph': [business, ...events] };
+}
+
+/**
+ * Everything that replaces <!-- seo:meta --> in the page head: description,
+ * Open Graph and Twitter card tags, and the JSON-LD block.
+ */
+function metaTags(language, data, baseUrl, now = new Date()) {
+    const t = i18n.translator(language);
+    const description = escapeHtml(describePage(language, data, now));
+    const title = escapeHtml(t('site.title'));
+    const image = heroImage(data.hero, baseUrl);
+    const json = JSON.stringify(structuredData(language, data, baseUrl, now)).replace(/</g, '\\u003c');
+
+    const tags = [
+        `<meta name="description" content="${description}">`,
+        '<meta property="og:type" content="website">',
+        `<meta property="og:site_name" content="${escapeHtml(t('seo.name'))}">`,
+        `<meta property="og:title" content="${title}">`,
+        `<meta property="og:description" content="${description}">`,
+        `<meta property="og:url" content="${escapeHtml(baseUrl + i18n.LANGUAGES[language].path)}">`,
+        `<meta property="og:locale" content="${i18n.LANGUAGES[language].locale.replace('-', '_')}">`,
+        ...Object.entries(i18n.LANGUAGES).filter(([code]) => code !== language)
+            .map(([, { locale }]) => `<meta property="og:locale:alternate" content="${locale.replace('-', '_')}">`),
+        `<meta property="og:image" content="${escapeHtml(image.url)}">`,
+        ...(image.width && image.height ? [
+            `<meta property="og:image:width" content="${image.width}">`,
+            `<meta property="og:image:height" content="${image.height}">`
+        ] : []),
+        `<meta property="og:image:alt" content="${escapeHtml(t('seo.imageAlt'))}">`,
+        `<meta name="twitter:card" content="${image.fallback ? 'summary' : 'summary_large_image'}">`,
+        `<meta name="twitter:title" content="${title}">`,
+        `<meta name="twitter:description" content="${description}">`,
+        `<meta name="twitter:image" content="${escapeHtml(image.url)}">`,
+        `<script type="application/ld+json">${json}</script>`
+    ];
+    return tags.join('\n    ');
+}
+
+function robotsTxt(baseUrl) {
+    return [
+        'User-agent: *',
+        'Disallow: /admin',
+        'Disallow: /api/',
+        '',
+        `Sitemap: ${baseUrl}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+// One entry per language, each listing every translation as an alternate
+function sitemapXml(baseUrl) {
+    const alternates = Object.entries(i18n.LANGUAGES).map(([code, { path }]) =>
+        `    <xhtml:link rel="alternate" hreflang="${code}" href="${escapeHtml(baseUrl + path)}"/>`);
+    const urls = Object.values(i18n.LANGUAGES).map(({ path }) => [
+        '  <url>',
+        `    <loc>${escapeHtml(baseUrl + path)}</loc>`,
+        ...alternates,
+        '    <changefreq>daily</changefreq>',
+        '  </url>'
+    ].join('\n'));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    ADDRESS,
+    absoluteUrl,
+    seasonDates,
+    upcomingTradingDays,
+    describePage,
+    structuredData,
+    metaTags,
+    robotsTxt,
+    sitemapXml
+};
@@ -0,0 +1,128 @@
+// Site plan of the showfield: gates, parking, toilets, food vans and seller
+// zones, drawn by app.js as an SVG from /api/site-map. Positions are on a
+// 100 x 60 grid over the field with Rhuddlan Road along the bottom edge, so the
+// plan needs no map tiles or third-party embed. Features can be limited to
+// certain weekdays; visitors see the gates for the day they are coming.
+//
+// The owner edits the plan as text, one feature per line:
+//   "entrances | main-gate | Main entrance | 30,60 | saturday sunday | Y brif fynedfa"
+// with a point ("x,y") or an area ("x,y,width,height"), optional days (every
+// trading day when empty) and an optional Welsh label.
+
+const schedule = require('./schedule');
+const { pickText } = require('./i18n');
+const { SHOWFIELD } = require('./weather');
+
+// Drawing order, bottom to top. Labels are app.map.layer.* messages.
+const LAYERS = ['sellers', 'parking', 'food', 'toilets', 'exits', 'entrances'];
+
+const WIDTH = 100;
+const HEIGHT = 60;
+const MAX_FEATURES = 40;
+const MAX_LABEL = 80;
+
+const DEFAULT_SITE_MAP = {
+    features: [
+        { layer: 'sellers', id: 'saturday-pitches', label: 'Saturday pitches', labelCy: 'Lleiniau dydd Sadwrn', x: 40, y: 6, width: 55, height: 34, days: ['saturday'] },
+        { layer: 'sellers', id: 'sunday-pitches', label: 'Car and van pitches', labelCy: 'Lleiniau ceir a faniau', x: 40, y: 6, width: 55, height: 24, days: ['sunday'] },
+        { layer: 'sellers', id: 'trailer-pitches', label: 'Trailer pitches', labelCy: 'Lleiniau trelars', x: 70, y: 32, width: 25, height: 12, days: ['sunday'] },
+        { layer: 'parking', id: 'car-park', label: 'Main car park', labelCy: 'Prif faes parcio', x: 5, y: 30, width: 30, height: 20, days: [] },
+        { layer: 'parking', id: 'disabled-parking', label: 'Disabled parking (limited)', labelCy: 'Parcio i bobl anabl (cyfyngedig)', x: 38, y: 46, width: 12, height: 8, days: [] },
+        { layer: 'food', id: 'food-vans', label: 'Food vans', labelCy: 'Faniau bwyd', x: 55, y: 46, days: [] },
+        { layer: 'toilets', id: 'toilets', label: 'Toilets', labelCy: 'Toiledau', x: 20, y: 12, days: [] },
+        { layer: 'exits', id: 'car-exit', label: 'Car exit - please do not drive in here', labelCy: "Allanfa'r ceir - peidiwch â gyrru i mewn yma", x: 60, y: 60, days: [] },
+        { layer: 'entrances', id: 'main-gate', label: 'Main entrance (Rhuddlan Road)', labelCy: 'Y brif fynedfa (Ffordd Rhuddlan)', x: 30, y: 60, days: ['saturday'] },
+        { layer: 'entrances', id: 'bottom-gate', label: 'Bottom gate', labelCy: 'Y giât isaf', x: 88, y: 60, days: ['sunday'] }
+    ]
+};
+
+function readSiteMap(data) {
+    return { features: (data && Array.isArray(data.features)) ? data.features : DEFAULT_SITE_MAP.features };
+}
+
+function splitLine(line) {
+    return line.split('|').map(part => part.trim());
+}
+
+function parsePosition(text, line) {
+    const numbers = String(text || '').split(',').map(part => Number(part.trim()));
+    const valid = (numbers.length === 2 || numbers.length === 4) && numbers.every(Number.isFinite);
+    const [x, y, width, height] = numbers;
+    if (!valid || x < 0 || y < 0 || x > WIDTH || y > HEIGHT) {
+        throw new Error(`Position must be "x,y" or "x,y,width,height" inside ${WIDTH} x ${HEIGHT} in: "${line}"`);
+    }
+    if (numbers.length === 2) return { x, y };
+    if (width <= 0 || height <= 0 || x + width > WIDTH || y + height > HEIGHT) {
+        throw new Error(`Area must fit inside ${WIDTH} x ${HEIGHT} in: "${line}"`);
+    }
+    return { x, y, width, height };
+}
+
+// Admin textarea -> features, in the order given
+function parseFeatureLines(text) {
+    const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length > MAX_FEATURES) throw new Error(`At most ${MAX_FEATURES} features`);
+
+    const features = lines.map(line => {
+        const [layer, id, label, position, days = '', labelCy = ''] = splitLine(line);
+        if (!LAYERS.includes(layer)) throw new Error(`Layer must be one of ${LAYERS.join(', ')} in: "${line}"`);
+        if (!/^[a-z0-9-]{1,30}$/.test(id || '')) throw new Error(`Invalid id (lowercase letters, digits and dashes) in: "${line}"`);
+        if (!label || label.length > MAX_LABEL || labelCy.length > MAX_LABEL) {
+            throw new Error(`Labels must be 1-${MAX_LABEL} characters in: "${line}"`);
+        }
+        const weekdays = days.toLowerCase().split(/[\s,]+/).filter(Boolean);
+        const unknown = weekdays.find(day => !schedule.WEEKDAYS.includes(day));
+        if (unknown) throw new Error(`Unknown day "${unknown}" in: "${line}"`);
+
+        return {
+            layer,
+            id,
+            label,
+            labelCy,
+            ...parsePosition(position, line),
+            days: schedule.WEEKDAYS.filter(day => weekdays.includes(day))
+        };
+    });
+    if (new Set(features.map(feature => feature.id)).size !== features.length) throw new Error('Feature ids must be unique');
+    return features;
+}
+
+function formatFeatureLines(features) {
+    return (features || []).map(feature => {
+        const position = [feature.x, feature.y, ...(feature.width ? [feature.width, feature.height] : [])].join(',');
+        const parts = [feature.layer, feature.id, feature.label, position, feature.days.join(' ')];
+        if (feature.labelCy) parts.push(feature.labelCy);
+        return parts.join(' | ');
+    }).join('\n');
+}
+
+/**
+ * The plan for the public page in one language. `days` are the weekdays the
+ * field opens, from the schedule, so the page can offer one view per day
+ * (starting from today in `timezone`); `location` is for the directions link.
+ */
+function publicSiteMap(data, scheduleData, language) {
+    return {
+        width: WIDTH,
+        height: HEIGHT,
+        layers: LAYERS,
+        location: SHOWFIELD,
+        timezone: scheduleData.timezone,
+        days: schedule.WEEKDAYS.filter(day => scheduleData.weekly && scheduleData.weekly[day]),
+        features: readSiteMap(data).features.map(({ labelCy, ...feature }) => ({
+            ...feature,
+            label: pickText(feature.label, labelCy, language)
+        }))
+    };
+}
+
+module.exports = {
+    LAYERS,
+    WIDTH,
+    HEIGHT,
+    DEFAULT_SITE_MAP,
+    readSiteMap,
+    parseFeatureLines,
+    formatFeatureLines,
+    publicSiteMap
+};
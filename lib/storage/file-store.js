@@ -0,0 +1,113 @@
+// JSON documents as files (status.json, gallery.json, ...) and logs as
+// JSON-lines files (audit.log). Writes go to a temporary file that is then
+// renamed over the original, so a crash or a second writer can never leave
+// half a document behind.
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+function createFileStore({ dir }) {
+    // One write at a time per file, in the order they were made
+    const queues = new Map();
+
+    function documentPath(name) {
+        return path.join(dir, `${name}.json`);
+    }
+
+    function logPath(name) {
+        return path.join(dir, `${name}.log`);
+    }
+
+    function enqueue(file, task) {
+        const previous = queues.get(file) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        queues.set(file, next);
+        next.finally(() => {
+            if (queues.get(file) === next) queues.delete(file);
+        }).catch(() => {});
+        return next;
+    }
+
+    async function writeAtomic(file, contents) {
+        // Dot-prefixed so express.static never serves a half-written file
+        const temp = path.join(path.dirname(file), `.${path.basename(file)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+        const handle = await fs.open(temp, 'w');
+        try {
+            await handle.writeFile(contents);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        try {
+            await fs.rename(temp, file);
+        } catch (error) {
+            await fs.unlink(temp).catch(() => {});
+            throw error;
+        }
+    }
+
+    return {
+        driver: 'file',
+
+        async init() {
+            await fs.mkdir(dir, { recursive: true });
+        },
+
+        // Parsed document, or null if it has never been written
+        async get(name) {
+            try {
+                return JSON.parse(await fs.readFile(documentPath(name), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async has(name) {
+            try {
+                await fs.access(documentPath(name));
+                return true;
+            } catch {
+                return false;
+            }
+        },
+
+        async set(name, value) {
+            const file = documentPath(name);
+            await enqueue(file, () => writeAtomic(file, JSON.stringify(value, null, 2)));
+            return value;
+        },
+
+        async append(name, entry) {
+            const file = logPath(name);
+            await enqueue(file, () => fs.appendFile(file, JSON.stringify(entry) + '\n'));
+        },
+
+        // Oldest first; unreadable lines (e.g. a write cut off by a crash) are skipped
+        async readLog(name) {
+            let data;
+            try {
+                data = await fs.readFile(logPath(name), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            return data.split('\n').filter(Boolean).reduce((entries, line) => {
+                try {
+                    entries.push(JSON.parse(line));
+                } catch {
+                    // skip
+                }
+                return entries;
+            }, []);
+        },
+
+        async close() {
+            await Promise.allSettled(queues.values());
+        }
+    };
+}
+
+module.exports = { createFileStore };
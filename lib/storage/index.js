@@ -0,0 +1,68 @@
+// Storage backends, chosen from the environment:
+//
+//   STORAGE_DRIVER  file (default): JSON files in DATA_DIR
+//                   sqlite: one database at SQLITE_FILE (default DATA_DIR/rcb.sqlite)
+//   BLOB_DRIVER     local (default): uploads in UPLOADS_DIR (default ./uploads)
+//                   s3: S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+//                   S3_SECRET_ACCESS_KEY, S3_PREFIX, S3_PUBLIC_URL
+//
+// On Render, point DATA_DIR (and UPLOADS_DIR) at a persistent disk, or use
+// SQLite on the disk with S3 for uploads, so redeploys keep their state.
+
+const path = require('path');
+const { createFileStore } = require('./file-store');
+const { createSqliteStore } = require('./sqlite-store');
+const { createLocalBlobStore } = require('./local-blobs');
+const { createS3BlobStore } = require('./s3-blobs');
+
+const SQLITE_FILENAME = 'rcb.sqlite';
+
+// Everything the site stores, by name (status -> status.json with the file driver)
+const DOCUMENTS = ['status', 'gallery', 'hero-background', 'schedule', 'users', 'pricing', 'content', 'weather', 'bookings', 'push-subscriptions', 'vapid-keys', 'analytics', 'sellers', 'lost-found', 'enquiries', 'gate', 'site-map'];
+const LOGS = ['audit'];
+
+function dataDirFromEnv(env, rootDir) {
+    return path.resolve(rootDir, env.DATA_DIR || '.');
+}
+
+function createStoreFromEnv(env, rootDir) {
+    const dataDir = dataDirFromEnv(env, rootDir);
+    const driver = (env.STORAGE_DRIVER || 'file').toLowerCase();
+
+    if (driver === 'file') return createFileStore({ dir: dataDir });
+    if (driver === 'sqlite') {
+        return createSqliteStore({ filename: path.resolve(rootDir, env.SQLITE_FILE || path.join(dataDir, SQLITE_FILENAME)) });
+    }
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (use file or sqlite)`);
+}
+
+function createBlobStoreFromEnv(env, rootDir) {
+    const driver = (env.BLOB_DRIVER || 'local').toLowerCase();
+
+    if (driver === 'local') return createLocalBlobStore({ dir: path.resolve(rootDir, env.UPLOADS_DIR || 'uploads') });
+    if (driver === 's3') {
+        return createS3BlobStore({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION || 'us-east-1',
+            endpoint: env.S3_ENDPOINT,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            prefix: env.S3_PREFIX,
+            publicUrl: env.S3_PUBLIC_URL
+        });
+    }
+    throw new Error(`Unknown BLOB_DRIVER "${driver}" (use local or s3)`);
+}
+
+module.exports = {
+    SQLITE_FILENAME,
+    DOCUMENTS,
+    LOGS,
+    dataDirFromEnv,
+    createStoreFromEnv,
+    createBlobStoreFromEnv,
+    createFileStore,
+    createSqliteStore,
+    createLocalBlobStore,
+    createS3BlobStore
+};
@@ -0,0 +1,53 @@
+// Uploaded files on local disk, served by express.static from `dir`.
+
+const path = require('path');
+const fs = require('fs').promises;
+
+function createLocalBlobStore({ dir, urlPrefix = '/uploads' }) {
+    // Keys look like "gallery/photo-640.webp"; anything that could climb out of `dir` is refused
+    function resolve(key) {
+        const file = path.resolve(dir, key);
+        if (!file.startsWith(path.resolve(dir) + path.sep)) throw new Error(`Invalid blob key: ${key}`);
+        return file;
+    }
+
+    return {
+        driver: 'local',
+        dir,
+
+        async put(key, body) {
+            const file = resolve(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, body);
+        },
+
+        // { body, contentType } or null
+        async get(key) {
+            try {
+                return { body: await fs.readFile(resolve(key)), contentType: null };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async exists(key) {
+            try {
+                await fs.access(resolve(key));
+                return true;
+            } catch {
+                return false;
+            }
+        },
+
+        async remove(key) {
+            await fs.unlink(resolve(key)).catch(() => {});
+        },
+
+        url(key) {
+            return `${urlPrefix}/${key}`;
+        }
+    };
+}
+
+module.exports = { createLocalBlobStore };
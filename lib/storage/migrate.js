@@ -0,0 +1,106 @@
+// Import the JSON files, audit log and uploads/ folder the site used before
+// storage drivers existed into whichever store and blob store are configured.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { DOCUMENTS, LOGS } = require('./index');
+
+const CONTENT_TYPES = {
+    '.webp': 'image/webp',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif'
+};
+
+async function listFiles(dir, prefix = '') {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) files.push(...await listFiles(path.join(dir, entry.name), key));
+        else if (entry.isFile() && !entry.name.startsWith('.')) files.push(key);
+    }
+    return files;
+}
+
+/**
+ * Documents already in the store are left alone unless `force` is set, and a log
+ * is only imported into an empty one, so running the migration twice is harmless.
+ * Returns counts of what was imported and skipped.
+ */
+async function importLegacyFiles({ store, blobs, sourceDir, uploadsDir = path.join(sourceDir, 'uploads'), force = false, log = () => {} }) {
+    const summary = { documents: 0, logEntries: 0, uploads: 0, skipped: 0 };
+    await store.init();
+
+    for (const name of DOCUMENTS) {
+        const file = path.join(sourceDir, `${name}.json`);
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw new Error(`${file} is not valid JSON: ${error.message}`);
+        }
+
+        if (!force && await store.has(name)) {
+            log(`⏭️ ${name}.json skipped (already in storage, use --force to overwrite)`);
+            summary.skipped++;
+            continue;
+        }
+        await store.set(name, data);
+        log(`✅ Imported ${name}.json`);
+        summary.documents++;
+    }
+
+    for (const name of LOGS) {
+        const file = path.join(sourceDir, `${name}.log`);
+        let lines;
+        try {
+            lines = (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean);
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        if ((await store.readLog(name)).length) {
+            log(`⏭️ ${name}.log skipped (storage already has entries)`);
+            summary.skipped++;
+            continue;
+        }
+        for (const line of lines) {
+            try {
+                await store.append(name, JSON.parse(line));
+                summary.logEntries++;
+            } catch {
+                // A line cut off by a crash is not worth stopping the migration for
+            }
+        }
+        log(`✅ Imported ${summary.logEntries} ${name}.log entries`);
+    }
+
+    // Nothing to copy when the local blob store already reads from the same folder
+    if (!(blobs.dir && path.resolve(blobs.dir) === path.resolve(uploadsDir))) {
+        for (const key of await listFiles(uploadsDir)) {
+            if (!force && await blobs.exists(key)) {
+                summary.skipped++;
+                continue;
+            }
+            const body = await fs.readFile(path.join(uploadsDir, key));
+            await blobs.put(key, body, CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream');
+            summary.uploads++;
+        }
+        log(`✅ Copied ${summary.uploads} uploaded files`);
+    }
+
+    return summary;
+}
+
+module.exports = { importLegacyFiles };
@@ -0,0 +1,131 @@
+// Uploaded files in an S3-compatible bucket (AWS S3, Cloudflare R2, Backblaze B2, MinIO...).
+// Requests are signed with AWS Signature V4 and sent with fetch, using path-style
+// URLs ({endpoint}/{bucket}/{key}) which every S3-compatible service accepts.
+
+const crypto = require('crypto');
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding of each path segment, as S3 expects in the canonical request
+function encodeKey(key) {
+    return key.split('/').map(segment => encodeURIComponent(segment)
+        .replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase())).join('/');
+}
+
+/**
+ * Sign a request with AWS Signature V4. Returns the headers to send, including Authorization.
+ * `headers` must not include host, x-amz-date or x-amz-content-sha256; they are added here.
+ */
+function signRequest({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const target = new URL(url);
+
+    const allHeaders = {
+        ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+        host: target.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(allHeaders).sort();
+    const canonicalQuery = [...target.searchParams.entries()]
+        .map(([name, value]) => [encodeURIComponent(name), encodeURIComponent(value)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+
+    const canonicalRequest = [
+        method,
+        target.pathname,
+        canonicalQuery,
+        signedHeaders.map(name => `${name}:${allHeaders[name]}\n`).join(''),
+        signedHeaders.join(';'),
+        payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    delete allHeaders.host; // fetch sets it
+    return {
+        ...allHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+    };
+}
+
+/**
+ * `publicUrl` is where browsers can fetch objects directly (a public bucket or CDN).
+ * Without it, URLs point at /uploads/... and the server streams objects from the bucket.
+ */
+function createS3BlobStore({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, prefix = '', publicUrl = '', urlPrefix = '/uploads' }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3 blob store needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    const base = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+    const keyPrefix = prefix ? prefix.replace(/^\/+|\/+$/g, '') + '/' : '';
+
+    async function request(method, key, { body, contentType } = {}) {
+        const url = `${base}/${encodeURIComponent(bucket)}/${encodeKey(keyPrefix + key)}`;
+        const headers = contentType ? { 'content-type': contentType } : {};
+        const signed = signRequest({
+            method,
+            url,
+            headers,
+            payloadHash: sha256Hex(body || ''),
+            region,
+            accessKeyId,
+            secretAccessKey
+        });
+        return fetch(url, { method, headers: signed, body });
+    }
+
+    async function expectOk(response, action, key) {
+        if (response.ok) return;
+        const detail = await response.text().catch(() => '');
+        throw new Error(`S3 ${action} ${key} failed with ${response.status} ${detail.slice(0, 200)}`);
+    }
+
+    return {
+        driver: 's3',
+
+        async put(key, body, contentType = 'application/octet-stream') {
+            await expectOk(await request('PUT', key, { body, contentType }), 'PUT', key);
+        },
+
+        async get(key) {
+            const response = await request('GET', key);
+            if (response.status === 404) return null;
+            await expectOk(response, 'GET', key);
+            return {
+                body: Buffer.from(await response.arrayBuffer()),
+                contentType: response.headers.get('content-type')
+            };
+        },
+
+        async exists(key) {
+            const response = await request('HEAD', key);
+            if (response.status === 404) return false;
+            await expectOk(response, 'HEAD', key);
+            return true;
+        },
+
+        async remove(key) {
+            const response = await request('DELETE', key);
+            if (response.status !== 404) await expectOk(response, 'DELETE', key);
+        },
+
+        url(key) {
+            return publicUrl ? `${publicUrl.replace(/\/+$/, '')}/${encodeKey(keyPrefix + key)}` : `${urlPrefix}/${key}`;
+        }
+    };
+}
+
+module.exports = { createS3BlobStore, signRequest };
@@ -0,0 +1,85 @@
+// The same documents and logs as the file store, kept in one SQLite database.
+// Put the database on a persistent disk (e.g. a Render disk mounted at DATA_DIR)
+// and every write is a transaction, so nothing is lost or torn on redeploy.
+
+const path = require('path');
+const fs = require('fs');
+
+function createSqliteStore({ filename }) {
+    // Only loaded when SQLite is chosen, so the file driver works without the native module
+    const Database = require('better-sqlite3');
+    let db = null;
+    let statements = null;
+
+    function open() {
+        if (db) return;
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+        db = new Database(filename);
+        db.pragma('journal_mode = WAL');
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS documents (
+                name TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS log_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                log TEXT NOT NULL,
+                entry TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS log_entries_log ON log_entries (log, id);
+        `);
+        statements = {
+            get: db.prepare('SELECT value FROM documents WHERE name = ?'),
+            set: db.prepare(`
+                INSERT INTO documents (name, value, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT (name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `),
+            append: db.prepare('INSERT INTO log_entries (log, entry) VALUES (?, ?)'),
+            readLog: db.prepare('SELECT entry FROM log_entries WHERE log = ? ORDER BY id')
+        };
+    }
+
+    return {
+        driver: 'sqlite',
+
+        async init() {
+            open();
+        },
+
+        async get(name) {
+            open();
+            const row = statements.get.get(name);
+            return row ? JSON.parse(row.value) : null;
+        },
+
+        async has(name) {
+            open();
+            return !!statements.get.get(name);
+        },
+
+        async set(name, value) {
+            open();
+            statements.set.run(name, JSON.stringify(value), new Date().toISOString());
+            return value;
+        },
+
+        async append(name, entry) {
+            open();
+            statements.append.run(name, JSON.stringify(entry));
+        },
+
+        // Oldest first
+        async readLog(name) {
+            open();
+            return statements.readLog.all(name).map(row => JSON.parse(row.entry));
+        },
+
+        async close() {
+            if (db) db.close();
+            db = null;
+        }
+    };
+}
+
+module.exports = { createSqliteStore };
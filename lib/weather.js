@@ -0,0 +1,228 @@
+// Forecast for the showfield and closure warnings for the next trading day.
+// Providers return the same hourly shape, so Open-Meteo can be swapped for a
+// local stub (WEATHER_PROVIDER=stub) when developing or testing offline.
+
+const fs = require('fs').promises;
+const schedule = require('./schedule');
+
+// Rhyl Showfield, Rhuddlan Road, LL18 2RG
+const SHOWFIELD = { latitude: 53.309, longitude: -3.473 };
+
+// Wind in mph, rain in mm per hour, chance of rain in %
+const DEFAULT_SETTINGS = {
+    thresholds: { windSpeed: 30, windGust: 45, precipitation: 4, precipitationProbability: 80 },
+    showBadge: false
+};
+
+const CACHE_TTL_MS = 30 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 5000;
+// After a failed fetch, the previous forecast (or none) is served this long before trying again
+const RETRY_MS = 5 * 60 * 1000;
+const FORECAST_DAYS = 7;
+
+// WMO weather codes, grouped the way the badge describes them (labels are app.forecast.condition.* messages)
+const WEATHER_CODES = [
+    [0, 'clear'],
+    [3, 'cloudy'],
+    [48, 'fog'],
+    [57, 'drizzle'],
+    [67, 'rain'],
+    [77, 'snow'],
+    [82, 'showers'],
+    [86, 'snowShowers'],
+    [99, 'thunderstorms']
+];
+
+function weatherCondition(code) {
+    if (code === null || code === undefined) return '';
+    const match = WEATHER_CODES.find(([upTo]) => code <= upTo);
+    return match ? match[1] : '';
+}
+
+// Open-Meteo: free, no API key. `baseUrl` can point at a local stub server.
+function createOpenMeteoProvider({ latitude = SHOWFIELD.latitude, longitude = SHOWFIELD.longitude, timezone = 'Europe/London', baseUrl = 'https://api.open-meteo.com/v1/forecast' } = {}) {
+    return {
+        name: 'open-meteo',
+
+        async getForecast() {
+            const params = new URLSearchParams({
+                latitude: String(latitude),
+                longitude: String(longitude),
+                hourly: 'wind_speed_10m,wind_gusts_10m,precipitation,precipitation_probability,weather_code',
+                wind_speed_unit: 'mph',
+                timezone,
+                forecast_days: String(FORECAST_DAYS)
+            });
+            const response = await fetch(`${baseUrl}?${params}`, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+            if (!response.ok) throw new Error(`Open-Meteo returned ${response.status}`);
+
+            const { hourly } = await response.json();
+            if (!hourly || !Array.isArray(hourly.time)) throw new Error('Open-Meteo response has no hourly forecast');
+            return hourly.time.map((time, index) => ({
+                time,
+                windSpeed: hourly.wind_speed_10m?.[index] ?? null,
+                windGust: hourly.wind_gusts_10m?.[index] ?? null,
+                precipitation: hourly.precipitation?.[index] ?? null,
+                precipitationProbability: hourly.precipitation_probability?.[index] ?? null,
+                weatherCode: hourly.weather_code?.[index] ?? null
+            }));
+        }
+    };
+}
+
+/**
+ * Offline provider. Reads hourly entries ({ time: 'YYYY-MM-DDTHH:MM', windSpeed, ... })
+ * from `file` if given, otherwise reports a calm, dry week from `now`.
+ */
+function createStubProvider({ file, now = () => new Date(), timezone = 'Europe/London' } = {}) {
+    return {
+        name: 'stub',
+
+        async getForecast() {
+            if (file) return JSON.parse(await fs.readFile(file, 'utf8'));
+
+            const today = schedule.getLocalParts(now(), timezone).date;
+            const hours = [];
+            for (let day = 0; day < FORECAST_DAYS; day++) {
+                const date = schedule.addDays(today, day);
+                for (let hour = 0; hour < 24; hour++) {
+                    hours.push({
+                        time: `${date}T${String(hour).padStart(2, '0')}:00`,
+                        windSpeed: 8,
+                        windGust: 15,
+                        precipitation: 0,
+                        precipitationProbability: 5,
+                        weatherCode: 1
+                    });
+                }
+            }
+            return hours;
+        }
+    };
+}
+
+// Keeps the last forecast for `ttlMs`; if the provider fails, the previous one is returned
+// marked stale, and the provider is not asked again until `retryMs` has passed
+function createWeatherService({ provider, ttlMs = CACHE_TTL_MS, retryMs = RETRY_MS }) {
+    let cache = null;
+    let failedAt = 0;
+    let pending = null;
+
+    async function refresh() {
+        try {
+            cache = { hours: await provider.getForecast(), fetchedAt: new Date().toISOString(), source: provider.name };
+            failedAt = 0;
+        } catch (error) {
+            console.error('⚠️ Weather forecast unavailable:', error.message);
+            failedAt = Date.now();
+            if (!cache) return null;
+            cache = { ...cache, stale: true };
+        }
+        return cache;
+    }
+
+    return {
+        async getForecast() {
+            if (failedAt && Date.now() - failedAt < retryMs) return cache;
+            if (cache && !cache.stale && Date.now() - Date.parse(cache.fetchedAt) < ttlMs) return cache;
+            // Callers arriving during a fetch share it instead of starting their own
+            if (!pending) pending = refresh().finally(() => { pending = null; });
+            return pending;
+        },
+
+        clear() {
+            cache = null;
+            failedAt = 0;
+        }
+    };
+}
+
+// The next date the field opens within the forecast range: today if it has not closed yet
+function nextTradingDay(scheduleData, now = new Date()) {
+    const local = schedule.getLocalParts(now, scheduleData.timezone || schedule.DEFAULT_SCHEDULE.timezone);
+    for (let offset = 0; offset < FORECAST_DAYS; offset++) {
+        const date = schedule.addDays(local.date, offset);
+        const hours = schedule.getHoursForDate(scheduleData, date);
+        if (!hours) continue;
+        if (offset === 0 && local.minutes >= schedule.toMinutes(hours.close)) continue;
+        return { date, day: schedule.weekdayOf(date), open: hours.open, close: hours.close };
+    }
+    return null;
+}
+
+function maxOf(hours, field) {
+    const values = hours.map(hour => hour[field]).filter(value => typeof value === 'number');
+    return values.length ? Math.max(...values) : null;
+}
+
+/**
+ * Weigh the forecast for a trading day's opening hours against the thresholds.
+ * `level` is 'warning' when any threshold is reached, 'ok' otherwise,
+ * or 'unknown' when the forecast does not cover the day.
+ */
+function assessTradingDay(hours, tradingDay, thresholds) {
+    const openFrom = `${tradingDay.date}T${tradingDay.open}`;
+    const openUntil = `${tradingDay.date}T${tradingDay.close}`;
+    // An hourly value covers the hour it starts, so include the hour the field opens in
+    const during = hours.filter(hour => hour.time >= openFrom.slice(0, 14) + '00' && hour.time < openUntil);
+
+    const summary = {
+        date: tradingDay.date,
+        day: tradingDay.day,
+        windSpeed: maxOf(during, 'windSpeed'),
+        windGust: maxOf(during, 'windGust'),
+        precipitation: maxOf(during, 'precipitation'),
+        precipitationProbability: maxOf(during, 'precipitationProbability'),
+        condition: weatherCondition(maxOf(during, 'weatherCode'))
+    };
+    if (!during.length) return { ...summary, level: 'unknown', flags: [] };
+
+    // Labels are app.forecast.warning.* messages; wind is given to the nearest mph
+    const flags = ['windSpeed', 'windGust', 'precipitation', 'precipitationProbability']
+        .filter(field => summary[field] !== null && thresholds[field] !== null && thresholds[field] !== undefined && summary[field] >= thresholds[field])
+        .map(field => ({ type: field, value: field.startsWith('wind') ? Math.round(summary[field]) : summary[field], threshold: thresholds[field] }));
+
+    return { ...summary, level: flags.length ? 'warning' : 'ok', flags };
+}
+
+function readSettings(data) {
+    return {
+        ...DEFAULT_SETTINGS,
+        ...data,
+        thresholds: { ...DEFAULT_SETTINGS.thresholds, ...(data && data.thresholds) }
+    };
+}
+
+/**
+ * Provider from the environment:
+ *   WEATHER_PROVIDER  open-meteo (default), stub, or off
+ *   WEATHER_URL       Open-Meteo compatible endpoint (e.g. a local stub server)
+ *   WEATHER_STUB_FILE hourly forecast JSON for the stub provider
+ *   WEATHER_LATITUDE / WEATHER_LONGITUDE  override the showfield coordinates
+ */
+function createProviderFromEnv(env) {
+    const name = (env.WEATHER_PROVIDER || 'open-meteo').toLowerCase();
+    if (name === 'off') return null;
+    if (name === 'stub') return createStubProvider({ file: env.WEATHER_STUB_FILE });
+    if (name === 'open-meteo') {
+        return createOpenMeteoProvider({
+            latitude: env.WEATHER_LATITUDE ? Number(env.WEATHER_LATITUDE) : SHOWFIELD.latitude,
+            longitude: env.WEATHER_LONGITUDE ? Number(env.WEATHER_LONGITUDE) : SHOWFIELD.longitude,
+            ...(env.WEATHER_URL ? { baseUrl: env.WEATHER_URL } : {})
+        });
+    }
+    throw new Error(`Unknown WEATHER_PROVIDER "${name}" (use open-meteo, stub or off)`);
+}
+
+module.exports = {
+    SHOWFIELD,
+    DEFAULT_SETTINGS,
+    weatherCondition,
+    createOpenMeteoProvider,
+    createStubProvider,
+    createWeatherService,
+    createProviderFromEnv,
+    nextTradingDay,
+    assessTradingDay,
+    readSettings
+};
@@ -0,0 +1,305 @@
+// Admin panel client: sends the admin forms in the background, shows the result
+// in the section the form belongs to, reports upload progress and previews the
+// public page before anything is saved. Without JavaScript the forms still post
+// normally and the server answers with JSON.
+
+// Messages in the panel's language, rendered into the page by the server
+const MESSAGES = (() => {
+    const element = document.getElementById('i18nMessages');
+    try {
+        return element ? JSON.parse(element.textContent) : {};
+    } catch (error) {
+        return {};
+    }
+})();
+
+function t(key, params) {
+    const text = MESSAGES[key] ?? key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+const SESSION_ENDED = t('admin.client.sessionEnded');
+const NETWORK_ERROR = t('admin.client.networkError');
+
+// Sections with unsaved edits are left alone when the page is refreshed after a save
+const dirtySections = new Set();
+
+let heroPreviewUrl = null;
+
+function sectionOf(element) {
+    return element.closest('[data-section]');
+}
+
+function isAjaxForm(form) {
+    return form.method.toUpperCase() === 'POST' && !form.hasAttribute('data-native');
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Posts a form with XMLHttpRequest (fetch cannot report upload progress).
+ * Resolves with { status, body } where body is the parsed JSON response, if any.
+ */
+function sendForm(form, onProgress) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', form.action);
+        xhr.setRequestHeader('Accept', 'application/json');
+
+        let body = new FormData(form);
+        if (form.enctype === 'multipart/form-data') {
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) onProgress(e.loaded / e.total);
+                });
+            }
+        } else {
+            xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+            body = new URLSearchParams(body).toString();
+        }
+
+        xhr.addEventListener('load', () => resolve({ status: xhr.status, body: parseJson(xhr.responseText) }));
+        xhr.addEventListener('error', () => reject(new Error(NETWORK_ERROR)));
+        xhr.send(body);
+    });
+}
+
+function showMessage(section, type, text, link) {
+    if (!section) return;
+    let message = section.querySelector(':scope > .section-message');
+    if (!message) {
+        message = document.createElement('div');
+        message.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        const heading = section.querySelector(':scope > h2');
+        if (heading) heading.after(message);
+        else section.prepend(message);
+    }
+    message.className = `section-message message-${type}`;
+    message.textContent = text;
+    if (link) {
+        const anchor = document.createElement('a');
+        anchor.href = link.href;
+        anchor.textContent = link.text;
+        message.append(' ', anchor);
+    }
+}
+
+function successMessage(form, body) {
+    let text = form.dataset.success || t('admin.client.saved');
+    if (body && body.notification) {
+        const { sent, failed } = body.notification;
+        text += ` ${sent === 1 ? t('admin.client.alertSentOne') : t('admin.client.alertSent', { sent })}${failed ? t('admin.client.alertFailed', { failed }) : ''}.`;
+    }
+    return text;
+}
+
+function showProgress(form) {
+    let progress = form.querySelector('progress');
+    if (!progress) {
+        progress = document.createElement('progress');
+        progress.max = 100;
+        progress.value = 0;
+        progress.className = 'upload-progress';
+        form.append(progress);
+    }
+    return (fraction) => {
+        progress.value = Math.round(fraction * 100);
+        progress.textContent = `${progress.value}%`;
+    };
+}
+
+// Re-renders the page on the server and swaps in every section without unsaved edits
+async function refreshSections(keep) {
+    const response = await fetch(window.location.href, { headers: { Accept: 'text/html' } });
+    if (new URL(response.url).pathname === '/admin/login') {
+        window.location.href = '/admin/login';
+        return;
+    }
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+    document.querySelectorAll('[data-section][id]').forEach((section) => {
+        if (dirtySections.has(section.id) && section.id !== keep) return;
+        const replacement = doc.getElementById(section.id);
+        if (replacement) section.replaceWith(document.importNode(replacement, true));
+        else section.remove();
+    });
+    updatePreview();
+}
+
+async function submitForm(form) {
+    const buttons = form.querySelectorAll('button[type="submit"], button:not([type])');
+    const isUpload = form.enctype === 'multipart/form-data';
+    const sectionId = sectionOf(form)?.id;
+    buttons.forEach((button) => { button.disabled = true; });
+
+    try {
+        const { status, body } = await sendForm(form, isUpload ? showProgress(form) : null);
+        const error = body && body.error;
+
+        if (status === 401) {
+            showMessage(sectionOf(form), 'error', SESSION_ENDED, { href: '/admin/login', text: t('admin.client.logInAgain') });
+            return;
+        }
+        if (status >= 400 || !body) {
+            showMessage(sectionOf(form), 'error', error || t('admin.client.failed', { status }));
+            return;
+        }
+
+        if (sectionId) dirtySections.delete(sectionId);
+        if (form.closest('#section-hero')) clearHeroPreview();
+        await refreshSections(sectionId);
+        showMessage(sectionId ? document.getElementById(sectionId) : null, 'success', successMessage(form, body));
+    } catch (error) {
+        showMessage(sectionOf(form), 'error', error.message || NETWORK_ERROR);
+    } finally {
+        buttons.forEach((button) => { button.disabled = false; });
+        const progress = form.querySelector('progress');
+        if (progress) progress.remove();
+    }
+}
+
+// Public page preview: the hero, status pill and notices as they would look once saved
+const PREVIEW_FORMS = 'form[action="/admin/update-status"], form[action="/admin/notices"]';
+// Banners are stacked most serious first, as on the public page
+const SEVERITY_ORDER = ['cancellation', 'warning', 'info'];
+
+// The notice being written, slotted into the stack where it would appear
+function updateDraftNotice(list, form) {
+    let draft = list.querySelector('.preview-draft');
+    // The Welsh panel previews the Welsh site, which shows the Welsh text when there is one
+    const welsh = form && document.documentElement.lang === 'cy' ? form.elements.messageCy.value.trim() : '';
+    const message = welsh || (form ? form.elements.message.value.trim() : '');
+    if (!message) {
+        if (draft) draft.remove();
+        return;
+    }
+    if (!draft) draft = document.createElement('p');
+
+    const severity = form.elements.severity.value;
+    draft.className = `preview-notice notice-${severity} preview-draft`;
+    draft.dataset.severity = severity;
+    draft.textContent = message;
+
+    const rank = SEVERITY_ORDER.indexOf(severity);
+    const next = Array.from(list.children).find((item) => item !== draft && SEVERITY_ORDER.indexOf(item.dataset.severity) > rank);
+    list.insertBefore(draft, next || null);
+}
+
+function updatePreview() {
+    const preview = document.getElementById('publicPreview');
+    if (!preview) return;
+
+    const statusForm = document.querySelector('form[action="/admin/update-status"]');
+    const noticeForm = document.querySelector('form[action="/admin/notices"]');
+    let open = preview.dataset.scheduleOpen === 'true';
+    if (statusForm) {
+        const status = statusForm.elements.status.value;
+        if (status === 'true') open = true;
+        if (status === 'false') open = false;
+    }
+
+    const pill = preview.querySelector('.preview-status');
+    pill.className = `preview-status ${open ? 'open' : 'closed'}`;
+    pill.textContent = open ? t('app.status.open') : t('app.status.closed');
+
+    updateDraftNotice(preview.querySelector('.preview-notices'), noticeForm);
+
+    const heroUrl = heroPreviewUrl || preview.dataset.heroUrl;
+    preview.style.backgroundImage = heroUrl
+        ? `linear-gradient(135deg, rgba(33, 128, 141, 0.8) 0%, rgba(29, 116, 128, 0.8) 100%), url("${encodeURI(heroUrl)}")`
+        : '';
+    const edited = [statusForm, noticeForm].some((form) => form && dirtySections.has(sectionOf(form)?.id));
+    preview.classList.toggle('preview-unsaved', !!heroPreviewUrl || edited);
+}
+
+function clearHeroPreview() {
+    if (heroPreviewUrl) URL.revokeObjectURL(heroPreviewUrl);
+    heroPreviewUrl = null;
+}
+
+// Thumbnail of the file chosen in an upload field, shown before it is sent
+function previewFile(input) {
+    let thumbnail = input.parentElement.querySelector('.file-preview');
+    if (thumbnail && thumbnail.src.startsWith('blob:')) URL.revokeObjectURL(thumbnail.src);
+
+    const file = input.files && input.files[0];
+    if (!file || !file.type.startsWith('image/')) {
+        if (thumbnail) thumbnail.remove();
+        return;
+    }
+    if (!thumbnail) {
+        thumbnail = document.createElement('img');
+        thumbnail.className = 'file-preview';
+        thumbnail.alt = t('admin.client.selectedImage');
+        input.after(thumbnail);
+    }
+    thumbnail.src = URL.createObjectURL(file);
+
+    if (input.closest('#section-hero')) {
+        clearHeroPreview();
+        heroPreviewUrl = URL.createObjectURL(file);
+        updatePreview();
+    }
+}
+
+document.addEventListener('submit', (e) => {
+    const form = e.target;
+    const message = form.getAttribute('data-confirm');
+    if (message && !window.confirm(message)) {
+        e.preventDefault();
+        return;
+    }
+    if (!isAjaxForm(form)) return;
+
+    e.preventDefault();
+    submitForm(form);
+});
+
+document.addEventListener('input', (e) => {
+    const section = sectionOf(e.target);
+    if (section && section.id && e.target.form && isAjaxForm(e.target.form)) dirtySections.add(section.id);
+    if (e.target.closest(PREVIEW_FORMS)) updatePreview();
+});
+
+document.addEventListener('change', (e) => {
+    if (e.target.matches('input[type="file"]')) previewFile(e.target);
+    if (e.target.closest(PREVIEW_FORMS)) updatePreview();
+});
+
+// Gallery order: drag entries, then save (the list is re-rendered after saves, so listen on the document)
+let dragged = null;
+
+document.addEventListener('dragstart', (e) => {
+    dragged = e.target.closest && e.target.closest('#galleryList .gallery-entry');
+    if (dragged) dragged.classList.add('dragging');
+});
+
+document.addEventListener('dragend', () => {
+    if (!dragged) return;
+    const list = dragged.parentElement;
+    dragged.classList.remove('dragging');
+    dragged = null;
+
+    const orderInput = document.getElementById('galleryOrder');
+    orderInput.value = Array.from(list.children, (item) => item.dataset.id).join(',');
+    dirtySections.add(sectionOf(orderInput).id);
+});
+
+document.addEventListener('dragover', (e) => {
+    if (!dragged) return;
+    e.preventDefault();
+    const target = e.target.closest && e.target.closest('#galleryList .gallery-entry');
+    if (!target || target === dragged) return;
+    const rect = target.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    target.parentElement.insertBefore(dragged, after ? target.nextSibling : target);
+});
+
+updatePreview();
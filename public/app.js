@@ -0,0 +1,1392 @@
+// 🚀 MOBILE-OPTIMIZED Car Boot Site JavaScript
+let currentStatus = false;
+let nextChange = null;
+let statusCachedAt = null; // Set when the status came from the offline cache
+let activeNotices = [];
+let galleryImages = [];
+let sellerDirectory = { categories: [], sellers: [] };
+let sellerCategory = ''; // Selected filter chip; '' shows every category
+let siteMap = null;
+let siteMapDay = ''; // Weekday shown on the site plan
+const hiddenMapLayers = new Set();
+
+// Device detection
+const isMobile = /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+const isSlowConnection = navigator.connection && navigator.connection.effectiveType && 
+                        ['slow-2g', '2g', '3g'].includes(navigator.connection.effectiveType);
+
+// Page language: the server renders English at / and Welsh at /cy/, with the
+// messages this script needs in #i18nMessages
+const LANG = document.documentElement.lang === 'cy' ? 'cy' : 'en';
+const LOCALE = LANG === 'cy' ? 'cy-GB' : 'en-GB';
+const MESSAGES = readMessages();
+
+function readMessages() {
+    const element = document.getElementById('i18nMessages');
+    try {
+        return element ? JSON.parse(element.textContent) : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// t('app.status.closesAt', { time: '1:30 PM' }) -> "Closes at 1:30 PM"
+function t(key, params) {
+    const text = MESSAGES[key] ?? key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+// API URLs (notices and gallery descriptions come back in the page language)
+const API_STATUS = `/api/status?lang=${LANG}`;
+const API_GALLERY = `/api/gallery?lang=${LANG}`;
+const API_HERO_BG = '/api/hero-background';
+const API_CONTENT = '/api/content';
+const API_WEATHER = '/api/weather';
+const API_BOOKINGS = '/api/bookings';
+const API_SELLERS = '/api/sellers';
+const API_LOST_FOUND = '/api/lost-found';
+const API_CONTACT = '/api/contact';
+const API_SITE_MAP = `/api/site-map?lang=${LANG}`;
+const API_EVENTS = `/api/events?lang=${LANG}`;
+const API_PUSH = '/api/push';
+const API_ANALYTICS = '/api/analytics';
+
+// Live update stream, with polling only while it is unavailable
+let eventSource = null;
+let pollTimer = null;
+let reconnectTimer = null;
+let reconnectDelay = 1000;
+const MAX_RECONNECT_DELAY = 60000;
+
+// 🚀 Optimized fetch with timeout for mobile
+async function fetchWithTimeout(url, timeout = 5000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    
+    try {
+        const separator = url.includes('?') ? '&' : '?';
+        const response = await fetch(`${url}${separator}t=${Date.now()}`, {
+            signal: controller.signal,
+            headers: { 'Accept': 'application/json' }
+        });
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        clearTimeout(timeoutId);
+        console.error('Fetch error:', error.name);
+        return null;
+    }
+}
+
+// 🚀 MOBILE: Fast status fetch
+async function fetchStatus() {
+    return await fetchWithTimeout(API_STATUS, 3000);
+}
+
+// 🚀 MOBILE: Gallery images are resized server-side, so phones get small variants
+async function fetchGallery() {
+    const data = await fetchWithTimeout(API_GALLERY, isSlowConnection ? 8000 : 5000);
+    return data?.images || [];
+}
+
+// 🚀 MOBILE: Hero background (served as resized variants)
+async function fetchHeroBackground() {
+    return await fetchWithTimeout(API_HERO_BG, 5000);
+}
+
+// Forecast badge for the next trading day (only when switched on in the admin panel)
+const WEATHER_REFRESH = 30 * 60 * 1000;
+
+async function fetchWeather() {
+    return await fetchWithTimeout(API_WEATHER, 5000);
+}
+
+// Prices, rules, opening times and contact details
+async function fetchContent() {
+    return await fetchWithTimeout(API_CONTENT, 5000);
+}
+
+// Approved seller profiles and the categories they can be filed under
+async function fetchSellers() {
+    return await fetchWithTimeout(API_SELLERS, 5000);
+}
+
+// Lost property board: items handed in and items reported lost
+async function fetchLostFound() {
+    return await fetchWithTimeout(API_LOST_FOUND, 5000);
+}
+
+// "url 320w, url 640w" for processed uploads; empty for images uploaded before resizing existed
+function buildSrcset(image) {
+    return (image.variants || []).map(variant => `${variant.url} ${variant.width}w`).join(', ');
+}
+
+// "13:30" -> "1:30 PM" ("1:30 yh" in Welsh)
+function formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours >= 12 ? t('app.time.pm') : t('app.time.am');
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+// "Opens Saturday 6:00 AM" / "Closes at 1:30 PM" from the schedule's next change
+function describeNextChange(change) {
+    if (!change) return '';
+    if (change.type === 'closes') return t('app.status.closesAt', { time: formatTime(change.time) });
+
+    const dayName = dayLabel(change.day);
+    const date = new Date(`${change.date}T12:00:00Z`);
+    const daysAway = (date - Date.now()) / 86400000;
+    // Beyond this week (e.g. over the winter closure) include the date itself
+    const when = daysAway > 6
+        ? `${dayName} ${date.getUTCDate()} ${date.toLocaleString(LOCALE, { month: 'long', timeZone: 'UTC' })}`
+        : dayName;
+    return t('app.status.opens', { when, time: formatTime(change.time) });
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Prices come from the API in pence
+function formatPrice(pence) {
+    return pence % 100 === 0 ? `£${pence / 100}` : `£${(pence / 100).toFixed(2)}`;
+}
+
+function formatVehiclePrice(vehicle) {
+    return t(vehicle.from ? 'app.price.from' : 'app.price.fixed', { label: escapeHtml(vehicle.label), price: formatPrice(vehicle.price) });
+}
+
+// 🚀 MOBILE: Optimized status display with animation
+function updateStatusDisplay() {
+    const statusIndicator = document.getElementById('statusIndicator');
+    const statusText = document.getElementById('statusText');
+
+    const statusOffline = document.getElementById('statusOffline');
+    if (statusOffline) {
+        if (statusCachedAt) {
+            const asOf = new Date(statusCachedAt).toLocaleTimeString(LOCALE, { hour: '2-digit', minute: '2-digit' });
+            statusOffline.textContent = t('app.status.offline', { time: asOf });
+            statusOffline.classList.remove('hidden');
+        } else {
+            statusOffline.classList.add('hidden');
+        }
+    }
+
+    if (statusIndicator && statusText) {
+        // Add loading state first
+        statusIndicator.style.opacity = '0.7';
+        
+        setTimeout(() => {
+            const changeText = describeNextChange(nextChange);
+            if (currentStatus) {
+                statusIndicator.className = 'status-indicator open';
+                statusText.textContent = changeText ? t('app.status.openUntil', { change: changeText }) : t('app.status.open');
+            } else {
+                statusIndicator.className = 'status-indicator closed';
+                statusText.textContent = changeText ? t('app.status.closedUntil', { change: changeText }) : t('app.status.closed');
+            }
+            statusIndicator.style.opacity = '1';
+        }, 100);
+    }
+
+    renderNotices();
+}
+
+// Also kept in memory in case storage is unavailable (e.g. private browsing)
+const dismissedNotices = new Set();
+
+// Notices the visitor has closed, remembered on this device
+function getDismissedNotices() {
+    try {
+        return JSON.parse(localStorage.getItem('rcbDismissedNotices') || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+function dismissNotice(id) {
+    // Only keep ids that are still live, so the list doesn't grow forever
+    const liveIds = activeNotices.map(notice => notice.id);
+    const dismissed = getDismissedNotices().filter(item => liveIds.includes(item));
+    dismissed.push(id);
+    dismissedNotices.add(id);
+    try {
+        localStorage.setItem('rcbDismissedNotices', JSON.stringify(dismissed));
+    } catch (error) {
+        // The notice stays closed until the page is reloaded
+    }
+    renderNotices();
+}
+
+// Stacked banners, most serious first (the API sends them in that order)
+function renderNotices() {
+    const container = document.getElementById('noticeBanners');
+    if (!container) return;
+
+    const dismissed = getDismissedNotices();
+    const now = Date.now();
+    const shown = activeNotices.filter(notice =>
+        !dismissed.includes(notice.id) &&
+        !dismissedNotices.has(notice.id) &&
+        // Drop a notice as soon as it ends, without waiting for the next update
+        (!notice.endsAt || Date.parse(notice.endsAt) > now)
+    );
+
+    container.innerHTML = shown.map(notice => `
+        <div class="notice-banner notice-banner--${escapeHtml(notice.severity)}" role="${notice.severity === 'info' ? 'status' : 'alert'}">
+            <p class="notice-banner__body">
+                ${notice.audience ? `<span class="notice-banner__audience">${escapeHtml(t(`app.notice.audience.${notice.audience}`))}</span>` : ''}
+                ${escapeHtml(notice.message)}
+                ${notice.link ? ` <a href="${escapeHtml(notice.link)}"${/^https?:/.test(notice.link) ? ' target="_blank" rel="noopener"' : ''}>${escapeHtml(t('app.notice.moreInfo'))}</a>` : ''}
+            </p>
+            <button type="button" class="notice-banner__dismiss" data-notice-id="${escapeHtml(notice.id)}" aria-label="${escapeHtml(t('app.notice.dismiss'))}">×</button>
+        </div>
+    `).join('');
+}
+
+function setupNoticeBanners() {
+    const container = document.getElementById('noticeBanners');
+    if (!container) return;
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('.notice-banner__dismiss');
+        if (button) dismissNotice(button.dataset.noticeId);
+    });
+    // Catch notices ending between status updates
+    setInterval(renderNotices, 60000);
+}
+
+// 🚀 MOBILE: Lazy image loading with intersection observer
+function setupLazyImages() {
+    if ('IntersectionObserver' in window) {
+        const imageObserver = new IntersectionObserver((entries, observer) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    const src = img.dataset.src;
+                    if (src) {
+                        if (img.dataset.srcset) img.srcset = img.dataset.srcset;
+                        img.src = src;
+                        img.classList.add('loaded');
+                        observer.unobserve(img);
+                    }
+                }
+            });
+        }, {
+            rootMargin: '50px 0px',
+            threshold: 0.01
+        });
+        
+        return imageObserver;
+    }
+    return null;
+}
+
+// 🚀 MOBILE: Hero background picks the right size via srcset, so phones get a small variant
+function updateHeroBackground(backgroundData) {
+    if (!backgroundData || !backgroundData.filename) return;
+
+    const heroSection = document.getElementById('hero-section');
+    if (heroSection) {
+        // Preload through an <img> so the browser chooses the variant, then reuse it as the background
+        const img = new Image();
+        img.onload = () => {
+            const imageUrl = img.currentSrc || img.src;
+            heroSection.style.backgroundImage = `
+                linear-gradient(135deg, rgba(33, 128, 141, 0.8) 0%, rgba(29, 116, 128, 0.8) 100%), 
+                url('${imageUrl}')
+            `;
+            heroSection.style.backgroundSize = 'cover';
+            heroSection.style.backgroundPosition = 'center center';
+        };
+        const srcset = buildSrcset(backgroundData);
+        if (srcset) {
+            img.sizes = '100vw';
+            img.srcset = srcset;
+        }
+        img.src = backgroundData.url || `/uploads/hero/${backgroundData.filename}`;
+    }
+}
+
+// 🚀 MOBILE: Optimized gallery with lazy loading
+function updateGalleryDisplay(images) {
+    galleryImages = images || [];
+    const galleryScroll = document.getElementById('galleryScroll');
+    const galleryContainer = document.getElementById('galleryContainer');
+    const galleryEmpty = document.getElementById('galleryEmpty');
+
+    if (!galleryScroll) return;
+
+    if (galleryImages.length === 0) {
+        if (galleryContainer) galleryContainer.classList.add('hidden');
+        if (galleryEmpty) galleryEmpty.classList.remove('hidden');
+        return;
+    }
+
+    // Show gallery elements
+    if (galleryContainer) galleryContainer.classList.remove('hidden');
+    if (galleryEmpty) galleryEmpty.classList.add('hidden');
+
+    // Generate optimized gallery HTML with lazy loading
+    const imageObserver = setupLazyImages();
+    
+    galleryScroll.innerHTML = galleryImages.map((image, index) => {
+        const imageUrl = image.url || `/uploads/gallery/${image.filename}`;
+        const srcset = buildSrcset(image);
+        const description = image.description || t('app.gallery.photo');
+        return `
+            <div class="card gallery-item" style="text-align: center;">
+                <img data-src="${escapeHtml(imageUrl)}" 
+                     ${srcset ? `data-srcset="${escapeHtml(srcset)}" sizes="(min-width: 768px) 33vw, 100vw"` : ''}
+                     src="data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='280' height='200'%3E%3Crect width='100%25' height='100%25' fill='%23f0f0f0'/%3E%3Ctext x='50%25' y='50%25' text-anchor='middle' dy='.3em' fill='%23999'%3ELoading...%3C/text%3E%3C/svg%3E"
+                     alt="${escapeHtml(description)}"
+                     class="lazy-img"
+                     style="width: 100%; height: 200px; object-fit: cover; border-radius: 8px; margin-bottom: 10px; transition: opacity 0.3s;">
+                <p style="margin: 0; font-size: 0.9rem; color: #666;">${escapeHtml(description)}</p>
+            </div>
+        `;
+    }).join('');
+
+    // Setup lazy loading for new images
+    if (imageObserver) {
+        galleryScroll.querySelectorAll('.lazy-img').forEach(img => {
+            imageObserver.observe(img);
+        });
+    } else {
+        // Fallback for older browsers - load immediately
+        galleryScroll.querySelectorAll('.lazy-img').forEach(img => {
+            if (img.dataset.srcset) img.srcset = img.dataset.srcset;
+            img.src = img.dataset.src;
+        });
+    }
+}
+
+// "saturday" -> "Saturday" / "Dydd Sadwrn"
+function dayLabel(day) {
+    return t(`app.day.${day}`);
+}
+
+// "10-31" -> "31 October"
+function formatSeasonDate(monthDay) {
+    const date = new Date(`2000-${monthDay}T12:00:00Z`);
+    return `${date.getUTCDate()} ${date.toLocaleString(LOCALE, { month: 'long', timeZone: 'UTC' })}`;
+}
+
+// "6:00 AM - 7:00 AM" or "7:00 AM onwards"
+function formatTimeRange(from, to) {
+    return to
+        ? t('app.time.range', { from: formatTime(from), to: formatTime(to) })
+        : t('app.time.onwards', { time: formatTime(from) });
+}
+
+// Pricing cards from the shared pricing config
+function updatePricingDisplay(pricing, sellersRemainUntil) {
+    const pricingCards = document.getElementById('pricingCards');
+    if (!pricingCards || !pricing) return;
+
+    const { earlyEntry, regularEntry, days } = pricing.sellers;
+    const dayRows = Object.keys(days).map(day => `
+        <li><strong>${dayLabel(day)}:</strong>
+            ${days[day].map(formatVehiclePrice).join(', ')} ${t('app.pricing.earlyEntryFee', { price: formatPrice(earlyEntry.fee) })}</li>
+    `).join('');
+
+    const buyerRows = pricing.buyers.map(ticket => `
+        <li><strong>${escapeHtml(ticket.label)} (${formatTimeRange(ticket.from, ticket.to)}):</strong> ${formatPrice(ticket.price)}</li>
+    `).join('');
+
+    pricingCards.innerHTML = `
+        <div class="card">
+            <h3>${t('app.pricing.earlyTitle')}</h3>
+            <p><strong>${formatTimeRange(earlyEntry.from, earlyEntry.to)}</strong></p>
+            <ul class="pricing-list">${dayRows}</ul>
+        </div>
+        <div class="card">
+            <h3>${t('app.pricing.regularTitle')}</h3>
+            <p><strong>${formatTimeRange(regularEntry.from, regularEntry.to)}</strong></p>
+            ${sellersRemainUntil ? `<p class="note"><strong>${t('app.pricing.important')}</strong> ${t('app.pricing.remainUntil', { time: formatTime(sellersRemainUntil) })}</p>` : ''}
+        </div>
+        <div class="card">
+            <h3>${t('app.pricing.buyersTitle')}</h3>
+            <ul class="pricing-list">${buyerRows}</ul>
+            <p class="note">${t('app.pricing.buyersNote')}</p>
+        </div>
+    `;
+
+    const earlyLabel = document.getElementById('bookingEarlyLabel');
+    if (earlyLabel) {
+        earlyLabel.textContent = t('app.booking.earlyEntry', { times: formatTimeRange(earlyEntry.from, earlyEntry.to), fee: formatPrice(earlyEntry.fee) });
+    }
+}
+
+function renderList(items) {
+    return items.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+}
+
+// Seller and buyer guidelines plus prohibited items
+function updateRulesDisplay(rules, sellersRemainUntil) {
+    const rulesCards = document.getElementById('rulesCards');
+    if (!rulesCards || !rules) return;
+
+    const sellerRules = sellersRemainUntil
+        ? [...rules.sellers, t('app.rules.remainUntil', { time: formatTime(sellersRemainUntil) })]
+        : rules.sellers;
+
+    rulesCards.innerHTML = `
+        <div class="card">
+            <h3>${t('app.rules.sellers')}</h3>
+            <ul class="pricing-list">${renderList(sellerRules)}</ul>
+        </div>
+        <div class="card">
+            <h3>${t('app.rules.buyers')}</h3>
+            <ul class="pricing-list">${renderList(rules.buyers)}</ul>
+        </div>
+        <div class="card">
+            <h3>${t('app.rules.prohibited')}</h3>
+            <ul class="pricing-list">${renderList(rules.prohibited)}</ul>
+        </div>
+    `;
+}
+
+// Weekly hours and trading season straight from the opening schedule
+function updateOpeningTimesDisplay(openingTimes) {
+    const list = document.getElementById('openingTimes');
+    if (!list || !openingTimes) return;
+
+    const hours = Object.entries(openingTimes.weekly || {}).map(([day, times]) => `
+        <li><strong>${dayLabel(day)}:</strong> ${formatTimeRange(times.open, times.close)}</li>
+    `).join('');
+    const season = openingTimes.season
+        ? `<li><strong>${t('app.opening.season')}</strong> ${formatSeasonDate(openingTimes.season.start)} - ${formatSeasonDate(openingTimes.season.end)}</li>`
+        : '';
+    const notes = (openingTimes.notes || []).map(note => `<li><strong>${t('app.opening.note')}</strong> ${escapeHtml(note)}</li>`).join('');
+
+    list.innerHTML = hours + season + notes;
+}
+
+function updateContactDisplay(contact) {
+    const buttons = document.getElementById('contactButtons');
+    if (!buttons || !contact) return;
+
+    buttons.innerHTML = `
+        <a href="tel:${escapeHtml(contact.phoneHref)}" class="btn">${t('app.contact.call')}</a>
+        <a href="mailto:${escapeHtml(contact.email)}" class="btn btn--secondary">${t('app.contact.email')}</a>
+        ${contact.facebook ? `<a href="${escapeHtml(contact.facebook)}" class="social-link facebook" target="_blank" rel="noopener">${t('app.contact.facebook')}</a>` : ''}
+    `;
+}
+
+// "⚠️ Saturday: Gusts up to 50 mph" or "🌤️ Saturday: Cloudy"
+function updateForecastBadge(forecast) {
+    const badge = document.getElementById('forecastBadge');
+    if (!badge) return;
+    if (!forecast || !forecast.enabled) {
+        badge.classList.add('hidden');
+        return;
+    }
+
+    const warning = forecast.level === 'warning';
+    const detail = warning
+        ? forecast.warnings.map(({ type, value }) => t(`app.forecast.warning.${type}`, { value })).join(', ')
+        : (forecast.condition ? t(`app.forecast.condition.${forecast.condition}`) : t('app.forecast.noWarnings'));
+    badge.textContent = `${warning ? '⚠️' : '🌤️'} ${dayLabel(forecast.day)}: ${detail}`;
+    badge.title = t('app.forecast.title', { date: forecast.date });
+    badge.classList.toggle('warning', warning);
+    badge.classList.remove('hidden');
+}
+
+async function loadForecast() {
+    updateForecastBadge(await fetchWeather());
+}
+
+function updateContentDisplay(contentData) {
+    if (!contentData) return;
+    updatePricingDisplay(contentData.pricing, contentData.sellersRemainUntil);
+    updateRulesDisplay(contentData.rules, contentData.sellersRemainUntil);
+    updateOpeningTimesDisplay(contentData.openingTimes);
+    updateContactDisplay(contentData.contact);
+}
+
+function showBookingResult(message, isError) {
+    const result = document.getElementById('bookingResult');
+    if (!result) return;
+    result.className = `status ${isError ? 'status--error' : 'status--success'}`;
+    result.textContent = message;
+}
+
+// Seller directory: filter chips for the categories in use, and a search over
+// stall names, descriptions and category names
+function sellerMatches(seller, query) {
+    if (sellerCategory && !seller.categories.includes(sellerCategory)) return false;
+    if (!query) return true;
+    const text = [seller.stallName, seller.description, ...seller.categories.map(category => t(`app.sellers.category.${category}`))]
+        .join(' ')
+        .toLowerCase();
+    return query.split(/\s+/).every(word => text.includes(word));
+}
+
+function renderSellerFilters() {
+    const filters = document.getElementById('sellerFilters');
+    if (!filters) return;
+
+    const inUse = sellerDirectory.categories.filter(category => sellerDirectory.sellers.some(seller => seller.categories.includes(category)));
+    if (!inUse.includes(sellerCategory)) sellerCategory = '';
+    filters.innerHTML = inUse.length === 0 ? '' : ['', ...inUse].map(category => `
+        <button type="button" class="seller-chip" data-category="${escapeHtml(category)}" aria-pressed="${category === sellerCategory}">
+            ${escapeHtml(category ? t(`app.sellers.category.${category}`) : t('app.sellers.all'))}
+        </button>
+    `).join('');
+}
+
+function renderSellerList() {
+    const list = document.getElementById('sellerList');
+    const empty = document.getElementById('sellerEmpty');
+    if (!list) return;
+
+    const search = document.getElementById('sellerSearch');
+    const query = (search ? search.value : '').trim().toLowerCase();
+    const shown = sellerDirectory.sellers.filter(seller => sellerMatches(seller, query));
+
+    list.innerHTML = shown.map(seller => {
+        const srcset = seller.photo ? buildSrcset(seller.photo) : '';
+        return `
+            <div class="card seller-card">
+                ${seller.photo ? `<img src="${escapeHtml(seller.photo.url)}" ${srcset ? `srcset="${escapeHtml(srcset)}" sizes="(min-width: 768px) 33vw, 100vw"` : ''} alt="${escapeHtml(seller.stallName)}" loading="lazy">` : ''}
+                <h3>${escapeHtml(seller.stallName)}</h3>
+                ${seller.description ? `<p>${escapeHtml(seller.description)}</p>` : ''}
+                <p class="seller-card__meta">${escapeHtml(seller.categories.map(category => t(`app.sellers.category.${category}`)).join(' · '))}</p>
+                <p class="seller-card__meta">${escapeHtml(t('app.sellers.usually', { days: seller.days.map(dayLabel).join(', ') }))}</p>
+            </div>
+        `;
+    }).join('');
+
+    if (empty) {
+        empty.textContent = sellerDirectory.sellers.length === 0 ? t('app.sellers.none') : t('app.sellers.noMatch');
+        empty.classList.toggle('hidden', shown.length > 0);
+    }
+}
+
+function updateSellerDisplay(data) {
+    if (!data) return;
+    sellerDirectory = { categories: data.categories || [], sellers: data.sellers || [] };
+    renderSellerFilters();
+    renderSellerList();
+    renderSellerCategoryOptions();
+}
+
+// Category boxes on the sign-up form, ticked ones kept when the list is re-rendered
+function renderSellerCategoryOptions() {
+    const container = document.getElementById('sellerCategories');
+    if (!container) return;
+    const ticked = Array.from(container.querySelectorAll('input:checked'), input => input.value);
+    container.innerHTML = sellerDirectory.categories.map(category => `
+        <label>
+            <input type="checkbox" name="categories" value="${escapeHtml(category)}" ${ticked.includes(category) ? 'checked' : ''}>
+            ${escapeHtml(t(`app.sellers.category.${category}`))}
+        </label>
+    `).join('');
+}
+
+function setupSellerDirectory() {
+    const filters = document.getElementById('sellerFilters');
+    const search = document.getElementById('sellerSearch');
+    if (!filters || !search) return;
+
+    filters.addEventListener('click', (e) => {
+        const chip = e.target.closest('.seller-chip');
+        if (!chip) return;
+        sellerCategory = chip.dataset.category;
+        filters.querySelectorAll('.seller-chip').forEach(item => {
+            item.setAttribute('aria-pressed', String(item === chip));
+        });
+        renderSellerList();
+    });
+    search.addEventListener('input', renderSellerList);
+}
+
+function showSellerResult(message, isError) {
+    const result = document.getElementById('sellerResult');
+    if (!result) return;
+    result.className = `status ${isError ? 'status--error' : 'status--success'}`;
+    result.textContent = message;
+}
+
+// Seller sign-up: sent as a form so the optional photo can go with it
+function setupSellerForm() {
+    const form = document.getElementById('sellerForm');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+
+        try {
+            const body = new FormData(form);
+            if (!form.elements.photo.files.length) body.delete('photo');
+            const response = await fetch(API_SELLERS, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json' },
+                body
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                showSellerResult(data.error || t('app.sellers.failed'), true);
+                return;
+            }
+
+            showSellerResult(t('app.sellers.sent', { stallName: data.seller.stallName }), false);
+            form.reset();
+        } catch (error) {
+            showSellerResult(t('app.sellers.offline'), true);
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+}
+
+// "2026-07-04" -> "Sat 4 Jul" ("Sad 4 Gorff" in Welsh)
+function formatShortDate(isoDate) {
+    return new Date(`${isoDate}T12:00:00Z`).toLocaleDateString(LOCALE, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+function renderLostFoundList(listId, items, emptyKey) {
+    const list = document.getElementById(listId);
+    if (!list) return;
+    if (items.length === 0) {
+        list.innerHTML = `<li>${escapeHtml(t(emptyKey))}</li>`;
+        return;
+    }
+    list.innerHTML = items.map(item => {
+        const srcset = item.photo ? buildSrcset(item.photo) : '';
+        const where = item.location ? ` · ${escapeHtml(item.location)}` : '';
+        return `
+            <li class="lost-found-item">
+                ${item.photo ? `<img src="${escapeHtml(item.photo.url)}" ${srcset ? `srcset="${escapeHtml(srcset)}" sizes="96px"` : ''} alt="${escapeHtml(item.description)}" loading="lazy">` : ''}
+                <div>
+                    <strong>${escapeHtml(item.description)}</strong><br>
+                    <span class="lost-found-item__meta">${escapeHtml(formatShortDate(item.date))}${where}</span>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+function updateLostFoundDisplay(data) {
+    if (!data) return;
+    renderLostFoundList('foundList', data.found || [], 'app.lostFound.noneFound');
+    renderLostFoundList('lostList', data.lost || [], 'app.lostFound.noneLost');
+    const note = document.getElementById('lostFoundNote');
+    if (note && data.listingDays) note.textContent = t('app.lostFound.listed', { days: data.listingDays });
+}
+
+function showLostResult(message, isError) {
+    const result = document.getElementById('lostResult');
+    if (!result) return;
+    result.className = `status ${isError ? 'status--error' : 'status--success'}`;
+    result.textContent = message;
+}
+
+// Lost item report: goes on the board straight away, without the contact details
+function setupLostReportForm() {
+    const form = document.getElementById('lostForm');
+    if (!form) return;
+
+    const dateInput = document.getElementById('lostDate');
+    dateInput.max = new Date().toISOString().slice(0, 10);
+    dateInput.value = dateInput.max;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+
+        try {
+            const response = await fetch(API_LOST_FOUND, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify(Object.fromEntries(new FormData(form)))
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                showLostResult(data.error || t('app.lostFound.failed'), true);
+                return;
+            }
+
+            showLostResult(t('app.lostFound.reported', { description: data.report.description }), false);
+            form.reset();
+            dateInput.value = dateInput.max;
+            updateLostFoundDisplay(await fetchLostFound());
+        } catch (error) {
+            showLostResult(t('app.lostFound.offline'), true);
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+}
+
+function showContactResult(message, isError) {
+    const result = document.getElementById('contactResult');
+    if (!result) return;
+    result.className = `status ${isError ? 'status--error' : 'status--success'}`;
+    result.textContent = message;
+}
+
+// Contact form: stored for the admin inbox and forwarded by e-mail when the server has mail set up
+function setupContactForm() {
+    const form = document.getElementById('contactForm');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+
+        try {
+            const response = await fetch(API_CONTACT, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify(Object.fromEntries(new FormData(form)))
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                showContactResult(data.error || t('app.contact.failed'), true);
+                return;
+            }
+
+            showContactResult(t('app.contact.sent'), false);
+            form.reset();
+        } catch (error) {
+            showContactResult(t('app.contact.offline'), true);
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+}
+
+// Seller pitch booking form: pitch types and spaces left come from the chosen date
+function setupBookingForm() {
+    const form = document.getElementById('bookingForm');
+    if (!form) return;
+
+    const dateInput = document.getElementById('bookingDate');
+    const vehicleSelect = document.getElementById('bookingVehicle');
+    const availabilityText = document.getElementById('bookingAvailability');
+
+    const tomorrow = new Date(Date.now() + 86400000);
+    dateInput.min = tomorrow.toISOString().slice(0, 10);
+
+    dateInput.addEventListener('change', async () => {
+        vehicleSelect.disabled = true;
+        vehicleSelect.innerHTML = `<option value="">${t('app.booking.checking')}</option>`;
+
+        const availability = await fetchWithTimeout(`${API_BOOKINGS}/availability?date=${encodeURIComponent(dateInput.value)}`, 5000);
+        if (!availability || !availability.bookable) {
+            availabilityText.textContent = availability?.reason || t('app.booking.checkFailed');
+            vehicleSelect.innerHTML = `<option value="">${t('app.booking.notAvailable')}</option>`;
+            return;
+        }
+
+        availabilityText.textContent = t('app.booking.pitchesLeft', { count: availability.remaining });
+        vehicleSelect.innerHTML = availability.vehicles.map(vehicle =>
+            `<option value="${escapeHtml(vehicle.id)}">${formatVehiclePrice(vehicle)}</option>`
+        ).join('');
+        vehicleSelect.disabled = false;
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+
+        try {
+            const response = await fetch(API_BOOKINGS, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({
+                    date: dateInput.value,
+                    vehicle: vehicleSelect.value,
+                    earlyEntry: document.getElementById('bookingEarlyEntry').checked,
+                    name: form.elements.name.value,
+                    phone: form.elements.phone.value,
+                    email: form.elements.email.value
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                showBookingResult(data.error || t('app.booking.failed'), true);
+                return;
+            }
+
+            const { booking } = data;
+            showBookingResult(t(booking.priceFrom ? 'app.booking.requestedFrom' : 'app.booking.requested', {
+                reference: booking.reference,
+                vehicle: booking.vehicleLabel,
+                date: booking.date,
+                price: formatPrice(booking.price)
+            }), false);
+            form.reset();
+            vehicleSelect.disabled = true;
+            availabilityText.textContent = '';
+        } catch (error) {
+            showBookingResult(t('app.booking.offline'), true);
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+}
+
+// 🚀 MOBILE: Optimized smooth scrolling with reduced motion support
+function setupNavigation() {
+    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    
+    document.querySelectorAll('a[href^="#"]').forEach(link => {
+        link.addEventListener('click', function(e) {
+            e.preventDefault();
+            const targetId = this.getAttribute('href').substring(1);
+            const targetElement = document.getElementById(targetId);
+            if (targetElement) {
+                targetElement.scrollIntoView({
+                    behavior: prefersReducedMotion ? 'auto' : 'smooth',
+                    block: 'start'
+                });
+            }
+        });
+    });
+}
+
+function applyStatusData(statusData) {
+    currentStatus = !!statusData.status;
+    nextChange = statusData.nextChange || null;
+    activeNotices = Array.isArray(statusData.notices) ? statusData.notices : [];
+    statusCachedAt = statusData.offline ? (statusData.cachedAt || statusData.lastUpdated) : null;
+    updateStatusDisplay();
+}
+
+// No response and nothing cached yet: say so rather than showing LOADING forever
+function showStatusUnavailable() {
+    const statusText = document.getElementById('statusText');
+    if (statusText && statusText.textContent === t('app.status.loading')) {
+        statusText.textContent = t('app.status.unavailable');
+    }
+}
+
+function startPolling() {
+    if (pollTimer) return;
+    pollTimer = setInterval(loadSettings, getRefreshInterval());
+}
+
+function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
+
+// 🚀 MOBILE: One open stream instead of polling every 30 seconds
+function subscribeToUpdates() {
+    if (!('EventSource' in window)) {
+        startPolling();
+        return;
+    }
+    if (eventSource || reconnectTimer) return;
+
+    eventSource = new EventSource(API_EVENTS);
+
+    eventSource.addEventListener('open', () => {
+        reconnectDelay = 1000;
+        stopPolling();
+    });
+    eventSource.addEventListener('status', (e) => applyStatusData(JSON.parse(e.data)));
+    eventSource.addEventListener('gallery', (e) => updateGalleryDisplay(JSON.parse(e.data).images));
+    eventSource.addEventListener('hero', (e) => updateHeroBackground(JSON.parse(e.data)));
+    eventSource.addEventListener('content', (e) => updateContentDisplay(JSON.parse(e.data)));
+
+    eventSource.addEventListener('error', () => {
+        // Poll while the stream is down, then reconnect with backoff
+        closeUpdates();
+        startPolling();
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            subscribeToUpdates();
+        }, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+    });
+}
+
+function closeUpdates() {
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+}
+
+// 🚀 MOBILE: Prioritized loading with connection awareness
+async function loadSettings() {
+    try {
+        console.log('📱 Loading for mobile...');
+        
+        // Priority 1: Status (most important)
+        const statusData = await fetchStatus();
+        if (statusData) applyStatusData(statusData);
+        else showStatusUnavailable();
+
+        // Priority 2: Pricing, rules, opening times and contact details
+        const contentData = await fetchContent();
+        updateContentDisplay(contentData);
+
+        // Priority 3: Gallery (lazy-loaded, resized images)
+        const images = await fetchGallery();
+        updateGalleryDisplay(images);
+
+        // Seller directory (approved profiles only)
+        updateSellerDisplay(await fetchSellers());
+
+        // Lost property board
+        updateLostFoundDisplay(await fetchLostFound());
+
+        // Forecast badge beside the status, refreshed as the forecast cache expires
+        loadForecast();
+        setInterval(loadForecast, WEATHER_REFRESH);
+
+        // Priority 4: Hero background (delayed so it never blocks the status)
+        setTimeout(async () => {
+            const heroData = await fetchHeroBackground();
+            if (heroData) updateHeroBackground(heroData);
+        }, 500);
+
+        // Keep up to date from here on via the event stream
+        subscribeToUpdates();
+
+        console.log('✅ Mobile optimized loading complete');
+    } catch (error) {
+        console.error('Loading error:', error);
+    }
+}
+
+// 📲 PWA: offline support and "Add to Home Screen"
+function setupPwa() {
+    if ('serviceWorker' in navigator) {
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('/sw.js').catch(error => {
+                console.error('Service worker registration failed:', error);
+            });
+        });
+    }
+
+    // Browsers that support an install prompt fire this; others use their own share/add menu
+    const installButton = document.getElementById('installButton');
+    let deferredPrompt = null;
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        deferredPrompt = e;
+        if (installButton) installButton.classList.remove('hidden');
+    });
+    if (installButton) {
+        installButton.addEventListener('click', async () => {
+            if (!deferredPrompt) return;
+            deferredPrompt.prompt();
+            await deferredPrompt.userChoice;
+            deferredPrompt = null;
+            installButton.classList.add('hidden');
+        });
+    }
+    window.addEventListener('appinstalled', () => {
+        if (installButton) installButton.classList.add('hidden');
+    });
+
+    // Back online: fetch fresh data straight away
+    window.addEventListener('online', () => loadSettings());
+}
+
+// 🔔 Push alerts: VAPID keys are base64url, PushManager wants bytes
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function postJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    return data;
+}
+
+async function setupPushAlerts() {
+    const form = document.getElementById('alertsForm');
+    const statusText = document.getElementById('alertsStatus');
+    if (!form || !statusText) return;
+
+    const subscribeButton = document.getElementById('alertsSubscribe');
+    const unsubscribeButton = document.getElementById('alertsUnsubscribe');
+    const topicsContainer = document.getElementById('alertTopics');
+
+    if (!('serviceWorker' in navigator) || !('PushManager' in window) || !('Notification' in window)) {
+        statusText.textContent = t('app.alerts.unsupported');
+        subscribeButton.disabled = true;
+        return;
+    }
+
+    const config = await fetchWithTimeout(`${API_PUSH}/public-key`, 5000);
+    if (!config) {
+        statusText.textContent = t('app.alerts.unavailable');
+        subscribeButton.disabled = true;
+        return;
+    }
+
+    const savedTopics = JSON.parse(localStorage.getItem('rcbAlertTopics') || 'null');
+    topicsContainer.innerHTML = Object.entries(config.topics).map(([topic, label]) => `
+        <label style="display: block;">
+            <input type="checkbox" name="topics" value="${escapeHtml(topic)}" ${!savedTopics || savedTopics.includes(topic) ? 'checked' : ''}>
+            ${escapeHtml(label)}
+        </label>
+    `).join('');
+
+    const registration = await navigator.serviceWorker.ready;
+    let subscription = await registration.pushManager.getSubscription();
+
+    function showSubscribed(isSubscribed) {
+        subscribeButton.textContent = isSubscribed ? t('app.alerts.update') : t('app.alerts.turnOn');
+        unsubscribeButton.classList.toggle('hidden', !isSubscribed);
+        statusText.textContent = isSubscribed ? t('app.alerts.on') : '';
+    }
+    showSubscribed(!!subscription);
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const topics = Array.from(form.querySelectorAll('input[name="topics"]:checked'), input => input.value);
+        if (topics.length === 0) {
+            statusText.textContent = t('app.alerts.chooseTopic');
+            return;
+        }
+
+        try {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                statusText.textContent = t('app.alerts.blocked');
+                return;
+            }
+
+            subscription = subscription || await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(config.publicKey)
+            });
+            await postJson(`${API_PUSH}/subscribe`, { subscription: subscription.toJSON(), topics });
+            localStorage.setItem('rcbAlertTopics', JSON.stringify(topics));
+            showSubscribed(true);
+        } catch (error) {
+            statusText.textContent = t('app.alerts.turnOnFailed', { error: error.message });
+        }
+    });
+
+    unsubscribeButton.addEventListener('click', async () => {
+        try {
+            if (subscription) {
+                await postJson(`${API_PUSH}/unsubscribe`, { endpoint: subscription.endpoint });
+                await subscription.unsubscribe();
+                subscription = null;
+            }
+            localStorage.removeItem('rcbAlertTopics');
+            showSubscribed(false);
+        } catch (error) {
+            statusText.textContent = t('app.alerts.turnOffFailed', { error: error.message });
+        }
+    });
+}
+
+// 🚀 MOBILE: Optimized scroll performance
+let ticking = false;
+function updateOnScroll() {
+    if (!ticking) {
+        requestAnimationFrame(() => {
+            // Add any scroll-based optimizations here
+            ticking = false;
+        });
+        ticking = true;
+    }
+}
+
+// 🚀 MOBILE: Battery-aware refresh intervals
+function getRefreshInterval() {
+    if ('getBattery' in navigator) {
+        navigator.getBattery().then(battery => {
+            return battery.level < 0.2 ? 60000 : 30000; // Slower refresh on low battery
+        });
+    }
+    return isSlowConnection ? 45000 : 30000; // Slower refresh on slow connections
+}
+
+// 🚀 MOBILE: The full stylesheet loads as media="print" so it never blocks the first paint
+function applyAsyncStyles() {
+    document.querySelectorAll('link[data-async-style]').forEach(link => {
+        link.media = 'all';
+    });
+}
+
+// The first trading day from today on, so the plan shows the gates for the next time the field opens
+function defaultMapDay(plan) {
+    const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const today = new Intl.DateTimeFormat('en-GB', { weekday: 'long', timeZone: plan.timezone || 'Europe/London' })
+        .format(new Date()).toLowerCase();
+    const start = Math.max(0, weekdays.indexOf(today));
+    for (let offset = 0; offset < 7; offset++) {
+        const day = weekdays[(start + offset) % 7];
+        if (plan.days.includes(day)) return day;
+    }
+    return '';
+}
+
+function visibleMapFeatures() {
+    return siteMap.features.filter(feature => !hiddenMapLayers.has(feature.layer) &&
+        (!siteMapDay || feature.days.length === 0 || feature.days.includes(siteMapDay)));
+}
+
+// Areas are drawn as blocks and gates, toilets and vans as numbered markers; the list below names them all
+function drawSiteMap(element) {
+    const { width, height } = siteMap;
+    const features = visibleMapFeatures();
+    const shapes = features.map((feature, index) => {
+        const number = index + 1;
+        const title = `<title>${escapeHtml(feature.label)}</title>`;
+        if (feature.width) {
+            const centreX = feature.x + feature.width / 2;
+            const centreY = feature.y + feature.height / 2;
+            return `<g class="site-map__feature site-map__feature--${feature.layer}">${title}
+                <rect x="${feature.x}" y="${feature.y}" width="${feature.width}" height="${feature.height}" rx="1"></rect>
+                <text x="${centreX}" y="${centreY}">${number}</text>
+            </g>`;
+        }
+        return `<g class="site-map__feature site-map__feature--${feature.layer} site-map__feature--point">${title}
+            <circle cx="${feature.x}" cy="${feature.y}" r="3"></circle>
+            <text x="${feature.x}" y="${feature.y}">${number}</text>
+        </g>`;
+    }).join('');
+
+    element.querySelector('.site-map__plan').innerHTML = `
+        <svg viewBox="-4 -4 ${width + 8} ${height + 14}" role="img" aria-label="${escapeHtml(t('app.map.title'))}">
+            <rect class="site-map__field" x="0" y="0" width="${width}" height="${height}" rx="2"></rect>
+            <rect class="site-map__road" x="-4" y="${height + 2}" width="${width + 8}" height="6"></rect>
+            <text class="site-map__road-label" x="${width / 2}" y="${height + 5}">${escapeHtml(t('app.map.road'))}</text>
+            ${shapes}
+        </svg>`;
+
+    element.querySelector('.site-map__list').innerHTML = features.map(feature => `
+        <li class="site-map__item site-map__item--${feature.layer}">
+            <strong>${escapeHtml(t(`app.map.layer.${feature.layer}`))}:</strong> ${escapeHtml(feature.label)}
+        </li>
+    `).join('');
+
+    element.querySelectorAll('[data-map-day]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.mapDay === siteMapDay));
+    });
+}
+
+function renderSiteMap(element) {
+    const { latitude, longitude } = siteMap.location;
+    element.removeAttribute('style');
+    element.removeAttribute('role');
+    element.removeAttribute('tabindex');
+    element.className = 'site-map';
+    element.innerHTML = `
+        <div class="seller-filters" role="group" aria-label="${escapeHtml(t('app.map.days'))}">
+            ${siteMap.days.map(day => `
+                <button type="button" class="seller-chip" data-map-day="${day}" aria-pressed="false">${escapeHtml(dayLabel(day))}</button>
+            `).join('')}
+        </div>
+        <fieldset class="site-map__layers">
+            <legend>${escapeHtml(t('app.map.layers'))}</legend>
+            ${siteMap.layers.map(layer => `
+                <label class="site-map__item--${layer}">
+                    <input type="checkbox" data-map-layer="${layer}" ${hiddenMapLayers.has(layer) ? '' : 'checked'}>
+                    ${escapeHtml(t(`app.map.layer.${layer}`))}
+                </label>
+            `).join('')}
+        </fieldset>
+        <div class="site-map__plan"></div>
+        <ol class="site-map__list"></ol>
+        <a class="btn btn--outline" href="https://www.google.com/maps/dir/?api=1&amp;destination=${latitude},${longitude}" target="_blank" rel="noopener">${escapeHtml(t('app.map.directions'))}</a>
+    `;
+
+    element.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-map-day]');
+        if (!button) return;
+        siteMapDay = button.dataset.mapDay;
+        drawSiteMap(element);
+    });
+    element.addEventListener('change', (e) => {
+        const layer = e.target.dataset.mapLayer;
+        if (!layer) return;
+        if (e.target.checked) hiddenMapLayers.delete(layer);
+        else hiddenMapLayers.add(layer);
+        drawSiteMap(element);
+    });
+
+    drawSiteMap(element);
+}
+
+// 🗺️ Site plan on tap, so the page itself stays light on mobile data. Resolves
+// to false when the plan could not be fetched, so another tap can try again.
+async function loadMap(element) {
+    track('map');
+    const plan = await fetchWithTimeout(API_SITE_MAP, 5000);
+    if (!plan) {
+        const message = element.querySelector('[data-i18n="site.map.load"]');
+        if (message) message.textContent = t('app.map.failed');
+        return false;
+    }
+    siteMap = plan;
+    siteMapDay = defaultMapDay(plan);
+    renderSiteMap(element);
+    return true;
+}
+
+function setupMap() {
+    const placeholder = document.getElementById('mapPlaceholder');
+    if (!placeholder) return;
+    let loaded = false;
+    const open = async () => {
+        if (loaded) return;
+        loaded = true;
+        loaded = await loadMap(placeholder);
+    };
+    placeholder.addEventListener('click', open);
+    placeholder.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') open();
+    });
+}
+
+// 📊 Anonymous usage counts for the admin dashboard: only the event name is
+// sent - no cookies or identifiers - and a failed send is simply dropped
+function track(event) {
+    fetch(API_ANALYTICS, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ event }),
+        keepalive: true
+    }).catch(() => {});
+}
+
+function setupAnalytics() {
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('a[href^="tel:"], a[href^="mailto:"]');
+        if (link) track(link.getAttribute('href').startsWith('tel:') ? 'call' : 'email');
+    });
+
+    // Each section counts once per visit, when at least a third of it is on screen
+    if (!('IntersectionObserver' in window)) return;
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            track(`section.${entry.target.id}`);
+        });
+    }, { threshold: 0.33 });
+    document.querySelectorAll('#mainContent section[id]').forEach(section => observer.observe(section));
+}
+
+applyAsyncStyles();
+
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('🚗📱 Mobile-optimized Car Boot Site Loading...');
+
+    // Show main content after brief delay
+    setTimeout(() => {
+        document.getElementById('mainContent').style.opacity = '1';
+    }, 100);
+    
+    // Setup critical functionality first
+    setupNavigation();
+    setupMap();
+    setupAnalytics();
+    setupNoticeBanners();
+    setupBookingForm();
+    setupSellerDirectory();
+    setupSellerForm();
+    setupLostReportForm();
+    setupContactForm();
+    setupPwa();
+    setupPushAlerts();
+    
+    // Add scroll listener with throttling
+    if (isMobile) {
+        let scrollTimeout;
+        window.addEventListener('scroll', () => {
+            if (scrollTimeout) clearTimeout(scrollTimeout);
+            scrollTimeout = setTimeout(updateOnScroll, 16); // ~60fps throttling
+        }, { passive: true });
+    }
+    
+    // Load initial data with priority, then subscribe to live updates
+    await loadSettings();
+
+    console.log(`✅ Mobile site ready! (${isMobile ? 'Mobile' : 'Desktop'} mode)`);
+});
+
+// 🚀 MOBILE: Smart visibility change handling
+document.addEventListener('visibilitychange', function() {
+    if (!document.hidden) {
+        // Only refresh if tab was hidden for more than 30 seconds
+        if (!window.lastVisibleTime || Date.now() - window.lastVisibleTime > 30000) {
+            loadSettings();
+        } else {
+            subscribeToUpdates();
+        }
+    } else {
+        // Drop the stream in background tabs to save battery
+        closeUpdates();
+    }
+    window.lastVisibleTime = Date.now();
+});
+
+// 🚀 MOBILE: Connection change handling
+if ('connection' in navigator) {
+    navigator.connection.addEventListener('change', function() {
+        console.log('📶 Connection changed:', navigator.connection.effectiveType);
+        // Reload settings with new connection awareness
+        setTimeout(loadSettings, 1000);
+    });
+}
+
+// 🚀 Add loading states CSS
+const loadingStyles = `
+    .lazy-img:not(.loaded) {
+        filter: blur(1px);
+        opacity: 0.7;
+    }
+    .lazy-img.loaded {
+        filter: none;
+        opacity: 1;
+    }
+    .gallery-item {
+        transition: transform 0.2s ease;
+    }
+    .gallery-item:hover {
+        transform: translateY(-2px);
+    }
+    @media (prefers-reduced-motion: reduce) {
+        *, *::before, *::after {
+            animation-duration: 0.01ms !important;
+            animation-iteration-count: 1 !important;
+            transition-duration: 0.01ms !important;
+        }
+    }
+`;
+
+// Inject styles
+const styleSheet = document.createElement('style');
+styleSheet.textContent = loadingStyles;
+document.head.appendChild(styleSheet);
+
+console.log('🚗📱 Mobile-optimized JavaScript loaded with performance enhancements');
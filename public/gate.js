@@ -0,0 +1,207 @@
+// Gate counter for staff phones: one tap per ticket or pitch fee taken. Taps
+// are kept in localStorage and sent to the server in batches, so counting
+// carries on when the signal drops and nothing is lost if the page is closed.
+// A batch keeps its id until the server has it, so sending it twice is harmless.
+
+const STORAGE_KEY = 'rcb-gate';
+// Taps are sent this long after the last one, and retried every SYNC_INTERVAL while any wait
+const SYNC_DELAY = 2000;
+const SYNC_INTERVAL = 30000;
+
+const CONFIG = JSON.parse(document.getElementById('gateConfig').textContent);
+
+const MESSAGES = (() => {
+    const element = document.getElementById('i18nMessages');
+    try {
+        return element ? JSON.parse(element.textContent) : {};
+    } catch (error) {
+        return {};
+    }
+})();
+
+function t(key, params) {
+    const text = MESSAGES[key] ?? key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatPrice(pence) {
+    return pence % 100 === 0 ? `£${pence / 100}` : `£${(pence / 100).toFixed(2)}`;
+}
+
+function newId() {
+    return crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Today on the showfield, worked out on the phone so a page reopened offline the next day still counts for the right day
+function localDate() {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: CONFIG.timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+}
+
+function weekdayOf(date) {
+    return ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][new Date(`${date}T12:00:00Z`).getUTCDay()];
+}
+
+/**
+ * { current: batch being tapped into, outbox: batches waiting to be sent,
+ *   synced: { date, counts } as last confirmed by the server }
+ */
+function loadState() {
+    try {
+        const state = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (state && Array.isArray(state.outbox)) return state;
+    } catch (error) {
+        // Start again below
+    }
+    return { current: null, outbox: [], synced: null };
+}
+
+let state = loadState();
+let syncing = false;
+let syncTimer = null;
+let problem = null;
+
+function saveState() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+}
+
+// The server's counts for today, from the last sync or the page itself
+function syncedCounts(date) {
+    if (state.synced && state.synced.date === date) return state.synced.counts;
+    return CONFIG.date === date ? CONFIG.counts : {};
+}
+
+function waitingBatches() {
+    return [...state.outbox, ...(state.current ? [state.current] : [])];
+}
+
+function countFor(date, ticket) {
+    const waiting = waitingBatches()
+        .filter(batch => batch.date === date)
+        .reduce((sum, batch) => sum + (batch.counts[ticket] || 0), 0);
+    return Math.max(0, (syncedCounts(date)[ticket] || 0) + waiting);
+}
+
+function waitingTaps() {
+    return waitingBatches().reduce((sum, batch) => sum + Object.values(batch.counts).reduce((total, count) => total + Math.abs(count), 0), 0);
+}
+
+function tap(ticket, change) {
+    const date = localDate();
+    if (change < 0 && countFor(date, ticket) === 0) return;
+
+    if (state.current && state.current.date !== date) {
+        state.outbox.push(state.current);
+        state.current = null;
+    }
+    if (!state.current) state.current = { id: newId(), date, counts: {} };
+    state.current.counts[ticket] = (state.current.counts[ticket] || 0) + change;
+    saveState();
+    render();
+
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(sync, SYNC_DELAY);
+}
+
+async function sync() {
+    clearTimeout(syncTimer);
+    if (syncing) return;
+
+    if (state.current) {
+        state.outbox.push(state.current);
+        state.current = null;
+        saveState();
+    }
+    if (state.outbox.length === 0) {
+        render();
+        return;
+    }
+
+    syncing = true;
+    const sending = state.outbox.slice(0, 100);
+    try {
+        const response = await fetch(CONFIG.syncUrl, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'X-CSRF-Token': CONFIG.csrfToken },
+            body: JSON.stringify({ batches: sending })
+        });
+        if (response.status === 401 || response.status === 403) {
+            problem = t('admin.gate.client.signedOut');
+            return;
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const result = await response.json();
+        // Rejected batches are kept on the server for the office to check, so the phone can let go of them too
+        const done = new Set([...result.synced, ...result.rejected.map(item => item.id)]);
+        state.outbox = state.outbox.filter(batch => !done.has(batch.id));
+        state.synced = { date: result.date, counts: result.counts };
+        problem = result.rejected.length ? t('admin.gate.client.rejected', { error: result.rejected[0].error }) : null;
+        saveState();
+    } catch (error) {
+        problem = navigator.onLine === false ? t('admin.gate.client.offline') : t('admin.gate.client.failed');
+    } finally {
+        syncing = false;
+        render();
+    }
+}
+
+function render() {
+    const date = localDate();
+    const tickets = CONFIG.tickets[weekdayOf(date)] || [];
+
+    document.getElementById('gateDate').textContent = new Intl.DateTimeFormat(CONFIG.locale, {
+        weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC'
+    }).format(new Date(`${date}T12:00:00Z`));
+
+    const list = document.getElementById('gateTickets');
+    list.innerHTML = tickets.map(ticket => `
+        <div class="gate-ticket gate-ticket--${ticket.group}">
+            <button type="button" class="gate-ticket__add" data-ticket="${escapeHtml(ticket.id)}" data-change="1">
+                ${escapeHtml(ticket.label)} · ${formatPrice(ticket.price)}
+                <strong>${countFor(date, ticket.id)}</strong>
+            </button>
+            <button type="button" class="gate-ticket__undo" data-ticket="${escapeHtml(ticket.id)}" data-change="-1" aria-label="${escapeHtml(t('admin.gate.client.undoLabel', { label: ticket.label }))}">${t('admin.gate.client.undo')}</button>
+        </div>
+    `).join('');
+
+    const takings = tickets.reduce((sum, ticket) => sum + ticket.price * countFor(date, ticket.id), 0);
+    const buyers = tickets.filter(ticket => ticket.group === 'buyers').reduce((sum, ticket) => sum + countFor(date, ticket.id), 0);
+    document.getElementById('gateTotal').textContent = t('admin.gate.client.total', { buyers, takings: formatPrice(takings) });
+
+    const waiting = waitingTaps();
+    const status = document.getElementById('gateSync');
+    status.textContent = problem
+        ? `${problem} ${waiting ? t('admin.gate.client.waiting', { count: waiting }) : ''}`.trim()
+        : (waiting ? t('admin.gate.client.waiting', { count: waiting }) : t('admin.gate.client.synced'));
+    status.classList.toggle('gate-sync--waiting', !!(problem || waiting));
+}
+
+document.getElementById('gateTickets').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-ticket]');
+    if (button) tap(button.dataset.ticket, Number(button.dataset.change));
+});
+document.getElementById('gateSyncNow').addEventListener('click', sync);
+window.addEventListener('online', sync);
+setInterval(() => {
+    if (waitingBatches().length) sync();
+    else render();
+}, SYNC_INTERVAL);
+
+// Lets the page open again without a signal once it has been loaded here
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(() => {});
+}
+
+render();
+sync();
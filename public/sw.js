@@ -0,0 +1,180 @@
+// 🚀 Service worker: keeps the site usable when the signal drops on the showfield.
+// Pages and assets are network-first with a precached fallback; the last
+// /api/status response is kept so the page can show the last known status.
+
+const CACHE_VERSION = 'rcb-v2';
+const PRECACHE = `${CACHE_VERSION}-precache`;
+const RUNTIME = `${CACHE_VERSION}-runtime`;
+
+const PRECACHE_URLS = [
+    '/',
+    '/index.html',
+    '/app.js',
+    '/styles-mobile.css',
+    '/styles.css',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png'
+];
+
+// Cached the first time they are visited rather than on install: loading /cy/
+// remembers Welsh as the visitor's language
+const PAGE_URLS = ['/cy/'];
+
+const STATUS_URL = '/api/status';
+// API responses worth showing when offline (the event stream and admin routes are never cached;
+// the gate counter page is the one admin page kept, see GATE_URLS)
+const CACHED_API = ['/api/status', '/api/content', '/api/pricing', '/api/gallery', '/api/hero-background', '/api/sellers', '/api/lost-found', '/api/site-map'];
+
+// The staff gate counter, kept so it opens without a signal once it has been
+// used on the phone (taps themselves wait in localStorage, see gate.js)
+const GATE_URLS = ['/admin/gate', '/gate.js'];
+
+// Give up on the network a little before the page's own 3 second status timeout
+const NETWORK_TIMEOUT = 2500;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !key.startsWith(CACHE_VERSION)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+function fetchWithTimeout(request) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), NETWORK_TIMEOUT);
+        fetch(request).then(
+            response => { clearTimeout(timer); resolve(response); },
+            error => { clearTimeout(timer); reject(error); }
+        );
+    });
+}
+
+// API: network first, remembering the response (and when it was fetched) for offline use.
+// Status and gallery text depend on ?lang=, so each language is cached separately.
+async function apiNetworkFirst(request, path) {
+    const lang = new URL(request.url).searchParams.get('lang');
+    const cacheKey = lang ? `${path}?lang=${lang}` : path;
+    const cache = await caches.open(RUNTIME);
+    try {
+        const response = await fetchWithTimeout(request);
+        if (response.ok) {
+            const body = await response.clone().text();
+            await cache.put(cacheKey, new Response(body, {
+                headers: { 'Content-Type': 'application/json', 'X-Cached-At': new Date().toISOString() }
+            }));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        if (!cached) throw error;
+        if (path !== STATUS_URL) return cached;
+
+        // Flag the status as stale so the page can say "Last known status (as of 07:12)"
+        const data = await cached.json();
+        return new Response(JSON.stringify({ ...data, offline: true, cachedAt: cached.headers.get('X-Cached-At') }), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+// Pages and assets: network first so new deploys show up, precache when offline
+async function assetNetworkFirst(request) {
+    try {
+        const response = await fetchWithTimeout(request);
+        if (response.ok) {
+            const cache = await caches.open(PRECACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Offline pages fall back to the precached page in the same language
+        const fallback = new URL(request.url).pathname.startsWith('/cy') ? '/cy/' : '/';
+        const cached = await caches.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' ? await caches.match(fallback) : null);
+        if (!cached) throw error;
+        return cached;
+    }
+}
+
+// Like assetNetworkFirst, but only a signed-in page is kept: a redirect to the login form is not
+async function gateNetworkFirst(request) {
+    try {
+        const response = await fetchWithTimeout(request);
+        if (response.ok && !response.redirected) {
+            const cache = await caches.open(RUNTIME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (!cached) throw error;
+        return cached;
+    }
+}
+
+// The gate page carries the signed-in session's form token, so signing out forgets it
+function forgetGatePage() {
+    return caches.open(RUNTIME).then(cache => cache.delete('/admin/gate', { ignoreSearch: true }));
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname === '/admin/logout') {
+        event.waitUntil(forgetGatePage());
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (CACHED_API.includes(url.pathname)) {
+        event.respondWith(apiNetworkFirst(request, url.pathname));
+    } else if (PRECACHE_URLS.includes(url.pathname) || PAGE_URLS.includes(url.pathname)) {
+        event.respondWith(assetNetworkFirst(request));
+    } else if (GATE_URLS.includes(url.pathname)) {
+        event.respondWith(gateNetworkFirst(request));
+    }
+});
+
+// 🔔 Web push: show alerts sent from the admin panel
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch {
+        data = { body: event.data.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(data.title || 'Rhyl Car Boot', {
+        body: data.body || '',
+        icon: '/icons/icon-192.png',
+        badge: '/icons/icon-192.png',
+        tag: data.topic || 'rcb',
+        data: { url: data.url || '/' }
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const target = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => client.url === target);
+            return open ? open.focus() : self.clients.openWindow(target);
+        })
+    );
+});
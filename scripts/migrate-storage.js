@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// Import existing status.json, gallery.json, ... audit.log and uploads/ into the
+// storage configured by STORAGE_DRIVER / BLOB_DRIVER (see lib/storage/index.js).
+//
+//   STORAGE_DRIVER=sqlite DATA_DIR=/var/data npm run migrate -- --from . [--force]
+
+const path = require('path');
+const storage = require('../lib/storage');
+const { importLegacyFiles } = require('../lib/storage/migrate');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+    const options = { from: ROOT_DIR, uploads: null, force: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') options.from = path.resolve(argv[++i]);
+        else if (argv[i] === '--uploads') options.uploads = path.resolve(argv[++i]);
+        else if (argv[i] === '--force') options.force = true;
+        else throw new Error(`Unknown option ${argv[i]}`);
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const store = storage.createStoreFromEnv(process.env, ROOT_DIR);
+    const blobs = storage.createBlobStoreFromEnv(process.env, ROOT_DIR);
+
+    console.log(`📦 Importing from ${options.from} into ${store.driver} storage and ${blobs.driver} uploads`);
+    try {
+        const summary = await importLegacyFiles({
+            store,
+            blobs,
+            sourceDir: options.from,
+            uploadsDir: options.uploads || path.join(options.from, 'uploads'),
+            force: options.force,
+            log: message => console.log(message)
+        });
+        console.log(`🎉 Done: ${summary.documents} documents, ${summary.logEntries} log entries, ${summary.uploads} uploads (${summary.skipped} skipped)`);
+    } finally {
+        await store.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -1,102 +1,319 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs').promises;
 const path = require('path');
+const fs = require('fs').promises;
 const multer = require('multer');
+const cookieSession = require('cookie-session');
+const crypto = require('crypto');
+const schedule = require('./lib/schedule');
+const auth = require('./lib/auth');
+const images = require('./lib/images');
+const pricing = require('./lib/pricing');
+const content = require('./lib/content');
+const weather = require('./lib/weather');
+const notices = require('./lib/notices');
+const bookings = require('./lib/bookings');
+const sellers = require('./lib/sellers');
+const lostFound = require('./lib/lost-found');
+const enquiries = require('./lib/enquiries');
+const mail = require('./lib/mail');
+const { createEventHub } = require('./lib/events');
+const push = require('./lib/push');
+const storage = require('./lib/storage');
+const { createRateLimiter } = require('./lib/rate-limit');
+const security = require('./lib/security');
+const i18n = require('./lib/i18n');
+const seo = require('./lib/seo');
+const analytics = require('./lib/analytics');
+const gate = require('./lib/gate');
+const siteMap = require('./lib/site-map');
+const backup = require('./lib/backup');
+const { escapeHtml, csrfField } = security;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// File paths
-const DATA_FILE = path.join(__dirname, 'status.json');
-const GALLERY_FILE = path.join(__dirname, 'gallery.json');
-const HERO_BG_FILE = path.join(__dirname, 'hero-background.json');
-const UPLOADS_DIR = path.join(__dirname, 'uploads');
-const GALLERY_UPLOADS_DIR = path.join(UPLOADS_DIR, 'gallery');
-const HERO_UPLOADS_DIR = path.join(UPLOADS_DIR, 'hero');
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'noblesrhyl1121';
+// Storage: JSON documents (status, gallery, ...) and uploaded files. See lib/storage for the drivers.
+const store = storage.createStoreFromEnv(process.env, __dirname);
+const blobs = storage.createBlobStoreFromEnv(process.env, __dirname);
+const AUDIT_LOG = 'audit';
+const GALLERY_FOLDER = 'gallery';
+const HERO_FOLDER = 'hero';
+const SELLER_FOLDER = 'sellers';
+const LOST_FOUND_FOLDER = 'lost-found';
+const DEFAULT_GALLERY_MAX = 10;
+const GALLERY_MAX_LIMIT = 100;
+// Without SESSION_SECRET sessions are signed with a random key and end on every restart
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_MAX_AGE = 12 * 60 * 60 * 1000;
+
+// Live updates pushed to open pages over /api/events
+const eventHub = createEventHub();
+
+// Web push sender, set up in startServer() once the VAPID keys are loaded
+let pushSender = null;
+// Subscriptions kept at most; the form closes to new browsers beyond this
+const MAX_PUSH_SUBSCRIPTIONS = 5000;
+// PUSH_ALLOW_LOCAL=true accepts http://localhost endpoints, for a mock push service in development
+const PUSH_ENDPOINTS = { allowLocal: process.env.PUSH_ALLOW_LOCAL === 'true' };
+
+// Forecast for the showfield, cached between requests (WEATHER_PROVIDER=off disables it)
+const weatherProvider = weather.createProviderFromEnv(process.env);
+const weatherService = weatherProvider ? weather.createWeatherService({ provider: weatherProvider }) : null;
+
+// Contact form enquiries are forwarded by e-mail (MAIL_TRANSPORT, see lib/mail) to
+// MAIL_TO, or the contact address in the site content; failed sends are retried
+// (see lib/enquiries), and the queue is checked this often for ones that are due
+const mailTransport = mail.createTransportFromEnv(process.env);
+const MAIL_QUEUE_CHECK_MS = 60 * 1000;
+
+// Failed logins allowed per IP before the login form is locked
+const loginLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 5 });
+// Public booking requests per IP per hour
+const bookingLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
+// Seller profile sign-ups per IP per hour
+const sellerLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 5 });
+// Lost item reports per IP per hour
+const lostReportLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 5 });
+// Contact form messages per IP per hour
+const contactLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 5 });
+// Push subscribe/unsubscribe calls per IP per hour
+const pushLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 30 });
+// Page events (map loads, call taps, ...) counted per IP per hour; more are quietly ignored
+const analyticsLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 120 });
+
+// Anonymous visit counts, saved to the store once a minute (see lib/analytics)
+const analyticsCounter = analytics.createCounter();
+
+// Backup snapshots on local disk (BACKUP_DIR, default DATA_DIR/backups), taken every
+// BACKUP_SNAPSHOT_HOURS (0 turns them off) with the newest BACKUP_KEEP kept
+const BACKUP_SNAPSHOT_HOURS = Number(process.env.BACKUP_SNAPSHOT_HOURS ?? 24);
+const snapshots = backup.createSnapshotStore({
+    dir: process.env.BACKUP_DIR
+        ? path.resolve(__dirname, process.env.BACKUP_DIR)
+        : path.join(storage.dataDirFromEnv(process.env, __dirname), 'backups'),
+    keep: Number(process.env.BACKUP_KEEP) || 7
+});
+
+// Other sites allowed to call the public API (comma-separated CORS_ORIGINS); the site itself is same-origin
+const CORS_ORIGINS = security.parseOrigins(process.env.CORS_ORIGINS);
+// Only this folder is served as static files; data, source and config stay private
+const PUBLIC_DIR = path.join(__dirname, 'public');
 
 // Middleware
-app.use(cors());
+app.set('trust proxy', 1); // Render terminates TLS in front of the app
+app.use(security.securityHeaders({
+    imgSources: process.env.S3_PUBLIC_URL ? [new URL(process.env.S3_PUBLIC_URL).origin] : []
+}));
+app.use('/api', cors(security.corsOptions(CORS_ORIGINS)));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieSession({
+    name: 'rcb_session',
+    keys: [SESSION_SECRET],
+    maxAge: SESSION_MAX_AGE,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production'
+}));
 
-// Create upload directories
-async function createUploadDirectories() {
-    try {
-        await fs.mkdir(UPLOADS_DIR, { recursive: true });
-        await fs.mkdir(GALLERY_UPLOADS_DIR, { recursive: true });
-        await fs.mkdir(HERO_UPLOADS_DIR, { recursive: true });
-        console.log('✅ Upload directories created');
-    } catch (error) {
-        console.error('❌ Error creating upload directories:', error);
-    }
+// Admin form posts must carry the session's CSRF token. Uploads to these routes
+// are checked in the route, once multer has read the body; a multipart post
+// anywhere else has no parsed body, so it needs the token in the header.
+const UPLOAD_ROUTES = ['/admin/lost-found', '/admin/upload-gallery', '/admin/gallery/replace', '/admin/upload-hero', '/admin/backup/import'];
+
+app.use('/admin', (req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD') return next();
+    if (req.is('multipart/form-data') && UPLOAD_ROUTES.includes(req.originalUrl.split('?')[0])) return next();
+    security.verifyCsrf(req, res, next);
+});
+
+// Multer configuration: uploads are held in memory and written to the blob store by the image pipeline
+function imageFileFilter(req, file, cb) {
+    if (file.mimetype.startsWith('image/')) cb(null, true);
+    else cb(new Error('Only image files allowed'));
 }
 
-// Multer configuration
-const galleryStorage = multer.diskStorage({
-    destination: (req, file, cb) => cb(null, GALLERY_UPLOADS_DIR),
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'gallery-' + uniqueSuffix + path.extname(file.originalname));
-    }
+const uploadGallery = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024 },
+    fileFilter: imageFileFilter
+});
+
+const uploadHero = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 25 * 1024 * 1024 },
+    fileFilter: imageFileFilter
 });
 
-const heroStorage = multer.diskStorage({
-    destination: (req, file, cb) => cb(null, HERO_UPLOADS_DIR),
-    filename: (req, file, cb) => cb(null, 'hero-background' + path.extname(file.originalname))
+const uploadSellerPhoto = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024 },
+    fileFilter: imageFileFilter
 });
 
-const uploadGallery = multer({
-    storage: galleryStorage,
-    limits: { fileSize: 5 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) cb(null, true);
-        else cb(new Error('Only image files allowed'));
+const uploadLostFound = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024 },
+    fileFilter: imageFileFilter
+});
+
+const uploadBackup = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 200 * 1024 * 1024 }
+});
+
+function uniqueName(prefix) {
+    return `${prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+}
+
+async function processGalleryImage(file) {
+    return images.processImage(file.buffer, {
+        blobs,
+        folder: GALLERY_FOLDER,
+        baseName: uniqueName('gallery'),
+        widths: images.GALLERY_WIDTHS
+    });
+}
+
+async function processHeroImage(file) {
+    return images.processImage(file.buffer, {
+        blobs,
+        folder: HERO_FOLDER,
+        baseName: uniqueName('hero-background'),
+        widths: images.HERO_WIDTHS
+    });
+}
+
+async function processSellerPhoto(file) {
+    return images.processImage(file.buffer, {
+        blobs,
+        folder: SELLER_FOLDER,
+        baseName: uniqueName('seller'),
+        widths: images.SELLER_WIDTHS
+    });
+}
+
+async function processLostFoundPhoto(file) {
+    return images.processImage(file.buffer, {
+        blobs,
+        folder: LOST_FOUND_FOLDER,
+        baseName: uniqueName('found'),
+        widths: images.LOST_FOUND_WIDTHS
+    });
+}
+
+// The site's own address for links search engines and link previews keep. Set
+// SITE_URL: the Host header is up to whoever sends the request, so it is never
+// used, and without SITE_URL the links point at this machine.
+function siteBaseUrl() {
+    return (process.env.SITE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+}
+
+// Public page: English at /, Welsh at /cy/. The page is translated once per
+// language and cached; the links to the site's own address, the description,
+// link preview tags and structured data are filled in on every request, as they
+// follow the live status and hero image.
+const pageCache = new Map();
+
+async function renderPublicPage(req, res, language) {
+    const baseUrl = siteBaseUrl();
+    if (!pageCache.has(language)) {
+        const template = await fs.readFile(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+        pageCache.set(language, i18n.localizePage(template, language));
+    }
+    const [statusData, scheduleData, pricingData, contentData, hero] = await Promise.all([
+        getPublicStatus(), readSchedule(), readPricing(), readContent(), readHeroBackground()
+    ]);
+    const meta = seo.metaTags(language, { statusData, scheduleData, pricingData, contactData: contentData.contact, hero }, baseUrl);
+
+    countVisit(req, 'pageview');
+    res.set('Content-Language', language);
+    res.vary('Cookie').vary('Accept-Language');
+    const page = i18n.addAlternateLinks(pageCache.get(language), language, baseUrl);
+    res.type('html').send(page.replace('<!-- seo:meta -->', () => meta));
+}
+
+// / shows the visitor's chosen language; ?lang=en|cy (the language switcher) changes it
+app.get(['/', '/index.html'], async (req, res) => {
+    try {
+        const language = i18n.requestLanguage(req);
+        if (i18n.normalizeLanguage(req.query.lang)) i18n.rememberLanguage(res, language);
+        await renderPublicPage(req, res, language);
+    } catch (error) {
+        res.status(500).send('Page error');
     }
 });
 
-const uploadHero = multer({
-    storage: heroStorage,
-    limits: { fileSize: 10 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) cb(null, true);
-        else cb(new Error('Only image files allowed'));
+// Express matches /cy and /cy/ alike; only /cy/ is the page
+app.get('/cy/', async (req, res) => {
+    if (!req.path.endsWith('/')) return res.redirect(301, '/cy/');
+    try {
+        i18n.rememberLanguage(res, 'cy');
+        await renderPublicPage(req, res, 'cy');
+    } catch (error) {
+        res.status(500).send('Page error');
     }
 });
 
+app.get('/robots.txt', (req, res) => {
+    res.type('text/plain').send(seo.robotsTxt(siteBaseUrl()));
+});
+
+app.get('/sitemap.xml', (req, res) => {
+    res.type('application/xml').send(seo.sitemapXml(siteBaseUrl()));
+});
+
 // Serve static files
-app.use(express.static(__dirname));
-app.use('/uploads', express.static(UPLOADS_DIR));
+app.use(express.static(PUBLIC_DIR, { index: false }));
 
-// Initialize data files
-async function initializeDataFiles() {
-    try {
-        // Status file
+// Uploads: straight from disk with the local driver, otherwise fetched from the blob store
+if (blobs.dir) {
+    app.use('/uploads', express.static(blobs.dir));
+} else {
+    app.get('/uploads/*', async (req, res) => {
         try {
-            await fs.access(DATA_FILE);
-        } catch {
-            const defaultData = { status: false, notice: '', lastUpdated: new Date().toISOString() };
-            await fs.writeFile(DATA_FILE, JSON.stringify(defaultData, null, 2));
-            console.log('✅ Created status.json');
+            const blob = await blobs.get(req.params[0]);
+            if (!blob) return res.status(404).end();
+            if (blob.contentType) res.type(blob.contentType);
+            else res.type(path.extname(req.params[0]));
+            res.set('Cache-Control', 'public, max-age=31536000, immutable');
+            res.send(blob.body);
+        } catch (error) {
+            console.error('Error fetching upload:', error);
+            res.status(502).end();
         }
+    });
+}
 
-        // Gallery file
-        try {
-            await fs.access(GALLERY_FILE);
-        } catch {
-            const defaultGallery = { images: [] };
-            await fs.writeFile(GALLERY_FILE, JSON.stringify(defaultGallery, null, 2));
-            console.log('✅ Created gallery.json');
-        }
+// Documents created on first run
+const DEFAULT_DOCUMENTS = {
+    status: () => ({ override: null, notices: [], lastUpdated: new Date().toISOString() }),
+    gallery: () => ({ images: [], maxImages: DEFAULT_GALLERY_MAX }),
+    'hero-background': () => ({ filename: null, uploadedAt: null }),
+    users: () => ({ users: [] }),
+    schedule: () => schedule.DEFAULT_SCHEDULE,
+    pricing: () => pricing.DEFAULT_PRICING,
+    content: () => content.DEFAULT_CONTENT,
+    weather: () => weather.DEFAULT_SETTINGS,
+    bookings: () => ({ capacity: bookings.DEFAULT_CAPACITY, bookings: [] }),
+    'push-subscriptions': () => ({ subscriptions: [] }),
+    analytics: () => ({ days: {} }),
+    sellers: () => ({ sellers: [] }),
+    'lost-found': () => ({ items: [] }),
+    enquiries: () => ({ enquiries: [] }),
+    gate: () => ({ days: {} }),
+    'site-map': () => siteMap.DEFAULT_SITE_MAP
+};
 
-        // Hero background file
-        try {
-            await fs.access(HERO_BG_FILE);
-        } catch {
-            const defaultHero = { filename: null, uploadedAt: null };
-            await fs.writeFile(HERO_BG_FILE, JSON.stringify(defaultHero, null, 2));
-            console.log('✅ Created hero-background.json');
+// Initialize data files
+async function initializeDataFiles() {
+    try {
+        await store.init();
+        for (const [name, createDefault] of Object.entries(DEFAULT_DOCUMENTS)) {
+            if (await store.has(name)) continue;
+            await store.set(name, createDefault());
+            console.log(`✅ Created ${name} (${store.driver} storage)`);
         }
     } catch (error) {
         console.error('❌ Error initializing data files:', error);
@@ -106,250 +323,3482 @@ async function initializeDataFiles() {
 // Helper functions
 async function readStatus() {
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        return JSON.parse(data);
+        const data = await store.get('status');
+        if (!data) throw new Error('No status yet');
+        const { notice, ...statusData } = data;
+        return { override: null, ...statusData, notices: notices.readNotices(data) };
     } catch {
-        return { status: false, notice: '', lastUpdated: new Date().toISOString() };
+        return { override: null, notices: [], lastUpdated: new Date().toISOString() };
+    }
+}
+
+// Tells open pages about a change that is already saved, so a failed broadcast
+// is logged rather than reported as a failed save
+async function broadcastSaved(...broadcasts) {
+    for (const broadcast of broadcasts) {
+        try {
+            await broadcast();
+        } catch (error) {
+            console.error(`❌ Broadcast failed (${broadcast.name}):`, error);
+        }
     }
 }
 
 async function writeStatus(data) {
     const statusData = { ...data, lastUpdated: new Date().toISOString() };
-    await fs.writeFile(DATA_FILE, JSON.stringify(statusData, null, 2));
+    await store.set('status', statusData);
+    await broadcastSaved(broadcastStatus);
     return statusData;
 }
 
+// Images are kept in display order. Older entries without an id fall back to their filename.
 async function readGallery() {
     try {
-        const data = await fs.readFile(GALLERY_FILE, 'utf8');
-        return JSON.parse(data);
+        const data = await store.get('gallery');
+        if (!data) throw new Error('No gallery yet');
+        return {
+            ...data,
+            maxImages: data.maxImages || DEFAULT_GALLERY_MAX,
+            images: (data.images || []).map(image => ({ id: image.filename, ...image }))
+        };
+    } catch {
+        return { images: [], maxImages: DEFAULT_GALLERY_MAX };
+    }
+}
+
+async function writeGallery(data) {
+    await store.set('gallery', data);
+    eventHub.broadcast('gallery', language => localizeGallery(data, language));
+    return data;
+}
+
+// Gallery as the public page sees it: each description in the visitor's language
+function localizeGallery(galleryData, language) {
+    return {
+        ...galleryData,
+        images: galleryData.images.map(({ descriptionCy, ...image }) => ({
+            ...image,
+            description: i18n.pickText(image.description, descriptionCy, language)
+        }))
+    };
+}
+
+async function readHeroBackground() {
+    try {
+        return (await store.get('hero-background')) || { filename: null, uploadedAt: null };
+    } catch {
+        return { filename: null, uploadedAt: null };
+    }
+}
+
+async function writeHeroBackground(data) {
+    await store.set('hero-background', data);
+    eventHub.broadcast('hero', data);
+    return data;
+}
+
+async function readSchedule() {
+    try {
+        return { ...schedule.DEFAULT_SCHEDULE, ...(await store.get('schedule')) };
+    } catch {
+        return schedule.DEFAULT_SCHEDULE;
+    }
+}
+
+async function writeSchedule(data) {
+    await store.set('schedule', data);
+    await broadcastSaved(broadcastStatus, broadcastContent);
+    return data;
+}
+
+async function readUsers() {
+    try {
+        return (await store.get('users')) || { users: [] };
+    } catch {
+        return { users: [] };
+    }
+}
+
+async function writeUsers(data) {
+    await store.set('users', data);
+    return data;
+}
+
+async function readPricing() {
+    try {
+        return (await store.get('pricing')) || pricing.DEFAULT_PRICING;
+    } catch {
+        return pricing.DEFAULT_PRICING;
+    }
+}
+
+async function writePricing(data) {
+    await store.set('pricing', data);
+    await broadcastSaved(broadcastContent);
+    return data;
+}
+
+async function readContent() {
+    try {
+        return content.readContent(await store.get('content'));
+    } catch {
+        return content.readContent(null);
+    }
+}
+
+async function writeContent(data) {
+    await store.set('content', data);
+    await broadcastSaved(broadcastContent);
+    return data;
+}
+
+async function readBookings() {
+    try {
+        const data = await store.get('bookings');
+        return { capacity: bookings.DEFAULT_CAPACITY, bookings: [], ...data };
+    } catch {
+        return { capacity: bookings.DEFAULT_CAPACITY, bookings: [] };
+    }
+}
+
+async function writeBookings(data) {
+    await store.set('bookings', data);
+    return data;
+}
+
+async function readSellers() {
+    try {
+        return { sellers: [], ...(await store.get('sellers')) };
+    } catch {
+        return { sellers: [] };
+    }
+}
+
+async function writeSellers(data) {
+    await store.set('sellers', data);
+    return data;
+}
+
+async function readLostFound() {
+    try {
+        return { items: [], ...(await store.get('lost-found')) };
+    } catch {
+        return { items: [] };
+    }
+}
+
+async function writeLostFound(data) {
+    await store.set('lost-found', data);
+    return data;
+}
+
+async function readEnquiries() {
+    try {
+        return { enquiries: [], ...(await store.get('enquiries')) };
+    } catch {
+        return { enquiries: [] };
+    }
+}
+
+async function writeEnquiries(data) {
+    await store.set('enquiries', data);
+    return data;
+}
+
+async function readSiteMap() {
+    try {
+        return siteMap.readSiteMap(await store.get('site-map'));
+    } catch {
+        return siteMap.readSiteMap(null);
+    }
+}
+
+async function writeSiteMap(data) {
+    await store.set('site-map', data);
+    return data;
+}
+
+async function readGate() {
+    try {
+        return gate.readGate(await store.get('gate'));
+    } catch {
+        return gate.readGate(null);
+    }
+}
+
+async function writeGate(data) {
+    await store.set('gate', data);
+    return data;
+}
+
+async function readPushSubscriptions() {
+    try {
+        return (await store.get('push-subscriptions')) || { subscriptions: [] };
+    } catch {
+        return { subscriptions: [] };
+    }
+}
+
+async function writePushSubscriptions(data) {
+    await store.set('push-subscriptions', data);
+    return data;
+}
+
+async function readAnalytics() {
+    try {
+        return analytics.readAnalytics(await store.get('analytics'));
+    } catch {
+        return analytics.readAnalytics(null);
+    }
+}
+
+// Saves are chained so the minute timer and the dashboard never overwrite each other's counts
+let analyticsSave = Promise.resolve();
+
+function flushAnalytics() {
+    analyticsSave = analyticsSave.then(async () => {
+        const counts = analyticsCounter.drain();
+        if (Object.keys(counts).length === 0) return;
+        try {
+            await store.set('analytics', analytics.mergeCounts(await readAnalytics(), counts));
+        } catch (error) {
+            console.error('❌ Failed to save analytics:', error);
+        }
+    });
+    return analyticsSave;
+}
+
+// Counts a page view or status check, unless it came from a crawler or link preview
+function countVisit(req, metric) {
+    if (!analytics.isBot(req.get('user-agent'))) analyticsCounter.record(metric);
+}
+
+// VAPID keys from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY, or generated once and kept in storage (vapid-keys).
+// Changing keys invalidates every existing subscription, so they must stay stable.
+async function loadVapidKeys() {
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        return { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+    }
+
+    const stored = await store.get('vapid-keys');
+    if (stored) return stored;
+
+    const keys = push.generateVapidKeys();
+    await store.set('vapid-keys', keys);
+    console.log('✅ Created VAPID keys (set VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY to keep them across deploys)');
+    return keys;
+}
+
+// Send to every subscriber of a topic and drop subscriptions the push service reports as gone
+async function notifySubscribers(topic, payload) {
+    const pushData = await readPushSubscriptions();
+    const result = await pushSender.sendToTopic(pushData.subscriptions, topic, payload);
+
+    if (result.expired.length) {
+        const current = await readPushSubscriptions();
+        current.subscriptions = current.subscriptions.filter(item => !result.expired.includes(item.endpoint));
+        await writePushSubscriptions(current);
+    }
+
+    return { sent: result.sent, failed: result.failed, removed: result.expired.length };
+}
+
+// Audit log: only ever appended to (one JSON object per line with the file driver)
+async function recordAudit(req, action, { before = null, after = null, user } = {}) {
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        user: user || (req.user ? req.user.username : null),
+        ip: req.ip,
+        action,
+        before,
+        after
+    };
+
+    try {
+        await store.append(AUDIT_LOG, entry);
+    } catch (error) {
+        // A failed log write should not undo the change it describes
+        console.error('❌ Failed to write audit log:', error);
+    }
+    return entry;
+}
+
+// Newest first
+async function readAuditLog() {
+    try {
+        return (await store.readLog(AUDIT_LOG)).reverse();
+    } catch (error) {
+        console.error('❌ Failed to read audit log:', error);
+        return [];
+    }
+}
+
+// First run: create the owner account from ADMIN_USERNAME / ADMIN_PASSWORD
+async function seedOwnerAccount() {
+    const usersData = await readUsers();
+    if (usersData.users.length > 0) return;
+
+    if (!process.env.ADMIN_PASSWORD) {
+        console.warn('⚠️ No admin accounts. Set ADMIN_PASSWORD (and optionally ADMIN_USERNAME) to create the owner account.');
+        return;
+    }
+
+    const username = auth.normalizeUsername(process.env.ADMIN_USERNAME || 'owner');
+    usersData.users.push({
+        username,
+        passwordHash: await auth.hashPassword(process.env.ADMIN_PASSWORD),
+        role: 'owner',
+        createdAt: new Date().toISOString()
+    });
+    await writeUsers(usersData);
+    console.log(`✅ Created owner account "${username}"`);
+}
+
+// Notices live right now plus the open/closed state worked out from the schedule
+async function getPublicStatus() {
+    const statusData = await readStatus();
+    const scheduleData = await readSchedule();
+    return {
+        notices: notices.activeNotices(statusData.notices),
+        lastUpdated: statusData.lastUpdated,
+        ...schedule.computeStatus(scheduleData, statusData)
+    };
+}
+
+// Public status with each notice in the visitor's language
+function localizeStatus(statusData, language) {
+    return {
+        ...statusData,
+        notices: statusData.notices.map(({ messageCy, ...notice }) => ({
+            ...notice,
+            message: i18n.pickText(notice.message, messageCy, language)
+        }))
+    };
+}
+
+async function readWeatherSettings() {
+    try {
+        return weather.readSettings(await store.get('weather'));
     } catch {
-        return { images: [] };
+        return weather.readSettings(null);
+    }
+}
+
+async function writeWeatherSettings(data) {
+    await store.set('weather', data);
+    return data;
+}
+
+// Forecast warnings for the next trading day, or null if there is no forecast to go on
+async function getWeatherAdvisory() {
+    if (!weatherService) return null;
+    const [settings, scheduleData] = await Promise.all([readWeatherSettings(), readSchedule()]);
+    const tradingDay = weather.nextTradingDay(scheduleData);
+    if (!tradingDay) return null;
+
+    const forecast = await weatherService.getForecast();
+    if (!forecast) return null;
+    return {
+        ...weather.assessTradingDay(forecast.hours, tradingDay, settings.thresholds),
+        fetchedAt: forecast.fetchedAt,
+        stale: !!forecast.stale,
+        source: forecast.source
+    };
+}
+
+// Last status sent to subscribers, so the schedule check only pushes real changes
+let lastBroadcastStatus = null;
+
+async function broadcastStatus() {
+    const statusData = await getPublicStatus();
+    lastBroadcastStatus = JSON.stringify(statusData);
+    eventHub.broadcast('status', language => localizeStatus(statusData, language));
+}
+
+async function getPublicContent() {
+    const [contentData, pricingData, scheduleData] = await Promise.all([readContent(), readPricing(), readSchedule()]);
+    return content.buildPublicContent({ content: contentData, pricing: pricingData, schedule: scheduleData });
+}
+
+// Pricing, rules, opening times and contact details changed: re-render open pages
+async function broadcastContent() {
+    eventHub.broadcast('content', await getPublicContent());
+}
+
+// The schedule opens and closes the field, and notices start and end, without any write, so check every minute
+async function checkScheduledStatus() {
+    try {
+        if (eventHub.size === 0) return;
+        const statusData = await getPublicStatus();
+        if (JSON.stringify(statusData) !== lastBroadcastStatus) {
+            lastBroadcastStatus = JSON.stringify(statusData);
+            eventHub.broadcast('status', language => localizeStatus(statusData, language));
+        }
+    } catch (error) {
+        console.error('❌ Scheduled status check failed:', error);
+    }
+}
+
+// Admin auth middleware: loads the signed-in account and checks its role.
+// Page requests are sent to the login form, form posts get a JSON error.
+function requireAdmin(permission) {
+    return async (req, res, next) => {
+        try {
+            const username = req.session && req.session.username;
+            const { users } = username ? await readUsers() : { users: [] };
+            const user = users.find(account => account.username === username);
+
+            if (!user) {
+                req.session = null;
+                if (req.method === 'GET') return res.redirect('/admin/login');
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+            if (permission && !auth.can(user, permission)) {
+                return res.status(403).json({ error: 'Forbidden' });
+            }
+
+            req.user = user;
+            next();
+        } catch (error) {
+            res.status(500).json({ error: 'Authentication failed' });
+        }
+    };
+}
+
+// API Routes (notices and gallery descriptions follow ?lang=, the saved language or Accept-Language)
+app.get('/api/status', async (req, res) => {
+    try {
+        const statusData = await getPublicStatus();
+        countVisit(req, 'status');
+        res.json(localizeStatus(statusData, i18n.requestLanguage(req)));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get status' });
+    }
+});
+
+app.get('/api/events', async (req, res) => {
+    try {
+        const [statusData, galleryData, heroData] = await Promise.all([
+            getPublicStatus(), readGallery(), readHeroBackground()
+        ]);
+        const language = i18n.requestLanguage(req);
+        eventHub.subscribe(req, res, [
+            { event: 'status', data: localizeStatus(statusData, language) },
+            { event: 'gallery', data: localizeGallery(galleryData, language) },
+            { event: 'hero', data: heroData }
+        ], language);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to open event stream' });
+    }
+});
+
+app.get('/api/gallery', async (req, res) => {
+    try {
+        const galleryData = await readGallery();
+        res.json(localizeGallery(galleryData, i18n.requestLanguage(req)));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get gallery' });
+    }
+});
+
+// Site plan for the map in the location section (see lib/site-map)
+app.get('/api/site-map', async (req, res) => {
+    try {
+        const [siteMapData, scheduleData] = await Promise.all([readSiteMap(), readSchedule()]);
+        res.json(siteMap.publicSiteMap(siteMapData, scheduleData, i18n.requestLanguage(req)));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get site map' });
+    }
+});
+
+app.get('/api/hero-background', async (req, res) => {
+    try {
+        const heroData = await readHeroBackground();
+        res.json(heroData);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get hero background' });
+    }
+});
+
+app.get('/api/pricing', async (req, res) => {
+    try {
+        const pricingData = await readPricing();
+        res.json(pricingData);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get pricing' });
+    }
+});
+
+// Forecast badge for the next trading day, only when the owner has switched it on
+app.get('/api/weather', async (req, res) => {
+    try {
+        const settings = await readWeatherSettings();
+        const advisory = settings.showBadge ? await getWeatherAdvisory() : null;
+        if (!advisory || advisory.level === 'unknown') return res.json({ enabled: false });
+
+        res.json({
+            enabled: true,
+            date: advisory.date,
+            day: advisory.day,
+            level: advisory.level,
+            condition: advisory.condition,
+            warnings: advisory.flags.map(({ type, value }) => ({ type, value })),
+            fetchedAt: advisory.fetchedAt
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get forecast' });
+    }
+});
+
+// Rules, opening times, contact details and prices for the public page
+app.get('/api/content', async (req, res) => {
+    try {
+        res.json(await getPublicContent());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get content' });
+    }
+});
+
+// Web push subscriptions
+app.get('/api/push/public-key', (req, res) => {
+    if (!pushSender) return res.status(503).json({ error: 'Notifications unavailable' });
+    res.json({ publicKey: pushSender.publicKey, topics: push.TOPICS });
+});
+
+app.post('/api/push/subscribe', async (req, res) => {
+    try {
+        if (pushLimiter.retryAfter(req.ip)) {
+            return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+        }
+        pushLimiter.hit(req.ip);
+
+        const { subscription } = req.body;
+        const topics = push.normalizeTopics(req.body.topics);
+        if (!push.isValidSubscription(subscription, PUSH_ENDPOINTS)) {
+            return res.status(400).json({ error: 'Invalid subscription' });
+        }
+        if (topics.length === 0) {
+            return res.status(400).json({ error: 'Choose at least one type of alert' });
+        }
+
+        // One entry per browser: subscribing again just updates the topics. The
+        // keys stay as first sent, so knowing an endpoint is not enough to take it over.
+        const pushData = await readPushSubscriptions();
+        const existing = pushData.subscriptions.find(item => item.endpoint === subscription.endpoint);
+        if (existing) {
+            existing.topics = topics;
+            existing.updatedAt = new Date().toISOString();
+        } else {
+            if (pushData.subscriptions.length >= MAX_PUSH_SUBSCRIPTIONS) {
+                return res.status(503).json({ error: 'Alerts are not taking new sign-ups right now. Please try again later.' });
+            }
+            pushData.subscriptions.push({
+                endpoint: subscription.endpoint,
+                keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+                topics,
+                createdAt: new Date().toISOString()
+            });
+        }
+        await writePushSubscriptions(pushData);
+
+        res.json({ success: true, topics });
+    } catch (error) {
+        res.status(500).json({ error: 'Subscribe failed' });
+    }
+});
+
+app.post('/api/push/unsubscribe', async (req, res) => {
+    try {
+        if (pushLimiter.retryAfter(req.ip)) {
+            return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+        }
+        pushLimiter.hit(req.ip);
+
+        const pushData = await readPushSubscriptions();
+        pushData.subscriptions = pushData.subscriptions.filter(item => item.endpoint !== req.body.endpoint);
+        await writePushSubscriptions(pushData);
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Unsubscribe failed' });
+    }
+});
+
+// Page events from app.js: just the event name, nothing about who sent it
+app.post('/api/analytics', (req, res) => {
+    const event = req.body && req.body.event;
+    if (!analytics.EVENTS.includes(event)) {
+        return res.status(400).json({ error: 'Unknown event' });
+    }
+    if (!analyticsLimiter.retryAfter(req.ip) && !analytics.isBot(req.get('user-agent'))) {
+        analyticsLimiter.hit(req.ip);
+        analyticsCounter.record(event);
+    }
+    res.status(204).end();
+});
+
+// Seller pitch bookings
+// Bookings are changed one at a time: each check of the pitches left must see
+// every booking made before it, or two sellers could both get the last pitch
+let bookingsSave = Promise.resolve();
+
+function lockBookings(task) {
+    const run = bookingsSave.then(task);
+    bookingsSave = run.catch(() => {});
+    return run;
+}
+
+async function getBookingContext() {
+    const scheduleData = await readSchedule();
+    return {
+        pricingData: await readPricing(),
+        scheduleData,
+        bookingsData: await readBookings(),
+        today: schedule.getLocalParts(new Date(), scheduleData.timezone).date
+    };
+}
+
+app.get('/api/bookings/availability', async (req, res) => {
+    try {
+        const date = String(req.query.date || '');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        }
+
+        const context = await getBookingContext();
+        res.json(bookings.getAvailability({ ...context, date }));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get availability' });
+    }
+});
+
+app.post('/api/bookings', async (req, res) => {
+    try {
+        if (bookingLimiter.retryAfter(req.ip)) {
+            return res.status(429).json({ error: 'Too many booking requests. Please try again later.' });
+        }
+        bookingLimiter.hit(req.ip);
+
+        const { error, booking } = await lockBookings(async () => {
+            const context = await getBookingContext();
+            const created = bookings.createBooking(req.body, context);
+            if (created.booking) {
+                context.bookingsData.bookings.push(created.booking);
+                await writeBookings(context.bookingsData);
+            }
+            return created;
+        });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { reference, date, vehicleLabel, earlyEntry, price, priceFrom, status } = booking;
+        res.status(201).json({ success: true, booking: { reference, date, vehicleLabel, earlyEntry, price, priceFrom, status } });
+    } catch (error) {
+        res.status(500).json({ error: 'Booking failed' });
+    }
+});
+
+// Seller directory: approved profiles only, labels come from the page's messages
+app.get('/api/sellers', async (req, res) => {
+    try {
+        const sellersData = await readSellers();
+        res.json({ categories: sellers.CATEGORIES, days: sellers.DAYS, sellers: sellers.publicSellers(sellersData) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get sellers' });
+    }
+});
+
+// Sign-ups are counted before the photo is read, so a flood of uploads is
+// turned away without buffering them
+function limitSellerSignUps(req, res, next) {
+    if (sellerLimiter.retryAfter(req.ip)) {
+        return res.status(429).json({ error: 'Too many sign-ups. Please try again later.' });
+    }
+    sellerLimiter.hit(req.ip);
+    next();
+}
+
+// Profiles are changed one at a time, so a sign-up saved while an approval is
+// in flight (or the other way round) is not overwritten
+let sellersSave = Promise.resolve();
+
+function lockSellers(task) {
+    const run = sellersSave.then(task);
+    sellersSave = run.catch(() => {});
+    return run;
+}
+
+app.post('/api/sellers', limitSellerSignUps, uploadSellerPhoto.single('photo'), async (req, res) => {
+    try {
+        const { error, profile } = sellers.parseProfile(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (req.file) {
+            profile.photo = await processSellerPhoto(req.file);
+        }
+        const saved = await lockSellers(async () => {
+            const sellersData = await readSellers();
+            if (sellersData.sellers.filter(seller => seller.status === 'pending').length >= sellers.MAX_PENDING) {
+                return false;
+            }
+            sellersData.sellers.push(profile);
+            await writeSellers(sellersData);
+            return true;
+        });
+        if (!saved) {
+            await images.removeImageFiles(blobs, SELLER_FOLDER, profile.photo);
+            return res.status(503).json({ error: 'We are not taking new profiles right now. Please try again later.' });
+        }
+
+        res.status(201).json({ success: true, seller: { id: profile.id, stallName: profile.stallName, status: profile.status } });
+    } catch (error) {
+        if (error instanceof images.InvalidImageError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Sign-up failed' });
+    }
+});
+
+// Lost property board: open entries until they are claimed or expire
+async function siteToday() {
+    return schedule.getLocalParts(new Date(), (await readSchedule()).timezone).date;
+}
+
+app.get('/api/lost-found', async (req, res) => {
+    try {
+        const lostFoundData = await readLostFound();
+        res.json({ ...lostFound.publicBoard(lostFoundData), listingDays: lostFound.LISTING_DAYS });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get lost property' });
+    }
+});
+
+// Lost property entries are changed one at a time, so a visitor's report and
+// a claim made at the same moment do not overwrite each other
+let lostFoundSave = Promise.resolve();
+
+function lockLostFound(task) {
+    const run = lostFoundSave.then(task);
+    lostFoundSave = run.catch(() => {});
+    return run;
+}
+
+// Checked every hour: contact details go once a report has expired
+async function forgetExpiredLostReports() {
+    try {
+        const forgotten = await lockLostFound(async () => {
+            const { data, forgotten: count } = lostFound.forgetExpiredContacts(await readLostFound());
+            if (count) await writeLostFound(data);
+            return count;
+        });
+        if (forgotten) console.log(`🧹 Contact details cleared from ${forgotten} expired lost report(s)`);
+    } catch (error) {
+        console.error('❌ Clearing expired lost reports failed:', error);
+    }
+}
+
+app.post('/api/lost-found', async (req, res) => {
+    try {
+        if (lostReportLimiter.retryAfter(req.ip)) {
+            return res.status(429).json({ error: 'Too many reports. Please try again later.' });
+        }
+        lostReportLimiter.hit(req.ip);
+
+        const { error, item } = lostFound.parseLostReport(req.body, { today: await siteToday() });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const saved = await lockLostFound(async () => {
+            const { data } = lostFound.forgetExpiredContacts(await readLostFound());
+            if (lostFound.openReports(data) >= lostFound.MAX_OPEN_REPORTS) return false;
+            data.items.push(item);
+            await writeLostFound(data);
+            return true;
+        });
+        if (!saved) {
+            return res.status(503).json({ error: 'We are not taking new reports right now. Please try again later.' });
+        }
+
+        res.status(201).json({ success: true, report: { id: item.id, description: item.description, expiresAt: item.expiresAt } });
+    } catch (error) {
+        res.status(500).json({ error: 'Report failed' });
+    }
+});
+
+// Enquiries are changed one at a time, so a new message, a forward result and
+// an inbox change saved at the same moment do not overwrite each other
+let enquiriesSave = Promise.resolve();
+
+function lockEnquiries(task) {
+    const run = enquiriesSave.then(task);
+    enquiriesSave = run.catch(() => {});
+    return run;
+}
+
+// Mail queue: enquiries with a forward that is due are sent one at a time, so a
+// new enquiry does not bring the retries of earlier failures forward. A flush
+// asked for while a pass is running gets a pass of its own once that one ends,
+// as the running pass read the queue before the new work was added.
+let mailQueueRun = null;
+let mailQueueAgain = false;
+
+function flushMailQueue() {
+    if (!mailTransport) return Promise.resolve();
+    if (mailQueueRun) {
+        mailQueueAgain = true;
+        return mailQueueRun;
+    }
+    mailQueueRun = (async () => {
+        do {
+            mailQueueAgain = false;
+            await sendQueuedMail().catch(error => console.error('❌ Mail queue failed:', error));
+        } while (mailQueueAgain);
+    })().finally(() => { mailQueueRun = null; });
+    return mailQueueRun;
+}
+
+async function sendQueuedMail() {
+    const queued = (await readEnquiries()).enquiries.filter(enquiry => enquiries.forwardDue(enquiry));
+    if (queued.length === 0) return;
+
+    const to = process.env.MAIL_TO || (await readContent()).contact.email;
+    const t = i18n.translator(i18n.DEFAULT_LANGUAGE);
+    for (const enquiry of queued) {
+        let forward;
+        try {
+            await mailTransport.send(enquiries.forwardMessage(enquiry, { to, categoryLabel: t(`site.contact.category.${enquiry.category}`) }));
+            forward = { status: 'sent', attempts: enquiry.forward.attempts + 1, sentAt: new Date().toISOString() };
+            console.log(`📧 Enquiry forwarded to ${to}`);
+        } catch (error) {
+            forward = enquiries.failedForward(enquiry.forward, error);
+            console.error('❌ Failed to forward enquiry:', error.message);
+        }
+
+        await lockEnquiries(async () => {
+            const current = await readEnquiries();
+            const stored = current.enquiries.find(item => item.id === enquiry.id);
+            if (!stored) return;
+            stored.forward = forward;
+            await writeEnquiries(current);
+        });
+    }
+}
+
+app.post('/api/contact', async (req, res) => {
+    try {
+        if (contactLimiter.retryAfter(req.ip)) {
+            return res.status(429).json({ error: 'Too many messages. Please try again later, or give us a call.' });
+        }
+        contactLimiter.hit(req.ip);
+
+        // Bots get the same answer as people, so they have no reason to try again
+        if (enquiries.isSpam(req.body)) {
+            return res.status(201).json({ success: true });
+        }
+
+        const { error, enquiry } = enquiries.parseEnquiry(req.body, { forward: !!mailTransport });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await lockEnquiries(async () => {
+            const enquiriesData = await readEnquiries();
+            enquiriesData.enquiries.push(enquiry);
+            await writeEnquiries(enquiriesData);
+        });
+        flushMailQueue();
+
+        res.status(201).json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Sending failed' });
+    }
+});
+
+app.post('/admin/bookings/status', requireAdmin('bookings'), async (req, res) => {
+    try {
+        const { reference, status } = req.body;
+        if (!bookings.STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Unknown status' });
+        }
+
+        const result = await lockBookings(async () => {
+            const bookingsData = await readBookings();
+            const found = bookingsData.bookings.find(item => item.reference === reference);
+            if (!found) return null;
+
+            const previous = found.status;
+            found.status = status;
+            found.updatedAt = new Date().toISOString();
+            await writeBookings(bookingsData);
+            return { booking: found, before: previous };
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const { booking, before } = result;
+        await recordAudit(req, 'booking.status', {
+            before: { reference, status: before },
+            after: { reference, status }
+        });
+
+        res.json({ success: true, booking });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.post('/admin/weather', requireAdmin('weather'), async (req, res) => {
+    try {
+        const thresholds = {};
+        for (const field of Object.keys(weather.DEFAULT_SETTINGS.thresholds)) {
+            const value = String(req.body[field] ?? '').trim();
+            // Left blank: that check is switched off
+            if (value === '') {
+                thresholds[field] = null;
+                continue;
+            }
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < 0) {
+                return res.status(400).json({ error: 'Thresholds must be positive numbers' });
+            }
+            thresholds[field] = number;
+        }
+
+        const current = await readWeatherSettings();
+        const settings = await writeWeatherSettings({
+            ...current,
+            thresholds,
+            showBadge: req.body.showBadge === 'on' || req.body.showBadge === 'true'
+        });
+        await recordAudit(req, 'weather.update', { before: current, after: settings });
+
+        res.json({ success: true, weather: settings });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.post('/admin/content', requireAdmin('content'), async (req, res) => {
+    try {
+        if (schedule.toMinutes(req.body.sellersRemainUntil) === null) {
+            return res.status(400).json({ error: 'Sellers must remain until: time must be HH:MM' });
+        }
+
+        let update;
+        try {
+            update = {
+                rules: {
+                    sellers: content.parseList(req.body.sellerRules, 'Seller guidelines'),
+                    buyers: content.parseList(req.body.buyerRules, 'Buyer guidelines'),
+                    prohibited: content.parseList(req.body.prohibitedItems, 'Prohibited items')
+                },
+                sellersRemainUntil: req.body.sellersRemainUntil,
+                openingNotes: content.parseList(req.body.openingNotes, 'Opening notes'),
+                contact: content.parseContact(req.body)
+            };
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const current = await readContent();
+        const contentData = await writeContent({ ...current, ...update });
+        await recordAudit(req, 'content.update', { before: current, after: contentData });
+
+        res.json({ success: true, content: contentData });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.post('/admin/pricing', requireAdmin('content'), async (req, res) => {
+    try {
+        const times = ['earlyFrom', 'earlyTo', 'regularFrom', 'regularTo'];
+        if (times.some(field => schedule.toMinutes(req.body[field]) === null)) {
+            return res.status(400).json({ error: 'Times must be HH:MM' });
+        }
+        const earlyFee = pricing.parsePounds(req.body.earlyFee);
+        if (earlyFee === null) {
+            return res.status(400).json({ error: 'Early entry fee must be an amount like 2.00' });
+        }
+
+        let days;
+        let buyers;
+        try {
+            days = {
+                saturday: pricing.parsePitchLines(req.body.saturdayPitches),
+                sunday: pricing.parsePitchLines(req.body.sundayPitches)
+            };
+            buyers = pricing.parseBuyerLines(req.body.buyerTickets);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const current = await readPricing();
+        const pricingData = await writePricing({
+            ...current,
+            sellers: {
+                ...current.sellers,
+                earlyEntry: { from: req.body.earlyFrom, to: req.body.earlyTo, fee: earlyFee },
+                regularEntry: { from: req.body.regularFrom, to: req.body.regularTo },
+                days
+            },
+            buyers
+        });
+        await recordAudit(req, 'pricing.update', { before: current, after: pricingData });
+
+        res.json({ success: true, pricing: pricingData });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.post('/admin/site-map', requireAdmin('content'), async (req, res) => {
+    try {
+        let features;
+        try {
+            features = siteMap.parseFeatureLines(req.body.features);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const current = await readSiteMap();
+        const siteMapData = await writeSiteMap({ ...current, features });
+        await recordAudit(req, 'sitemap.update', { before: current, after: siteMapData });
+
+        res.json({ success: true, siteMap: siteMapData });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.post('/admin/bookings/capacity', requireAdmin('bookings'), async (req, res) => {
+    try {
+        const capacity = {};
+        for (const day of Object.keys(bookings.DEFAULT_CAPACITY)) {
+            const value = Number(req.body[day]);
+            if (!Number.isInteger(value) || value < 0) {
+                return res.status(400).json({ error: 'Capacity must be a whole number' });
+            }
+            capacity[day] = value;
+        }
+
+        const before = await lockBookings(async () => {
+            const bookingsData = await readBookings();
+            const previous = bookingsData.capacity;
+            bookingsData.capacity = capacity;
+            await writeBookings(bookingsData);
+            return previous;
+        });
+        await recordAudit(req, 'booking.capacity', { before, after: capacity });
+
+        res.json({ success: true, capacity });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.get('/admin/bookings/export', requireAdmin('bookings'), async (req, res) => {
+    try {
+        const { date } = req.query;
+        const bookingsData = await readBookings();
+        const selected = bookingsData.bookings
+            .filter(booking => !date || booking.date === date)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="bookings${date ? '-' + date.replace(/[^0-9-]/g, '') : ''}.csv"`);
+        res.send(bookings.toCsv(selected));
+    } catch (error) {
+        res.status(500).json({ error: 'Export failed' });
+    }
+});
+
+// Seller profile moderation: pending profiles are approved or hidden, or deleted with their photo
+app.post('/admin/sellers/status', requireAdmin('sellers'), async (req, res) => {
+    try {
+        const { id, status } = req.body;
+        if (!sellers.STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Unknown status' });
+        }
+
+        const result = await lockSellers(async () => {
+            const sellersData = await readSellers();
+            const seller = sellersData.sellers.find(item => item.id === id);
+            if (!seller) return null;
+
+            const before = seller.status;
+            seller.status = status;
+            seller.updatedAt = new Date().toISOString();
+            await writeSellers(sellersData);
+            return { seller, before };
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Seller not found' });
+        }
+
+        const { seller, before } = result;
+        await recordAudit(req, 'seller.status', {
+            before: { id, stallName: seller.stallName, status: before },
+            after: { id, stallName: seller.stallName, status }
+        });
+
+        res.json({ success: true, seller });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.post('/admin/sellers/delete', requireAdmin('sellers'), async (req, res) => {
+    try {
+        const seller = await lockSellers(async () => {
+            const sellersData = await readSellers();
+            const found = sellersData.sellers.find(item => item.id === req.body.id);
+            if (!found) return null;
+
+            sellersData.sellers = sellersData.sellers.filter(item => item !== found);
+            await writeSellers(sellersData);
+            return found;
+        });
+        if (!seller) {
+            return res.status(404).json({ error: 'Seller not found' });
+        }
+
+        await images.removeImageFiles(blobs, SELLER_FOLDER, seller.photo);
+        await recordAudit(req, 'seller.delete', { before: seller });
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Delete failed' });
+    }
+});
+
+// Lost property: staff log found items (photo optional) and mark entries as claimed
+app.post('/admin/lost-found', requireAdmin('lostfound'), uploadLostFound.single('photo'), security.verifyCsrf, async (req, res) => {
+    try {
+        const { error, item } = lostFound.parseFoundItem(req.body, { today: await siteToday() });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (req.file) {
+            item.photo = await processLostFoundPhoto(req.file);
+        }
+        item.loggedBy = req.user.username;
+
+        await lockLostFound(async () => {
+            const lostFoundData = await readLostFound();
+            lostFoundData.items.push(item);
+            await writeLostFound(lostFoundData);
+        });
+        await recordAudit(req, 'lostfound.add', { after: item });
+
+        res.json({ success: true, item });
+    } catch (error) {
+        if (error instanceof images.InvalidImageError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.post('/admin/lost-found/claim', requireAdmin('lostfound'), async (req, res) => {
+    try {
+        const result = await lockLostFound(async () => {
+            const lostFoundData = await readLostFound();
+            const item = lostFoundData.items.find(entry => entry.id === req.body.id);
+            if (!item) return null;
+
+            const before = { id: item.id, description: item.description, status: item.status };
+            item.status = 'claimed';
+            item.claimedAt = new Date().toISOString();
+            await writeLostFound(lostFoundData);
+            return { item, before };
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        const { item, before } = result;
+        await recordAudit(req, 'lostfound.claim', { before, after: { ...before, status: item.status } });
+
+        res.json({ success: true, item });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.post('/admin/lost-found/delete', requireAdmin('lostfound'), async (req, res) => {
+    try {
+        const item = await lockLostFound(async () => {
+            const lostFoundData = await readLostFound();
+            const found = lostFoundData.items.find(entry => entry.id === req.body.id);
+            if (!found) return null;
+
+            lostFoundData.items = lostFoundData.items.filter(entry => entry !== found);
+            await writeLostFound(lostFoundData);
+            return found;
+        });
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        await images.removeImageFiles(blobs, LOST_FOUND_FOLDER, item.photo);
+        await recordAudit(req, 'lostfound.delete', { before: item });
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Delete failed' });
+    }
+});
+
+// Upload routes
+// Gallery changes are saved one at a time. Images are processed before the
+// lock, which can take seconds, and the gallery is read again inside it, so a
+// reorder or caption saved meanwhile is kept and two uploads both land.
+let gallerySave = Promise.resolve();
+
+function lockGallery(task) {
+    const run = gallerySave.then(task);
+    gallerySave = run.catch(() => {});
+    return run;
+}
+
+app.post('/admin/upload-gallery', requireAdmin('gallery'), uploadGallery.single('image'), security.verifyCsrf, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        // Checked again once the image is processed; this spares the work when already full
+        const { images: current, maxImages } = await readGallery();
+        if (current.length >= maxImages) {
+            return res.status(400).json({ error: `Gallery full (${maxImages} max)` });
+        }
+
+        const processed = await processGalleryImage(req.file);
+        const imageData = {
+            id: crypto.randomUUID(),
+            ...processed,
+            originalName: req.file.originalname,
+            description: req.body.description || '',
+            descriptionCy: req.body.descriptionCy || '',
+            uploadedAt: new Date().toISOString()
+        };
+
+        const full = await lockGallery(async () => {
+            const galleryData = await readGallery();
+            if (galleryData.images.length >= galleryData.maxImages) return galleryData.maxImages;
+            galleryData.images.push(imageData);
+            await writeGallery(galleryData);
+            return null;
+        });
+        if (full) {
+            await images.removeImageFiles(blobs, GALLERY_FOLDER, imageData);
+            return res.status(400).json({ error: `Gallery full (${full} max)` });
+        }
+        await recordAudit(req, 'gallery.upload', { after: imageData });
+
+        res.json({ success: true, image: imageData });
+    } catch (error) {
+        if (error instanceof images.InvalidImageError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Upload failed' });
+    }
+});
+
+// Gallery management
+app.post('/admin/gallery/delete', requireAdmin('gallery'), async (req, res) => {
+    try {
+        const image = await lockGallery(async () => {
+            const galleryData = await readGallery();
+            const found = galleryData.images.find(item => item.id === req.body.id);
+            if (!found) return null;
+
+            galleryData.images = galleryData.images.filter(item => item !== found);
+            await writeGallery(galleryData);
+            return found;
+        });
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        await images.removeImageFiles(blobs, GALLERY_FOLDER, image);
+        await recordAudit(req, 'gallery.delete', { before: image });
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Delete failed' });
+    }
+});
+
+app.post('/admin/gallery/reorder', requireAdmin('gallery'), async (req, res) => {
+    try {
+        // Accepts a JSON array or a comma-separated list of image ids
+        const order = Array.isArray(req.body.order)
+            ? req.body.order
+            : String(req.body.order || '').split(',').filter(Boolean);
+
+        const result = await lockGallery(async () => {
+            const galleryData = await readGallery();
+            const currentIds = galleryData.images.map(item => item.id);
+            if (order.length !== currentIds.length || !currentIds.every(id => order.includes(id))) return null;
+
+            galleryData.images = order.map(id => galleryData.images.find(item => item.id === id));
+            await writeGallery(galleryData);
+            return { currentIds, galleryData };
+        });
+        if (!result) {
+            return res.status(400).json({ error: 'Order must list every gallery image exactly once' });
+        }
+
+        await recordAudit(req, 'gallery.reorder', { before: result.currentIds, after: order });
+
+        res.json({ success: true, images: result.galleryData.images });
+    } catch (error) {
+        res.status(500).json({ error: 'Reorder failed' });
+    }
+});
+
+app.post('/admin/gallery/update', requireAdmin('gallery'), async (req, res) => {
+    try {
+        const result = await lockGallery(async () => {
+            const galleryData = await readGallery();
+            const image = galleryData.images.find(item => item.id === req.body.id);
+            if (!image) return null;
+
+            const before = { id: image.id, description: image.description, descriptionCy: image.descriptionCy || '' };
+            image.description = req.body.description || '';
+            image.descriptionCy = req.body.descriptionCy || '';
+            await writeGallery(galleryData);
+            return { image, before };
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        const { image, before } = result;
+        await recordAudit(req, 'gallery.caption', {
+            before,
+            after: { id: image.id, description: image.description, descriptionCy: image.descriptionCy }
+        });
+
+        res.json({ success: true, image });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.post('/admin/gallery/replace', requireAdmin('gallery'), uploadGallery.single('image'), security.verifyCsrf, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        if (!(await readGallery()).images.some(item => item.id === req.body.id)) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        const processed = await processGalleryImage(req.file);
+        const result = await lockGallery(async () => {
+            const galleryData = await readGallery();
+            const index = galleryData.images.findIndex(item => item.id === req.body.id);
+            if (index === -1) return null;
+
+            const previous = galleryData.images[index];
+            const image = {
+                ...previous,
+                ...processed,
+                originalName: req.file.originalname,
+                uploadedAt: new Date().toISOString()
+            };
+            galleryData.images[index] = image;
+            await writeGallery(galleryData);
+            return { previous, image };
+        });
+        // Deleted while the new file was being processed
+        if (!result) {
+            await images.removeImageFiles(blobs, GALLERY_FOLDER, processed);
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        const { previous, image } = result;
+        await images.removeImageFiles(blobs, GALLERY_FOLDER, previous);
+        await recordAudit(req, 'gallery.replace', { before: previous, after: image });
+
+        res.json({ success: true, image });
+    } catch (error) {
+        if (error instanceof images.InvalidImageError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Replace failed' });
+    }
+});
+
+app.post('/admin/gallery/settings', requireAdmin('gallery'), async (req, res) => {
+    try {
+        const maxImages = Number(req.body.maxImages);
+        if (!Number.isInteger(maxImages) || maxImages < 1 || maxImages > GALLERY_MAX_LIMIT) {
+            return res.status(400).json({ error: `Maximum must be a whole number from 1 to ${GALLERY_MAX_LIMIT}` });
+        }
+
+        const before = await lockGallery(async () => {
+            const galleryData = await readGallery();
+            const previous = galleryData.maxImages;
+            galleryData.maxImages = maxImages;
+            await writeGallery(galleryData);
+            return previous;
+        });
+        await recordAudit(req, 'gallery.settings', { before: { maxImages: before }, after: { maxImages } });
+
+        res.json({ success: true, maxImages });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.post('/admin/upload-hero', requireAdmin('hero'), uploadHero.single('image'), security.verifyCsrf, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const previous = await readHeroBackground();
+        const heroData = {
+            ...(await processHeroImage(req.file)),
+            originalName: req.file.originalname,
+            uploadedAt: new Date().toISOString()
+        };
+
+        // Earlier hero images stay on disk so the history page can restore them
+        await writeHeroBackground(heroData);
+        await recordAudit(req, 'hero.upload', { before: previous, after: heroData });
+        res.json({ success: true, hero: heroData });
+    } catch (error) {
+        if (error instanceof images.InvalidImageError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Upload failed' });
+    }
+});
+
+app.post('/admin/update-status', requireAdmin('status'), async (req, res) => {
+    try {
+        // "auto" follows the schedule; true/false overrides it for the rest of today
+        const { status } = req.body;
+        let override = null;
+        if (status !== 'auto' && status !== undefined && status !== '') {
+            const scheduleData = await readSchedule();
+            override = {
+                status: status === 'true' || status === true,
+                date: schedule.getLocalParts(new Date(), scheduleData.timezone).date
+            };
+        }
+
+        // Optional phone alert to subscribers of the chosen topic, checked before anything is saved
+        const notify = req.body.notify && auth.can(req.user, 'notify') && pushSender;
+        const topic = push.normalizeTopics(req.body.notifyTopic)[0];
+        const message = (req.body.notifyMessage || '').trim();
+        if (notify && (!topic || !message)) {
+            return res.status(400).json({ error: 'Choose an alert type and enter a message to send' });
+        }
+
+        const previous = await readStatus();
+        const statusData = await writeStatus({ ...previous, override });
+        await recordAudit(req, 'status.update', {
+            before: { override: previous.override },
+            after: { override: statusData.override }
+        });
+
+        let notification = null;
+        if (notify) {
+            notification = await notifySubscribers(topic, {
+                title: 'Rhyl Car Boot',
+                body: message,
+                topic,
+                url: '/'
+            });
+            await recordAudit(req, 'notify.send', { after: { topic, message, ...notification } });
+        }
+        
+        res.json({ success: true, data: statusData, notification });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+// Notices: gate staff can post and take down notices as well as change the status
+app.post('/admin/notices', requireAdmin('status'), async (req, res) => {
+    try {
+        const scheduleData = await readSchedule();
+        let notice;
+        try {
+            notice = notices.parseNotice(req.body, { timezone: scheduleData.timezone });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const current = await readStatus();
+        const list = notices.pruneNotices([...current.notices, notice]);
+        if (list.length > notices.MAX_NOTICES) {
+            return res.status(400).json({ error: `At most ${notices.MAX_NOTICES} notices - remove some old ones first` });
+        }
+
+        const statusData = await writeStatus({ ...current, notices: list });
+        await recordAudit(req, 'notice.add', { before: { notices: current.notices }, after: { notices: statusData.notices } });
+        res.json({ success: true, notice });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to add notice' });
+    }
+});
+
+// "End now" keeps the notice in the list as ended; delete removes it
+app.post('/admin/notices/end', requireAdmin('status'), async (req, res) => {
+    try {
+        const current = await readStatus();
+        const notice = current.notices.find(item => item.id === req.body.id);
+        if (!notice) return res.status(404).json({ error: 'Notice not found' });
+        if (notices.noticeState(notice) === 'ended') return res.status(400).json({ error: 'That notice has already ended' });
+
+        const now = new Date().toISOString();
+        const list = current.notices.map(item => item.id === notice.id
+            ? { ...item, startsAt: item.startsAt && item.startsAt < now ? item.startsAt : now, endsAt: now }
+            : item);
+        const statusData = await writeStatus({ ...current, notices: list });
+        await recordAudit(req, 'notice.end', { before: { notices: current.notices }, after: { notices: statusData.notices } });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to end notice' });
+    }
+});
+
+app.post('/admin/notices/delete', requireAdmin('status'), async (req, res) => {
+    try {
+        const current = await readStatus();
+        if (!current.notices.some(item => item.id === req.body.id)) {
+            return res.status(404).json({ error: 'Notice not found' });
+        }
+
+        const statusData = await writeStatus({ ...current, notices: current.notices.filter(item => item.id !== req.body.id) });
+        await recordAudit(req, 'notice.delete', { before: { notices: current.notices }, after: { notices: statusData.notices } });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete notice' });
+    }
+});
+
+app.post('/admin/update-schedule', requireAdmin('schedule'), async (req, res) => {
+    try {
+        const times = ['saturdayOpen', 'saturdayClose', 'sundayOpen', 'sundayClose'];
+        if (times.some(field => schedule.toMinutes(req.body[field]) === null)) {
+            return res.status(400).json({ error: 'Times must be HH:MM' });
+        }
+        for (const day of ['saturday', 'sunday']) {
+            if (schedule.toMinutes(req.body[`${day}Open`]) >= schedule.toMinutes(req.body[`${day}Close`])) {
+                return res.status(400).json({ error: `${day === 'saturday' ? 'Saturday' : 'Sunday'} opening time must be before closing time` });
+            }
+        }
+        if (![req.body.seasonStart, req.body.seasonEnd].every(schedule.isMonthDay)) {
+            return res.status(400).json({ error: 'Season dates must be real dates as MM-DD' });
+        }
+
+        let exceptions;
+        try {
+            exceptions = schedule.parseExceptions(req.body.exceptions);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const current = await readSchedule();
+        const scheduleData = await writeSchedule({
+            ...current,
+            weekly: {
+                saturday: { open: req.body.saturdayOpen, close: req.body.saturdayClose },
+                sunday: { open: req.body.sundayOpen, close: req.body.sundayClose }
+            },
+            season: { start: req.body.seasonStart, end: req.body.seasonEnd },
+            exceptions
+        });
+        await recordAudit(req, 'schedule.update', { before: current, after: scheduleData });
+
+        res.json({ success: true, schedule: scheduleData });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+// Shared by the admin panel and the login page
+const ADMIN_STYLES = `
+        body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; background: #f5f5f5; }
+        .container { background: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        h1 { color: #21808D; text-align: center; margin-bottom: 30px; }
+        .section { margin-bottom: 30px; padding: 20px; border: 1px solid #ddd; border-radius: 5px; background: #fafafa; }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        input, textarea, select { width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+        button { background: #21808D; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; }
+        button:hover { background: #1d6f7a; }
+        .status-current { font-size: 18px; padding: 10px; text-align: center; border-radius: 4px; margin-bottom: 15px; }
+        .status-open { background: #d4edda; color: #155724; }
+        .status-closed { background: #f8d7da; color: #721c24; }
+        .weather-advisory { margin-top: 15px; padding: 12px 15px; border-radius: 5px; background: #eef6f7; }
+        .weather-advisory ul { margin: 8px 0; }
+        .weather-advisory small { display: block; color: #666; margin-top: 5px; }
+        .weather-warning { background: #fff3cd; color: #856404; }
+        .admin-bar { display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; }
+        .admin-bar form { margin: 0; }
+        .error { background: #f8d7da; color: #721c24; padding: 10px; border-radius: 4px; margin-bottom: 15px; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 15px; }
+        th, td { text-align: left; padding: 6px; border-bottom: 1px solid #ddd; }
+        .gallery-list { list-style: none; padding: 0; }
+        .gallery-entry { display: flex; gap: 10px; align-items: flex-start; padding: 10px; margin-bottom: 10px; background: white; border: 1px solid #ddd; border-radius: 4px; }
+        .gallery-entry.dragging { opacity: 0.5; }
+        .gallery-entry img { width: 120px; height: 90px; object-fit: cover; border-radius: 4px; }
+        .gallery-entry__forms { flex: 1; }
+        .gallery-entry__forms form { display: flex; gap: 5px; margin-bottom: 5px; }
+        .drag-handle { cursor: move; font-size: 20px; color: #999; }
+        button.danger { background: #c0152f; }
+        .inline-form { display: flex; gap: 10px; align-items: center; flex-wrap: wrap; margin-bottom: 15px; }
+        .inline-form input { width: auto; }
+        td form { margin: 0 0 4px 0; }
+        .hidden { display: none; }
+        .section-message { padding: 10px; border-radius: 4px; margin-bottom: 15px; }
+        .message-success { background: #d4edda; color: #155724; }
+        .message-error { background: #f8d7da; color: #721c24; }
+        .upload-progress { display: block; width: 100%; margin-top: 10px; }
+        button:disabled { opacity: 0.6; cursor: wait; }
+        .thumbnail { display: block; max-width: 240px; max-height: 135px; object-fit: cover; border-radius: 4px; margin-bottom: 15px; }
+        .file-preview { display: block; width: 120px; height: 90px; object-fit: cover; border-radius: 4px; margin-top: 8px; }
+        .public-preview { background: linear-gradient(135deg, #21808D 0%, #1d6f7a 100%) center / cover; color: white; text-align: center; padding: 30px 15px; border-radius: 5px; }
+        .public-preview.preview-unsaved { outline: 3px dashed #f5c542; outline-offset: 3px; }
+        .preview-status { display: inline-block; padding: 10px 20px; border-radius: 25px; font-weight: bold; border: 2px solid; margin-bottom: 15px; }
+        .preview-status.open { background: #28a745; border-color: #28a745; }
+        .preview-status.closed { background: #dc3545; border-color: #dc3545; }
+        .preview-notice { background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; padding: 12px; margin: 0 auto 10px; max-width: 500px; }
+        .preview-notice.notice-warning { background: #f5c542; border-color: #f5c542; color: #3d2f00; }
+        .preview-notice.notice-cancellation { background: #8b1e2b; border-color: #8b1e2b; }
+        .preview-draft { outline: 2px dashed #f5c542; }
+        .notice-tag { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; background: #e2e2e2; color: #333; }
+        .notice-tag.notice-info { background: #e2f0f2; color: #1d6f7a; }
+        .notice-tag.notice-warning { background: #fff3cd; color: #856404; }
+        .notice-tag.notice-cancellation { background: #f8d7da; color: #721c24; }
+        .notice-row--ended td { color: #888; }
+        .preview-title { font-size: 1.3rem; font-weight: bold; margin: 0; }
+`;
+
+// Messages admin.js needs: its own, plus the status texts for the preview
+const ADMIN_CLIENT_MESSAGES = ['admin.client.', 'app.status.'];
+const GATE_CLIENT_MESSAGES = ['admin.gate.client.'];
+
+const LOGIN_ERRORS = {
+    invalid: 'admin.login.invalid',
+    locked: 'admin.login.locked'
+};
+
+// Admin pages follow ?lang= (remembered for next time), then the saved or browser language
+function adminLanguage(req, res) {
+    const language = i18n.requestLanguage(req);
+    if (i18n.normalizeLanguage(req.query.lang)) i18n.rememberLanguage(res, language);
+    return language;
+}
+
+// "Cymraeg" / "English" link back to the same admin page in the other language
+function adminLanguageLink(req, language) {
+    const other = language === 'cy' ? 'en' : 'cy';
+    const query = new URLSearchParams({ ...req.query, lang: other });
+    return `<a href="${escapeHtml(`${req.path}?${query}`)}" lang="${other}" hreflang="${other}">${i18n.LANGUAGES[other].name}</a>`;
+}
+
+// Login and logout
+app.get('/admin/login', (req, res) => {
+    if (req.session && req.session.username) return res.redirect('/admin');
+
+    const language = adminLanguage(req, res);
+    const t = i18n.translator(language);
+    const error = LOGIN_ERRORS[req.query.error];
+    res.send(`<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('admin.login.title')}</title>
+    <style>${ADMIN_STYLES}    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${t('admin.login.heading')}</h1>
+        <p>${adminLanguageLink(req, language)}</p>
+        ${error ? `<div class="error">${t(error)}</div>` : ''}
+        <form method="POST" action="/admin/login">
+            ${csrfField(req)}
+            <div class="form-group">
+                <label>${t('admin.login.username')}</label>
+                <input type="text" name="username" autocomplete="username" autocapitalize="none" required>
+            </div>
+            <div class="form-group">
+                <label>${t('admin.login.password')}</label>
+                <input type="password" name="password" autocomplete="current-password" required>
+            </div>
+            <button type="submit">${t('admin.login.submit')}</button>
+        </form>
+        <p><a href="${i18n.LANGUAGES[language].path}">${t('admin.backToSite')}</a></p>
+    </div>
+</body>
+</html>`);
+});
+
+app.post('/admin/login', async (req, res) => {
+    try {
+        const key = req.ip;
+        if (loginLimiter.retryAfter(key)) {
+            return res.redirect('/admin/login?error=locked');
+        }
+
+        const username = auth.normalizeUsername(req.body.username);
+        const { users } = await readUsers();
+        const user = users.find(account => account.username === username);
+
+        if (!user || !(await auth.verifyPassword(req.body.password, user.passwordHash))) {
+            loginLimiter.hit(key);
+            await recordAudit(req, 'login.failed', { user: username || null });
+            return res.redirect('/admin/login?error=invalid');
+        }
+
+        loginLimiter.reset(key);
+        // New session (and CSRF token) on login
+        req.session = { username: user.username };
+        await recordAudit(req, 'login', { user: user.username });
+        res.redirect('/admin');
+    } catch (error) {
+        res.status(500).send('Login error');
+    }
+});
+
+app.post('/admin/logout', async (req, res) => {
+    if (req.session && req.session.username) {
+        await recordAudit(req, 'logout', { user: req.session.username });
+    }
+    req.session = null;
+    res.redirect('/admin/login');
+});
+
+// Account management
+app.post('/admin/users', requireAdmin('users'), async (req, res) => {
+    try {
+        const username = auth.normalizeUsername(req.body.username);
+        const { password, role } = req.body;
+
+        if (!/^[a-z0-9._-]{2,32}$/.test(username)) {
+            return res.status(400).json({ error: 'Username must be 2-32 letters, numbers, dots, dashes or underscores' });
+        }
+        if (!auth.ROLES[role]) {
+            return res.status(400).json({ error: 'Unknown role' });
+        }
+        if (!password || password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        const usersData = await readUsers();
+        if (usersData.users.some(account => account.username === username)) {
+            return res.status(400).json({ error: 'Username already exists' });
+        }
+
+        const user = {
+            username,
+            passwordHash: await auth.hashPassword(password),
+            role,
+            createdAt: new Date().toISOString()
+        };
+        usersData.users.push(user);
+        await writeUsers(usersData);
+        await recordAudit(req, 'user.create', { after: { username, role } });
+
+        res.json({ success: true, user: { username, role } });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+app.post('/admin/users/delete', requireAdmin('users'), async (req, res) => {
+    try {
+        const username = auth.normalizeUsername(req.body.username);
+        if (username === req.user.username) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+
+        const usersData = await readUsers();
+        const remaining = usersData.users.filter(account => account.username !== username);
+        if (remaining.length === usersData.users.length) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const removed = usersData.users.find(account => account.username === username);
+        await writeUsers({ ...usersData, users: remaining });
+        await recordAudit(req, 'user.delete', { before: { username, role: removed.role } });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+app.post('/admin/change-password', requireAdmin(), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        if (!(await auth.verifyPassword(currentPassword, req.user.passwordHash))) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        if (!newPassword || newPassword.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        const usersData = await readUsers();
+        const user = usersData.users.find(account => account.username === req.user.username);
+        user.passwordHash = await auth.hashPassword(newPassword);
+        await writeUsers(usersData);
+        await recordAudit(req, 'user.password', { after: { username: user.username } });
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// Enquiry inbox: contact form messages, newest first, with read/replied state and how forwarding went
+app.get('/admin/inbox', requireAdmin('inbox'), async (req, res) => {
+    try {
+        const language = adminLanguage(req, res);
+        const t = i18n.translator(language);
+        const timeFormat = new Intl.DateTimeFormat(i18n.LANGUAGES[language].locale, {
+            timeZone: schedule.DEFAULT_SCHEDULE.timezone, dateStyle: 'medium', timeStyle: 'short'
+        });
+        const status = enquiries.STATUSES.includes(req.query.status) ? req.query.status : '';
+        const enquiriesData = await readEnquiries();
+        const listed = enquiriesData.enquiries
+            .filter(enquiry => !status || enquiry.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        const filterLink = (value, label) => (value === status
+            ? `<strong>${label}</strong>`
+            : `<a href="/admin/inbox${value ? `?status=${value}` : ''}">${label}</a>`);
+
+        res.send(`<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('admin.inbox.title')}</title>
+    <style>${ADMIN_STYLES}        .enquiry-message { white-space: pre-wrap; max-width: 40em; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${t('admin.inbox.heading')}</h1>
+        <p><a href="/admin">${t('admin.backToAdmin')}</a> · ${adminLanguageLink(req, language)}</p>
+        <p><small>${mailTransport
+            ? t('admin.inbox.forwarding', { to: escapeHtml(process.env.MAIL_TO || (await readContent()).contact.email) })
+            : t('admin.inbox.forwardingOff')}</small></p>
+
+        <div class="section" id="inboxMessages" data-section>
+            <p>${filterLink('', t('admin.inbox.all'))} · ${enquiries.STATUSES.map(value => filterLink(value, t(`admin.inbox.status.${value}`))).join(' · ')}</p>
+            ${listed.length ? `
+            <table>
+                <tr><th>${t('admin.history.when')}</th><th>${t('admin.inbox.from')}</th><th>${t('admin.inbox.message')}</th><th>${t('admin.inbox.state')}</th><th></th></tr>
+                ${listed.map(enquiry => `
+                <tr>
+                    <td>${timeFormat.format(new Date(enquiry.createdAt))}<br><small>${t(`site.contact.category.${enquiry.category}`)}</small></td>
+                    <td>
+                        ${escapeHtml(enquiry.name)}<br>
+                        <a href="mailto:${escapeHtml(enquiry.email)}?subject=${encodeURIComponent(t('admin.inbox.replySubject'))}">${escapeHtml(enquiry.email)}</a>
+                        ${enquiry.phone ? `<br>${escapeHtml(enquiry.phone)}` : ''}
+                    </td>
+                    <td class="enquiry-message">${escapeHtml(enquiry.message)}</td>
+                    <td>
+                        ${enquiry.status === 'new' ? `<strong>${t('admin.inbox.status.new')}</strong>` : t(`admin.inbox.status.${enquiry.status}`)}
+                        ${enquiry.forward ? `<br><small>${t(`admin.inbox.forward.${enquiry.forward.status}`)}${enquiry.forward.lastError && enquiry.forward.status !== 'sent' ? `: ${escapeHtml(enquiry.forward.lastError)}` : ''}</small>` : ''}
+                    </td>
+                    <td>
+                        ${enquiries.STATUSES.filter(value => value !== enquiry.status).map(value => `
+                        <form method="POST" action="/admin/inbox/status" data-success="${t('admin.inbox.updated')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(enquiry.id)}">
+                            <input type="hidden" name="status" value="${value}">
+                            <button type="submit">${t(`admin.inbox.mark.${value}`)}</button>
+                        </form>`).join('')}
+                        ${mailTransport && enquiry.forward && enquiry.forward.status === 'failed' ? `
+                        <form method="POST" action="/admin/inbox/resend" data-success="${t('admin.inbox.resent')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(enquiry.id)}">
+                            <button type="submit">${t('admin.inbox.resend')}</button>
+                        </form>` : ''}
+                        <form method="POST" action="/admin/inbox/delete" data-success="${t('admin.inbox.deleted')}" data-confirm="${t('admin.inbox.confirmDelete')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(enquiry.id)}">
+                            <button type="submit" class="danger">${t('admin.inbox.delete')}</button>
+                        </form>
+                    </td>
+                </tr>`).join('')}
+            </table>` : `<p>${t('admin.inbox.none')}</p>`}
+        </div>
+    </div>
+    ${i18n.messagesScript(language, ADMIN_CLIENT_MESSAGES)}
+    <script src="/admin.js" defer></script>
+</body>
+</html>`);
+    } catch (error) {
+        res.status(500).send('Inbox error');
+    }
+});
+
+async function findEnquiry(id) {
+    const enquiriesData = await readEnquiries();
+    return { enquiriesData, enquiry: enquiriesData.enquiries.find(item => item.id === id) };
+}
+
+app.post('/admin/inbox/status', requireAdmin('inbox'), async (req, res) => {
+    try {
+        const { id, status } = req.body;
+        if (!enquiries.STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Unknown status' });
+        }
+
+        const before = await lockEnquiries(async () => {
+            const { enquiriesData, enquiry } = await findEnquiry(id);
+            if (!enquiry) return null;
+
+            const previous = enquiry.status;
+            enquiry.status = status;
+            await writeEnquiries(enquiriesData);
+            return previous;
+        });
+        if (!before) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        await recordAudit(req, 'enquiry.status', { before: { id, status: before }, after: { id, status } });
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.post('/admin/inbox/resend', requireAdmin('inbox'), async (req, res) => {
+    try {
+        if (!mailTransport) {
+            return res.status(400).json({ error: 'Mail is switched off (MAIL_TRANSPORT)' });
+        }
+
+        const found = await lockEnquiries(async () => {
+            const { enquiriesData, enquiry } = await findEnquiry(req.body.id);
+            if (!enquiry) return false;
+
+            enquiry.forward = { status: 'pending', attempts: 0 };
+            await writeEnquiries(enquiriesData);
+            return true;
+        });
+        if (!found) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        await flushMailQueue();
+
+        const { enquiry: updated } = await findEnquiry(req.body.id);
+        res.json({ success: true, forward: updated ? updated.forward : null });
+    } catch (error) {
+        res.status(500).json({ error: 'Resend failed' });
+    }
+});
+
+// Message contents are not copied into the change history
+app.post('/admin/inbox/delete', requireAdmin('inbox'), async (req, res) => {
+    try {
+        const enquiry = await lockEnquiries(async () => {
+            const { enquiriesData, enquiry: found } = await findEnquiry(req.body.id);
+            if (!found) return null;
+
+            enquiriesData.enquiries = enquiriesData.enquiries.filter(item => item !== found);
+            await writeEnquiries(enquiriesData);
+            return found;
+        });
+        if (!enquiry) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        await recordAudit(req, 'enquiry.delete', { before: { id: enquiry.id, category: enquiry.category, createdAt: enquiry.createdAt } });
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Delete failed' });
+    }
+});
+
+// Change history
+// Action prefixes the history can be filtered by (labels are admin.audit.* messages)
+const AUDIT_ACTIONS = ['status', 'notice', 'notify', 'schedule', 'content', 'pricing', 'weather', 'gallery', 'hero', 'booking', 'seller', 'lostfound', 'enquiry', 'gate', 'sitemap', 'user', 'login', 'backup'];
+const HISTORY_LIMIT = 200;
+
+function formatAuditValue(value) {
+    return value === null || value === undefined ? '—' : escapeHtml(JSON.stringify(value, null, 2));
+}
+
+// Which restore buttons an entry gets: its "before" value can be put back
+function restoreOptions(entry) {
+    if (!entry.before) return [];
+    if (entry.action.startsWith('status.') || entry.action.startsWith('notice.')) {
+        return [
+            ...('override' in entry.before ? [{ field: 'status', label: 'admin.history.restoreStatus' }] : []),
+            // Entries from before notices were a list hold a single `notice` string
+            ...('notices' in entry.before || 'notice' in entry.before ? [{ field: 'notices', label: 'admin.history.restoreNotices' }] : [])
+        ];
+    }
+    if ((entry.action === 'hero.upload' || entry.action === 'hero.restore') && entry.before.filename) {
+        return [{ field: 'hero', label: 'admin.history.restoreHero' }];
+    }
+    return [];
+}
+
+app.get('/admin/history', requireAdmin('history'), async (req, res) => {
+    try {
+        const filters = {
+            action: AUDIT_ACTIONS.includes(req.query.action) ? req.query.action : '',
+            user: auth.normalizeUsername(req.query.user),
+            from: /^\d{4}-\d{2}-\d{2}$/.test(req.query.from || '') ? req.query.from : '',
+            to: /^\d{4}-\d{2}-\d{2}$/.test(req.query.to || '') ? req.query.to : ''
+        };
+
+        const entries = (await readAuditLog()).filter(entry =>
+            (!filters.action || entry.action.split('.')[0] === filters.action) &&
+            (!filters.user || entry.user === filters.user) &&
+            (!filters.from || entry.timestamp.slice(0, 10) >= filters.from) &&
+            (!filters.to || entry.timestamp.slice(0, 10) <= filters.to)
+        );
+        const shown = entries.slice(0, HISTORY_LIMIT);
+        const language = adminLanguage(req, res);
+        const t = i18n.translator(language);
+        const timeFormat = new Intl.DateTimeFormat(i18n.LANGUAGES[language].locale, {
+            timeZone: schedule.DEFAULT_SCHEDULE.timezone, dateStyle: 'medium', timeStyle: 'short'
+        });
+
+        res.send(`<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('admin.history.title')}</title>
+    <style>${ADMIN_STYLES}        .container { max-width: 1100px; }
+        pre { white-space: pre-wrap; word-break: break-word; margin: 0; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${t('admin.history.heading')}</h1>
+        <p><a href="/admin">${t('admin.backToAdmin')}</a> · ${adminLanguageLink(req, language)}</p>
+
+        <form method="GET" action="/admin/history" class="inline-form">
+            <select name="action">
+                <option value="">${t('admin.history.allChanges')}</option>
+                ${AUDIT_ACTIONS.map(action =>
+                    `<option value="${action}" ${filters.action === action ? 'selected' : ''}>${t(`admin.audit.${action}`)}</option>`).join('')}
+            </select>
+            <input type="text" name="user" placeholder="${t('admin.history.username')}" value="${escapeHtml(filters.user)}">
+            <label>${t('admin.history.from')} <input type="date" name="from" value="${filters.from}"></label>
+            <label>${t('admin.history.to')} <input type="date" name="to" value="${filters.to}"></label>
+            <button type="submit">${t('admin.history.filter')}</button>
+            <a href="/admin/history">${t('admin.history.clear')}</a>
+        </form>
+
+        <div id="historyEntries" data-section>
+        <p>${t('admin.history.showing', { shown: shown.length, total: entries.length })}</p>
+        <table>
+            <tr><th>${t('admin.history.when')}</th><th>${t('admin.history.who')}</th><th>${t('admin.history.action')}</th><th>${t('admin.history.before')}</th><th>${t('admin.history.after')}</th><th></th></tr>
+            ${shown.map(entry => `
+            <tr>
+                <td>${timeFormat.format(new Date(entry.timestamp))}</td>
+                <td>${escapeHtml(entry.user || '—')}<br><small>${escapeHtml(entry.ip || '')}</small></td>
+                <td>${escapeHtml(entry.action)}</td>
+                <td><details><summary>${t('admin.history.view')}</summary><pre>${formatAuditValue(entry.before)}</pre></details></td>
+                <td><details><summary>${t('admin.history.view')}</summary><pre>${formatAuditValue(entry.after)}</pre></details></td>
+                <td>
+                    ${restoreOptions(entry).map(option => `
+                    <form method="POST" action="/admin/history/restore" data-success="${t('admin.history.restored')}" data-confirm="${escapeHtml(t(option.label))}?">
+                        ${csrfField(req)}
+                        <input type="hidden" name="id" value="${escapeHtml(entry.id)}">
+                        <input type="hidden" name="field" value="${option.field}">
+                        <button type="submit">${t(option.label)}</button>
+                    </form>`).join('')}
+                </td>
+            </tr>`).join('')}
+        </table>
+        </div>
+    </div>
+    ${i18n.messagesScript(language, ADMIN_CLIENT_MESSAGES)}
+    <script src="/admin.js" defer></script>
+</body>
+</html>`);
+    } catch (error) {
+        res.status(500).send('History error');
+    }
+});
+
+app.post('/admin/history/restore', requireAdmin('history'), async (req, res) => {
+    try {
+        const entry = (await readAuditLog()).find(item => item.id === req.body.id);
+        const option = entry && restoreOptions(entry).find(item => item.field === req.body.field);
+        if (!option) {
+            return res.status(404).json({ error: 'Nothing to restore for that entry' });
+        }
+
+        if (option.field === 'hero') {
+            if (!(await blobs.exists(`${HERO_FOLDER}/${path.posix.basename(entry.before.filename)}`))) {
+                return res.status(410).json({ error: 'That background image is no longer stored' });
+            }
+            const previous = await readHeroBackground();
+            const heroData = await writeHeroBackground(entry.before);
+            await recordAudit(req, 'hero.restore', { before: previous, after: heroData });
+            return res.json({ success: true, hero: heroData });
+        }
+
+        const current = await readStatus();
+        if (option.field === 'status') {
+            // Overrides only last for the day they were set, so a restored one applies to today
+            const scheduleData = await readSchedule();
+            const override = entry.before.override
+                ? { status: entry.before.override.status, date: schedule.getLocalParts(new Date(), scheduleData.timezone).date }
+                : null;
+            const statusData = await writeStatus({ ...current, override });
+            await recordAudit(req, 'status.restore', { before: { override: current.override }, after: { override: statusData.override } });
+            return res.json({ success: true, data: statusData });
+        }
+
+        const statusData = await writeStatus({ ...current, notices: notices.readNotices(entry.before) });
+        await recordAudit(req, 'notice.restore', { before: { notices: current.notices }, after: { notices: statusData.notices } });
+        res.json({ success: true, data: statusData });
+    } catch (error) {
+        res.status(500).json({ error: 'Restore failed' });
+    }
+});
+
+// Visitor analytics
+const ANALYTICS_DEFAULT_DAYS = 30;
+// Page view and status check charts; the rest are listed as totals
+const ANALYTICS_CHARTS = ['pageview', 'status'];
+
+// ?from=&to= dates, defaulting to the last `defaultDays` days and never longer than `maxDays`
+function dateRange(query, today, { defaultDays, maxDays }) {
+    const valid = value => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : '');
+    const to = valid(query.to) || today;
+    const earliest = schedule.addDays(to, -maxDays);
+    let from = valid(query.from) || schedule.addDays(to, 1 - defaultDays);
+    if (from > to) from = to;
+    if (from < earliest) from = earliest;
+    return { from, to };
+}
+
+const ANALYTICS_RANGE = { defaultDays: ANALYTICS_DEFAULT_DAYS, maxDays: analytics.RETENTION_DAYS };
+
+const BAR_CHART_STYLES = `
+        .bar-chart { display: flex; align-items: flex-end; gap: 3px; height: 180px; margin-bottom: 10px; }
+        .bar { flex: 1; display: flex; flex-direction: column; justify-content: flex-end; align-items: center; height: 100%; min-width: 0; }
+        .bar-fill { display: block; width: 100%; min-height: 1px; background: #21808D; border-radius: 3px 3px 0 0; }
+        .bar--marked .bar-fill { background: #d39e00; }
+        .bar-value { font-size: 10px; color: #666; }
+        .bar small { font-size: 10px; color: #666; margin-top: 3px; }
+        td.count { text-align: right; }
+`;
+
+// Column chart in plain HTML: one bar per label, scaled to the largest value.
+// Bars whose index is in `marked` are picked out in another colour.
+function renderBarChart(labels, values, title, marked = []) {
+    const max = Math.max(...values, 1);
+    return `
+            <div class="bar-chart" role="img" aria-label="${escapeHtml(title)}">
+                ${values.map((value, index) => `
+                <div class="bar${marked.includes(index) ? ' bar--marked' : ''}" title="${escapeHtml(labels[index])}: ${value}">
+                    <span class="bar-value">${value || ''}</span>
+                    <span class="bar-fill" style="height: ${Math.round(value / max * 100)}%"></span>
+                    <small>${escapeHtml(labels[index])}</small>
+                </div>`).join('')}
+            </div>`;
+}
+
+app.get('/admin/analytics', requireAdmin('analytics'), async (req, res) => {
+    try {
+        await flushAnalytics();
+        const scheduleData = await readSchedule();
+        const today = schedule.getLocalParts(new Date(), scheduleData.timezone).date;
+        const { from, to } = dateRange(req.query, today, ANALYTICS_RANGE);
+        const summary = analytics.summarize(await readAnalytics(), from, to);
+        const language = adminLanguage(req, res);
+        const t = i18n.translator(language);
+        const metricLabel = metric => (metric.startsWith('section.')
+            ? t('admin.analytics.sectionViewed', { section: t(`admin.analytics.section.${metric.slice(8)}`) })
+            : t(`admin.analytics.metric.${metric}`));
+        const hours = Array.from({ length: 24 }, (item, hour) => String(hour).padStart(2, '0'));
+        // 5 January 2026 was a Monday
+        const weekdays = Array.from({ length: 7 }, (item, day) => new Date(Date.UTC(2026, 0, 5 + day))
+            .toLocaleString(i18n.LANGUAGES[language].locale, { weekday: 'short', timeZone: 'UTC' }));
+        const counted = analytics.METRICS.some(metric => summary.totals[metric] > 0);
+        const query = new URLSearchParams({ from, to }).toString();
+
+        res.send(`<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('admin.analytics.title')}</title>
+    <style>${ADMIN_STYLES}${BAR_CHART_STYLES}        .container { max-width: 1100px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${t('admin.analytics.heading')}</h1>
+        <p><a href="/admin">${t('admin.backToAdmin')}</a> · ${adminLanguageLink(req, language)}</p>
+        <p><small>${t('admin.analytics.privacy')}</small></p>
+
+        <form method="GET" action="/admin/analytics" class="inline-form">
+            <label>${t('admin.history.from')} <input type="date" name="from" value="${from}"></label>
+            <label>${t('admin.history.to')} <input type="date" name="to" value="${to}"></label>
+            <button type="submit">${t('admin.analytics.show')}</button>
+            <a href="/admin/analytics/export?${escapeHtml(query)}">${t('admin.analytics.export')}</a>
+        </form>
+
+        ${counted ? `
+        ${ANALYTICS_CHARTS.map(metric => `
+        <div class="section">
+            <h2>${metricLabel(metric)}: ${summary.totals[metric]}</h2>
+            <h3>${t('admin.analytics.byHour')}</h3>
+            ${renderBarChart(hours, summary.byHour[metric], `${metricLabel(metric)} - ${t('admin.analytics.byHour')}`)}
+            <h3>${t('admin.analytics.byWeekday')}</h3>
+            ${renderBarChart(weekdays, summary.byWeekday[metric], `${metricLabel(metric)} - ${t('admin.analytics.byWeekday')}`)}
+        </div>`).join('')}
+
+        <div class="section">
+            <h2>${t('admin.analytics.events')}</h2>
+            <table>
+                ${analytics.EVENTS.map(metric => `
+                <tr><td>${metricLabel(metric)}</td><td class="count">${summary.totals[metric]}</td></tr>`).join('')}
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>${t('admin.analytics.daily')}</h2>
+            <table>
+                <tr><th>${t('admin.analytics.date')}</th>${ANALYTICS_CHARTS.map(metric => `<th>${metricLabel(metric)}</th>`).join('')}</tr>
+                ${summary.days.slice().reverse().map(day => `
+                <tr><td>${day.date}</td>${ANALYTICS_CHARTS.map(metric => `<td class="count">${day.counts[metric]}</td>`).join('')}</tr>`).join('')}
+            </table>
+        </div>
+        ` : `<p>${t('admin.analytics.none')}</p>`}
+    </div>
+    ${i18n.messagesScript(language, ADMIN_CLIENT_MESSAGES)}
+    <script src="/admin.js" defer></script>
+</body>
+</html>`);
+    } catch (error) {
+        res.status(500).send('Analytics error');
+    }
+});
+
+app.get('/admin/analytics/export', requireAdmin('analytics'), async (req, res) => {
+    try {
+        await flushAnalytics();
+        const scheduleData = await readSchedule();
+        const { from, to } = dateRange(req.query, schedule.getLocalParts(new Date(), scheduleData.timezone).date, ANALYTICS_RANGE);
+        const summary = analytics.summarize(await readAnalytics(), from, to);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="analytics-${from}-to-${to}.csv"`);
+        res.send(analytics.toCsv(summary));
+    } catch (error) {
+        res.status(500).json({ error: 'Export failed' });
+    }
+});
+
+// Gate tally (see lib/gate). Syncs are saved one after another, as several
+// phones may send their taps at the same moment.
+const GATE_RANGE = { defaultDays: 84, maxDays: 731 };
+// Counted days listed in the admin panel
+const GATE_RECENT_DAYS = 6;
+
+let gateSave = Promise.resolve();
+
+function lockGate(task) {
+    const run = gateSave.then(task);
+    gateSave = run.catch(() => {});
+    return run;
+}
+
+function saveGateBatches(batches, advisory, user) {
+    return lockGate(async () => {
+        const [pricingData, today] = await Promise.all([readPricing(), siteToday()]);
+        let gateData = await readGate();
+        const synced = [];
+        const rejected = [];
+        for (const batch of batches) {
+            const result = gate.applyBatch(gateData, batch, { pricingData, today });
+            if (result.error) {
+                rejected.push({ id: batch && batch.id, error: result.error });
+                gateData = gate.keepRejected(gateData, batch, result.error, { user });
+                continue;
+            }
+            gateData = result.data;
+            synced.push(batch.id);
+        }
+        gateData = await writeGate(gate.recordWeather(gateData, advisory));
+        return { synced, rejected, today, gateData };
+    });
+}
+
+// "Cloudy · gusts up to 40 mph · 60% chance of rain"
+function describeGateWeather(weatherData, t) {
+    if (!weatherData) return '—';
+    return [
+        weatherData.condition ? t(`app.forecast.condition.${weatherData.condition}`) : '',
+        ...(weatherData.windGust !== null ? [t('admin.gate.gusts', { mph: Math.round(weatherData.windGust) })] : []),
+        ...(weatherData.precipitationProbability !== null ? [t('admin.gate.rainChance', { percent: weatherData.precipitationProbability })] : [])
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+}
+
+function renderGateDays(days, t, dateFormat) {
+    return `
+            <table>
+                <tr><th>${t('admin.analytics.date')}</th><th>${t('admin.gate.buyers')}</th><th>${t('admin.gate.sellers')}</th><th>${t('admin.gate.takings')}</th><th>${t('admin.gate.weather')}</th></tr>
+                ${days.map(day => `
+                <tr>
+                    <td>${dateFormat.format(new Date(`${day.date}T12:00:00Z`))}</td>
+                    <td class="count">${day.buyers}</td>
+                    <td class="count">${day.sellers}</td>
+                    <td class="count">${pricing.formatPrice(day.takings)}</td>
+                    <td>${describeGateWeather(day.weather, t)}</td>
+                </tr>`).join('')}
+            </table>`;
+}
+
+// Batches the server would not count, newest first, for the office to check and enter by hand
+function renderRejectedBatches(rejected, t, req) {
+    return `
+            <h3>${t('admin.gate.rejectedTitle', { count: rejected.length })}</h3>
+            <p>${t('admin.gate.rejectedHelp')}</p>
+            <table>
+                <tr><th>${t('admin.analytics.date')}</th><th>${t('admin.gate.rejectedTaps')}</th><th>${t('admin.gate.rejectedReason')}</th><th>${t('admin.gate.rejectedBy')}</th><th></th></tr>
+                ${[...rejected].reverse().map(batch => `
+                <tr>
+                    <td>${escapeHtml(batch.date)}</td>
+                    <td>${escapeHtml(Object.entries(batch.counts).map(([ticket, count]) => `${ticket} × ${count}`).join(', '))}</td>
+                    <td>${escapeHtml(batch.error)}</td>
+                    <td>${escapeHtml(batch.user || '')}</td>
+                    <td>
+                        <form method="POST" action="/admin/gate/rejected/dismiss" data-success="${t('admin.gate.dismissed')}" data-confirm="${escapeHtml(t('admin.gate.confirmDismiss'))}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(batch.id)}">
+                            <button type="submit" class="danger">${t('admin.gate.dismiss')}</button>
+                        </form>
+                    </td>
+                </tr>`).join('')}
+            </table>`;
+}
+
+// The counter staff use on their phones. public/gate.js draws the buttons and
+// keeps taps on the phone until they are synced.
+app.get('/admin/gate', requireAdmin('gate'), async (req, res) => {
+    try {
+        const language = adminLanguage(req, res);
+        const t = i18n.translator(language);
+        const [pricingData, scheduleData, gateData] = await Promise.all([readPricing(), readSchedule(), readGate()]);
+        const today = schedule.getLocalParts(new Date(), scheduleData.timezone).date;
+        const config = {
+            date: today,
+            timezone: scheduleData.timezone,
+            locale: i18n.LANGUAGES[language].locale,
+            tickets: gate.ticketTypesByWeekday(pricingData),
+            counts: gate.countsOf(gateData.days[today]),
+            syncUrl: '/admin/gate/sync',
+            csrfToken: security.csrfToken(req)
+        };
+
+        res.send(`<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="theme-color" content="#21808D">
+    <title>${t('admin.gate.title')}</title>
+    <style>${ADMIN_STYLES}        body { padding: 10px; }
+        .container { padding: 15px; }
+        h1 { margin-bottom: 10px; }
+        .gate-date { text-align: center; font-size: 18px; margin: 0 0 10px; }
+        .gate-sync { text-align: center; padding: 8px; border-radius: 4px; background: #eef6f7; }
+        .gate-sync--waiting { background: #fff3cd; color: #856404; }
+        .gate-tickets { display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 10px; margin: 15px 0; }
+        .gate-ticket { display: flex; flex-direction: column; gap: 6px; }
+        .gate-ticket__add { min-height: 110px; font-size: 18px; touch-action: manipulation; }
+        .gate-ticket__add strong { display: block; font-size: 32px; }
+        .gate-ticket--sellers .gate-ticket__add { background: #5e5240; }
+        .gate-ticket__undo { background: #999; padding: 8px; }
+        .gate-total { text-align: center; font-size: 18px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${t('admin.gate.heading')}</h1>
+        <p><a href="/admin">${t('admin.backToAdmin')}</a> · ${adminLanguageLink(req, language)}</p>
+        <p class="gate-date" id="gateDate"></p>
+        <p class="gate-sync" id="gateSync" role="status"></p>
+        <div class="gate-tickets" id="gateTickets"></div>
+        <p class="gate-total" id="gateTotal"></p>
+        <p><button type="button" id="gateSyncNow">${t('admin.gate.syncNow')}</button></p>
+        <noscript><p class="error">${t('admin.gate.noScript')}</p></noscript>
+    </div>
+    <script type="application/json" id="gateConfig">${JSON.stringify(config).replace(/</g, '\\u003c')}</script>
+    ${i18n.messagesScript(language, GATE_CLIENT_MESSAGES)}
+    <script src="/gate.js" defer></script>
+</body>
+</html>`);
+    } catch (error) {
+        res.status(500).send('Gate counter error');
+    }
+});
+
+app.post('/admin/gate/sync', requireAdmin('gate'), async (req, res) => {
+    try {
+        const { batches } = req.body;
+        if (!Array.isArray(batches) || batches.length === 0 || batches.length > 100) {
+            return res.status(400).json({ error: 'Nothing to sync' });
+        }
+
+        const advisory = await getWeatherAdvisory().catch(() => null);
+        const { synced, rejected, today, gateData } = await saveGateBatches(batches, advisory, req.user.username);
+        res.json({ success: true, synced, rejected, date: today, counts: gate.countsOf(gateData.days[today]) });
+    } catch (error) {
+        res.status(500).json({ error: 'Sync failed' });
+    }
+});
+
+// A rejected batch, once the office has dealt with the taps in it
+app.post('/admin/gate/rejected/dismiss', requireAdmin('analytics'), async (req, res) => {
+    try {
+        const dismissed = await lockGate(async () => {
+            const gateData = await readGate();
+            const remaining = gate.dismissRejected(gateData, req.body.id);
+            if (remaining) await writeGate(remaining);
+            return remaining && gateData.rejected.find(item => item.id === req.body.id);
+        });
+        if (!dismissed) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        await recordAudit(req, 'gate.dismiss', { before: dismissed });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+// Weekends side by side, with the weather on each day
+app.get('/admin/gate/report', requireAdmin('analytics'), async (req, res) => {
+    try {
+        const language = adminLanguage(req, res);
+        const t = i18n.translator(language);
+        const locale = i18n.LANGUAGES[language].locale;
+        const { from, to } = dateRange(req.query, await siteToday(), GATE_RANGE);
+        const summary = gate.summarize(await readGate(), from, to);
+        const shortDate = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+        const longDate = new Intl.DateTimeFormat(locale, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+        const label = date => shortDate.format(new Date(`${date}T12:00:00Z`));
+        const query = new URLSearchParams({ from, to }).toString();
+
+        // One chart per weekend day: a bar for each weekend, picked out when the forecast carried a warning
+        const dayCharts = ['saturday', 'sunday'].map(weekday => {
+            const days = summary.weekends.map(weekend => weekend.days[weekday]).filter(Boolean);
+            if (!days.length) return '';
+            const title = t('admin.gate.chartBuyers', { day: t(`app.day.${weekday}`) });
+            const marked = days.map((day, index) => (day.weather && day.weather.level === 'warning' ? index : -1)).filter(index => index >= 0);
+            return `
+            <h3>${title}</h3>
+            ${renderBarChart(days.map(day => label(day.date)), days.map(day => day.buyers), title, marked)}`;
+        }).join('');
+        const takingsTitle = t('admin.gate.chartTakings');
+        const weekendTakings = summary.weekends.map(weekend => Math.round(Object.values(weekend.days).reduce((sum, day) => sum + day.takings, 0) / 100));
+
+        res.send(`<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('admin.gate.reportTitle')}</title>
+    <style>${ADMIN_STYLES}${BAR_CHART_STYLES}        .container { max-width: 1100px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${t('admin.gate.reportHeading')}</h1>
+        <p><a href="/admin">${t('admin.backToAdmin')}</a> · ${adminLanguageLink(req, language)}</p>
+
+        <form method="GET" action="/admin/gate/report" class="inline-form">
+            <label>${t('admin.history.from')} <input type="date" name="from" value="${from}"></label>
+            <label>${t('admin.history.to')} <input type="date" name="to" value="${to}"></label>
+            <button type="submit">${t('admin.analytics.show')}</button>
+            <a href="/admin/gate/export?${escapeHtml(query)}">${t('admin.analytics.export')}</a>
+        </form>
+
+        ${summary.days.length ? `
+        ${summary.weekends.length ? `
+        <div class="section">
+            <h2>${t('admin.gate.weekends')}</h2>
+            <p><small>${t('admin.gate.chartKey')}</small></p>
+            ${dayCharts}
+            <h3>${takingsTitle}</h3>
+            ${renderBarChart(summary.weekends.map(weekend => label(weekend.saturday)), weekendTakings, takingsTitle)}
+        </div>` : ''}
+
+        <div class="section">
+            <h2>${t('admin.gate.daily')}</h2>
+            ${renderGateDays(summary.days.slice().reverse(), t, longDate)}
+        </div>
+        ` : `<p>${t('admin.gate.none')}</p>`}
+    </div>
+    ${i18n.messagesScript(language, ADMIN_CLIENT_MESSAGES)}
+    <script src="/admin.js" defer></script>
+</body>
+</html>`);
+    } catch (error) {
+        res.status(500).send('Gate report error');
+    }
+});
+
+app.get('/admin/gate/export', requireAdmin('analytics'), async (req, res) => {
+    try {
+        const { from, to } = dateRange(req.query, await siteToday(), GATE_RANGE);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="gate-${from}-to-${to}.csv"`);
+        res.send(gate.toCsv(await readGate(), from, to));
+    } catch (error) {
+        res.status(500).json({ error: 'Export failed' });
+    }
+});
+
+// Backups
+// The last uploaded archive, checked and waiting for the owner to confirm the restore
+let pendingBackup = null;
+
+// Backed-up documents are labelled as in the change history (admin.audit.* messages)
+const BACKUP_LABELS = {
+    'hero-background': 'hero',
+    bookings: 'booking',
+    sellers: 'seller',
+    'lost-found': 'lostfound',
+    enquiries: 'enquiry',
+    'site-map': 'sitemap'
+};
+
+// The current documents and images as a snapshot on disk
+async function saveSnapshot() {
+    return snapshots.save(await backup.createBackup({ store, blobs }));
+}
+
+// Checked every hour, so a restart does not put the next snapshot back a whole interval
+async function takeScheduledSnapshot() {
+    try {
+        const [latest] = await snapshots.list();
+        if (latest && Date.now() - new Date(latest.createdAt) < BACKUP_SNAPSHOT_HOURS * 60 * 60 * 1000) return;
+        console.log(`🗄️ Backup snapshot saved: ${await saveSnapshot()}`);
+    } catch (error) {
+        console.error('❌ Backup snapshot failed:', error);
     }
 }
 
-async function writeGallery(data) {
-    await fs.writeFile(GALLERY_FILE, JSON.stringify(data, null, 2));
-    return data;
+// Restored data replaces what open pages show
+async function broadcastRestore() {
+    await broadcastStatus();
+    await broadcastContent();
+    const galleryData = await readGallery();
+    eventHub.broadcast('gallery', language => localizeGallery(galleryData, language));
+    eventHub.broadcast('hero', await readHeroBackground());
 }
 
-async function readHeroBackground() {
-    try {
-        const data = await fs.readFile(HERO_BG_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch {
-        return { filename: null, uploadedAt: null };
-    }
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
 }
 
-async function writeHeroBackground(data) {
-    await fs.writeFile(HERO_BG_FILE, JSON.stringify(data, null, 2));
-    return data;
+// Dry run of a restore: what would change, with the button that does it
+function renderRestorePreview(preview, source, t, req, timeFormat) {
+    const changed = preview.documents.filter(item => item.change !== 'unchanged');
+    return `
+            <h3>${t('admin.backup.previewHeading', { date: timeFormat.format(new Date(preview.createdAt)) })}</h3>
+            <table>
+                <tr><th>${t('admin.backup.document')}</th><th>${t('admin.backup.change')}</th></tr>
+                ${preview.documents.map(item => `
+                <tr><td>${t(`admin.audit.${BACKUP_LABELS[item.name] || item.name}`)}</td><td>${t(`admin.backup.change.${item.change}`)}</td></tr>`).join('')}
+            </table>
+            <p>${t('admin.backup.uploads', preview.uploads)}</p>
+            ${preview.gallery.after === null ? '' : `<p>${t('admin.backup.galleryCount', preview.gallery)}</p>`}
+            ${changed.length || preview.uploads.added || preview.uploads.changed ? '' : `<p>${t('admin.backup.noChanges')}</p>`}
+            <form method="POST" action="/admin/backup/restore" class="inline-form" data-success="${t('admin.backup.restored')}" data-confirm="${escapeHtml(t('admin.backup.confirmRestore'))}">
+                ${csrfField(req)}
+                <input type="hidden" name="source" value="${escapeHtml(source)}">
+                <button type="submit" class="danger">${t('admin.backup.restore')}</button>
+            </form>`;
 }
 
-// API Routes
-app.get('/api/status', async (req, res) => {
+app.get('/admin/backup', requireAdmin('backup'), async (req, res) => {
     try {
-        const statusData = await readStatus();
-        res.json(statusData);
+        const language = adminLanguage(req, res);
+        const t = i18n.translator(language);
+        const timeFormat = new Intl.DateTimeFormat(i18n.LANGUAGES[language].locale, {
+            timeZone: schedule.DEFAULT_SCHEDULE.timezone, dateStyle: 'medium', timeStyle: 'short'
+        });
+        const snapshotList = await snapshots.list();
+
+        // ?snapshot= checks a snapshot; otherwise the last uploaded archive, if any
+        let preview = '';
+        try {
+            if (req.query.snapshot) {
+                const archive = await snapshots.read(req.query.snapshot);
+                if (archive) {
+                    const result = await backup.previewRestore({ store, blobs }, backup.readBackup(archive));
+                    preview = renderRestorePreview(result, req.query.snapshot, t, req, timeFormat);
+                }
+            } else if (pendingBackup) {
+                const result = await backup.previewRestore({ store, blobs }, pendingBackup.backup);
+                preview = `${renderRestorePreview(result, 'upload', t, req, timeFormat)}
+            <form method="POST" action="/admin/backup/discard" class="inline-form" data-success="${t('admin.backup.discarded')}">
+                ${csrfField(req)}
+                <button type="submit">${t('admin.backup.discard')}</button>
+            </form>`;
+            }
+        } catch (error) {
+            if (!(error instanceof backup.InvalidBackupError)) throw error;
+            preview = `<p class="error">${escapeHtml(error.message)}</p>`;
+        }
+
+        res.send(`<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('admin.backup.title')}</title>
+    <style>${ADMIN_STYLES}    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${t('admin.backup.heading')}</h1>
+        <p><a href="/admin">${t('admin.backToAdmin')}</a> · ${adminLanguageLink(req, language)}</p>
+        <p><small>${t('admin.backup.contents')}</small></p>
+
+        <div class="section">
+            <h2>${t('admin.backup.exportHeading')}</h2>
+            <p><a href="/admin/backup/export">${t('admin.backup.export')}</a></p>
+        </div>
+
+        <div class="section" id="backupRestore" data-section>
+            <h2>${t('admin.backup.importHeading')}</h2>
+            <form method="POST" action="/admin/backup/import" enctype="multipart/form-data" class="inline-form" data-success="${t('admin.backup.checked')}">
+                ${csrfField(req)}
+                <input type="file" name="archive" accept=".tar.gz,.tgz,application/gzip" required>
+                <button type="submit">${t('admin.backup.check')}</button>
+            </form>
+            ${preview}
+        </div>
+
+        <div class="section" id="backupSnapshots" data-section>
+            <h2>${t('admin.backup.snapshotsHeading')}</h2>
+            <p>${BACKUP_SNAPSHOT_HOURS > 0
+                ? t('admin.backup.schedule', { hours: BACKUP_SNAPSHOT_HOURS, keep: snapshots.keep })
+                : t('admin.backup.scheduleOff', { keep: snapshots.keep })}</p>
+            <form method="POST" action="/admin/backup/snapshot" class="inline-form" data-success="${t('admin.backup.snapshotSaved')}">
+                ${csrfField(req)}
+                <button type="submit">${t('admin.backup.takeSnapshot')}</button>
+            </form>
+            ${snapshotList.length ? `
+            <table>
+                <tr><th>${t('admin.history.when')}</th><th>${t('admin.backup.size')}</th><th></th></tr>
+                ${snapshotList.map(item => `
+                <tr>
+                    <td>${timeFormat.format(new Date(item.createdAt))}</td>
+                    <td>${formatSize(item.size)}</td>
+                    <td>
+                        <a href="/admin/backup/snapshots/${item.name}">${t('admin.backup.download')}</a> ·
+                        <a href="/admin/backup?snapshot=${item.name}#backupRestore">${t('admin.backup.check')}</a>
+                    </td>
+                </tr>`).join('')}
+            </table>` : `<p>${t('admin.backup.noSnapshots')}</p>`}
+        </div>
+    </div>
+    ${i18n.messagesScript(language, ADMIN_CLIENT_MESSAGES)}
+    <script src="/admin.js" defer></script>
+</body>
+</html>`);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to get status' });
+        res.status(500).send('Backup error');
     }
 });
 
-app.get('/api/gallery', async (req, res) => {
+app.get('/admin/backup/export', requireAdmin('backup'), async (req, res) => {
     try {
-        const galleryData = await readGallery();
-        res.json(galleryData);
+        const archive = await backup.createBackup({ store, blobs });
+        await recordAudit(req, 'backup.export', { after: { size: archive.length } });
+
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="rhyl-carboot-backup-${new Date().toISOString().slice(0, 10)}.tar.gz"`);
+        res.send(archive);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to get gallery' });
+        res.status(500).json({ error: 'Export failed' });
     }
 });
 
-app.get('/api/hero-background', async (req, res) => {
+app.get('/admin/backup/snapshots/:name', requireAdmin('backup'), async (req, res) => {
     try {
-        const heroData = await readHeroBackground();
-        res.json(heroData);
+        const archive = await snapshots.read(req.params.name);
+        if (!archive) return res.status(404).json({ error: 'Snapshot not found' });
+
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="${req.params.name}"`);
+        res.send(archive);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to get hero background' });
+        if (error instanceof backup.InvalidBackupError) return res.status(404).json({ error: 'Snapshot not found' });
+        res.status(500).json({ error: 'Download failed' });
     }
 });
 
-// Upload routes
-app.post('/admin/upload-gallery', uploadGallery.single('image'), async (req, res) => {
+// Checks an uploaded archive and holds it for the restore; nothing is changed yet
+app.post('/admin/backup/import', requireAdmin('backup'), uploadBackup.single('archive'), security.verifyCsrf, async (req, res) => {
     try {
-        if (req.body.password !== ADMIN_PASSWORD) {
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
-
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const galleryData = await readGallery();
-        
-        if (galleryData.images.length >= 10) {
-            await fs.unlink(req.file.path);
-            return res.status(400).json({ error: 'Gallery full (10 max)' });
-        }
-
-        const imageData = {
-            filename: req.file.filename,
-            originalName: req.file.originalname,
-            description: req.body.description || '',
-            uploadedAt: new Date().toISOString()
-        };
-
-        galleryData.images.push(imageData);
-        await writeGallery(galleryData);
-
-        res.json({ success: true, image: imageData });
+        const checked = backup.readBackup(req.file.buffer);
+        pendingBackup = { backup: checked, user: req.user.username };
+        res.json({ success: true, preview: await backup.previewRestore({ store, blobs }, checked) });
     } catch (error) {
-        res.status(500).json({ error: 'Upload failed' });
+        if (error instanceof backup.InvalidBackupError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Import failed' });
     }
 });
 
-app.post('/admin/upload-hero', uploadHero.single('image'), async (req, res) => {
-    try {
-        if (req.body.password !== ADMIN_PASSWORD) {
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
+app.post('/admin/backup/discard', requireAdmin('backup'), (req, res) => {
+    pendingBackup = null;
+    res.json({ success: true });
+});
 
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+// Restores the uploaded archive (source "upload") or a snapshot, saving a snapshot of the current data first
+app.post('/admin/backup/restore', requireAdmin('backup'), async (req, res) => {
+    try {
+        const { source } = req.body;
+        let checked;
+        if (source === 'upload') {
+            if (!pendingBackup) return res.status(404).json({ error: 'Upload a backup to restore first' });
+            checked = pendingBackup.backup;
+        } else {
+            const archive = await snapshots.read(source).catch(() => null);
+            if (!archive) return res.status(404).json({ error: 'Snapshot not found' });
+            checked = backup.readBackup(archive);
         }
 
-        const heroData = {
-            filename: req.file.filename,
-            originalName: req.file.originalname,
-            uploadedAt: new Date().toISOString()
-        };
+        const safety = await saveSnapshot();
+        await backup.restoreBackup({ store, blobs }, checked);
+        if (source === 'upload') pendingBackup = null;
+        await broadcastRestore();
+        await recordAudit(req, 'backup.restore', {
+            before: { snapshot: safety },
+            after: { source, createdAt: checked.manifest.createdAt, documents: Object.keys(checked.documents) }
+        });
 
-        await writeHeroBackground(heroData);
-        res.json({ success: true, hero: heroData });
+        res.json({ success: true, snapshot: safety });
     } catch (error) {
-        res.status(500).json({ error: 'Upload failed' });
+        if (error instanceof backup.InvalidBackupError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Restore failed' });
     }
 });
 
-app.post('/admin/update-status', async (req, res) => {
+app.post('/admin/backup/snapshot', requireAdmin('backup'), async (req, res) => {
     try {
-        if (req.body.password !== ADMIN_PASSWORD) {
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
-
-        const { status, notice } = req.body;
-        const statusData = await writeStatus({ 
-            status: status === 'true' || status === true, 
-            notice: notice || '' 
-        });
-        
-        res.json({ success: true, data: statusData });
+        const name = await saveSnapshot();
+        await recordAudit(req, 'backup.snapshot', { after: { snapshot: name } });
+        res.json({ success: true, snapshot: name });
     } catch (error) {
-        res.status(500).json({ error: 'Update failed' });
+        res.status(500).json({ error: 'Snapshot failed' });
     }
 });
 
 // Admin page
-app.get('/admin', async (req, res) => {
+// "Forecast for Saturday 24 October" box on the dashboard
+function renderWeatherAdvisory(advisory, t) {
+    if (!advisory) return `<p class="weather-advisory">${t('admin.weather.none')}</p>`;
+    const day = t(`app.day.${advisory.day}`);
+    const fetched = new Date(advisory.fetchedAt).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone: 'Europe/London' });
+    if (advisory.level === 'unknown') {
+        return `<p class="weather-advisory">${t('admin.weather.notYet', { day, date: advisory.date })}</p>`;
+    }
+
+    return `
+            <div class="weather-advisory weather-${advisory.level}">
+                <strong>${t(advisory.level === 'warning' ? 'admin.weather.warningFor' : 'admin.weather.forecastFor', { day, date: advisory.date })}</strong>
+                ${advisory.level === 'warning'
+                    ? `<ul>${advisory.flags.map(flag => `<li>${t(`app.forecast.warning.${flag.type}`, { value: flag.value })} (${t('admin.weather.limit', { threshold: flag.threshold })})</li>`).join('')}</ul>`
+                    : ` ${t('admin.weather.noThresholds')}${advisory.condition ? ` (${t(`app.forecast.condition.${advisory.condition}`).toLowerCase()})` : ''}.`}
+                <small>${t('admin.weather.source', { source: escapeHtml(advisory.source), time: fetched })}${advisory.stale ? t('admin.weather.stale') : ''}</small>
+            </div>`;
+}
+
+// Notices table order (labels are admin.notices.state.* messages)
+const NOTICE_STATE_ORDER = ['active', 'scheduled', 'ended'];
+
+app.get('/admin', requireAdmin(), async (req, res) => {
     try {
+        const user = req.user;
+        const usersData = auth.can(user, 'users') ? await readUsers() : { users: [] };
+        const bookingsData = auth.can(user, 'bookings') ? await readBookings() : { capacity: {}, bookings: [] };
+        const sellersData = auth.can(user, 'sellers') ? await readSellers() : { sellers: [] };
+        const lostFoundData = auth.can(user, 'lostfound') ? await readLostFound() : { items: [] };
+        const siteMapData = auth.can(user, 'content') ? await readSiteMap() : null;
+        const newEnquiries = auth.can(user, 'inbox') ? (await readEnquiries()).enquiries.filter(enquiry => enquiry.status === 'new').length : 0;
+        const pushCount = auth.can(user, 'notify') ? (await readPushSubscriptions()).subscriptions.length : 0;
+        const contentData = await readContent();
+        const pricingData = await readPricing();
+        const weatherSettings = await readWeatherSettings();
+        const advisory = await getWeatherAdvisory().catch(() => null);
         const statusData = await readStatus();
         const galleryData = await readGallery();
         const heroData = await readHeroBackground();
+        const scheduleData = await readSchedule();
+        const liveStatus = schedule.computeStatus(scheduleData, statusData);
+        const overrideActive = liveStatus.source === 'override';
+        // What "Follow schedule" would show right now, for the preview
+        const scheduleOpen = schedule.computeStatus(scheduleData, { ...statusData, override: null }).status;
+        const heroUrl = heroData.filename ? heroData.url || `/uploads/hero/${heroData.filename}` : '';
+        const heroThumbnail = heroData.variants?.[0]?.url || heroUrl;
+        const liveNotices = notices.activeNotices(statusData.notices);
+        const noticeList = statusData.notices
+            .map(notice => ({ notice, state: notices.noticeState(notice) }))
+            .sort((a, b) => NOTICE_STATE_ORDER.indexOf(a.state) - NOTICE_STATE_ORDER.indexOf(b.state) ||
+                String(a.notice.startsAt).localeCompare(String(b.notice.startsAt)));
+        const language = adminLanguage(req, res);
+        const t = i18n.translator(language);
+        const noticeTime = new Intl.DateTimeFormat(i18n.LANGUAGES[language].locale, { timeZone: scheduleData.timezone, dateStyle: 'medium', timeStyle: 'short' });
+
+        // Bookings list: one date if filtered, otherwise everything from today on
+        const today = schedule.getLocalParts(new Date(), scheduleData.timezone).date;
+        const bookingDate = /^\d{4}-\d{2}-\d{2}$/.test(req.query.bookingDate || '') ? req.query.bookingDate : '';
+        const listedBookings = bookingsData.bookings
+            .filter(booking => bookingDate ? booking.date === bookingDate : booking.date >= today)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+
+        // Seller profiles waiting for a decision first, then newest first
+        const listedSellers = [...sellersData.sellers]
+            .sort((a, b) => sellers.STATUSES.indexOf(a.status) - sellers.STATUSES.indexOf(b.status) || b.createdAt.localeCompare(a.createdAt));
+        const pendingSellers = sellersData.sellers.filter(seller => seller.status === 'pending').length;
+
+        // Lost property, newest first, each as open, claimed or expired (off the public board)
+        const listedLostFound = [...lostFoundData.items]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(item => ({ item, state: item.status === 'claimed' ? 'claimed' : lostFound.isListed(item) ? 'open' : 'expired' }));
+
+        // The last few days counted at the gate, newest first
+        const gateData = auth.can(user, 'analytics') ? await readGate() : gate.readGate(null);
+        const gateDays = gate.summarize(gateData, schedule.addDays(today, -GATE_RANGE.maxDays), today).days.slice(-GATE_RECENT_DAYS).reverse();
         
         const html = `<!DOCTYPE html>
-<html lang="en">
+<html lang="${language}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Admin - Rhyl Car Boot</title>
-    <style>
-        body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; background: #f5f5f5; }
-        .container { background: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-        h1 { color: #21808D; text-align: center; margin-bottom: 30px; }
-        .section { margin-bottom: 30px; padding: 20px; border: 1px solid #ddd; border-radius: 5px; background: #fafafa; }
-        .form-group { margin-bottom: 15px; }
-        label { display: block; margin-bottom: 5px; font-weight: bold; }
-        input, textarea, select { width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
-        button { background: #21808D; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; }
-        button:hover { background: #1d6f7a; }
-        .status-current { font-size: 18px; padding: 10px; text-align: center; border-radius: 4px; margin-bottom: 15px; }
-        .status-open { background: #d4edda; color: #155724; }
-        .status-closed { background: #f8d7da; color: #721c24; }
-    </style>
+    <title>${t('admin.title')}</title>
+    <style>${ADMIN_STYLES}    </style>
 </head>
 <body>
     <div class="container">
-        <h1>🚗 Rhyl Car Boot - Admin Panel</h1>
+        <h1>${t('admin.heading')}</h1>
+
+        <div class="admin-bar">
+            <span>${t('admin.signedInAs', { user: `<strong>${escapeHtml(user.username)}</strong>`, role: escapeHtml(user.role) })}${auth.can(user, 'history') ? ` · <a href="/admin/history">${t('admin.changeHistory')}</a>` : ''}${auth.can(user, 'analytics') ? ` · <a href="/admin/analytics">${t('admin.analyticsLink')}</a>` : ''}${auth.can(user, 'backup') ? ` · <a href="/admin/backup">${t('admin.backupLink')}</a>` : ''}${auth.can(user, 'inbox') ? ` · <a href="/admin/inbox">${t('admin.inboxLink', { count: newEnquiries })}</a>` : ''}${auth.can(user, 'gate') ? ` · <a href="/admin/gate">${t('admin.gate.heading')}</a>` : ''} · ${adminLanguageLink(req, language)}</span>
+            <form method="POST" action="/admin/logout" data-native>${csrfField(req)}<button type="submit">${t('admin.logout')}</button></form>
+        </div>
         
-        <div class="section">
-            <h2>Current Status</h2>
-            <div class="status-current ${statusData.status ? 'status-open' : 'status-closed'}">
-                Currently: ${statusData.status ? 'OPEN' : 'CLOSED'}
-                ${statusData.notice ? `<br>Notice: "${statusData.notice}"` : ''}
+        <div class="section" id="section-current" data-section>
+            <h2>${t('admin.current.title')}</h2>
+            <div class="status-current ${liveStatus.status ? 'status-open' : 'status-closed'}">
+                ${t(liveStatus.status ? 'admin.current.open' : 'admin.current.closed')} (${t(overrideActive ? 'admin.current.override' : 'admin.current.fromSchedule')})
+                ${liveNotices.length ? `<br>${liveNotices.length === 1 ? t('admin.current.noticeShowing') : t('admin.current.noticesShowing', { count: liveNotices.length })}` : ''}
             </div>
+            ${renderWeatherAdvisory(advisory, t)}
         </div>
 
-        <div class="section">
-            <h2>Update Status</h2>
-            <form method="POST" action="/admin/update-status">
+        <div class="section" id="section-status" data-section>
+            <h2>${t('admin.status.title')}</h2>
+            <form method="POST" action="/admin/update-status" data-success="${t('admin.status.saved')}">
+                ${csrfField(req)}
+                <div class="form-group">
+                    <label>${t('admin.status.label')}</label>
+                    <select name="status" required>
+                        <option value="auto" ${!overrideActive ? 'selected' : ''}>${t('admin.status.auto')}</option>
+                        <option value="true" ${overrideActive && liveStatus.status ? 'selected' : ''}>${t('admin.status.open')}</option>
+                        <option value="false" ${overrideActive && !liveStatus.status ? 'selected' : ''}>${t('admin.status.closed')}</option>
+                    </select>
+                </div>
+                ${auth.can(user, 'notify') ? `
+                <fieldset class="form-group">
+                    <legend>${t('admin.status.alerts', { count: pushCount })}</legend>
+                    <label><input type="checkbox" name="notify" style="width: auto;"> ${t('admin.status.notify')}</label>
+                    <label>${t('admin.status.notifyTopic')}</label>
+                    <select name="notifyTopic">
+                        ${Object.entries(push.TOPICS).map(([topic, label]) => `<option value="${topic}">${label}</option>`).join('')}
+                    </select>
+                    <label>${t('admin.status.notifyMessage')}</label>
+                    <input type="text" name="notifyMessage" maxlength="200" placeholder="${t('admin.status.notifyPlaceholder')}">
+                </fieldset>
+                ` : ''}
+                <button type="submit">${t('admin.status.submit')}</button>
+            </form>
+        </div>
+
+        <div class="section" id="section-preview" data-section>
+            <h2>${t('admin.preview.title')}</h2>
+            <div id="publicPreview" class="public-preview" data-schedule-open="${scheduleOpen}" data-hero-url="${escapeHtml(heroUrl)}">
+                <span class="preview-status ${liveStatus.status ? 'open' : 'closed'}">${t(liveStatus.status ? 'app.status.open' : 'app.status.closed')}</span>
+                <div class="preview-notices">
+                    ${liveNotices.map(notice => `<p class="preview-notice notice-${notice.severity}" data-severity="${notice.severity}">${escapeHtml(i18n.pickText(notice.message, notice.messageCy, language))}</p>`).join('')}
+                </div>
+                <p class="preview-title">${t('site.hero.title')}</p>
+            </div>
+            <p><small>${t('admin.preview.help')}</small></p>
+        </div>
+
+        <div class="section" id="section-notices" data-section>
+            <h2>${t('admin.notices.title')}</h2>
+            ${noticeList.length ? `
+            <table>
+                <tr><th>${t('admin.notices.showing')}</th><th>${t('admin.notices.notice')}</th><th>${t('admin.notices.from')}</th><th>${t('admin.notices.until')}</th><th></th></tr>
+                ${noticeList.map(({ notice, state }) => `
+                <tr class="notice-row notice-row--${state}">
+                    <td>${t(`admin.notices.state.${state}`)}</td>
+                    <td>
+                        <span class="notice-tag notice-${notice.severity}">${t(`admin.notices.severity.${notice.severity}`)}</span>
+                        ${notice.audience ? `<span class="notice-tag">${t('admin.notices.only', { audience: t(`admin.notices.audience.${notice.audience}`) })}</span>` : ''}
+                        <br>${escapeHtml(notice.message)}
+                        ${notice.messageCy ? `<br><small lang="cy">${t('admin.notices.welsh', { message: escapeHtml(notice.messageCy) })}</small>` : ''}
+                        ${notice.link ? `<br><small>${t('admin.notices.link', { link: escapeHtml(notice.link) })}</small>` : ''}
+                    </td>
+                    <td>${notice.startsAt ? noticeTime.format(new Date(notice.startsAt)) : '—'}</td>
+                    <td>${notice.endsAt ? noticeTime.format(new Date(notice.endsAt)) : t('admin.notices.untilRemoved')}</td>
+                    <td>
+                        ${state !== 'ended' ? `
+                        <form method="POST" action="/admin/notices/end" data-success="${t('admin.notices.ended')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(notice.id)}">
+                            <button type="submit">${t('admin.notices.end')}</button>
+                        </form>` : ''}
+                        <form method="POST" action="/admin/notices/delete" data-success="${t('admin.notices.deleted')}" data-confirm="${t('admin.notices.confirmDelete')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(notice.id)}">
+                            <button type="submit" class="danger">${t('admin.delete')}</button>
+                        </form>
+                    </td>
+                </tr>`).join('')}
+            </table>
+            ` : `<p>${t('admin.notices.none')}</p>`}
+
+            <h3>${t('admin.notices.add')}</h3>
+            <form method="POST" action="/admin/notices" data-success="${t('admin.notices.added')}">
+                ${csrfField(req)}
                 <div class="form-group">
-                    <label>Password:</label>
-                    <input type="password" name="password" required>
+                    <label>${t('admin.notices.message')}</label>
+                    <textarea name="message" rows="2" maxlength="280" required placeholder="${t('admin.notices.messagePlaceholder')}"></textarea>
                 </div>
                 <div class="form-group">
-                    <label>Status:</label>
-                    <select name="status" required>
-                        <option value="true" ${statusData.status ? 'selected' : ''}>Open</option>
-                        <option value="false" ${!statusData.status ? 'selected' : ''}>Closed</option>
+                    <label>${t('admin.notices.messageCy')}</label>
+                    <textarea name="messageCy" rows="2" maxlength="280" lang="cy"></textarea>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.notices.type')}</label>
+                    <select name="severity">
+                        ${Object.keys(notices.SEVERITIES).reverse().map(severity => `<option value="${severity}">${t(`admin.notices.severity.${severity}`)}</option>`).join('')}
                     </select>
                 </div>
                 <div class="form-group">
-                    <label>Notice (optional):</label>
-                    <textarea name="notice">${statusData.notice || ''}</textarea>
+                    <label>${t('admin.notices.audience')}</label>
+                    <select name="audience">
+                        <option value="">${t('admin.notices.everyone')}</option>
+                        ${Object.keys(notices.AUDIENCES).map(audience => `<option value="${audience}">${t(`admin.notices.audience.${audience}`)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.notices.linkLabel')}</label>
+                    <input type="text" name="link" maxlength="500">
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.notices.startsAt')}</label>
+                    <input type="datetime-local" name="startsAt">
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.notices.endsAt')}</label>
+                    <input type="datetime-local" name="endsAt" value="${today}T23:59">
                 </div>
-                <button type="submit">Update Status</button>
+                <button type="submit">${t('admin.notices.submit')}</button>
             </form>
         </div>
 
-        <div class="section">
-            <h2>Gallery (${galleryData.images.length}/10)</h2>
-            ${galleryData.images.length < 10 ? `
-                <form method="POST" action="/admin/upload-gallery" enctype="multipart/form-data">
-                    <div class="form-group">
-                        <label>Password:</label>
-                        <input type="password" name="password" required>
-                    </div>
+        ${auth.can(user, 'schedule') ? `
+        <div class="section" id="section-schedule" data-section>
+            <h2>${t('admin.schedule.title')}</h2>
+            <form method="POST" action="/admin/update-schedule" data-success="${t('admin.schedule.saved')}">
+                ${csrfField(req)}
+                <div class="form-group">
+                    <label>${t('admin.schedule.saturday')}</label>
+                    <input type="time" name="saturdayOpen" value="${escapeHtml(scheduleData.weekly.saturday?.open)}" required>
+                    <input type="time" name="saturdayClose" value="${escapeHtml(scheduleData.weekly.saturday?.close)}" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.schedule.sunday')}</label>
+                    <input type="time" name="sundayOpen" value="${escapeHtml(scheduleData.weekly.sunday?.open)}" required>
+                    <input type="time" name="sundayClose" value="${escapeHtml(scheduleData.weekly.sunday?.close)}" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.schedule.season')}</label>
+                    <input type="text" name="seasonStart" value="${escapeHtml(scheduleData.season?.start)}" pattern="\\d{2}-\\d{2}" required>
+                    <input type="text" name="seasonEnd" value="${escapeHtml(scheduleData.season?.end)}" pattern="\\d{2}-\\d{2}" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.schedule.exceptions')}</label>
+                    <textarea name="exceptions" rows="4">${escapeHtml(schedule.formatExceptions(scheduleData.exceptions))}</textarea>
+                </div>
+                <button type="submit">${t('admin.schedule.submit')}</button>
+            </form>
+        </div>
+        ` : ''}
+
+        ${auth.can(user, 'weather') ? `
+        <div class="section" id="section-weather" data-section>
+            <h2>${t('admin.weather.title')}</h2>
+            <form method="POST" action="/admin/weather" data-success="${t('admin.weather.saved')}">
+                ${csrfField(req)}
+                <p>${t('admin.weather.intro')}</p>
+                <div class="form-group">
+                    <label>${t('admin.weather.windSpeed')}</label>
+                    <input type="number" name="windSpeed" min="0" step="1" value="${weatherSettings.thresholds.windSpeed ?? ''}">
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.weather.windGust')}</label>
+                    <input type="number" name="windGust" min="0" step="1" value="${weatherSettings.thresholds.windGust ?? ''}">
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.weather.precipitation')}</label>
+                    <input type="number" name="precipitation" min="0" step="0.1" value="${weatherSettings.thresholds.precipitation ?? ''}">
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.weather.precipitationProbability')}</label>
+                    <input type="number" name="precipitationProbability" min="0" max="100" step="1" value="${weatherSettings.thresholds.precipitationProbability ?? ''}">
+                </div>
+                <div class="form-group">
+                    <label><input type="checkbox" name="showBadge" style="width: auto;" ${weatherSettings.showBadge ? 'checked' : ''}> ${t('admin.weather.showBadge')}</label>
+                </div>
+                <button type="submit">${t('admin.weather.submit')}</button>
+            </form>
+        </div>
+        ` : ''}
+
+        ${auth.can(user, 'content') ? `
+        <div class="section" id="section-pricing" data-section>
+            <h2>${t('admin.pricing.title')}</h2>
+            <form method="POST" action="/admin/pricing" data-success="${t('admin.pricing.saved')}">
+                ${csrfField(req)}
+                <div class="form-group">
+                    <label>${t('admin.pricing.early')}</label>
+                    <input type="time" name="earlyFrom" value="${pricingData.sellers.earlyEntry.from}" required>
+                    <input type="time" name="earlyTo" value="${pricingData.sellers.earlyEntry.to}" required>
+                    <input type="text" name="earlyFee" value="${pricing.formatPounds(pricingData.sellers.earlyEntry.fee)}" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.pricing.regular')}</label>
+                    <input type="time" name="regularFrom" value="${pricingData.sellers.regularEntry.from}" required>
+                    <input type="time" name="regularTo" value="${pricingData.sellers.regularEntry.to}" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.pricing.saturday')}</label>
+                    <textarea name="saturdayPitches" rows="3">${escapeHtml(pricing.formatPitchLines(pricingData.sellers.days.saturday))}</textarea>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.pricing.sunday')}</label>
+                    <textarea name="sundayPitches" rows="4">${escapeHtml(pricing.formatPitchLines(pricingData.sellers.days.sunday))}</textarea>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.pricing.buyers')}</label>
+                    <textarea name="buyerTickets" rows="3">${escapeHtml(pricing.formatBuyerLines(pricingData.buyers))}</textarea>
+                </div>
+                <button type="submit">${t('admin.pricing.submit')}</button>
+            </form>
+        </div>
+
+        <div class="section" id="section-content" data-section>
+            <h2>${t('admin.content.title')}</h2>
+            <form method="POST" action="/admin/content" data-success="${t('admin.content.saved')}">
+                ${csrfField(req)}
+                <div class="form-group">
+                    <label>${t('admin.content.remainUntil')}</label>
+                    <input type="time" name="sellersRemainUntil" value="${contentData.sellersRemainUntil}" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.content.sellerRules')}</label>
+                    <textarea name="sellerRules" rows="5">${escapeHtml(content.formatList(contentData.rules.sellers))}</textarea>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.content.buyerRules')}</label>
+                    <textarea name="buyerRules" rows="5">${escapeHtml(content.formatList(contentData.rules.buyers))}</textarea>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.content.prohibited')}</label>
+                    <textarea name="prohibitedItems" rows="5">${escapeHtml(content.formatList(contentData.rules.prohibited))}</textarea>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.content.openingNotes')}</label>
+                    <textarea name="openingNotes" rows="2">${escapeHtml(content.formatList(contentData.openingNotes))}</textarea>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.content.contact')}</label>
+                    <input type="tel" name="phone" value="${escapeHtml(contentData.contact.phone)}" required>
+                    <input type="email" name="email" value="${escapeHtml(contentData.contact.email)}" required>
+                    <input type="url" name="facebook" value="${escapeHtml(contentData.contact.facebook)}" placeholder="${t('admin.content.facebook')}">
+                </div>
+                <button type="submit">${t('admin.content.submit')}</button>
+            </form>
+        </div>
+
+        <div class="section" id="section-sitemap" data-section>
+            <h2>${t('admin.siteMap.title')}</h2>
+            <p>${t('admin.siteMap.help', { width: siteMap.WIDTH, height: siteMap.HEIGHT, layers: siteMap.LAYERS.join(', ') })}</p>
+            <form method="POST" action="/admin/site-map" data-success="${t('admin.siteMap.saved')}">
+                ${csrfField(req)}
+                <div class="form-group">
+                    <label>${t('admin.siteMap.features')}</label>
+                    <textarea name="features" rows="12" spellcheck="false">${escapeHtml(siteMap.formatFeatureLines(siteMapData.features))}</textarea>
+                </div>
+                <button type="submit">${t('admin.siteMap.submit')}</button>
+            </form>
+        </div>
+        ` : ''}
+
+        ${auth.can(user, 'gallery') ? `
+        <div class="section" id="section-gallery" data-section>
+            <h2>${t('admin.gallery.title', { count: galleryData.images.length, max: galleryData.maxImages })}</h2>
+            ${galleryData.images.length < galleryData.maxImages ? `
+                <form method="POST" action="/admin/upload-gallery" data-success="${t('admin.gallery.uploaded')}" enctype="multipart/form-data">
+                    ${csrfField(req)}
                     <div class="form-group">
-                        <label>Image:</label>
+                        <label>${t('admin.gallery.image')}</label>
                         <input type="file" name="image" accept="image/*" required>
                     </div>
                     <div class="form-group">
-                        <label>Description:</label>
+                        <label>${t('admin.gallery.description')}</label>
                         <input type="text" name="description">
                     </div>
-                    <button type="submit">Upload Image</button>
+                    <div class="form-group">
+                        <label>${t('admin.gallery.descriptionCy')}</label>
+                        <input type="text" name="descriptionCy" lang="cy">
+                    </div>
+                    <button type="submit">${t('admin.gallery.upload')}</button>
                 </form>
-            ` : '<p>Gallery Full</p>'}
-        </div>
+            ` : `<p>${t('admin.gallery.full')}</p>`}
 
-        <div class="section">
-            <h2>Hero Background</h2>
-            <form method="POST" action="/admin/upload-hero" enctype="multipart/form-data">
+            ${galleryData.images.length ? `
+            <h3>${t('admin.gallery.current')}</h3>
+            <p>${t('admin.gallery.dragHelp')}</p>
+            <ul id="galleryList" class="gallery-list">
+                ${galleryData.images.map(image => `
+                <li class="gallery-entry" draggable="true" data-id="${escapeHtml(image.id)}">
+                    <span class="drag-handle" title="${t('admin.gallery.drag')}">☰</span>
+                    <img src="${escapeHtml(image.variants?.[0]?.url || `/uploads/gallery/${image.filename}`)}" alt="">
+                    <div class="gallery-entry__forms">
+                        <form method="POST" action="/admin/gallery/update" data-success="${t('admin.gallery.captionSaved')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(image.id)}">
+                            <input type="text" name="description" value="${escapeHtml(image.description)}" placeholder="${t('admin.gallery.descriptionPlaceholder')}">
+                            <input type="text" name="descriptionCy" value="${escapeHtml(image.descriptionCy)}" placeholder="${t('admin.gallery.descriptionCyPlaceholder')}" lang="cy">
+                            <button type="submit">${t('admin.gallery.saveCaption')}</button>
+                        </form>
+                        <form method="POST" action="/admin/gallery/replace" data-success="${t('admin.gallery.replaced')}" enctype="multipart/form-data">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(image.id)}">
+                            <input type="file" name="image" accept="image/*" required>
+                            <button type="submit">${t('admin.gallery.replace')}</button>
+                        </form>
+                        <form method="POST" action="/admin/gallery/delete" data-success="${t('admin.gallery.deleted')}" data-confirm="${t('admin.gallery.confirmDelete')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(image.id)}">
+                            <button type="submit" class="danger">${t('admin.delete')}</button>
+                        </form>
+                    </div>
+                </li>`).join('')}
+            </ul>
+            <form method="POST" action="/admin/gallery/reorder" data-success="${t('admin.gallery.orderSaved')}">
+                ${csrfField(req)}
+                <input type="hidden" name="order" id="galleryOrder" value="${escapeHtml(galleryData.images.map(image => image.id).join(','))}">
+                <button type="submit">${t('admin.gallery.saveOrder')}</button>
+            </form>
+            ` : ''}
+
+            <h3>${t('admin.gallery.settings')}</h3>
+            <form method="POST" action="/admin/gallery/settings" data-success="${t('admin.gallery.limitSaved')}">
+                ${csrfField(req)}
                 <div class="form-group">
-                    <label>Password:</label>
-                    <input type="password" name="password" required>
+                    <label>${t('admin.gallery.maxImages', { max: GALLERY_MAX_LIMIT })}</label>
+                    <input type="number" name="maxImages" min="1" max="${GALLERY_MAX_LIMIT}" value="${galleryData.maxImages}" required>
                 </div>
+                <button type="submit">${t('admin.gallery.saveLimit')}</button>
+            </form>
+        </div>
+        ` : ''}
+
+        ${auth.can(user, 'hero') ? `
+        <div class="section" id="section-hero" data-section>
+            <h2>${t('admin.hero.title')}</h2>
+            ${heroThumbnail ? `
+            <p>${t('admin.hero.current')}</p>
+            <img class="thumbnail" src="${escapeHtml(heroThumbnail)}" alt="${t('admin.hero.currentAlt')}">
+            ` : `<p>${t('admin.hero.none')}</p>`}
+            <form method="POST" action="/admin/upload-hero" data-success="${t('admin.hero.saved')}" enctype="multipart/form-data">
+                ${csrfField(req)}
                 <div class="form-group">
-                    <label>Background Image:</label>
+                    <label>${t('admin.hero.image')}</label>
                     <input type="file" name="image" accept="image/*" required>
                 </div>
-                <button type="submit">Upload Background</button>
+                <button type="submit">${t('admin.hero.upload')}</button>
+            </form>
+        </div>
+        ` : ''}
+
+        ${auth.can(user, 'bookings') ? `
+        <div class="section" id="section-bookings" data-section>
+            <h2>${t('admin.bookings.title')}</h2>
+            <form method="GET" action="/admin" class="inline-form">
+                <input type="date" name="bookingDate" value="${bookingDate}">
+                <button type="submit">${t('admin.bookings.showDate')}</button>
+                ${bookingDate ? `<a href="/admin">${t('admin.bookings.showAll')}</a>` : ''}
+                <a href="/admin/bookings/export${bookingDate ? `?date=${bookingDate}` : ''}">${t('admin.bookings.export')}</a>
+            </form>
+            ${bookingDate ? `<p>${t('admin.bookings.booked', { count: bookings.countActive(bookingsData.bookings, bookingDate), capacity: bookings.getCapacity(bookingsData, bookingDate) })}</p>` : ''}
+            ${listedBookings.length ? `
+            <table>
+                <tr><th>${t('admin.bookings.ref')}</th><th>${t('admin.bookings.date')}</th><th>${t('admin.bookings.pitch')}</th><th>${t('admin.bookings.seller')}</th><th>${t('admin.bookings.price')}</th><th>${t('admin.bookings.status')}</th><th></th></tr>
+                ${listedBookings.map(booking => `
+                <tr>
+                    <td>${escapeHtml(booking.reference)}</td>
+                    <td>${escapeHtml(booking.date)}</td>
+                    <td>${escapeHtml(booking.vehicleLabel)}${booking.earlyEntry ? t('admin.bookings.early') : ''}</td>
+                    <td>${escapeHtml(booking.name)}<br>${escapeHtml(booking.phone)}${booking.email ? `<br>${escapeHtml(booking.email)}` : ''}</td>
+                    <td>${booking.priceFrom ? t('admin.bookings.from', { price: pricing.formatPrice(booking.price) }) : pricing.formatPrice(booking.price)}</td>
+                    <td>${escapeHtml(booking.status)}</td>
+                    <td>
+                        ${booking.status !== 'confirmed' ? `
+                        <form method="POST" action="/admin/bookings/status" data-success="${t('admin.bookings.updated')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="reference" value="${escapeHtml(booking.reference)}">
+                            <input type="hidden" name="status" value="confirmed">
+                            <button type="submit">${t('admin.bookings.confirm')}</button>
+                        </form>` : ''}
+                        ${booking.status !== 'cancelled' ? `
+                        <form method="POST" action="/admin/bookings/status" data-success="${t('admin.bookings.updated')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="reference" value="${escapeHtml(booking.reference)}">
+                            <input type="hidden" name="status" value="cancelled">
+                            <button type="submit" class="danger">${t('admin.bookings.cancel')}</button>
+                        </form>` : ''}
+                    </td>
+                </tr>`).join('')}
+            </table>
+            ` : `<p>${t('admin.bookings.none')}</p>`}
+
+            <h3>${t('admin.bookings.capacity')}</h3>
+            <form method="POST" action="/admin/bookings/capacity" data-success="${t('admin.bookings.capacitySaved')}">
+                ${csrfField(req)}
+                ${Object.keys(bookings.DEFAULT_CAPACITY).map(day => `
+                <div class="form-group">
+                    <label>${t(`app.day.${day}`)}:</label>
+                    <input type="number" name="${day}" min="0" value="${bookingsData.capacity[day] ?? 0}" required>
+                </div>`).join('')}
+                <button type="submit">${t('admin.bookings.saveCapacity')}</button>
+            </form>
+        </div>
+        ` : ''}
+
+        ${auth.can(user, 'sellers') ? `
+        <div class="section" id="section-sellers" data-section>
+            <h2>${t('admin.sellers.title', { count: pendingSellers })}</h2>
+            <p>${t('admin.sellers.help')}</p>
+            ${listedSellers.length ? `
+            <table>
+                <tr><th></th><th>${t('admin.sellers.stall')}</th><th>${t('admin.sellers.categories')}</th><th>${t('admin.sellers.days')}</th><th>${t('admin.sellers.status')}</th><th></th></tr>
+                ${listedSellers.map(seller => `
+                <tr>
+                    <td>${seller.photo ? `<img src="${escapeHtml(seller.photo.variants?.[0]?.url || seller.photo.url)}" alt="" width="64">` : ''}</td>
+                    <td><strong>${escapeHtml(seller.stallName)}</strong>${seller.description ? `<br>${escapeHtml(seller.description)}` : ''}</td>
+                    <td>${seller.categories.map(category => t(`app.sellers.category.${category}`)).join(', ')}</td>
+                    <td>${seller.days.map(day => t(`app.day.${day}`)).join(', ')}</td>
+                    <td>${t(`admin.sellers.status.${seller.status}`)}</td>
+                    <td>
+                        ${seller.status !== 'approved' ? `
+                        <form method="POST" action="/admin/sellers/status" data-success="${t('admin.sellers.updated')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(seller.id)}">
+                            <input type="hidden" name="status" value="approved">
+                            <button type="submit">${t('admin.sellers.approve')}</button>
+                        </form>` : ''}
+                        ${seller.status !== 'hidden' ? `
+                        <form method="POST" action="/admin/sellers/status" data-success="${t('admin.sellers.updated')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(seller.id)}">
+                            <input type="hidden" name="status" value="hidden">
+                            <button type="submit">${t('admin.sellers.hide')}</button>
+                        </form>` : ''}
+                        <form method="POST" action="/admin/sellers/delete" data-success="${t('admin.sellers.deleted')}" data-confirm="${t('admin.sellers.confirmDelete')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(seller.id)}">
+                            <button type="submit" class="danger">${t('admin.sellers.delete')}</button>
+                        </form>
+                    </td>
+                </tr>`).join('')}
+            </table>
+            ` : `<p>${t('admin.sellers.none')}</p>`}
+        </div>
+        ` : ''}
+
+        ${auth.can(user, 'lostfound') ? `
+        <div class="section" id="section-lostfound" data-section>
+            <h2>${t('admin.lostFound.title')}</h2>
+            <p>${t('admin.lostFound.help', { days: lostFound.LISTING_DAYS })}</p>
+            <form method="POST" action="/admin/lost-found" data-success="${t('admin.lostFound.logged')}" enctype="multipart/form-data">
+                ${csrfField(req)}
+                <div class="form-group">
+                    <label>${t('admin.lostFound.description')}</label>
+                    <input type="text" name="description" maxlength="200" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.lostFound.location')}</label>
+                    <input type="text" name="location" maxlength="100" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.lostFound.date')}</label>
+                    <input type="date" name="date" value="${today}" max="${today}" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.lostFound.photo')}</label>
+                    <input type="file" name="photo" accept="image/*">
+                </div>
+                <button type="submit">${t('admin.lostFound.log')}</button>
+            </form>
+            ${listedLostFound.length ? `
+            <table>
+                <tr><th></th><th>${t('admin.lostFound.item')}</th><th>${t('admin.lostFound.where')}</th><th>${t('admin.lostFound.when')}</th><th>${t('admin.lostFound.contact')}</th><th>${t('admin.lostFound.state')}</th><th></th></tr>
+                ${listedLostFound.map(({ item, state }) => `
+                <tr>
+                    <td>${item.photo ? `<img src="${escapeHtml(item.photo.variants?.[0]?.url || item.photo.url)}" alt="" width="64">` : ''}</td>
+                    <td><strong>${t(`admin.lostFound.kind.${item.kind}`)}:</strong> ${escapeHtml(item.description)}</td>
+                    <td>${escapeHtml(item.location) || '—'}</td>
+                    <td>${escapeHtml(item.date)}</td>
+                    <td>${item.kind === 'lost' && item.contactRemovedAt ? `<small>${t('admin.lostFound.contactRemoved')}</small>` : item.kind === 'lost'
+                        ? `${escapeHtml(item.name)}${item.phone ? `<br>${escapeHtml(item.phone)}` : ''}${item.email ? `<br>${escapeHtml(item.email)}` : ''}`
+                        : escapeHtml(item.loggedBy || '')}</td>
+                    <td>${t(`admin.lostFound.state.${state}`)}</td>
+                    <td>
+                        ${state === 'open' ? `
+                        <form method="POST" action="/admin/lost-found/claim" data-success="${t('admin.lostFound.claimed')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(item.id)}">
+                            <button type="submit">${t('admin.lostFound.claim')}</button>
+                        </form>` : ''}
+                        <form method="POST" action="/admin/lost-found/delete" data-success="${t('admin.lostFound.deleted')}" data-confirm="${t('admin.lostFound.confirmDelete')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="id" value="${escapeHtml(item.id)}">
+                            <button type="submit" class="danger">${t('admin.lostFound.delete')}</button>
+                        </form>
+                    </td>
+                </tr>`).join('')}
+            </table>
+            ` : `<p>${t('admin.lostFound.none')}</p>`}
+        </div>
+        ` : ''}
+
+        ${auth.can(user, 'analytics') ? `
+        <div class="section" id="section-gate" data-section>
+            <h2>${t('admin.gate.title')}</h2>
+            <p>${t('admin.gate.help')}</p>
+            <p><a href="/admin/gate">${t('admin.gate.open')}</a> · <a href="/admin/gate/report">${t('admin.gate.report')}</a> · <a href="/admin/gate/export">${t('admin.analytics.export')}</a></p>
+            ${gateDays.length
+                ? renderGateDays(gateDays, t, new Intl.DateTimeFormat(i18n.LANGUAGES[language].locale, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' }))
+                : `<p>${t('admin.gate.none')}</p>`}
+            ${gateData.rejected.length ? renderRejectedBatches(gateData.rejected, t, req) : ''}
+        </div>
+        ` : ''}
+
+        ${auth.can(user, 'users') ? `
+        <div class="section" id="section-users" data-section>
+            <h2>${t('admin.users.title')}</h2>
+            <table>
+                <tr><th>${t('admin.users.username')}</th><th>${t('admin.users.role')}</th><th></th></tr>
+                ${usersData.users.map(account => `
+                <tr>
+                    <td>${escapeHtml(account.username)}</td>
+                    <td>${escapeHtml(account.role)}</td>
+                    <td>${account.username !== user.username ? `
+                        <form method="POST" action="/admin/users/delete" data-success="${t('admin.users.removed')}">
+                            ${csrfField(req)}
+                            <input type="hidden" name="username" value="${escapeHtml(account.username)}">
+                            <button type="submit">${t('admin.users.remove')}</button>
+                        </form>` : ''}
+                    </td>
+                </tr>`).join('')}
+            </table>
+            <form method="POST" action="/admin/users" data-success="${t('admin.users.added')}">
+                ${csrfField(req)}
+                <div class="form-group">
+                    <label>${t('admin.users.usernameLabel')}</label>
+                    <input type="text" name="username" autocapitalize="none" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.users.password')}</label>
+                    <input type="password" name="password" autocomplete="new-password" minlength="8" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.users.roleLabel')}</label>
+                    <select name="role" required>
+                        <option value="staff">${t('admin.users.staff')}</option>
+                        <option value="owner">${t('admin.users.owner')}</option>
+                    </select>
+                </div>
+                <button type="submit">${t('admin.users.add')}</button>
             </form>
         </div>
+        ` : ''}
 
-        <p><a href="/">← Back to Site</a></p>
+        <div class="section" id="section-password" data-section>
+            <h2>${t('admin.password.title')}</h2>
+            <form method="POST" action="/admin/change-password" data-success="${t('admin.password.saved')}">
+                ${csrfField(req)}
+                <div class="form-group">
+                    <label>${t('admin.password.current')}</label>
+                    <input type="password" name="currentPassword" autocomplete="current-password" required>
+                </div>
+                <div class="form-group">
+                    <label>${t('admin.password.new')}</label>
+                    <input type="password" name="newPassword" autocomplete="new-password" minlength="8" required>
+                </div>
+                <button type="submit">${t('admin.password.submit')}</button>
+            </form>
+        </div>
+
+        <p><a href="${i18n.LANGUAGES[language].path}">${t('admin.backToSite')}</a></p>
     </div>
+    ${i18n.messagesScript(language, ADMIN_CLIENT_MESSAGES)}
+    <script src="/admin.js" defer></script>
 </body>
 </html>`;
         
@@ -359,17 +3808,65 @@ app.get('/admin', async (req, res) => {
     }
 });
 
+// Upload rejections (wrong file type, too large) and anything else thrown by middleware
+app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    if (error instanceof multer.MulterError || error.message === 'Only image files allowed') {
+        return res.status(400).json({ error: error.code === 'LIMIT_FILE_SIZE' ? 'File too large' : error.message });
+    }
+    if (error.status >= 400 && error.status < 500) {
+        return res.status(error.status).json({ error: 'Bad request' });
+    }
+    console.error('❌ Unhandled error:', error);
+    res.status(500).json({ error: 'Something went wrong' });
+});
+
 // Health check for Render
 app.get('/health', (req, res) => {
     res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Data files, owner account and push keys: everything the routes need before the first request
+async function initialize() {
+    await initializeDataFiles();
+    console.log(`💾 Storage: ${store.driver} documents, ${blobs.driver} uploads`);
+    console.log(`📧 Mail: ${mailTransport ? `${mailTransport.name}, enquiries forwarded to ${process.env.MAIL_TO || 'the site contact address'}` : 'off, enquiries kept in the admin inbox'}`);
+
+    await seedOwnerAccount();
+
+    const vapidKeys = await loadVapidKeys();
+    pushSender = push.createPushSender({
+        ...vapidKeys,
+        subject: process.env.VAPID_SUBJECT || 'mailto:info@rhylcarboot.com'
+    });
+    if (!process.env.SESSION_SECRET) {
+        console.warn('⚠️ SESSION_SECRET not set - admin sessions will end when the server restarts');
+    }
+    if (!process.env.SITE_URL && process.env.NODE_ENV === 'production') {
+        console.warn(`⚠️ SITE_URL not set - canonical links and the sitemap will point at ${siteBaseUrl()}`);
+    }
+}
+
 // Start server
 async function startServer() {
     try {
-        await createUploadDirectories();
-        await initializeDataFiles();
-        
+        await initialize();
+
+        setInterval(checkScheduledStatus, 60 * 1000).unref();
+        setInterval(flushAnalytics, 60 * 1000).unref();
+        if (mailTransport) {
+            flushMailQueue();
+            setInterval(flushMailQueue, MAIL_QUEUE_CHECK_MS).unref();
+        }
+        forgetExpiredLostReports();
+        setInterval(forgetExpiredLostReports, 60 * 60 * 1000).unref();
+        if (BACKUP_SNAPSHOT_HOURS > 0) {
+            takeScheduledSnapshot();
+            setInterval(takeScheduledSnapshot, 60 * 60 * 1000).unref();
+        }
+        // Fetch the forecast now so the first admin page load does not wait for it
+        getWeatherAdvisory().catch(() => {});
+
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`🚀 Server running on port ${PORT}`);
             console.log(`🌐 Health check: http://localhost:${PORT}/health`);
@@ -381,4 +3878,11 @@ async function startServer() {
     }
 }
 
-startServer();
+// `node server.js` listens on PORT. require('./server') only builds the app, so
+// tests can call initialize() and serve it themselves. Storage locations come
+// from DATA_DIR / UPLOADS_DIR (see lib/storage), read when this file is loaded.
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { app, initialize, startServer };
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, loadAdmin, waitFor } = require('./helpers');
+
+function submit(window, form) {
+    // Dispatch directly so the browser's own field validation doesn't get in the way
+    form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+}
+
+function sectionMessage(window, sectionId) {
+    return window.document.querySelector(`#${sectionId} > .section-message`);
+}
+
+describe('admin client', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('saves the status in the background and refreshes the page sections', async () => {
+        const client = createClient(server.baseUrl);
+        await client.login();
+        const window = await loadAdmin(server, client);
+        const { document } = window;
+
+        const form = document.querySelector('form[action="/admin/update-status"]');
+        form.elements.status.value = 'false';
+        submit(window, form);
+
+        const message = await waitFor(() => sectionMessage(window, 'section-status'));
+        assert.equal(message.className, 'section-message message-success');
+        assert.equal(message.textContent, 'Status updated.');
+        assert.match(document.getElementById('section-current').textContent, /CLOSED \(manual override for today\)/);
+        assert.equal(window.location.pathname, '/admin');
+        window.close();
+    });
+
+    it('shows server errors next to the form and keeps what was typed', async () => {
+        const client = createClient(server.baseUrl);
+        await client.login();
+        const window = await loadAdmin(server, client);
+        const { document } = window;
+
+        const form = document.querySelector('form[action="/admin/content"]');
+        form.elements.email.value = 'not-an-email';
+        form.elements.email.dispatchEvent(new window.Event('input', { bubbles: true }));
+        submit(window, form);
+
+        const message = await waitFor(() => sectionMessage(window, 'section-content'));
+        assert.equal(message.className, 'section-message message-error');
+        assert.equal(message.textContent, 'Please enter a valid email address');
+        assert.equal(document.querySelector('form[action="/admin/content"]').elements.email.value, 'not-an-email');
+        window.close();
+    });
+
+    it('leaves sections with unsaved edits alone when another form is saved', async () => {
+        const client = createClient(server.baseUrl);
+        await client.login();
+        const window = await loadAdmin(server, client);
+        const { document } = window;
+
+        const pricingForm = document.querySelector('form[action="/admin/pricing"]');
+        pricingForm.elements.earlyFee.value = '12.34';
+        pricingForm.elements.earlyFee.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+        submit(window, document.querySelector('form[action="/admin/gallery/settings"]'));
+        await waitFor(() => sectionMessage(window, 'section-gallery'));
+        assert.equal(document.querySelector('form[action="/admin/pricing"]').elements.earlyFee.value, '12.34');
+        window.close();
+    });
+
+    it('asks the user to log in again when the session has ended', async () => {
+        const owner = createClient(server.baseUrl);
+        const token = await owner.login();
+        await owner.postForm('/admin/users', { username: 'temp', password: 'temp-password', role: 'staff', _csrf: token });
+
+        const staff = createClient(server.baseUrl);
+        await staff.login('temp', 'temp-password');
+        const window = await loadAdmin(server, staff);
+        // The account is removed while its page is still open
+        await owner.postForm('/admin/users/delete', { username: 'temp', _csrf: token });
+
+        submit(window, window.document.querySelector('form[action="/admin/update-status"]'));
+        const message = await waitFor(() => sectionMessage(window, 'section-status'));
+        assert.match(message.textContent, /Your session has ended/);
+        assert.equal(message.querySelector('a').getAttribute('href'), '/admin/login');
+        window.close();
+    });
+
+    it('previews the status and a new notice before saving', async () => {
+        const client = createClient(server.baseUrl);
+        await client.login();
+        const window = await loadAdmin(server, client);
+        const { document } = window;
+
+        const statusForm = document.querySelector('form[action="/admin/update-status"]');
+        statusForm.elements.status.value = 'true';
+        statusForm.elements.status.dispatchEvent(new window.Event('change', { bubbles: true }));
+        const noticeForm = document.querySelector('form[action="/admin/notices"]');
+        noticeForm.elements.message.value = 'Extra stalls today';
+        noticeForm.elements.severity.value = 'warning';
+        noticeForm.elements.message.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+        const preview = document.getElementById('publicPreview');
+        assert.equal(preview.querySelector('.preview-status').textContent, 'CURRENTLY OPEN');
+        assert.ok(preview.querySelector('.preview-status').classList.contains('open'));
+        const draft = preview.querySelector('.preview-draft');
+        assert.equal(draft.textContent, 'Extra stalls today');
+        assert.ok(draft.classList.contains('notice-warning'));
+        assert.ok(preview.classList.contains('preview-unsaved'));
+
+        statusForm.elements.status.value = 'false';
+        statusForm.elements.status.dispatchEvent(new window.Event('change', { bubbles: true }));
+        noticeForm.elements.message.value = '';
+        noticeForm.elements.message.dispatchEvent(new window.Event('input', { bubbles: true }));
+        assert.equal(preview.querySelector('.preview-status').textContent, 'CURRENTLY CLOSED');
+        assert.equal(preview.querySelector('.preview-draft'), null);
+        window.close();
+    });
+
+    it('leaves login and logout as normal form posts', async () => {
+        const client = createClient(server.baseUrl);
+        await client.login();
+        const html = await (await client.request('/admin')).text();
+        assert.match(html, /<form method="POST" action="\/admin\/logout" data-native>/);
+        assert.match(html, /<script src="\/admin.js" defer><\/script>/);
+    });
+});
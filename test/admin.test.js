@@ -0,0 +1,444 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { startApp, createClient, OWNER_PASSWORD } = require('./helpers');
+const schedule = require('../lib/schedule');
+
+// Served from this process: server.js exports the app without listening
+let server;
+let owner;
+let token;
+
+before(async () => {
+    server = await startApp();
+    owner = createClient(server.baseUrl);
+    token = await owner.login();
+});
+
+after(async () => {
+    if (server) await server.stop();
+});
+
+async function post(client, pathname, fields) {
+    const response = await client.postForm(pathname, { ...fields, _csrf: fields._csrf ?? token });
+    return { status: response.status, body: await response.json() };
+}
+
+function png(background = '#21808d') {
+    return sharp({ create: { width: 40, height: 30, channels: 3, background } }).png().toBuffer();
+}
+
+async function upload(pathname, file, fields = {}, type = 'image/png') {
+    const form = new FormData();
+    form.append('_csrf', token);
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    if (file) form.append('image', new Blob([file], { type }), 'photo.png');
+    const response = await owner.request(pathname, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+const ADMIN_PAGES = [
+    '/admin', '/admin/history', '/admin/analytics', '/admin/analytics/export', '/admin/bookings/export',
+    '/admin/backup', '/admin/backup/export', '/admin/inbox', '/admin/gate/report', '/admin/gate/export'
+];
+const ADMIN_POSTS = [
+    '/admin/update-status', '/admin/notices', '/admin/notices/end', '/admin/notices/delete', '/admin/update-schedule',
+    '/admin/content', '/admin/site-map', '/admin/pricing', '/admin/weather', '/admin/bookings/status', '/admin/bookings/capacity',
+    '/admin/sellers/status', '/admin/sellers/delete', '/admin/lost-found', '/admin/lost-found/claim', '/admin/lost-found/delete',
+    '/admin/inbox/status', '/admin/inbox/resend', '/admin/inbox/delete', '/admin/gate/sync', '/admin/gate/rejected/dismiss',
+    '/admin/upload-gallery', '/admin/gallery/delete', '/admin/gallery/reorder', '/admin/gallery/update',
+    '/admin/gallery/replace', '/admin/gallery/settings', '/admin/upload-hero',
+    '/admin/users', '/admin/users/delete', '/admin/change-password', '/admin/history/restore',
+    '/admin/backup/import', '/admin/backup/discard', '/admin/backup/restore', '/admin/backup/snapshot'
+];
+// Routes gate staff (status, lost property and the gate counter) can still use
+const STAFF_POSTS = [
+    '/admin/update-status', '/admin/notices', '/admin/notices/end', '/admin/notices/delete', '/admin/change-password',
+    '/admin/lost-found', '/admin/lost-found/claim', '/admin/lost-found/delete', '/admin/gate/sync'
+];
+
+describe('admin sign-in', () => {
+    it('sends visitors to the login page', async () => {
+        const visitor = createClient(server.baseUrl);
+        for (const pathname of ADMIN_PAGES) {
+            const response = await visitor.request(pathname);
+            assert.equal(response.status, 302, pathname);
+            assert.equal(response.headers.get('location'), '/admin/login', pathname);
+        }
+    });
+
+    it('rejects changes without a session token, then without a login', async () => {
+        const visitor = createClient(server.baseUrl);
+        for (const pathname of ADMIN_POSTS.filter(pathname => !/upload|replace/.test(pathname))) {
+            assert.equal((await visitor.postForm(pathname, {})).status, 403, pathname);
+        }
+
+        for (const pathname of ADMIN_POSTS) {
+            // A refused request clears the session, token and all
+            const visitorToken = await visitor.csrfToken('/admin/login');
+            const { status, body } = await post(visitor, pathname, { _csrf: visitorToken });
+            assert.equal(status, 401, pathname);
+            assert.equal(body.error, 'Unauthorized');
+        }
+    });
+
+    it('keeps gate staff to the status and their own password', async () => {
+        const created = await post(owner, '/admin/users', { username: 'gate', password: 'gate-password', role: 'staff' });
+        assert.equal(created.status, 200);
+        const staff = createClient(server.baseUrl);
+        const staffToken = await staff.login('gate', 'gate-password');
+
+        for (const pathname of ADMIN_POSTS.filter(pathname => !STAFF_POSTS.includes(pathname))) {
+            const { status, body } = await post(staff, pathname, { _csrf: staffToken });
+            assert.equal(status, 403, pathname);
+            assert.equal(body.error, 'Forbidden');
+        }
+        for (const pathname of ADMIN_PAGES.slice(1)) {
+            assert.equal((await staff.request(pathname)).status, 403, pathname);
+        }
+        assert.equal((await post(staff, '/admin/update-status', { status: 'auto', _csrf: staffToken })).status, 200);
+    });
+
+    it('turns away a wrong password and signs out', async () => {
+        const visitor = createClient(server.baseUrl);
+        const loginToken = await visitor.csrfToken('/admin/login');
+        const wrong = await visitor.postForm('/admin/login', { username: 'owner', password: 'not-the-password', _csrf: loginToken });
+        assert.equal(wrong.status, 302);
+        assert.equal(wrong.headers.get('location'), '/admin/login?error=invalid');
+
+        const signedIn = createClient(server.baseUrl);
+        const signedInToken = await signedIn.login();
+        const logout = await signedIn.postForm('/admin/logout', { _csrf: signedInToken });
+        assert.equal(logout.headers.get('location'), '/admin/login');
+        assert.equal((await signedIn.request('/admin')).status, 302);
+    });
+});
+
+describe('gallery', () => {
+    let ids = [];
+
+    it('rejects files that are not images', async () => {
+        const text = await upload('/admin/upload-gallery', Buffer.from('hello'), {}, 'text/plain');
+        assert.equal(text.status, 400);
+        assert.equal(text.body.error, 'Only image files allowed');
+
+        const fake = await upload('/admin/upload-gallery', Buffer.from('not really a png'));
+        assert.equal(fake.status, 400);
+        assert.equal(fake.body.error, 'File is not a readable image');
+
+        const missing = await upload('/admin/upload-gallery', null);
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.error, 'No file uploaded');
+    });
+
+    it('takes up to 10 images, then says the gallery is full', async () => {
+        const image = await png();
+        for (let count = 0; count < 10; count++) {
+            const { status, body } = await upload('/admin/upload-gallery', image, { description: `Photo ${count}`, descriptionCy: `Llun ${count}` });
+            assert.equal(status, 200);
+            ids.push(body.image.id);
+        }
+
+        const full = await upload('/admin/upload-gallery', image);
+        assert.equal(full.status, 400);
+        assert.equal(full.body.error, 'Gallery full (10 max)');
+
+        const gallery = await (await fetch(`${server.baseUrl}/api/gallery`)).json();
+        assert.equal(gallery.images.length, 10);
+    });
+
+    it('changes the cap within 1-100', async () => {
+        assert.equal((await post(owner, '/admin/gallery/settings', { maxImages: '0' })).status, 400);
+        assert.equal((await post(owner, '/admin/gallery/settings', { maxImages: '2.5' })).status, 400);
+        const raised = await post(owner, '/admin/gallery/settings', { maxImages: '11' });
+        assert.equal(raised.status, 200);
+        assert.equal(raised.body.maxImages, 11);
+        assert.equal((await upload('/admin/upload-gallery', await png())).status, 200);
+    });
+
+    it('reorders only with every image listed once', async () => {
+        const gallery = await (await fetch(`${server.baseUrl}/api/gallery`)).json();
+        ids = gallery.images.map(image => image.id);
+
+        const partial = await post(owner, '/admin/gallery/reorder', { order: ids.slice(1).join(',') });
+        assert.equal(partial.status, 400);
+
+        const reversed = [...ids].reverse();
+        const { status, body } = await post(owner, '/admin/gallery/reorder', { order: reversed.join(',') });
+        assert.equal(status, 200);
+        assert.deepEqual(body.images.map(image => image.id), reversed);
+        ids = reversed;
+    });
+
+    it('edits captions and replaces and deletes images', async () => {
+        const caption = await post(owner, '/admin/gallery/update', { id: ids[0], description: 'Early birds', descriptionCy: 'Adar cynnar' });
+        assert.equal(caption.status, 200);
+        assert.equal(caption.body.image.description, 'Early birds');
+        assert.equal((await post(owner, '/admin/gallery/update', { id: 'nope', description: 'x' })).status, 404);
+
+        const replaced = await upload('/admin/gallery/replace', await png('#ff0000'), { id: ids[0] });
+        assert.equal(replaced.status, 200);
+        assert.equal(replaced.body.image.id, ids[0]);
+        assert.equal(replaced.body.image.description, 'Early birds');
+        assert.equal((await upload('/admin/gallery/replace', await png(), { id: 'nope' })).status, 404);
+        assert.equal((await upload('/admin/gallery/replace', Buffer.from('x'), { id: ids[0] }, 'application/pdf')).status, 400);
+
+        assert.equal((await post(owner, '/admin/gallery/delete', { id: ids[0] })).status, 200);
+        assert.equal((await post(owner, '/admin/gallery/delete', { id: ids[0] })).status, 404);
+        const gallery = await (await fetch(`${server.baseUrl}/api/gallery`)).json();
+        assert.equal(gallery.images.length, 10);
+    });
+
+    it('keeps changes made while an upload is processed, and lets only one upload take the last place', async () => {
+        const { images } = await (await fetch(`${server.baseUrl}/api/gallery`)).json();
+        const folder = path.join(server.dataDir, 'uploads', 'gallery');
+        const files = (await fs.readdir(folder)).length;
+
+        const [first, second, caption] = await Promise.all([
+            upload('/admin/upload-gallery', await png('#00ff00'), { description: 'Racing one' }),
+            upload('/admin/upload-gallery', await png('#0000ff'), { description: 'Racing two' }),
+            post(owner, '/admin/gallery/update', { id: images[0].id, description: 'Saved meanwhile' })
+        ]);
+        assert.deepEqual([first.status, second.status].sort(), [200, 400]);
+        assert.equal([first, second].find(response => response.status === 400).body.error, 'Gallery full (11 max)');
+        assert.equal(caption.status, 200);
+
+        const gallery = await (await fetch(`${server.baseUrl}/api/gallery`)).json();
+        assert.equal(gallery.images.length, 11);
+        assert.equal(gallery.images[0].description, 'Saved meanwhile');
+        const added = [first, second].find(response => response.status === 200).body.image;
+        assert.equal((await fs.readdir(folder)).length, files + 1 + added.variants.length);
+    });
+});
+
+describe('hero image', () => {
+    it('accepts images only', async () => {
+        const text = await upload('/admin/upload-hero', Buffer.from('hello'), {}, 'text/html');
+        assert.equal(text.status, 400);
+        assert.equal(text.body.error, 'Only image files allowed');
+
+        const { status, body } = await upload('/admin/upload-hero', await png());
+        assert.equal(status, 200);
+        const hero = await (await fetch(`${server.baseUrl}/api/hero-background`)).json();
+        assert.equal(hero.filename, body.hero.filename);
+    });
+});
+
+describe('opening schedule, content, prices and forecast settings', () => {
+    const week = { saturdayOpen: '06:00', saturdayClose: '13:00', sundayOpen: '06:00', sundayClose: '13:30' };
+
+    it('saves the schedule and rejects bad times, dates and exceptions', async () => {
+        assert.equal((await post(owner, '/admin/update-schedule', { ...week, sundayOpen: '6am', seasonStart: '04-01', seasonEnd: '10-31' })).body.error, 'Times must be HH:MM');
+        assert.equal((await post(owner, '/admin/update-schedule', { ...week, saturdayOpen: '14:00', saturdayClose: '06:00', seasonStart: '04-01', seasonEnd: '10-31' })).body.error, 'Saturday opening time must be before closing time');
+        assert.equal((await post(owner, '/admin/update-schedule', { ...week, sundayClose: '06:00', seasonStart: '04-01', seasonEnd: '10-31' })).body.error, 'Sunday opening time must be before closing time');
+        for (const [seasonStart, seasonEnd] of [['April', '10-31'], ['13-45', '10-31'], ['04-01', '09-31']]) {
+            assert.equal((await post(owner, '/admin/update-schedule', { ...week, seasonStart, seasonEnd })).body.error, 'Season dates must be real dates as MM-DD', seasonStart);
+        }
+        const badException = await post(owner, '/admin/update-schedule', { ...week, seasonStart: '04-01', seasonEnd: '10-31', exceptions: 'next week closed' });
+        assert.equal(badException.status, 400);
+        assert.match(badException.body.error, /Invalid exception line/);
+        for (const [exceptions, error] of [
+            ['2026-02-31 closed', 'Invalid date in exception line: "2026-02-31 closed"'],
+            ['2026-13-01 07:00-12:00', 'Invalid date in exception line: "2026-13-01 07:00-12:00"'],
+            ['2026-12-25 closed Christmas\n2026-12-26 13:00-07:00 Boxing Day', 'Opening time must be before closing time in exception line: "2026-12-26 13:00-07:00 Boxing Day"'],
+            ['2026-12-27 09:00-09:00', 'Opening time must be before closing time in exception line: "2026-12-27 09:00-09:00"']
+        ]) {
+            const { status, body } = await post(owner, '/admin/update-schedule', { ...week, seasonStart: '04-01', seasonEnd: '10-31', exceptions });
+            assert.equal(status, 400, exceptions);
+            assert.equal(body.error, error);
+        }
+
+        const { status } = await post(owner, '/admin/update-schedule', {
+            ...week, seasonStart: '01-01', seasonEnd: '12-31', exceptions: '2026-12-25 closed Christmas'
+        });
+        assert.equal(status, 200);
+        const contentData = await (await fetch(`${server.baseUrl}/api/content`)).json();
+        assert.deepEqual(contentData.openingTimes.season, { start: '01-01', end: '12-31' });
+    });
+
+    const contentFields = {
+        sellerRules: 'Arrive before 7am', buyerRules: 'Cash preferred', prohibitedItems: 'Fireworks',
+        openingNotes: '', sellersRemainUntil: '11:00', phone: '01745 654321', email: 'hello@rhylcarboot.com'
+    };
+
+    it('saves the site text and contact details', async () => {
+        assert.equal((await post(owner, '/admin/content', { ...contentFields, sellersRemainUntil: 'noon' })).status, 400);
+        const badEmail = await post(owner, '/admin/content', { ...contentFields, email: 'nobody' });
+        assert.equal(badEmail.status, 400);
+        assert.equal(badEmail.body.error, 'Please enter a valid email address');
+
+        assert.equal((await post(owner, '/admin/content', contentFields)).status, 200);
+        const contentData = await (await fetch(`${server.baseUrl}/api/content`)).json();
+        assert.deepEqual(contentData.rules.prohibited, ['Fireworks']);
+        assert.equal(contentData.contact.phoneHref, '01745654321');
+    });
+
+    const pricingFields = {
+        earlyFrom: '06:00', earlyTo: '07:30', regularFrom: '07:30', regularTo: '13:00', earlyFee: '2.50',
+        saturdayPitches: 'car | Cars | 10.00', sundayPitches: 'car | Cars | 12.00\ntrailer | Trailers | from 3.00',
+        buyerTickets: 'regular | Entry | 09:00 | 1.00'
+    };
+
+    it('saves prices and rejects bad lines', async () => {
+        assert.equal((await post(owner, '/admin/pricing', { ...pricingFields, earlyFee: 'two pounds' })).status, 400);
+        const badLine = await post(owner, '/admin/pricing', { ...pricingFields, saturdayPitches: 'car | Cars' });
+        assert.equal(badLine.status, 400);
+        assert.match(badLine.body.error, /Invalid pitch line/);
+
+        assert.equal((await post(owner, '/admin/pricing', pricingFields)).status, 200);
+        const pricingData = await (await fetch(`${server.baseUrl}/api/pricing`)).json();
+        assert.equal(pricingData.sellers.earlyEntry.fee, 250);
+        assert.deepEqual(pricingData.sellers.days.sunday[1], { id: 'trailer', label: 'Trailers', price: 300, from: true });
+    });
+
+    it('saves forecast warning levels, blank meaning off', async () => {
+        const negative = await post(owner, '/admin/weather', { windSpeed: '-1' });
+        assert.equal(negative.status, 400);
+
+        const { status, body } = await post(owner, '/admin/weather', {
+            windSpeed: '25', windGust: '', precipitation: '3', precipitationProbability: '70', showBadge: 'on'
+        });
+        assert.equal(status, 200);
+        assert.deepEqual(body.weather.thresholds, { windSpeed: 25, windGust: null, precipitation: 3, precipitationProbability: 70 });
+        assert.equal(body.weather.showBadge, true);
+    });
+});
+
+describe('bookings', () => {
+    let reference;
+    let date;
+
+    before(async () => {
+        // The schedule test above opens every weekend of the year
+        const today = schedule.getLocalParts(new Date(), 'Europe/London').date;
+        date = schedule.addDays(today, 1);
+        while (schedule.weekdayOf(date) !== 'saturday') date = schedule.addDays(date, 1);
+        const response = await fetch(`${server.baseUrl}/api/bookings`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ date, vehicle: 'car', name: 'Pat Pitch', phone: '07700 900456' })
+        });
+        assert.equal(response.status, 201);
+        reference = (await response.json()).booking.reference;
+    });
+
+    it('confirms and cancels bookings', async () => {
+        assert.equal((await post(owner, '/admin/bookings/status', { reference, status: 'maybe' })).status, 400);
+        assert.equal((await post(owner, '/admin/bookings/status', { reference: 'RCB-NOPE', status: 'confirmed' })).status, 404);
+
+        const { status, body } = await post(owner, '/admin/bookings/status', { reference, status: 'confirmed' });
+        assert.equal(status, 200);
+        assert.equal(body.booking.status, 'confirmed');
+    });
+
+    it('sets the number of pitches per day', async () => {
+        assert.equal((await post(owner, '/admin/bookings/capacity', { saturday: 'lots', sunday: '10' })).status, 400);
+        const { status, body } = await post(owner, '/admin/bookings/capacity', { saturday: '50', sunday: '60' });
+        assert.equal(status, 200);
+        assert.deepEqual(body.capacity, { saturday: 50, sunday: 60 });
+
+        const availability = await (await fetch(`${server.baseUrl}/api/bookings/availability?date=${date}`)).json();
+        assert.equal(availability.remaining, 49);
+    });
+
+    it('exports the day\'s bookings with contact details as CSV', async () => {
+        const response = await owner.request(`/admin/bookings/export?date=${date}`);
+        assert.match(response.headers.get('content-type'), /text\/csv/);
+        assert.equal(response.headers.get('content-disposition'), `attachment; filename="bookings-${date}.csv"`);
+        const [header, row] = (await response.text()).trim().split('\r\n');
+        assert.match(header, /^reference,date,/);
+        assert.ok(row.startsWith(`${reference},${date},`));
+        assert.match(row, /07700 900456/);
+    });
+});
+
+describe('accounts', () => {
+    it('validates new accounts', async () => {
+        const cases = [
+            [{ username: 'x', password: 'long-enough', role: 'staff' }, /Username must be/],
+            [{ username: 'helper', password: 'long-enough', role: 'admin' }, /Unknown role/],
+            [{ username: 'helper', password: 'short', role: 'staff' }, /at least 8/],
+            [{ username: 'Owner', password: 'long-enough', role: 'staff' }, /already exists/]
+        ];
+        for (const [fields, error] of cases) {
+            const response = await post(owner, '/admin/users', fields);
+            assert.equal(response.status, 400);
+            assert.match(response.body.error, error);
+        }
+    });
+
+    it('deletes other accounts but not your own', async () => {
+        await post(owner, '/admin/users', { username: 'helper', password: 'helper-password', role: 'staff' });
+        assert.equal((await post(owner, '/admin/users/delete', { username: 'owner' })).status, 400);
+        assert.equal((await post(owner, '/admin/users/delete', { username: 'helper' })).status, 200);
+        assert.equal((await post(owner, '/admin/users/delete', { username: 'helper' })).status, 404);
+    });
+
+    it('changes a password after checking the current one', async () => {
+        await post(owner, '/admin/users', { username: 'rota', password: 'rota-password', role: 'staff' });
+        const staff = createClient(server.baseUrl);
+        const staffToken = await staff.login('rota', 'rota-password');
+
+        const wrong = await post(staff, '/admin/change-password', { currentPassword: OWNER_PASSWORD, newPassword: 'new-password', _csrf: staffToken });
+        assert.equal(wrong.body.error, 'Current password is incorrect');
+        const short = await post(staff, '/admin/change-password', { currentPassword: 'rota-password', newPassword: 'short', _csrf: staffToken });
+        assert.equal(short.status, 400);
+        const changed = await post(staff, '/admin/change-password', { currentPassword: 'rota-password', newPassword: 'new-password', _csrf: staffToken });
+        assert.equal(changed.status, 200);
+
+        await createClient(server.baseUrl).login('rota', 'new-password');
+        await assert.rejects(createClient(server.baseUrl).login('rota', 'rota-password'), /Login failed/);
+    });
+});
+
+describe('change history', () => {
+    it('lists changes and filters them by type', async () => {
+        const html = await (await owner.request('/admin/history?action=gallery')).text();
+        assert.match(html, /<td>gallery\.upload<\/td>/);
+        assert.match(html, /<td>gallery\.reorder<\/td>/);
+        assert.doesNotMatch(html, /<td>pricing\.update<\/td>/);
+    });
+
+    it('changes nothing when a status alert is missing its message', async () => {
+        const before = await (await fetch(`${server.baseUrl}/api/status`)).json();
+        const { status, body } = await post(owner, '/admin/update-status', { status: 'false', notify: 'on', notifyTopic: 'weather', notifyMessage: ' ' });
+        assert.equal(status, 400);
+        assert.match(body.error, /enter a message/);
+        assert.equal((await (await fetch(`${server.baseUrl}/api/status`)).json()).lastUpdated, before.lastUpdated);
+    });
+
+    it('saves the status and schedule even when open pages cannot be told about them', async () => {
+        // An unknown timezone makes working out the public status throw
+        const file = path.join(server.dataDir, 'schedule.json');
+        const saved = await fs.readFile(file, 'utf8');
+        await fs.writeFile(file, JSON.stringify({ ...JSON.parse(saved), timezone: 'Nowhere/Field' }));
+        try {
+            const { status, body } = await post(owner, '/admin/update-status', { status: 'auto' });
+            assert.equal(status, 200);
+            assert.equal(JSON.parse(await fs.readFile(path.join(server.dataDir, 'status.json'), 'utf8')).lastUpdated, body.data.lastUpdated);
+
+            const week = { saturdayOpen: '06:00', saturdayClose: '13:00', sundayOpen: '06:00', sundayClose: '13:30', seasonStart: '01-01', seasonEnd: '12-31' };
+            const updated = await post(owner, '/admin/update-schedule', { ...week, exceptions: '2026-12-24 06:00-11:00 Christmas Eve' });
+            assert.equal(updated.status, 200);
+            assert.match(await (await owner.request('/admin/history?action=schedule')).text(), /Christmas Eve/);
+        } finally {
+            await fs.writeFile(file, saved);
+        }
+    });
+
+    it('puts back an earlier status override', async () => {
+        await post(owner, '/admin/update-status', { status: 'false' });
+        await post(owner, '/admin/update-status', { status: 'true' });
+        const html = await (await owner.request('/admin/history?action=status')).text();
+        // Newest first: the entry whose "before" was the closed override
+        const id = /name="id" value="([^"]+)">\s*<input type="hidden" name="field" value="status">/.exec(html)[1];
+
+        assert.equal((await post(owner, '/admin/history/restore', { id, field: 'hero' })).status, 404);
+        assert.equal((await post(owner, '/admin/history/restore', { id: 'nope', field: 'status' })).status, 404);
+        const { status, body } = await post(owner, '/admin/history/restore', { id, field: 'status' });
+        assert.equal(status, 200);
+        assert.equal(body.data.override.status, false);
+    });
+});
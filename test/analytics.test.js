@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, loadApp } = require('./helpers');
+const analytics = require('../lib/analytics');
+
+describe('lib/analytics', () => {
+    it('counts per local hour and adds to the stored totals', () => {
+        const counter = analytics.createCounter({ timezone: 'Europe/London' });
+        // 08:15 and 08:40 UTC are 09:xx in London in July
+        counter.record('pageview', new Date('2026-07-05T08:15:00Z'));
+        counter.record('pageview', new Date('2026-07-05T08:40:00Z'));
+        counter.record('status', new Date('2026-07-05T12:00:00Z'));
+
+        const counts = counter.drain();
+        assert.deepEqual(counts, { '2026-07-05': { pageview: { 9: 2 }, status: { 13: 1 } } });
+        assert.deepEqual(counter.drain(), {});
+
+        const stored = { days: { '2026-07-05': { pageview: { 9: 3 } }, '2024-01-01': { pageview: { 9: 1 } } } };
+        const merged = analytics.mergeCounts(stored, counts, new Date('2026-07-05T12:00:00Z'));
+        assert.deepEqual(merged.days, { '2026-07-05': { pageview: { 9: 5 }, status: { 13: 1 } } });
+    });
+
+    it('totals by day, hour and weekday and exports CSV', () => {
+        const data = {
+            days: {
+                '2026-07-04': { pageview: { 7: 2, 9: 1 } },
+                '2026-07-05': { pageview: { 9: 4 }, map: { 10: 1 } },
+                '2026-07-06': { pageview: { 9: 100 } }
+            }
+        };
+        const summary = analytics.summarize(data, '2026-07-04', '2026-07-05');
+        assert.equal(summary.totals.pageview, 7);
+        assert.equal(summary.byHour.pageview[9], 5);
+        assert.equal(summary.byHour.pageview[7], 2);
+        // Monday first: Saturday and Sunday are the last two
+        assert.deepEqual(summary.byWeekday.pageview, [0, 0, 0, 0, 0, 3, 4]);
+        assert.deepEqual(summary.days.map(day => day.counts.pageview), [3, 4]);
+
+        const [header, first, second] = analytics.toCsv(summary).trim().split('\r\n');
+        assert.equal(header, ['date', ...analytics.METRICS].join(','));
+        assert.match(first, /^2026-07-04,3,0,0,/);
+        assert.match(second, /^2026-07-05,4,0,1,/);
+    });
+
+    it('skips crawlers and link previews', () => {
+        assert.ok(analytics.isBot('Mozilla/5.0 (compatible; Googlebot/2.1)'));
+        assert.ok(analytics.isBot('facebookexternalhit/1.1'));
+        assert.ok(analytics.isBot(''));
+        assert.ok(!analytics.isBot('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1'));
+    });
+});
+
+describe('analytics API and dashboard', () => {
+    let server;
+    let client;
+    const browser = { 'user-agent': 'Mozilla/5.0 (Linux; Android 14) Chrome/126.0 Mobile' };
+
+    before(async () => {
+        server = await startServer();
+        client = createClient(server.baseUrl);
+        await client.login();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    function sendEvent(event, headers = browser) {
+        return fetch(`${server.baseUrl}/api/analytics`, {
+            method: 'POST',
+            headers: { ...headers, 'content-type': 'application/json' },
+            body: JSON.stringify({ event })
+        });
+    }
+
+    it('counts page views, status checks and page events without setting cookies', async () => {
+        const page = await fetch(`${server.baseUrl}/`, { headers: browser });
+        assert.equal(page.headers.get('set-cookie'), null);
+        await fetch(`${server.baseUrl}/cy/`, { headers: browser });
+        await fetch(`${server.baseUrl}/api/status`, { headers: browser });
+        await fetch(`${server.baseUrl}/`, { headers: { 'user-agent': 'Googlebot/2.1' } });
+
+        const event = await sendEvent('map');
+        assert.equal(event.status, 204);
+        assert.equal(event.headers.get('set-cookie'), null);
+        assert.equal((await sendEvent('section.gallery')).status, 204);
+        assert.equal((await sendEvent('keylogger')).status, 400);
+
+        const csv = await (await client.request('/admin/analytics/export')).text();
+        const [header, ...rows] = csv.trim().split('\r\n');
+        const columns = header.split(',');
+        const today = rows[rows.length - 1].split(',');
+        const count = metric => Number(today[columns.indexOf(metric)]);
+        assert.equal(rows.length, 30);
+        assert.equal(count('pageview'), 2);
+        assert.equal(count('status'), 1);
+        assert.equal(count('map'), 1);
+        assert.equal(count('section.gallery'), 1);
+    });
+
+    it('shows charts by hour and weekday to the owner', async () => {
+        const response = await client.request('/admin/analytics');
+        assert.equal(response.status, 200);
+        const html = await response.text();
+        assert.match(html, /Page views: 2/);
+        assert.match(html, /By hour of the day/);
+        assert.match(html, /By day of the week/);
+        assert.equal(html.match(/class="bar"/g).length, 2 * (24 + 7));
+        assert.match(html, /Viewed: Gallery<\/td><td class="count">1/);
+        assert.match(html, /href="\/admin\/analytics\/export\?from=\d{4}-\d{2}-\d{2}&amp;to=\d{4}-\d{2}-\d{2}"/);
+
+        const admin = await (await client.request('/admin')).text();
+        assert.match(admin, /<a href="\/admin\/analytics">Visitor analytics<\/a>/);
+    });
+
+    it('limits the date range and keeps it to owners', async () => {
+        const csv = await (await client.request('/admin/analytics/export?from=2020-01-01&to=2026-07-05')).text();
+        assert.equal(csv.trim().split('\r\n').length - 1, analytics.RETENTION_DAYS + 1);
+
+        const token = await client.csrfToken('/admin');
+        await client.postForm('/admin/users', { username: 'gate', password: 'gate-password', role: 'staff', _csrf: token });
+        const staff = createClient(server.baseUrl);
+        await staff.login('gate', 'gate-password');
+        assert.equal((await staff.request('/admin/analytics')).status, 403);
+    });
+});
+
+describe('app.js analytics events', () => {
+    async function loadTracked() {
+        const window = await loadApp();
+        const sent = [];
+        window.fetch = (url, options) => {
+            sent.push({ url, body: JSON.parse(options.body) });
+            return Promise.resolve({ ok: true });
+        };
+        return { window, sent };
+    }
+
+    it('reports map loads and call and email taps', async () => {
+        const { window, sent } = await loadTracked();
+        window.setupAnalytics();
+        window.loadMap(window.document.createElement('div'));
+        window.updateContactDisplay({ phoneHref: '01745123456', email: 'info@rhylcarboot.com' });
+        const [call, email] = window.document.querySelectorAll('#contactButtons a');
+        call.addEventListener('click', e => e.preventDefault());
+        email.addEventListener('click', e => e.preventDefault());
+        call.click();
+        email.click();
+
+        assert.deepEqual(sent.map(item => item.body.event), ['map', 'call', 'email']);
+        assert.ok(sent.every(item => item.url === '/api/analytics'));
+        window.close();
+    });
+});
@@ -0,0 +1,274 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { startApp, createClient } = require('./helpers');
+const pricing = require('../lib/pricing');
+const bookings = require('../lib/bookings');
+const schedule = require('../lib/schedule');
+
+// Served from this process: server.js exports the app without listening
+let server;
+
+before(async () => {
+    server = await startApp();
+});
+
+after(async () => {
+    if (server) await server.stop();
+});
+
+async function getJson(pathname, options) {
+    const response = await fetch(server.baseUrl + pathname, options);
+    return { status: response.status, body: await response.json() };
+}
+
+function postJson(pathname, body) {
+    return getJson(pathname, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+// The next `weekday` after today, in London
+function nextWeekday(weekday) {
+    const today = schedule.getLocalParts(new Date(), 'Europe/London').date;
+    for (let offset = 1; ; offset++) {
+        const date = schedule.addDays(today, offset);
+        if (schedule.weekdayOf(date) === weekday) return date;
+    }
+}
+
+describe('GET /api/status', () => {
+    it('returns the open/closed state, where it came from and live notices', async () => {
+        const { status, body } = await getJson('/api/status');
+        assert.equal(status, 200);
+        assert.equal(typeof body.status, 'boolean');
+        assert.equal(body.source, 'schedule');
+        assert.deepEqual(body.notices, []);
+        assert.ok('nextChange' in body);
+        assert.ok(body.lastUpdated);
+    });
+});
+
+describe('GET /api/events', () => {
+    it('streams the current status, gallery and hero straight away', async () => {
+        const controller = new AbortController();
+        const response = await fetch(`${server.baseUrl}/api/events`, { signal: controller.signal });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let received = '';
+        while (!/event: hero/.test(received)) received += decoder.decode((await reader.read()).value);
+        assert.match(received, /event: status\ndata: \{/);
+        assert.match(received, /event: gallery\ndata: \{"images":\[\]/);
+        controller.abort();
+    });
+});
+
+describe('GET /api/gallery, /api/hero-background, /api/pricing, /api/content', () => {
+    it('returns an empty gallery with the default cap', async () => {
+        const { status, body } = await getJson('/api/gallery');
+        assert.equal(status, 200);
+        assert.deepEqual(body.images, []);
+        assert.equal(body.maxImages, 10);
+    });
+
+    it('returns no hero image until one is uploaded', async () => {
+        const { status, body } = await getJson('/api/hero-background');
+        assert.equal(status, 200);
+        assert.equal(body.filename, null);
+    });
+
+    it('returns the pricing config', async () => {
+        const { status, body } = await getJson('/api/pricing');
+        assert.equal(status, 200);
+        assert.deepEqual(body, pricing.DEFAULT_PRICING);
+    });
+
+    it('returns rules, opening times, contact details and prices in one response', async () => {
+        const { status, body } = await getJson('/api/content');
+        assert.equal(status, 200);
+        assert.ok(body.rules.sellers.length > 0);
+        assert.deepEqual(body.openingTimes.weekly, schedule.DEFAULT_SCHEDULE.weekly);
+        assert.equal(body.contact.phoneHref, '01745123456');
+        assert.deepEqual(body.pricing, pricing.DEFAULT_PRICING);
+    });
+});
+
+describe('GET /api/weather', () => {
+    it('is switched off without a forecast provider', async () => {
+        const { status, body } = await getJson('/api/weather');
+        assert.equal(status, 200);
+        assert.deepEqual(body, { enabled: false });
+    });
+});
+
+describe('/api/push', () => {
+    const subscription = {
+        endpoint: 'https://fcm.googleapis.com/fcm/send/abc',
+        keys: { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' }
+    };
+
+    it('hands out the public key and alert topics', async () => {
+        const { status, body } = await getJson('/api/push/public-key');
+        assert.equal(status, 200);
+        assert.equal(typeof body.publicKey, 'string');
+        assert.deepEqual(Object.keys(body.topics), ['weather', 'openings', 'notices']);
+    });
+
+    it('subscribes, updates the topics and unsubscribes', async () => {
+        const first = await postJson('/api/push/subscribe', { subscription, topics: ['weather'] });
+        assert.equal(first.status, 200);
+        assert.deepEqual(first.body.topics, ['weather']);
+
+        const again = await postJson('/api/push/subscribe', {
+            subscription: { ...subscription, keys: { p256dh: 'B'.repeat(87), auth: 'A'.repeat(22) } },
+            topics: ['weather', 'openings', 'nonsense']
+        });
+        assert.deepEqual(again.body.topics, ['weather', 'openings']);
+        const stored = JSON.parse(await fs.readFile(path.join(server.dataDir, 'push-subscriptions.json'), 'utf8'));
+        assert.deepEqual(stored.subscriptions[0].keys, subscription.keys);
+
+        const removed = await postJson('/api/push/unsubscribe', { endpoint: subscription.endpoint });
+        assert.equal(removed.status, 200);
+    });
+
+    it('rejects bad subscriptions and empty topic lists', async () => {
+        const invalid = await postJson('/api/push/subscribe', { subscription: { endpoint: 'javascript:alert(1)' }, topics: ['weather'] });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error, 'Invalid subscription');
+
+        // Only the browsers' push services: never the server itself, the local network or cloud metadata
+        for (const endpoint of [
+            'http://fcm.googleapis.com/fcm/send/abc',
+            'https://fcm.googleapis.com:8443/fcm/send/abc',
+            'http://127.0.0.1:3000/admin',
+            'https://localhost/send/abc',
+            'http://169.254.169.254/latest/meta-data/',
+            'https://10.0.0.5/send/abc',
+            'https://fcm.googleapis.com.attacker.example/send/abc'
+        ]) {
+            const internal = await postJson('/api/push/subscribe', { subscription: { ...subscription, endpoint }, topics: ['weather'] });
+            assert.equal(internal.status, 400, endpoint);
+        }
+
+        const noTopics = await postJson('/api/push/subscribe', { subscription, topics: [] });
+        assert.equal(noTopics.status, 400);
+        assert.match(noTopics.body.error, /at least one/);
+    });
+});
+
+describe('POST /api/analytics', () => {
+    it('accepts known events only', async () => {
+        const known = await fetch(`${server.baseUrl}/api/analytics`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ event: 'call' })
+        });
+        assert.equal(known.status, 204);
+        assert.equal((await postJson('/api/analytics', { event: '<script>' })).status, 400);
+    });
+});
+
+describe('/api/bookings', () => {
+    const sunday = nextWeekday('sunday');
+
+    before(async () => {
+        // Trade all year, so next Sunday can be booked whatever the date the tests run
+        const client = createClient(server.baseUrl);
+        const token = await client.login();
+        const response = await client.postForm('/admin/update-schedule', {
+            saturdayOpen: '06:00', saturdayClose: '13:00', sundayOpen: '06:00', sundayClose: '13:30',
+            seasonStart: '01-01', seasonEnd: '12-31', exceptions: '', _csrf: token
+        });
+        assert.equal(response.status, 200);
+    });
+
+    it('needs a date to check availability', async () => {
+        const { status, body } = await getJson('/api/bookings/availability?date=soon');
+        assert.equal(status, 400);
+        assert.match(body.error, /YYYY-MM-DD/);
+    });
+
+    it('lists the pitch types and spaces left on a trading day', async () => {
+        const { status, body } = await getJson(`/api/bookings/availability?date=${sunday}`);
+        assert.equal(status, 200);
+        assert.equal(body.bookable, true);
+        assert.deepEqual(body.vehicles.map(vehicle => vehicle.id), ['car', 'van', 'trailer']);
+    });
+
+    it('books a pitch and returns the reference and price, not the contact details', async () => {
+        const { status, body } = await postJson('/api/bookings', {
+            date: sunday, vehicle: 'van', earlyEntry: true, name: 'Sam Seller', phone: '07700 900123'
+        });
+        assert.equal(status, 201);
+        assert.match(body.booking.reference, /\S+/);
+        assert.equal(body.booking.price, 1500 + pricing.DEFAULT_PRICING.sellers.earlyEntry.fee);
+        assert.equal(body.booking.status, 'pending');
+        assert.equal(body.booking.phone, undefined);
+
+        const { body: availability } = await getJson(`/api/bookings/availability?date=${sunday}`);
+        assert.equal(availability.remaining, bookings.DEFAULT_CAPACITY.sunday - 1);
+    });
+
+    it('keeps every booking made at the same moment', async () => {
+        const { body: before } = await getJson(`/api/bookings/availability?date=${sunday}`);
+        const responses = await Promise.all(Array.from({ length: 5 }, (_, index) => postJson('/api/bookings', {
+            date: sunday, vehicle: 'car', name: `Seller ${index}`, phone: '07700 900123'
+        })));
+        assert.deepEqual(responses.map(response => response.status), [201, 201, 201, 201, 201]);
+
+        const { body: after } = await getJson(`/api/bookings/availability?date=${sunday}`);
+        assert.equal(after.remaining, before.remaining - 5);
+    });
+
+    it('gives an extra trading day on a weekday the Saturday capacity', () => {
+        const monday = nextWeekday('monday');
+        const today = schedule.getLocalParts(new Date(), 'Europe/London').date;
+        const scheduleData = { ...schedule.DEFAULT_SCHEDULE, exceptions: [{ date: monday, open: '07:00', close: '13:00' }] };
+        const pricingData = pricing.DEFAULT_PRICING;
+        const bookingsData = { capacity: { saturday: 40, sunday: 60 }, bookings: [] };
+
+        assert.equal(bookings.getCapacity(bookingsData, monday), 40);
+        const closedToBookings = bookings.getAvailability({ date: monday, pricingData, scheduleData, bookingsData, today });
+        assert.equal(closedToBookings.reason, 'No pitches can be booked on that day');
+
+        const withPitches = { ...pricingData, sellers: { ...pricingData.sellers, days: { ...pricingData.sellers.days, monday: pricingData.sellers.days.saturday } } };
+        const availability = bookings.getAvailability({ date: monday, pricingData: withPitches, scheduleData, bookingsData, today });
+        assert.equal(availability.bookable, true);
+        assert.equal(availability.remaining, 40);
+    });
+
+    it('rejects incomplete bookings with a message', async () => {
+        const wrongPitch = await postJson('/api/bookings', { date: sunday, vehicle: 'space', name: 'Sam', phone: '07700 900123' });
+        assert.equal(wrongPitch.status, 400);
+        assert.match(wrongPitch.body.error, /pitch type/);
+
+        const noPhone = await postJson('/api/bookings', { date: sunday, vehicle: 'car', name: 'Sam', phone: '12' });
+        assert.equal(noPhone.status, 400);
+        assert.match(noPhone.body.error, /phone/);
+    });
+});
+
+describe('public pages', () => {
+    it('serves the page and the health check', async () => {
+        const page = await fetch(`${server.baseUrl}/`);
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /<html lang="en">/);
+
+        const { status, body } = await getJson('/health');
+        assert.equal(status, 200);
+        assert.equal(body.status, 'OK');
+    });
+
+    it('keeps the admin panel behind the login page', async () => {
+        const client = createClient(server.baseUrl);
+        const response = await client.request('/admin');
+        assert.equal(response.status, 302);
+        assert.equal(response.headers.get('location'), '/admin/login');
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, waitFor } = require('./helpers');
+const pricing = require('../lib/pricing');
+const schedule = require('../lib/schedule');
+
+describe('app.js status display', () => {
+    it('shows open with the closing time', async () => {
+        const window = await loadApp();
+        window.applyStatusData({ status: true, nextChange: { type: 'closes', time: '13:30' }, notices: [] });
+
+        const indicator = window.document.getElementById('statusIndicator');
+        const text = window.document.getElementById('statusText');
+        await waitFor(() => indicator.classList.contains('open'));
+        assert.equal(text.textContent, 'OPEN · Closes at 1:30 PM');
+        assert.ok(window.document.getElementById('statusOffline').classList.contains('hidden'));
+        window.close();
+    });
+
+    it('shows closed with the next opening day, in Welsh too', async () => {
+        const nextChange = { type: 'opens', day: 'saturday', date: schedule.addDays(new Date().toISOString().slice(0, 10), 1), time: '06:00' };
+
+        const window = await loadApp();
+        window.applyStatusData({ status: false, nextChange, notices: [] });
+        const text = window.document.getElementById('statusText');
+        await waitFor(() => text.textContent !== 'LOADING');
+        assert.equal(text.textContent, 'CLOSED · Opens Saturday 6:00 AM');
+        assert.ok(window.document.getElementById('statusIndicator').classList.contains('closed'));
+        window.close();
+
+        const welsh = await loadApp('cy');
+        welsh.applyStatusData({ status: false, nextChange, notices: [] });
+        const welshText = welsh.document.getElementById('statusText');
+        await waitFor(() => welshText.textContent !== 'LLWYTHO');
+        assert.match(welshText.textContent, /Dydd Sadwrn 6:00 yb/);
+        welsh.close();
+    });
+
+    it('says when the status is from the offline cache', async () => {
+        const window = await loadApp();
+        window.applyStatusData({ status: true, offline: true, cachedAt: '2026-07-04T08:05:00Z', notices: [] });
+        const offline = window.document.getElementById('statusOffline');
+        assert.ok(!offline.classList.contains('hidden'));
+        assert.match(offline.textContent, /^You're offline\. Last known status \(as of \d{2}:\d{2}\)$/);
+        window.close();
+    });
+});
+
+describe('app.js gallery display', () => {
+    it('shows the placeholder when there are no photos', async () => {
+        const window = await loadApp();
+        window.updateGalleryDisplay([]);
+        assert.ok(window.document.getElementById('galleryContainer').classList.contains('hidden'));
+        assert.ok(!window.document.getElementById('galleryEmpty').classList.contains('hidden'));
+        window.close();
+    });
+
+    it('renders each photo with its size variants and caption', async () => {
+        const window = await loadApp();
+        window.updateGalleryDisplay([
+            {
+                url: '/uploads/gallery/a.webp',
+                description: 'Stalls at dawn',
+                variants: [{ url: '/uploads/gallery/a-320.webp', width: 320 }, { url: '/uploads/gallery/a-640.webp', width: 640 }]
+            },
+            { filename: 'old.jpg', description: '' }
+        ]);
+
+        assert.ok(!window.document.getElementById('galleryContainer').classList.contains('hidden'));
+        assert.ok(window.document.getElementById('galleryEmpty').classList.contains('hidden'));
+        const [first, second] = window.document.querySelectorAll('#galleryScroll img');
+        // No IntersectionObserver in jsdom, so the images load straight away
+        assert.equal(first.getAttribute('src'), '/uploads/gallery/a.webp');
+        assert.equal(first.getAttribute('srcset'), '/uploads/gallery/a-320.webp 320w, /uploads/gallery/a-640.webp 640w');
+        assert.equal(first.alt, 'Stalls at dawn');
+        assert.equal(second.getAttribute('src'), '/uploads/gallery/old.jpg');
+        assert.equal(second.alt, 'Car boot sale photo');
+        window.close();
+    });
+
+    it('escapes captions', async () => {
+        const window = await loadApp();
+        window.updateGalleryDisplay([{ url: '/uploads/gallery/a.webp', description: '<img src=x onerror=alert(1)>' }]);
+        const caption = window.document.querySelector('#galleryScroll p');
+        assert.equal(caption.textContent, '<img src=x onerror=alert(1)>');
+        assert.equal(window.document.querySelectorAll('#galleryScroll img').length, 1);
+        window.close();
+    });
+});
+
+describe('app.js content display', () => {
+    it('renders prices, opening times and contact buttons', async () => {
+        const window = await loadApp();
+        window.updatePricingDisplay(pricing.DEFAULT_PRICING, '11:00');
+        window.updateOpeningTimesDisplay({ ...schedule.DEFAULT_SCHEDULE, notes: ['Free parking'] });
+        window.updateContactDisplay({ phoneHref: '01745123456', email: 'info@rhylcarboot.com' });
+        const { document } = window;
+
+        const cards = document.getElementById('pricingCards').textContent.replace(/\s+/g, ' ');
+        assert.match(cards, /Sunday: Cars £12, Vans £15, Trailers from £3 \+ £2 early entry/);
+        assert.match(cards, /Regular Entry \(9:00 AM onwards\): £1/);
+        assert.match(cards, /must remain until 11:00 AM/);
+
+        const hours = [...document.querySelectorAll('#openingTimes li')].map(item => item.textContent.replace(/\s+/g, ' ').trim());
+        assert.deepEqual(hours, [
+            'Saturday: 6:00 AM - 1:00 PM',
+            'Sunday: 6:00 AM - 1:30 PM',
+            'Season: 1 April - 31 October',
+            'Note: Free parking'
+        ]);
+
+        const [call, email] = document.querySelectorAll('#contactButtons a');
+        assert.equal(call.getAttribute('href'), 'tel:01745123456');
+        assert.equal(email.getAttribute('href'), 'mailto:info@rhylcarboot.com');
+        window.close();
+    });
+});
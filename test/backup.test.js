@@ -0,0 +1,232 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { startServer, createClient } = require('./helpers');
+const backup = require('../lib/backup');
+const { createFileStore, createLocalBlobStore } = require('../lib/storage');
+
+const GALLERY = {
+    maxImages: 10,
+    images: [{ id: 'a', filename: 'a.jpg', url: '/uploads/gallery/a.jpg', variants: [{ width: 320, url: '/uploads/gallery/a-320.webp' }] }]
+};
+
+describe('lib/backup', () => {
+    let dir;
+    let store;
+    let blobs;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rcb-backup-'));
+        store = createFileStore({ dir });
+        await store.init();
+        blobs = createLocalBlobStore({ dir: path.join(dir, 'uploads') });
+        await store.set('gallery', GALLERY);
+        await store.set('status', { override: null, notices: [] });
+        await store.set('users', { users: [{ username: 'owner', passwordHash: 'secret' }] });
+        await blobs.put('gallery/a.jpg', Buffer.from('jpeg bytes'));
+        await blobs.put('gallery/a-320.webp', Buffer.from('webp bytes'));
+        await blobs.put('gallery/unused.jpg', Buffer.from('left over'));
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('packs the documents and the images they use, with checksums', async () => {
+        const archive = await backup.createBackup({ store, blobs, now: new Date('2026-07-04T08:00:00Z') });
+        const names = backup.unpackTar(zlib.gunzipSync(archive)).map(entry => entry.name);
+        assert.deepEqual(names, ['manifest.json', 'documents/status.json', 'documents/gallery.json', 'uploads/gallery/a.jpg', 'uploads/gallery/a-320.webp']);
+
+        const checked = backup.readBackup(archive);
+        assert.equal(checked.manifest.createdAt, '2026-07-04T08:00:00.000Z');
+        assert.deepEqual(checked.documents.gallery, GALLERY);
+        assert.equal(checked.uploads['gallery/a.jpg'].toString(), 'jpeg bytes');
+        assert.match(checked.manifest.files['uploads/gallery/a.jpg'].sha256, /^[0-9a-f]{64}$/);
+    });
+
+    it('refuses damaged, altered and unknown archives', async () => {
+        const archive = await backup.createBackup({ store, blobs });
+        const entries = backup.unpackTar(zlib.gunzipSync(archive));
+        const repack = changed => zlib.gzipSync(backup.packTar(changed, new Date()));
+
+        assert.throws(() => backup.readBackup(Buffer.from('hello')), { message: 'Not a backup archive (.tar.gz)' });
+
+        const altered = entries.map(entry => (entry.name === 'uploads/gallery/a.jpg' ? { ...entry, body: Buffer.from('other bytes') } : entry));
+        assert.throws(() => backup.readBackup(repack(altered)), /uploads\/gallery\/a.jpg does not match its checksum/);
+
+        const extra = [...entries, { name: 'uploads/gallery/extra.jpg', body: Buffer.from('x') }];
+        assert.throws(() => backup.readBackup(repack(extra)), /not listed in the manifest/);
+
+        const missing = entries.filter(entry => entry.name !== 'documents/status.json');
+        assert.throws(() => backup.readBackup(repack(missing)), /documents\/status.json is missing/);
+
+        assert.throws(() => backup.readBackup(repack(entries.slice(1))), /no readable manifest/);
+        const otherManifest = { name: 'manifest.json', body: Buffer.from(JSON.stringify({ format: 'other', version: 1, files: {} })) };
+        assert.throws(() => backup.readBackup(repack([otherManifest])), /Not a backup from this site/);
+    });
+
+    it('only restores into the image folders', async () => {
+        const body = Buffer.from('x');
+        const manifest = {
+            format: 'rhyl-carboot-backup',
+            version: 1,
+            createdAt: new Date().toISOString(),
+            files: { 'uploads/../users.json': { size: 1, sha256: crypto.createHash('sha256').update(body).digest('hex') } }
+        };
+        const archive = zlib.gzipSync(backup.packTar([
+            { name: 'manifest.json', body: Buffer.from(JSON.stringify(manifest)) },
+            { name: 'uploads/../users.json', body }
+        ], new Date()));
+        assert.throws(() => backup.readBackup(archive), /Unexpected file in the archive/);
+        // Accounts are never in a backup
+        assert.equal(backup.readBackup(await backup.createBackup({ store, blobs })).documents.users, undefined);
+    });
+
+    it('previews and then restores', async () => {
+        const checked = backup.readBackup(await backup.createBackup({ store, blobs }));
+        await store.set('gallery', { maxImages: 10, images: [] });
+        await blobs.remove('gallery/a.jpg');
+        await blobs.put('gallery/a-320.webp', Buffer.from('changed'));
+
+        const preview = await backup.previewRestore({ store, blobs }, checked);
+        assert.deepEqual(preview.documents, [{ name: 'status', change: 'unchanged' }, { name: 'gallery', change: 'changed' }]);
+        assert.deepEqual(preview.uploads, { added: 1, changed: 1, unchanged: 0 });
+        assert.deepEqual(preview.gallery, { before: 0, after: 1 });
+        assert.deepEqual(await store.get('gallery'), { maxImages: 10, images: [] });
+
+        await backup.restoreBackup({ store, blobs }, checked);
+        assert.deepEqual(await store.get('gallery'), GALLERY);
+        assert.equal((await blobs.get('gallery/a-320.webp')).body.toString(), 'webp bytes');
+    });
+
+    it('keeps the newest snapshots', async () => {
+        const snapshots = backup.createSnapshotStore({ dir: path.join(dir, 'backups'), keep: 2 });
+        const archive = await backup.createBackup({ store, blobs });
+        const first = await snapshots.save(archive, new Date('2026-07-01T10:00:00Z'));
+        const second = await snapshots.save(archive, new Date('2026-07-02T10:00:00Z'));
+        const third = await snapshots.save(archive, new Date('2026-07-03T10:00:00Z'));
+
+        assert.equal(first, 'snapshot-20260701-100000.tar.gz');
+        assert.deepEqual((await snapshots.list()).map(item => item.name), [third, second]);
+        assert.equal(await snapshots.read(first), null);
+        assert.deepEqual(await snapshots.read(third), archive);
+        await assert.rejects(snapshots.read('../users.json'), /Unknown snapshot/);
+    });
+});
+
+describe('backup routes', () => {
+    let server;
+    let client;
+    let token;
+
+    before(async () => {
+        server = await startServer({ BACKUP_SNAPSHOT_HOURS: '0', BACKUP_KEEP: '3' });
+        client = createClient(server.baseUrl);
+        token = await client.login();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    async function uploadPhoto() {
+        const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#21808d' } }).png().toBuffer();
+        const form = new FormData();
+        form.append('_csrf', token);
+        form.append('image', new Blob([png], { type: 'image/png' }), 'photo.png');
+        const response = await client.request('/admin/upload-gallery', { method: 'POST', body: form });
+        assert.equal(response.status, 200);
+    }
+
+    function importArchive(archive) {
+        const form = new FormData();
+        form.append('_csrf', token);
+        form.append('archive', new Blob([archive], { type: 'application/gzip' }), 'backup.tar.gz');
+        return client.request('/admin/backup/import', { method: 'POST', body: form });
+    }
+
+    async function galleryCount() {
+        return (await (await fetch(`${server.baseUrl}/api/gallery`)).json()).images.length;
+    }
+
+    it('exports, checks and restores an uploaded backup', async () => {
+        await uploadPhoto();
+        const exported = await client.request('/admin/backup/export');
+        assert.equal(exported.status, 200);
+        assert.match(exported.headers.get('content-disposition'), /attachment; filename="rhyl-carboot-backup-\d{4}-\d{2}-\d{2}\.tar\.gz"/);
+        const archive = Buffer.from(await exported.arrayBuffer());
+
+        await uploadPhoto();
+        assert.equal(await galleryCount(), 2);
+
+        // Dry run: nothing changes until the restore is confirmed
+        const checked = await importArchive(archive);
+        assert.equal(checked.status, 200);
+        const { preview } = await checked.json();
+        assert.deepEqual(preview.gallery, { before: 2, after: 1 });
+        assert.ok(preview.documents.some(item => item.name === 'gallery' && item.change === 'changed'));
+        assert.equal(await galleryCount(), 2);
+
+        const page = await (await client.request('/admin/backup')).text();
+        assert.match(page, /Gallery: 2 photos now, 1 after restoring\./);
+        assert.match(page, /<input type="hidden" name="source" value="upload">/);
+
+        const restored = await client.postForm('/admin/backup/restore', { source: 'upload', _csrf: token });
+        assert.equal(restored.status, 200);
+        const { snapshot } = await restored.json();
+        assert.equal(await galleryCount(), 1);
+
+        // The data from before the restore was kept as a snapshot, and can be put back
+        const snapshotPage = await (await client.request(`/admin/backup?snapshot=${snapshot}`)).text();
+        assert.match(snapshotPage, /Gallery: 1 photos now, 2 after restoring\./);
+        const undo = await client.postForm('/admin/backup/restore', { source: snapshot, _csrf: token });
+        assert.equal(undo.status, 200);
+        assert.equal(await galleryCount(), 2);
+
+        const history = await (await client.request('/admin/history?action=backup')).text();
+        assert.equal(history.match(/<td>backup\.restore<\/td>/g).length, 2);
+    });
+
+    it('rejects files that are not backups', async () => {
+        const response = await importArchive(Buffer.from('not an archive'));
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error, 'Not a backup archive (.tar.gz)');
+
+        const nothing = await client.postForm('/admin/backup/restore', { source: 'upload', _csrf: token });
+        assert.equal(nothing.status, 404);
+        const unknown = await client.postForm('/admin/backup/restore', { source: '../users.json', _csrf: token });
+        assert.equal(unknown.status, 404);
+    });
+
+    it('takes snapshots on request and keeps the newest', async () => {
+        for (let count = 0; count < 4; count++) {
+            const response = await client.postForm('/admin/backup/snapshot', { _csrf: token });
+            assert.equal(response.status, 200);
+        }
+        const page = await (await client.request('/admin/backup')).text();
+        const names = [...page.matchAll(/href="\/admin\/backup\/snapshots\/([^"]+)"/g)].map(match => match[1]);
+        assert.equal(names.length, 3);
+        assert.match(page, /Scheduled snapshots are off/);
+
+        const download = await client.request(`/admin/backup/snapshots/${names[0]}`);
+        assert.equal(download.status, 200);
+        assert.ok(backup.readBackup(Buffer.from(await download.arrayBuffer())).documents.gallery);
+        assert.equal((await client.request('/admin/backup/snapshots/nope.tar.gz')).status, 404);
+    });
+
+    it('is for owners only', async () => {
+        await client.postForm('/admin/users', { username: 'gate', password: 'gate-password', role: 'staff', _csrf: token });
+        const staff = createClient(server.baseUrl);
+        const staffToken = await staff.login('gate', 'gate-password');
+        assert.equal((await staff.request('/admin/backup')).status, 403);
+        assert.equal((await staff.request('/admin/backup/export')).status, 403);
+        assert.equal((await staff.postForm('/admin/backup/snapshot', { _csrf: staffToken })).status, 403);
+        assert.doesNotMatch(await (await staff.request('/admin')).text(), /href="\/admin\/backup"/);
+        assert.match(await (await client.request('/admin')).text(), /<a href="\/admin\/backup">Backups<\/a>/);
+    });
+});
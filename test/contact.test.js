@@ -0,0 +1,313 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const net = require('net');
+const path = require('path');
+const { once } = require('events');
+const { startApp, createClient, loadApp, waitFor } = require('./helpers');
+const enquiries = require('../lib/enquiries');
+const mail = require('../lib/mail');
+const content = require('../lib/content');
+
+// Just enough of an SMTP server to accept mail and keep what it was sent
+async function startSmtpSink() {
+    const sink = { messages: [], commands: [], refuseRecipients: false, delay: 0 };
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let data = null;
+        let envelope = {};
+        const reply = line => socket.write(`${line}\r\n`);
+
+        reply('220 sink.test ESMTP');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (data) {
+                    if (line === '.') {
+                        sink.messages.push({ ...envelope, data: data.join('\r\n') });
+                        data = null;
+                        envelope = {};
+                        setTimeout(() => reply('250 Queued'), sink.delay);
+                    } else {
+                        data.push(line.replace(/^\.\./, '.'));
+                    }
+                    continue;
+                }
+
+                sink.commands.push(line);
+                const verb = line.split(' ')[0].toUpperCase();
+                if (verb === 'EHLO') {
+                    socket.write('250-sink.test\r\n250 AUTH PLAIN\r\n');
+                } else if (verb === 'AUTH') {
+                    reply('235 Authenticated');
+                } else if (verb === 'MAIL') {
+                    envelope.from = line.slice(10).replace(/[<>]/g, '');
+                    reply('250 OK');
+                } else if (verb === 'RCPT') {
+                    if (sink.refuseRecipients) {
+                        reply('550 Mailbox unavailable');
+                    } else {
+                        envelope.to = line.slice(8).replace(/[<>]/g, '');
+                        reply('250 OK');
+                    }
+                } else if (verb === 'DATA') {
+                    data = [];
+                    reply('354 End with .');
+                } else if (verb === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('502 Not implemented');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    sink.port = server.address().port;
+    sink.stop = () => new Promise(resolve => server.close(resolve));
+    return sink;
+}
+
+function decodeBody(data) {
+    return Buffer.from(data.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
+
+describe('lib/enquiries', () => {
+    const valid = { category: 'trade', name: 'Sam Seller', email: 'sam@example.com', message: 'Can I bring a gazebo on Sunday?' };
+
+    it('checks the category, reply address and message', () => {
+        assert.match(enquiries.parseEnquiry({ ...valid, category: 'refunds' }, { forward: true }).error, /choose what your message is about/);
+        assert.match(enquiries.parseEnquiry({ ...valid, email: 'sam@' }, { forward: true }).error, /email address/);
+        assert.match(enquiries.parseEnquiry({ ...valid, phone: 'call me' }, { forward: true }).error, /phone number/);
+        assert.match(enquiries.parseEnquiry({ ...valid, message: 'Hi' }, { forward: true }).error, /a little more/);
+        assert.match(enquiries.parseEnquiry({ ...valid, message: 'x'.repeat(3001) }, { forward: true }).error, /under 3000/);
+
+        assert.deepEqual(enquiries.parseEnquiry(valid, { forward: true }).enquiry.forward, { status: 'pending', attempts: 0 });
+        assert.equal(enquiries.parseEnquiry(valid, { forward: false }).enquiry.forward, null);
+        assert.ok(enquiries.isSpam({ ...valid, website: 'http://spam.example' }));
+        assert.ok(!enquiries.isSpam(valid));
+    });
+
+    it('keeps line breaks out of the e-mail headers', () => {
+        const message = mail.buildMessage({
+            from: 'site@example.com',
+            to: 'office@example.com',
+            replyTo: { name: 'Sam\r\nBcc: victim@example.com', address: 'sam@example.com' },
+            subject: 'Hello\r\nBcc: victim@example.com',
+            text: 'Diolch yn fawr'
+        });
+        const headers = message.split('\r\n\r\n')[0].split('\r\n');
+        assert.ok(!headers.some(line => line.startsWith('Bcc:')));
+        assert.ok(headers.includes('Reply-To: Sam Bcc: victim@example.com <sam@example.com>'));
+        assert.equal(decodeBody(message), 'Diolch yn fawr');
+    });
+
+    it('waits between attempts to forward and gives up after the last', () => {
+        const now = new Date('2026-07-05T10:00:00Z');
+        const enquiry = { forward: { status: 'pending', attempts: 0 } };
+        assert.ok(enquiries.forwardDue(enquiry, now));
+
+        enquiry.forward = enquiries.failedForward(enquiry.forward, new Error('Refused'), now);
+        assert.deepEqual(enquiry.forward, { status: 'pending', attempts: 1, lastError: 'Refused', retryAt: '2026-07-05T10:05:00.000Z' });
+        assert.ok(!enquiries.forwardDue(enquiry, new Date('2026-07-05T10:04:59Z')));
+        assert.ok(enquiries.forwardDue(enquiry, new Date('2026-07-05T10:05:00Z')));
+
+        const last = enquiries.failedForward({ status: 'pending', attempts: enquiries.MAX_FORWARD_ATTEMPTS - 1 }, new Error('Refused'), now);
+        assert.equal(last.status, 'failed');
+        assert.ok(!enquiries.forwardDue({ forward: last }, now));
+    });
+
+    it('only accepts a Facebook address for the Facebook link', () => {
+        const contact = { phone: '01745 123456', email: 'info@rhylcarboot.com' };
+        assert.equal(content.parseContact(contact).facebook, '');
+        assert.equal(content.parseContact({ ...contact, facebook: 'https://www.facebook.com/rhylcarboot' }).facebook, 'https://www.facebook.com/rhylcarboot');
+        assert.throws(() => content.parseContact({ ...contact, facebook: 'javascript:alert(1)' }), /Facebook page address/);
+    });
+});
+
+describe('/api/contact', () => {
+    let sink;
+    let server;
+    let client;
+    let token;
+
+    before(async () => {
+        sink = await startSmtpSink();
+        server = await startApp({
+            MAIL_TRANSPORT: 'smtp',
+            SMTP_HOST: '127.0.0.1',
+            SMTP_PORT: String(sink.port),
+            SMTP_USER: 'site',
+            SMTP_PASS: 'secret',
+            // The sink has no TLS; real servers must offer STARTTLS before the login is sent
+            SMTP_REQUIRE_TLS: 'false',
+            MAIL_FROM: 'website@rhylcarboot.test',
+            MAIL_TO: 'office@rhylcarboot.test'
+        });
+        client = createClient(server.baseUrl);
+        token = await client.login();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+        if (sink) await sink.stop();
+    });
+
+    function send(fields) {
+        return fetch(`${server.baseUrl}/api/contact`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(fields)
+        });
+    }
+
+    async function inbox(query = '') {
+        return (await client.request(`/admin/inbox${query}`)).text();
+    }
+
+    // Five messages an hour are allowed from one address, refused ones included
+    it('stores the message and forwards it with a Reply-To for the visitor', async () => {
+        const response = await send({ category: 'trade', name: 'Sam Seller', email: 'sam@example.com', phone: '07700 900123', message: 'Can I bring a gazebo?\n.\nThanks' });
+        assert.equal(response.status, 201);
+
+        const [message] = await waitFor(() => sink.messages.length && sink.messages);
+        assert.equal(message.from, 'website@rhylcarboot.test');
+        assert.equal(message.to, 'office@rhylcarboot.test');
+        assert.ok(sink.commands.includes(`AUTH PLAIN ${Buffer.from('\0site\0secret').toString('base64')}`));
+        assert.match(message.data, /^Reply-To: Sam Seller <sam@example\.com>$/m);
+        assert.match(message.data, /^Subject: Website enquiry \(Trade stalls and selling\) from Sam Seller$/m);
+        const body = decodeBody(message.data);
+        assert.match(body, /Phone: 07700 900123/);
+        assert.match(body, /Can I bring a gazebo\?\r\n\.\r\nThanks$/);
+
+        let page;
+        for (let tries = 0; tries < 50 && !/Emailed/.test(page || ''); tries++) {
+            page = await inbox();
+        }
+        assert.match(page, /Emailed/);
+        assert.match(page, /Can I bring a gazebo\?/);
+        assert.match(await (await client.request('/admin')).text(), /Inbox \(1 new\)/);
+    });
+
+    it('tracks read and replied messages', async () => {
+        const id = (await inbox()).match(/name="id" value="([^"]+)"/)[1];
+        assert.equal((await client.postForm('/admin/inbox/status', { id, status: 'replied', _csrf: token })).status, 200);
+        assert.equal((await client.postForm('/admin/inbox/status', { id, status: 'archived', _csrf: token })).status, 400);
+        assert.match(await (await client.request('/admin')).text(), /Inbox \(0 new\)/);
+        assert.match(await inbox('?status=replied'), /Sam Seller/);
+        assert.doesNotMatch(await inbox('?status=new'), /Sam Seller/);
+
+        const history = await (await client.request('/admin/history?action=enquiry')).text();
+        assert.match(history, /<td>enquiry\.status<\/td>/);
+        assert.doesNotMatch(history, /gazebo/);
+    });
+
+    it('keeps refused mail queued and sends it again on request', async () => {
+        sink.refuseRecipients = true;
+        const sent = sink.messages.length;
+        assert.equal((await send({ category: 'lostfound', name: 'Alex', email: 'alex@example.com', message: 'I left my umbrella by the gate.' })).status, 201);
+
+        let page;
+        for (let tries = 0; tries < 50 && !/550 Mailbox unavailable/.test(page || ''); tries++) {
+            page = await inbox('?status=new');
+        }
+        assert.match(page, /Email waiting to send: The mail server refused the message: 550 Mailbox unavailable/);
+        assert.equal(sink.messages.length, sent);
+
+        sink.refuseRecipients = false;
+        const id = page.match(/name="id" value="([^"]+)"/)[1];
+        const resent = await client.postForm('/admin/inbox/resend', { id, _csrf: token });
+        assert.equal(resent.status, 200);
+        assert.equal((await resent.json()).forward.status, 'sent');
+        assert.equal(sink.messages.length, sent + 1);
+
+        assert.equal((await client.postForm('/admin/inbox/delete', { id, _csrf: token })).status, 200);
+        assert.doesNotMatch(await inbox(), /umbrella/);
+    });
+
+    it('sends mail queued while a send is under way, and keeps inbox changes made meanwhile', async () => {
+        const file = path.join(server.dataDir, 'enquiries.json');
+        const stored = JSON.parse(await fs.readFile(file, 'utf8'));
+        const [first] = stored.enquiries;
+        const copy = (id, message) => ({ ...first, id, message, status: 'new', forward: { status: 'sent', attempts: 1 } });
+        stored.enquiries.push(copy('slow-one', 'The first of two slow messages'), copy('slow-two', 'The second of two slow messages'));
+        await fs.writeFile(file, JSON.stringify(stored));
+
+        sink.delay = 300;
+        const sent = sink.messages.length;
+        try {
+            const resendOne = client.postForm('/admin/inbox/resend', { id: 'slow-one', _csrf: token });
+            await waitFor(() => sink.messages.length > sent);
+            const [one, status, two] = await Promise.all([
+                resendOne,
+                client.postForm('/admin/inbox/status', { id: first.id, status: 'new', _csrf: token }),
+                client.postForm('/admin/inbox/resend', { id: 'slow-two', _csrf: token })
+            ]);
+            assert.equal((await one.json()).forward.status, 'sent');
+            assert.equal(status.status, 200);
+            assert.equal((await two.json()).forward.status, 'sent');
+        } finally {
+            sink.delay = 0;
+        }
+        assert.equal(sink.messages.length, sent + 2);
+
+        const saved = JSON.parse(await fs.readFile(file, 'utf8')).enquiries;
+        assert.equal(saved.find(enquiry => enquiry.id === first.id).status, 'new');
+        for (const id of ['slow-one', 'slow-two']) {
+            assert.equal(saved.find(enquiry => enquiry.id === id).forward.status, 'sent');
+            assert.equal((await client.postForm('/admin/inbox/delete', { id, _csrf: token })).status, 200);
+        }
+    });
+
+    it('turns away bots, bad input and too many messages', async () => {
+        const stored = (await inbox()).match(/name="id" value="/g).length;
+        const bot = await send({ category: 'general', name: 'Bot', email: 'bot@example.com', message: 'Cheap followers for sale', website: 'http://spam.example' });
+        assert.equal(bot.status, 201);
+        assert.equal((await inbox()).match(/name="id" value="/g).length, stored);
+
+        const invalid = await send({ category: 'general', name: 'Sam', email: 'nobody', message: 'Hello there, a question' });
+        assert.equal(invalid.status, 400);
+        assert.match((await invalid.json()).error, /valid email address/);
+
+        await send({ category: 'general', name: 'Sam', email: 'sam@example.com', message: 'Hello there, a question' });
+        const limited = await send({ category: 'general', name: 'Sam', email: 'sam@example.com', message: 'Hello there, a question' });
+        assert.equal(limited.status, 429);
+    });
+
+    it('never sends the login to a server that does not offer TLS', async () => {
+        const transport = mail.createSmtpTransport({ host: '127.0.0.1', port: sink.port, user: 'site', pass: 'secret', from: 'website@rhylcarboot.test' });
+        const sent = sink.commands.length;
+        await assert.rejects(transport.send({ to: 'office@rhylcarboot.test', subject: 'Hello', text: 'Hello' }), /did not offer STARTTLS/);
+        assert.ok(!sink.commands.slice(sent).some(command => command.startsWith('AUTH')));
+    });
+
+    it('keeps the inbox from gate staff', async () => {
+        await client.postForm('/admin/users', { username: 'gate', password: 'gate-password', role: 'staff', _csrf: token });
+        const staff = createClient(server.baseUrl);
+        await staff.login('gate', 'gate-password');
+        assert.equal((await staff.request('/admin/inbox')).status, 403);
+        assert.doesNotMatch(await (await staff.request('/admin')).text(), /\/admin\/inbox/);
+    });
+});
+
+describe('app.js contact details', () => {
+    it('only links to Facebook once a page address is set', async () => {
+        const window = await loadApp();
+        const { document } = window;
+        window.updateContactDisplay({ phoneHref: '01745123456', email: 'info@rhylcarboot.com', facebook: '' });
+        assert.equal(document.querySelector('#contact a[href="#"]'), null);
+        assert.equal(document.querySelector('#contactButtons .facebook'), null);
+
+        window.updateContactDisplay({ phoneHref: '01745123456', email: 'info@rhylcarboot.com', facebook: 'https://www.facebook.com/rhylcarboot' });
+        assert.equal(document.querySelector('#contactButtons .facebook').getAttribute('href'), 'https://www.facebook.com/rhylcarboot');
+        assert.equal(document.querySelectorAll('#contactCategory option').length, enquiries.CATEGORIES.length);
+        window.close();
+    });
+});
@@ -0,0 +1,176 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createClient, loadAdmin, waitFor } = require('./helpers');
+const gate = require('../lib/gate');
+const pricing = require('../lib/pricing');
+const schedule = require('../lib/schedule');
+
+describe('lib/gate', () => {
+    const pricingData = pricing.DEFAULT_PRICING;
+    const today = '2026-07-05';
+
+    it('offers the buyer tickets and that day\'s pitch fees from the pricing', () => {
+        assert.deepEqual(gate.ticketTypes(pricingData, '2026-07-05').map(type => `${type.id} ${type.price}`), [
+            'buyers.early 500', 'buyers.regular 100', 'sellers.car 1200', 'sellers.van 1500', 'sellers.trailer 300'
+        ]);
+        assert.deepEqual(gate.ticketTypes(pricingData, '2026-07-04').map(type => type.id), ['buyers.early', 'buyers.regular', 'sellers.space']);
+        assert.deepEqual(gate.ticketTypesByWeekday(pricingData).monday.map(type => type.id), ['buyers.early', 'buyers.regular']);
+    });
+
+    it('adds each batch once and never counts below zero', () => {
+        const batch = { id: 'phone-one-1', date: today, counts: { 'buyers.early': 3, 'sellers.car': 1 } };
+        let { data } = gate.applyBatch(null, batch, { pricingData, today });
+        const again = gate.applyBatch(data, batch, { pricingData, today });
+        assert.equal(again.duplicate, true);
+        ({ data } = gate.applyBatch(data, { id: 'phone-one-2', date: today, counts: { 'buyers.early': -5 } }, { pricingData, today }));
+
+        assert.deepEqual(gate.countsOf(data.days[today]), { 'buyers.early': 0, 'sellers.car': 1 });
+        assert.deepEqual(gate.dayTotals(data.days[today]), { buyers: 0, sellers: 1, takings: 1200 });
+
+        assert.match(gate.applyBatch(data, { id: 'phone-one-3', date: today, counts: { 'sellers.space': 1 } }, { pricingData, today }).error, /Unknown ticket type/);
+        assert.match(gate.applyBatch(data, { id: 'phone-one-4', date: '2026-06-01', counts: {} }, { pricingData, today }).error, /last 7 days/);
+        assert.match(gate.applyBatch(data, { id: 'phone-one-5', date: today, counts: { 'buyers.early': 1.5 } }, { pricingData, today }).error, /Invalid counts/);
+        assert.match(gate.applyBatch(data, { id: 'x', date: today, counts: {} }, { pricingData, today }).error, /batch id/);
+    });
+
+    it('keeps rejected batches for the office until they are dismissed', () => {
+        const now = new Date('2026-07-05T12:00:00Z');
+        let data = gate.keepRejected(null, { id: 'phone-one-9', date: today, counts: { 'buyers.vip': 2, 'buyers.early': 1.5 } }, 'Unknown ticket type', { user: 'gate', now });
+        data = gate.keepRejected(data, { id: 'phone-one-9', date: today, counts: { 'buyers.vip': 2 } }, 'Unknown ticket type', { user: 'gate', now });
+        data = gate.keepRejected(data, { id: 'x', date: today, counts: {} }, 'Invalid batch id', { user: 'gate', now });
+        assert.deepEqual(data.rejected, [{
+            id: 'phone-one-9', date: today, counts: { 'buyers.vip': 2 }, error: 'Unknown ticket type', user: 'gate', receivedAt: now.toISOString()
+        }]);
+
+        assert.equal(gate.dismissRejected(data, 'phone-one-8'), null);
+        assert.deepEqual(gate.dismissRejected(data, 'phone-one-9').rejected, []);
+    });
+
+    it('groups weekends and keeps the weather and the price charged that day', () => {
+        let data = null;
+        const add = (id, date, counts) => {
+            ({ data } = gate.applyBatch(data, { id, date, counts }, { pricingData, today: date }));
+        };
+        add('batch-sat-1', '2026-06-27', { 'buyers.regular': 40, 'sellers.space': 10 });
+        add('batch-sun-1', '2026-06-28', { 'buyers.regular': 90 });
+        add('batch-sun-2', '2026-07-05', { 'buyers.early': 12 });
+        data = gate.recordWeather(data, { date: '2026-06-28', level: 'warning', condition: 'rain', windGust: 48.6, precipitationProbability: 90 });
+        data = gate.recordWeather(data, { date: '2026-06-29', level: 'ok', condition: 'clear' });
+
+        const summary = gate.summarize(data, '2026-06-01', '2026-07-31');
+        assert.deepEqual(summary.weekends.map(weekend => [weekend.saturday, Object.keys(weekend.days)]), [
+            ['2026-06-27', ['saturday', 'sunday']],
+            ['2026-07-04', ['sunday']]
+        ]);
+        assert.equal(summary.weekends[0].days.saturday.takings, 40 * 100 + 10 * 500);
+        assert.equal(summary.weekends[0].days.sunday.weather.condition, 'rain');
+        assert.equal(summary.days.length, 3);
+
+        const csv = gate.toCsv(data, '2026-06-28', '2026-06-28');
+        assert.equal(csv, 'date,weekday,ticket,label,price,count,total,weather\r\n2026-06-28,sunday,buyers.regular,Regular Entry,1.00,90,90.00,rain\r\n');
+    });
+});
+
+describe('/admin/gate', () => {
+    let server;
+    let client;
+    let token;
+    let staff;
+    let staffToken;
+    let today;
+
+    before(async () => {
+        server = await startApp();
+        client = createClient(server.baseUrl);
+        token = await client.login();
+        await client.postForm('/admin/users', { username: 'gate', password: 'gate-password', role: 'staff', _csrf: token });
+        staff = createClient(server.baseUrl);
+        staffToken = await staff.login('gate', 'gate-password');
+        today = schedule.getLocalParts(new Date(), 'Europe/London').date;
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    function syncTaps(account, accountToken, batches) {
+        return account.request('/admin/gate/sync', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'x-csrf-token': accountToken },
+            body: JSON.stringify({ batches })
+        });
+    }
+
+    it('takes taps from gate staff, counting a resent batch once', async () => {
+        const page = await (await staff.request('/admin/gate')).text();
+        assert.match(page, /<script src="\/gate\.js" defer><\/script>/);
+        const config = JSON.parse(page.match(/<script type="application\/json" id="gateConfig">(.*?)<\/script>/)[1]);
+        assert.equal(config.date, today);
+        assert.equal(config.tickets.sunday.find(type => type.id === 'sellers.van').price, 1500);
+
+        const batch = { id: 'test-batch-1', date: today, counts: { 'buyers.early': 2, 'buyers.regular': 5 } };
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const response = await syncTaps(staff, staffToken, [batch]);
+            assert.equal(response.status, 200);
+            const result = await response.json();
+            assert.deepEqual(result.synced, ['test-batch-1']);
+            assert.deepEqual(result.counts, { 'buyers.early': 2, 'buyers.regular': 5 });
+        }
+
+        const rejected = await (await syncTaps(staff, staffToken, [{ id: 'test-batch-2', date: today, counts: { 'buyers.vip': 1 } }])).json();
+        assert.deepEqual(rejected.synced, []);
+        assert.match(rejected.rejected[0].error, /Unknown ticket type "buyers\.vip"/);
+        assert.equal((await syncTaps(staff, staffToken, [])).status, 400);
+
+        assert.doesNotMatch(await (await staff.request('/admin')).text(), /id="section-gate"/);
+        assert.equal((await staff.request('/admin/gate/report')).status, 403);
+    });
+
+    it('shows the owner daily totals, the weekend report and a CSV export', async () => {
+        const panel = await (await client.request('/admin')).text();
+        assert.match(panel, /id="section-gate"/);
+        assert.match(panel, /<td class="count">7<\/td>\s*<td class="count">0<\/td>\s*<td class="count">£15<\/td>/);
+
+        assert.match(panel, /Taps not counted \(1\)[\s\S]*buyers\.vip × 1[\s\S]*Unknown ticket type[\s\S]*<td>gate<\/td>[\s\S]*name="id" value="test-batch-2"/);
+        assert.equal((await client.postForm('/admin/gate/rejected/dismiss', { id: 'test-batch-9', _csrf: token })).status, 404);
+        assert.equal((await client.postForm('/admin/gate/rejected/dismiss', { id: 'test-batch-2', _csrf: token })).status, 200);
+        assert.doesNotMatch(await (await client.request('/admin')).text(), /Taps not counted/);
+        assert.match(await (await client.request('/admin/history?action=gate')).text(), /<td>gate\.dismiss<\/td>/);
+
+        const report = await (await client.request('/admin/gate/report')).text();
+        assert.match(report, /Day by day/);
+
+        const csv = await client.request(`/admin/gate/export?from=${today}&to=${today}`);
+        assert.equal(csv.headers.get('content-type'), 'text/csv; charset=utf-8');
+        assert.match(await csv.text(), new RegExp(`^${today},\\w+,buyers\\.early,Early Entry,5\\.00,2,10\\.00,`, 'm'));
+    });
+
+    it('keeps taps on the phone while offline and syncs them later', async () => {
+        const window = await loadAdmin(server, staff, '/admin/gate', 'gate.js');
+        const { document } = window;
+        const onlineFetch = window.fetch;
+        const add = () => document.querySelector('.gate-ticket__add[data-ticket="buyers.regular"]');
+        await waitFor(() => document.getElementById('gateSync').textContent === 'All taps synced');
+        assert.match(add().textContent, /Regular Entry · £1\s*5/);
+
+        window.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+        add().click();
+        add().click();
+        document.querySelector('.gate-ticket__undo[data-ticket="buyers.early"]').click();
+        document.getElementById('gateSyncNow').click();
+        await waitFor(() => /Could not reach/.test(document.getElementById('gateSync').textContent));
+        assert.equal(document.getElementById('gateSync').textContent, 'Could not reach the site - will try again. 3 taps saved on this phone, waiting to sync');
+        assert.match(add().textContent, /7/);
+        assert.equal(JSON.parse(window.localStorage.getItem('rcb-gate')).outbox.length, 1);
+
+        window.fetch = onlineFetch;
+        document.getElementById('gateSyncNow').click();
+        await waitFor(() => document.getElementById('gateSync').textContent === 'All taps synced');
+        assert.match(document.getElementById('gateTotal').textContent, /Today: 8 visitors · £12 taken/);
+        window.close();
+
+        const csv = await (await client.request(`/admin/gate/export?from=${today}&to=${today}`)).text();
+        assert.match(csv, /buyers\.regular,Regular Entry,1\.00,7,7\.00/);
+        assert.match(csv, /buyers\.early,Early Entry,5\.00,1,5\.00/);
+    });
+});
@@ -0,0 +1,220 @@
+// Test helpers: run server.js against a throwaway data folder (as its own
+// process, or loaded into the test process) and talk to it over HTTP with a
+// small cookie-keeping client; load public/app.js into jsdom.
+
+const { spawn } = require('child_process');
+const { once } = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const i18n = require('../lib/i18n');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const OWNER_PASSWORD = 'owner-password-1';
+
+async function waitForHealth(baseUrl, child, output) {
+    const deadline = Date.now() + 15000;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) throw new Error(`Server exited early:\n${output.join('')}`);
+        try {
+            const response = await fetch(`${baseUrl}/health`);
+            if (response.ok) return;
+        } catch {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Server did not start:\n${output.join('')}`);
+}
+
+// Settings for a test server whose documents and uploads live in `dataDir`
+function testEnv(dataDir, env) {
+    return {
+        NODE_ENV: 'test',
+        DATA_DIR: dataDir,
+        UPLOADS_DIR: path.join(dataDir, 'uploads'),
+        ADMIN_USERNAME: 'owner',
+        ADMIN_PASSWORD: OWNER_PASSWORD,
+        SESSION_SECRET: 'test-session-secret',
+        WEATHER_PROVIDER: 'off',
+        ...env
+    };
+}
+
+async function startServer(env = {}) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rcb-test-'));
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, [path.join(ROOT_DIR, 'server.js')], {
+        cwd: ROOT_DIR,
+        env: { ...process.env, PORT: String(port), ...testEnv(dataDir, env) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const output = [];
+    child.stdout.on('data', chunk => output.push(chunk.toString()));
+    child.stderr.on('data', chunk => output.push(chunk.toString()));
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    try {
+        await waitForHealth(baseUrl, child, output);
+    } catch (error) {
+        child.kill();
+        await fs.rm(dataDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    return {
+        baseUrl,
+        dataDir,
+        output,
+        async stop() {
+            if (child.exitCode === null) {
+                child.kill();
+                await once(child, 'exit');
+            }
+            await fs.rm(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * The app exported by server.js, served from this process on a free port.
+ * server.js reads its settings when first required, so this works once per
+ * test file (node --test runs each file in its own process).
+ */
+async function startApp(env = {}) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rcb-test-'));
+    Object.assign(process.env, testEnv(dataDir, env));
+    const server = require('../server');
+    await server.initialize();
+
+    const listener = server.app.listen(0, '127.0.0.1');
+    await once(listener, 'listening');
+
+    return {
+        app: server.app,
+        baseUrl: `http://127.0.0.1:${listener.address().port}`,
+        dataDir,
+        async stop() {
+            // Open event streams would otherwise hold the server open
+            listener.closeAllConnections();
+            await new Promise(resolve => listener.close(resolve));
+            await fs.rm(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// fetch with a cookie jar, so a test can log in and keep its session
+function createClient(baseUrl) {
+    const cookies = new Map();
+
+    async function request(pathname, options = {}) {
+        const headers = { ...options.headers };
+        if (cookies.size) headers.cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+
+        const response = await fetch(baseUrl + pathname, { redirect: 'manual', ...options, headers });
+        for (const cookie of response.headers.getSetCookie()) {
+            const [pair, ...attributes] = cookie.split(';');
+            const [name, value] = [pair.slice(0, pair.indexOf('=')), pair.slice(pair.indexOf('=') + 1)];
+            const expired = attributes.some(attribute => /expires=thu, 01 jan 1970/i.test(attribute.trim()));
+            if (expired || value === '') cookies.delete(name);
+            else cookies.set(name, value);
+        }
+        return response;
+    }
+
+    // The CSRF token from the hidden field on a page
+    async function csrfToken(pathname = '/admin') {
+        const html = await (await request(pathname)).text();
+        const match = /name="_csrf" value="([^"]+)"/.exec(html);
+        if (!match) throw new Error(`No CSRF token on ${pathname}`);
+        return match[1];
+    }
+
+    function postForm(pathname, fields) {
+        return request(pathname, {
+            method: 'POST',
+            headers: { 'content-type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams(fields).toString()
+        });
+    }
+
+    async function login(username = 'owner', password = OWNER_PASSWORD) {
+        const token = await csrfToken('/admin/login');
+        const response = await postForm('/admin/login', { username, password, _csrf: token });
+        if (response.status !== 302 || response.headers.get('location') !== '/admin') {
+            throw new Error(`Login failed with ${response.status}`);
+        }
+        return csrfToken('/admin');
+    }
+
+    return { cookies, request, csrfToken, postForm, login };
+}
+
+// Script tags other than the JSON message blocks the client scripts read
+const SCRIPT_TAGS = /<script(?![^>]*application\/json)[^>]*>[\s\S]*?<\/script>/g;
+
+/**
+ * public/index.html, rendered in `language` as the server would, with
+ * public/app.js evaluated in it, without running the DOMContentLoaded
+ * start-up (no network). The app's functions are on `window`.
+ */
+async function loadApp(language = 'en') {
+    const template = await fs.readFile(path.join(ROOT_DIR, 'public', 'index.html'), 'utf8');
+    const html = i18n.addAlternateLinks(i18n.localizePage(template, language), language, 'http://localhost');
+    const source = await fs.readFile(path.join(ROOT_DIR, 'public', 'app.js'), 'utf8');
+    const dom = new JSDOM(html.replace(SCRIPT_TAGS, ''), {
+        url: `http://localhost${i18n.LANGUAGES[language].path}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    // Let the parser's DOMContentLoaded pass before the app adds its listener
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    dom.window.console.log = () => {};
+    dom.window.eval(source);
+    return dom.window;
+}
+
+/**
+ * An admin page for a logged-in client, with public/admin.js (or another
+ * script, such as gate.js) running in it. XHR goes through jsdom's cookie jar;
+ * fetch goes through the client.
+ */
+async function loadAdmin(server, client, pathname = '/admin', script = 'admin.js') {
+    const html = await (await client.request(pathname)).text();
+    const source = await fs.readFile(path.join(ROOT_DIR, 'public', script), 'utf8');
+    const dom = new JSDOM(html.replace(SCRIPT_TAGS, ''), {
+        url: server.baseUrl + pathname,
+        runScripts: 'outside-only'
+    });
+    for (const [name, value] of client.cookies) {
+        dom.cookieJar.setCookieSync(`${name}=${value}; Path=/`, server.baseUrl);
+    }
+    dom.window.fetch = (url, options = {}) => {
+        const target = new URL(url, server.baseUrl);
+        return client.request(target.pathname + target.search, { ...options, redirect: 'follow' });
+    };
+    dom.window.eval(source);
+    return dom.window;
+}
+
+// Polls until `check` returns something truthy
+async function waitFor(check, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const result = check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for condition');
+}
+
+module.exports = {
+    OWNER_PASSWORD,
+    startServer,
+    startApp,
+    createClient,
+    loadApp,
+    loadAdmin,
+    waitFor
+};
@@ -0,0 +1,197 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startServer, createClient, loadApp } = require('./helpers');
+const i18n = require('../lib/i18n');
+const en = require('../locales/en.json');
+const cy = require('../locales/cy.json');
+
+describe('lib/i18n', () => {
+    it('has a Welsh message for every English one', () => {
+        assert.deepEqual(Object.keys(cy).sort(), Object.keys(en).sort());
+    });
+
+    it('picks the best language from Accept-Language', () => {
+        assert.equal(i18n.languageFromAcceptHeader('cy-GB,cy;q=0.9,en;q=0.8'), 'cy');
+        assert.equal(i18n.languageFromAcceptHeader('en-GB;q=0.5, cy;q=0.8'), 'cy');
+        assert.equal(i18n.languageFromAcceptHeader('fr-FR,de'), null);
+        assert.equal(i18n.languageFromAcceptHeader(''), null);
+    });
+
+    it('treats a cookie it cannot read as no choice', () => {
+        assert.equal(i18n.languageFromCookie('rcb_lang=cy'), 'cy');
+        assert.equal(i18n.languageFromCookie('rcb_lang=%E0'), null);
+        assert.equal(i18n.languageFromCookie('other=1; rcb_lang=%'), null);
+    });
+
+    it('fills placeholders and falls back to the key', () => {
+        assert.equal(i18n.translate('cy', 'app.status.closesAt', { time: '1:30 yh' }), 'Yn cau am 1:30 yh');
+        assert.equal(i18n.translate('fr', 'app.status.open'), 'CURRENTLY OPEN');
+        assert.equal(i18n.translate('cy', 'no.such.key'), 'no.such.key');
+    });
+
+    it('translates marked elements and attributes, escaping the text', () => {
+        const html = '<html lang="en"><title data-i18n="site.title">x</title><a href="#" aria-label="x" data-i18n-attr="aria-label:site.nav.admin">⚙️</a>';
+        const welsh = i18n.localizeHtml(html, 'cy');
+        assert.match(welsh, /<html lang="cy">/);
+        assert.match(welsh, /<title data-i18n="site.title">Cist Car y Rhyl - Y Sêl Cist Car Orau yng Ngogledd Cymru<\/title>/);
+        assert.match(welsh, /aria-label="Gweinyddu"/);
+        assert.match(i18n.localizeHtml('<p data-i18n="site.access.title">x</p>', 'en'), /Access &amp; Parking/);
+    });
+});
+
+describe('bilingual site', () => {
+    let server;
+    let client;
+    let token;
+
+    before(async () => {
+        server = await startServer({ SITE_URL: 'https://rhylcarboot.example' });
+        client = createClient(server.baseUrl);
+        token = await client.login();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('serves English at / with hreflang links to both languages', async () => {
+        const response = await fetch(`${server.baseUrl}/`);
+        const html = await response.text();
+        assert.match(html, /<html lang="en">/);
+        assert.match(html, /<link rel="alternate" hreflang="en" href="https:\/\/rhylcarboot.example\/">/);
+        assert.match(html, /<link rel="alternate" hreflang="cy" href="https:\/\/rhylcarboot.example\/cy\/">/);
+        assert.match(html, /<link rel="alternate" hreflang="x-default" href="https:\/\/rhylcarboot.example\/">/);
+        assert.match(html, /<link rel="canonical" href="https:\/\/rhylcarboot.example\/">/);
+        assert.match(html, /<a href="\/cy\/"[^>]*hreflang="cy"[^>]*>Cymraeg<\/a>/);
+        assert.match(html, /Car Boot Sale Pricing/);
+        assert.equal(response.headers.get('content-language'), 'en');
+    });
+
+    it('serves Welsh at /cy/ and remembers the choice', async () => {
+        const response = await fetch(`${server.baseUrl}/cy/`);
+        const html = await response.text();
+        assert.match(html, /<html lang="cy">/);
+        assert.match(html, /<link rel="canonical" href="https:\/\/rhylcarboot.example\/cy\/">/);
+        assert.match(html, /Prisiau&#39;r Sêl Cist Car/);
+        assert.match(html, /<a href="\/\?lang=en"[^>]*>English<\/a>/);
+        assert.match(response.headers.get('set-cookie'), /rcb_lang=cy/);
+
+        const messages = JSON.parse(/<script type="application\/json" id="i18nMessages">([\s\S]*?)<\/script>/.exec(html)[1]);
+        assert.equal(messages['app.status.open'], 'AR AGOR NAWR');
+        assert.equal(messages['admin.title'], undefined);
+    });
+
+    it('uses the saved language at /, and ?lang= to switch back', async () => {
+        const remembered = await fetch(`${server.baseUrl}/`, { headers: { cookie: 'rcb_lang=cy' } });
+        assert.match(await remembered.text(), /<html lang="cy">/);
+
+        const switched = await fetch(`${server.baseUrl}/?lang=en`, { headers: { cookie: 'rcb_lang=cy' } });
+        assert.match(await switched.text(), /<html lang="en">/);
+        assert.match(switched.headers.get('set-cookie'), /rcb_lang=en/);
+
+        const browser = await fetch(`${server.baseUrl}/`, { headers: { 'accept-language': 'cy-GB,en;q=0.5' } });
+        assert.match(await browser.text(), /<html lang="cy">/);
+
+        for (const pathname of ['/', '/api/status', '/admin/login']) {
+            const garbled = await fetch(`${server.baseUrl}${pathname}`, { headers: { cookie: 'rcb_lang=%E0', 'accept-language': 'cy' } });
+            assert.equal(garbled.status, 200, pathname);
+        }
+    });
+
+    it('returns notices in the requested language', async () => {
+        const added = await client.postForm('/admin/notices', {
+            message: 'Gates open late today',
+            messageCy: "Y giatiau'n agor yn hwyr heddiw",
+            endsAt: '',
+            _csrf: token
+        });
+        assert.equal(added.status, 200);
+        await client.postForm('/admin/notices', { message: 'English only', endsAt: '', _csrf: token });
+
+        const messages = async (query, headers) =>
+            (await (await fetch(`${server.baseUrl}/api/status${query}`, { headers })).json()).notices;
+
+        const welsh = await messages('?lang=cy');
+        assert.deepEqual(welsh.map(notice => notice.message).sort(), ['English only', "Y giatiau'n agor yn hwyr heddiw"]);
+        assert.ok(welsh.every(notice => !('messageCy' in notice)));
+        assert.ok((await messages('')).some(notice => notice.message === 'Gates open late today'));
+        assert.ok((await messages('', { 'accept-language': 'cy' })).some(notice => notice.message.startsWith('Y giatiau')));
+    });
+
+    it('returns gallery descriptions in the requested language', async () => {
+        const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#21808d' } }).png().toBuffer();
+        const form = new FormData();
+        form.append('_csrf', token);
+        form.append('description', 'Sunday morning');
+        form.append('descriptionCy', 'Bore Sul');
+        form.append('image', new Blob([png], { type: 'image/png' }), 'field.png');
+        const uploaded = await client.request('/admin/upload-gallery', { method: 'POST', body: form });
+        assert.equal(uploaded.status, 200);
+        const { image } = await uploaded.json();
+
+        const gallery = async query => (await (await fetch(`${server.baseUrl}/api/gallery${query}`)).json()).images;
+        assert.equal((await gallery('?lang=cy'))[0].description, 'Bore Sul');
+        assert.equal((await gallery('?lang=en'))[0].description, 'Sunday morning');
+        assert.equal((await gallery('?lang=cy'))[0].descriptionCy, undefined);
+
+        // Clearing the Welsh caption falls back to the English one
+        await client.postForm('/admin/gallery/update', { id: image.id, description: 'Sunday morning', descriptionCy: '', _csrf: token });
+        assert.equal((await gallery('?lang=cy'))[0].description, 'Sunday morning');
+    });
+
+    it('sends live updates in each subscriber\'s language', async () => {
+        const controller = new AbortController();
+        const response = await fetch(`${server.baseUrl}/api/events?lang=cy`, { signal: controller.signal });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let received = '';
+        while (!/event: gallery/.test(received)) received += decoder.decode((await reader.read()).value);
+        assert.match(received, /Y giatiau'n agor yn hwyr heddiw/);
+
+        await client.postForm('/admin/notices', { message: 'Cancelled', messageCy: 'Wedi canslo', severity: 'cancellation', endsAt: '', _csrf: token });
+        received = '';
+        while (!/Wedi canslo/.test(received)) received += decoder.decode((await reader.read()).value);
+        assert.doesNotMatch(received, /"message":"Cancelled"/);
+        controller.abort();
+    });
+
+    it('shows the admin panel in Welsh when asked', async () => {
+        const response = await client.request('/admin?lang=cy');
+        const html = await response.text();
+        assert.match(html, /<html lang="cy">/);
+        assert.match(html, /Panel Gweinyddu/);
+        assert.match(html, /name="messageCy"/);
+        assert.match(html, /<a href="\/admin\?lang=en"[^>]*>English<\/a>/);
+        assert.match(response.headers.get('set-cookie'), /rcb_lang=cy/);
+
+        const english = await (await client.request('/admin?lang=en')).text();
+        assert.match(english, /Admin Panel/);
+    });
+});
+
+describe('app.js in Welsh', () => {
+    it('shows the status and times in Welsh', async () => {
+        const window = await loadApp('cy');
+        assert.equal(window.formatTime('13:30'), '1:30 yh');
+        assert.equal(window.describeNextChange({ type: 'closes', time: '13:00' }), 'Yn cau am 1:00 yh');
+
+        window.applyStatusData({ status: true, notices: [] });
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.equal(window.document.getElementById('statusText').textContent, 'AR AGOR NAWR');
+        assert.equal(window.document.documentElement.lang, 'cy');
+        window.close();
+    });
+
+    it('labels notices in Welsh', async () => {
+        const window = await loadApp('cy');
+        window.applyStatusData({
+            status: false,
+            notices: [{ id: 'a', severity: 'warning', message: 'Mwdlyd', audience: 'sellers', link: '/#booking', endsAt: null }]
+        });
+        const banner = window.document.querySelector('#noticeBanners .notice-banner');
+        assert.match(banner.textContent, /Gwerthwyr\s+Mwdlyd/);
+        assert.equal(banner.querySelector('a').textContent, 'Rhagor o wybodaeth');
+        window.close();
+    });
+});
@@ -0,0 +1,206 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { startApp, createClient, loadApp } = require('./helpers');
+const lostFound = require('../lib/lost-found');
+const schedule = require('../lib/schedule');
+
+describe('lib/lost-found', () => {
+    const today = '2026-07-05';
+
+    it('checks found items and lost reports', () => {
+        assert.match(lostFound.parseFoundItem({ description: 'K', location: 'Row C' }, { today }).error, /description/);
+        assert.match(lostFound.parseFoundItem({ description: 'Keys', location: '' }, { today }).error, /where it was found/);
+        assert.match(lostFound.parseFoundItem({ description: 'Keys', location: 'Row C', date: '2026-07-06' }, { today }).error, /last 28 days/);
+        assert.equal(lostFound.parseFoundItem({ description: 'Keys', location: 'Row C' }, { today }).item.date, today);
+
+        const report = { description: 'Blue teddy', name: 'Sam', phone: '', email: '' };
+        assert.match(lostFound.parseLostReport(report, { today }).error, /phone number or email/);
+        assert.match(lostFound.parseLostReport({ ...report, email: 'sam@' }, { today }).error, /email/);
+        const { item } = lostFound.parseLostReport({ ...report, phone: '07700 900123', date: '2026-07-04' }, { today, now: new Date('2026-07-05T10:00:00Z') });
+        assert.equal(item.kind, 'lost');
+        assert.equal(item.status, 'open');
+        assert.equal(item.expiresAt, '2026-08-02T10:00:00.000Z');
+    });
+
+    it('lists open entries until they expire, without contact details', () => {
+        const entry = (id, kind, fields) => ({
+            id, kind, description: id, location: '', date: '2026-07-04', createdAt: '2026-07-04T10:00:00Z',
+            expiresAt: '2026-08-01T10:00:00Z', status: 'open', photo: null, ...fields
+        });
+        const board = lostFound.publicBoard({
+            items: [
+                entry('keys', 'found', { date: '2026-07-05' }),
+                entry('phone', 'found', { status: 'claimed' }),
+                entry('old', 'found', { expiresAt: '2026-07-01T10:00:00Z' }),
+                entry('teddy', 'lost', { name: 'Sam', phone: '07700 900123' }),
+                entry('wallet', 'found')
+            ]
+        }, new Date('2026-07-05T12:00:00Z'));
+
+        assert.deepEqual(board.found.map(item => item.id), ['keys', 'wallet']);
+        assert.deepEqual(board.lost.map(item => item.id), ['teddy']);
+        assert.equal(board.lost[0].phone, undefined);
+        assert.equal(board.lost[0].name, undefined);
+    });
+
+    it('clears visitors\' contact details once their report expires', () => {
+        const now = new Date('2026-08-03T12:00:00Z');
+        const report = { id: 'teddy', kind: 'lost', status: 'claimed', expiresAt: '2026-08-02T10:00:00Z', name: 'Sam', phone: '07700 900123', email: 'sam@example.com' };
+        const items = [
+            report,
+            { ...report, id: 'wallet', status: 'open', expiresAt: '2026-08-30T10:00:00Z' },
+            { id: 'keys', kind: 'found', status: 'open', expiresAt: '2026-08-01T10:00:00Z', loggedBy: 'gate' }
+        ];
+
+        const { data, forgotten } = lostFound.forgetExpiredContacts({ items }, now);
+        assert.equal(forgotten, 1);
+        assert.deepEqual(data.items[0], { ...report, name: '', phone: '', email: '', contactRemovedAt: now.toISOString() });
+        assert.deepEqual(data.items.slice(1), items.slice(1));
+        assert.equal(lostFound.forgetExpiredContacts(data, now).forgotten, 0);
+        assert.equal(lostFound.openReports(data, now), 1);
+    });
+});
+
+describe('/api/lost-found', () => {
+    let server;
+    let client;
+    let token;
+
+    before(async () => {
+        server = await startApp();
+        client = createClient(server.baseUrl);
+        token = await client.login();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    async function board() {
+        return (await fetch(`${server.baseUrl}/api/lost-found`)).json();
+    }
+
+    function logFound(account, accountToken, fields, photo) {
+        const form = new FormData();
+        form.append('_csrf', accountToken);
+        for (const [name, value] of Object.entries(fields)) form.append(name, value);
+        if (photo) form.append('photo', new Blob([photo], { type: 'image/png' }), 'found.png');
+        return account.request('/admin/lost-found', { method: 'POST', body: form });
+    }
+
+    it('puts lost reports on the board without the contact details', async () => {
+        const response = await fetch(`${server.baseUrl}/api/lost-found`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ description: 'Blue teddy bear', location: 'Near the burger van', name: 'Sam Visitor', email: 'sam@example.com' })
+        });
+        assert.equal(response.status, 201);
+
+        const { lost, listingDays } = await board();
+        assert.equal(listingDays, lostFound.LISTING_DAYS);
+        assert.equal(lost[0].description, 'Blue teddy bear');
+        assert.doesNotMatch(JSON.stringify(lost), /sam@example\.com|Sam Visitor/);
+
+        const page = await (await client.request('/admin')).text();
+        assert.match(page, /Blue teddy bear/);
+        assert.match(page, /sam@example\.com/);
+    });
+
+    it('lets gate staff log a found item with a photo and mark it claimed', async () => {
+        await client.postForm('/admin/users', { username: 'gate', password: 'gate-password', role: 'staff', _csrf: token });
+        const staff = createClient(server.baseUrl);
+        const staffToken = await staff.login('gate', 'gate-password');
+
+        const photo = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#21808d' } }).png().toBuffer();
+        const today = schedule.getLocalParts(new Date(), 'Europe/London').date;
+        const logged = await logFound(staff, staffToken, { description: 'Car keys with a red fob', location: 'Row C', date: today }, photo);
+        assert.equal(logged.status, 200);
+        const { item } = await logged.json();
+        assert.equal(item.loggedBy, 'gate');
+
+        const [shown] = (await board()).found;
+        assert.equal(shown.description, 'Car keys with a red fob');
+        assert.equal(shown.location, 'Row C');
+        assert.equal((await fetch(server.baseUrl + shown.photo.url)).status, 200);
+        assert.match(await (await staff.request('/admin')).text(), /id="section-lostfound"/);
+
+        const claimed = await staff.postForm('/admin/lost-found/claim', { id: item.id, _csrf: staffToken });
+        assert.equal(claimed.status, 200);
+        assert.deepEqual((await board()).found, []);
+
+        const deleted = await staff.postForm('/admin/lost-found/delete', { id: item.id, _csrf: staffToken });
+        assert.equal(deleted.status, 200);
+        assert.equal((await fetch(server.baseUrl + shown.photo.url)).status, 404);
+
+        const history = await (await client.request('/admin/history?action=lostfound')).text();
+        assert.match(history, /<td>lostfound\.add<\/td>/);
+        assert.match(history, /<td>lostfound\.claim<\/td>/);
+    });
+
+    it('rejects incomplete entries', async () => {
+        const noContact = await fetch(`${server.baseUrl}/api/lost-found`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ description: 'Phone', name: 'Sam' })
+        });
+        assert.equal(noContact.status, 400);
+        assert.match((await noContact.json()).error, /phone number or email/);
+
+        const noLocation = await logFound(client, token, { description: 'Umbrella' });
+        assert.equal(noLocation.status, 400);
+        assert.match((await noLocation.json()).error, /where it was found/);
+        assert.equal((await client.postForm('/admin/lost-found/claim', { id: 'nope', _csrf: token })).status, 404);
+    });
+
+    it('clears expired reports\' contact details and stops taking reports when the board is full', async () => {
+        const file = path.join(server.dataDir, 'lost-found.json');
+        const report = (id, expiresAt) => ({
+            id, kind: 'lost', description: 'Red scarf', location: '', date: '2026-06-01', name: 'Pat Visitor', phone: '07700 900456', email: '',
+            photo: null, status: 'open', createdAt: '2026-06-01T10:00:00Z', expiresAt
+        });
+        await fs.writeFile(file, JSON.stringify({ items: [report('scarf', '2026-06-29T10:00:00Z')] }));
+        const send = () => fetch(`${server.baseUrl}/api/lost-found`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ description: 'Green umbrella', name: 'Sam Visitor', phone: '07700 900123' })
+        });
+
+        assert.equal((await send()).status, 201);
+        const [scarf] = JSON.parse(await fs.readFile(file, 'utf8')).items;
+        assert.deepEqual([scarf.name, scarf.phone], ['', '']);
+        const page = await (await client.request('/admin')).text();
+        assert.match(page, /Contact details removed after the report expired/);
+        assert.doesNotMatch(page, /Pat Visitor|07700 900456/);
+
+        const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+        await fs.writeFile(file, JSON.stringify({ items: Array.from({ length: lostFound.MAX_OPEN_REPORTS }, (_, index) => report(`report-${index}`, future)) }));
+        const full = await send();
+        assert.equal(full.status, 503);
+        assert.equal(JSON.parse(await fs.readFile(file, 'utf8')).items.length, lostFound.MAX_OPEN_REPORTS);
+    });
+});
+
+describe('app.js lost property board', () => {
+    it('lists found and lost items, escaped, with the listing period', async () => {
+        const window = await loadApp();
+        const { document } = window;
+        window.updateLostFoundDisplay({
+            found: [{ id: '1', description: 'Car keys', location: 'Row C', date: '2026-07-04', photo: { url: '/uploads/lost-found/a.jpg', variants: [{ url: '/uploads/lost-found/a-320.webp', width: 320 }] } }],
+            lost: [{ id: '2', description: '<script>alert(1)</script>', location: '', date: '2026-07-05', photo: null }],
+            listingDays: 28
+        });
+
+        const found = document.querySelector('#foundList li');
+        assert.match(found.textContent.replace(/\s+/g, ' '), /Car keys Sat 4 Jul · Row C/);
+        assert.equal(found.querySelector('img').getAttribute('srcset'), '/uploads/lost-found/a-320.webp 320w');
+        assert.equal(document.querySelector('#lostList strong').textContent, '<script>alert(1)</script>');
+        assert.equal(document.getElementById('lostFoundNote').textContent, 'Items stay on this board for 28 days, or until they are claimed.');
+
+        window.updateLostFoundDisplay({ found: [], lost: [], listingDays: 28 });
+        assert.equal(document.querySelector('#foundList li').textContent, 'Nothing handed in at the moment.');
+        window.close();
+    });
+});
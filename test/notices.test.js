@@ -0,0 +1,215 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, loadApp } = require('./helpers');
+const notices = require('../lib/notices');
+const schedule = require('../lib/schedule');
+
+const TIMEZONE = 'Europe/London';
+const HOUR = 60 * 60 * 1000;
+
+// Wall-clock time in London, `hours` from now, as a datetime-local value
+function localTime(hours) {
+    return schedule.toLocalDateTime(new Date(Date.now() + hours * HOUR), TIMEZONE);
+}
+
+describe('lib/notices', () => {
+    const now = new Date('2026-07-04T08:00:00Z');
+
+    it('reads wall-clock times in the schedule timezone', () => {
+        const notice = notices.parseNotice({
+            message: '  Gates open   late today ',
+            severity: 'warning',
+            audience: 'sellers',
+            link: '/#booking',
+            startsAt: '2026-07-04T09:00',
+            endsAt: '2026-07-04T13:00'
+        }, { timezone: TIMEZONE, now });
+
+        assert.equal(notice.message, 'Gates open late today');
+        assert.equal(notice.severity, 'warning');
+        assert.equal(notice.audience, 'sellers');
+        assert.equal(notice.link, '/#booking');
+        // BST is UTC+1
+        assert.equal(notice.startsAt, '2026-07-04T08:00:00.000Z');
+        assert.equal(notice.endsAt, '2026-07-04T12:00:00.000Z');
+    });
+
+    it('starts now and never ends when the times are left blank', () => {
+        const notice = notices.parseNotice({ message: 'Hello' }, { timezone: TIMEZONE, now });
+        assert.equal(notice.startsAt, now.toISOString());
+        assert.equal(notice.endsAt, null);
+        assert.equal(notice.severity, 'info');
+        assert.equal(notice.audience, null);
+    });
+
+    it('rejects bad input', () => {
+        const parse = input => notices.parseNotice({ message: 'Hello', ...input }, { timezone: TIMEZONE, now });
+        assert.throws(() => parse({ message: ' ' }), /notice text/);
+        assert.throws(() => parse({ message: 'x'.repeat(281) }), /at most 280/);
+        assert.throws(() => parse({ severity: 'panic' }), /Unknown severity/);
+        assert.throws(() => parse({ audience: 'everyone' }), /Unknown audience/);
+        assert.throws(() => parse({ startsAt: '2026-07-04T10:00', endsAt: '2026-07-04T09:00' }), /end after it starts/);
+        assert.throws(() => parse({ startsAt: '2026-07-01T10:00', endsAt: '2026-07-02T09:00' }), /already passed/);
+        assert.throws(() => parse({ endsAt: 'tomorrow' }), /valid end/);
+        assert.throws(() => parse({ link: 'javascript:alert(1)' }), /Link must start/);
+        assert.throws(() => parse({ link: '//evil.example' }), /Link must start/);
+        assert.equal(parse({ link: 'https://example.com/a b' }).link, 'https://example.com/a%20b');
+    });
+
+    it('lists only live notices, most serious first', () => {
+        const list = [
+            { id: 'info', severity: 'info', message: 'a', startsAt: '2026-07-04T07:00:00Z', endsAt: null },
+            { id: 'later', severity: 'cancellation', message: 'b', startsAt: '2026-07-05T07:00:00Z', endsAt: null },
+            { id: 'ended', severity: 'warning', message: 'c', startsAt: '2026-07-03T07:00:00Z', endsAt: '2026-07-04T07:59:00Z' },
+            { id: 'cancelled', severity: 'cancellation', message: 'd', startsAt: '2026-07-04T06:00:00Z', endsAt: '2026-07-04T12:00:00Z' },
+            { id: 'warning', severity: 'warning', message: 'e', startsAt: '2026-07-04T06:00:00Z', endsAt: null }
+        ];
+        assert.deepEqual(notices.activeNotices(list, now).map(notice => notice.id), ['cancelled', 'warning', 'info']);
+        assert.equal(notices.noticeState(list[1], now), 'scheduled');
+        assert.equal(notices.noticeState(list[2], now), 'ended');
+    });
+
+    it('turns an old single notice into a list', () => {
+        const [notice] = notices.readNotices({ notice: 'Old notice', lastUpdated: '2026-07-01T10:00:00Z' });
+        assert.equal(notice.message, 'Old notice');
+        assert.equal(notice.severity, 'info');
+        assert.equal(notice.endsAt, null);
+        assert.deepEqual(notices.readNotices({ notice: '' }), []);
+        assert.deepEqual(notices.readNotices({ notices: [], notice: 'ignored' }), []);
+    });
+
+    it('drops notices a month after they end', () => {
+        const list = [
+            { id: 'old', endsAt: '2026-05-01T00:00:00Z' },
+            { id: 'recent', endsAt: '2026-06-30T00:00:00Z' },
+            { id: 'open', endsAt: null }
+        ];
+        assert.deepEqual(notices.pruneNotices(list, now).map(notice => notice.id), ['recent', 'open']);
+    });
+});
+
+describe('notices API', () => {
+    let server;
+    let client;
+    let token;
+
+    before(async () => {
+        server = await startServer();
+        client = createClient(server.baseUrl);
+        token = await client.login();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    async function addNotice(fields) {
+        const response = await client.postForm('/admin/notices', { endsAt: '', _csrf: token, ...fields });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function publicNotices() {
+        return (await (await fetch(`${server.baseUrl}/api/status`)).json()).notices;
+    }
+
+    it('shows live notices in /api/status and holds back scheduled ones', async () => {
+        const live = await addNotice({ message: 'Gates open late today', severity: 'warning', endsAt: localTime(3) });
+        assert.equal(live.status, 200);
+        const later = await addNotice({ message: 'Closed next week', severity: 'cancellation', startsAt: localTime(48), endsAt: localTime(60) });
+        assert.equal(later.status, 200);
+
+        const shown = await publicNotices();
+        assert.deepEqual(shown.map(notice => notice.message), ['Gates open late today']);
+        assert.equal(shown[0].severity, 'warning');
+        assert.equal(shown[0].endsAt, live.body.notice.endsAt);
+        assert.equal(shown[0].createdAt, undefined);
+    });
+
+    it('rejects invalid notices with a message', async () => {
+        const { status, body } = await addNotice({ message: 'Bad', link: 'javascript:alert(1)' });
+        assert.equal(status, 400);
+        assert.match(body.error, /Link must start/);
+    });
+
+    it('ends and deletes notices', async () => {
+        const { body } = await addNotice({ message: 'Short lived' });
+        assert.ok((await publicNotices()).some(notice => notice.id === body.notice.id));
+
+        const ended = await client.postForm('/admin/notices/end', { id: body.notice.id, _csrf: token });
+        assert.equal(ended.status, 200);
+        assert.ok(!(await publicNotices()).some(notice => notice.id === body.notice.id));
+
+        const html = await (await client.request('/admin')).text();
+        assert.match(html, /notice-row--ended[\s\S]*Short lived/);
+
+        const deleted = await client.postForm('/admin/notices/delete', { id: body.notice.id, _csrf: token });
+        assert.equal(deleted.status, 200);
+        assert.ok(!(await (await client.request('/admin')).text()).includes('Short lived'));
+
+        const missing = await client.postForm('/admin/notices/delete', { id: body.notice.id, _csrf: token });
+        assert.equal(missing.status, 404);
+    });
+
+    it('lets gate staff manage notices', async () => {
+        await client.postForm('/admin/users', { username: 'gate', password: 'gate-password', role: 'staff', _csrf: token });
+        const staff = createClient(server.baseUrl);
+        const staffToken = await staff.login('gate', 'gate-password');
+        const response = await staff.postForm('/admin/notices', { message: 'Posted at the gate', endsAt: '', _csrf: staffToken });
+        assert.equal(response.status, 200);
+    });
+
+    it('records changes in the history so they can be restored', async () => {
+        const before = await publicNotices();
+        const { body } = await addNotice({ message: 'Added by mistake' });
+        assert.ok((await publicNotices()).some(notice => notice.id === body.notice.id));
+
+        const html = await (await client.request('/admin/history?action=notice')).text();
+        const id = /name="id" value="([^"]+)">\s*<input type="hidden" name="field" value="notices">/.exec(html)[1];
+        const restored = await client.postForm('/admin/history/restore', { id, field: 'notices', _csrf: token });
+        assert.equal(restored.status, 200);
+        assert.deepEqual((await publicNotices()).map(notice => notice.id), before.map(notice => notice.id));
+    });
+});
+
+describe('notice banners', () => {
+    const live = [
+        { id: 'a', severity: 'cancellation', message: 'Cancelled today', audience: null, link: null, endsAt: null },
+        { id: 'b', severity: 'warning', message: 'Muddy <b>field</b>', audience: 'sellers', link: '/#booking', endsAt: null },
+        { id: 'c', severity: 'info', message: 'Already over', audience: null, link: null, endsAt: '2000-01-01T00:00:00Z' }
+    ];
+
+    it('stacks live notices as colour-coded banners', async () => {
+        const window = await loadApp();
+        window.applyStatusData({ status: false, notices: live });
+
+        const banners = window.document.querySelectorAll('#noticeBanners .notice-banner');
+        assert.equal(banners.length, 2);
+        assert.ok(banners[0].classList.contains('notice-banner--cancellation'));
+        assert.ok(banners[1].classList.contains('notice-banner--warning'));
+        assert.match(banners[1].textContent, /Sellers\s+Muddy <b>field<\/b>/);
+        assert.equal(banners[1].querySelector('b'), null);
+        assert.equal(banners[1].querySelector('a').getAttribute('href'), '/#booking');
+        window.close();
+    });
+
+    it('remembers dismissed notices', async () => {
+        let window = await loadApp();
+        window.setupNoticeBanners();
+        window.applyStatusData({ status: false, notices: live });
+        window.document.querySelector('[data-notice-id="a"]').click();
+
+        const remaining = window.document.querySelectorAll('#noticeBanners .notice-banner');
+        assert.equal(remaining.length, 1);
+        assert.equal(remaining[0].querySelector('button').dataset.noticeId, 'b');
+        assert.deepEqual(JSON.parse(window.localStorage.getItem('rcbDismissedNotices')), ['a']);
+
+        // Same device later: the dismissed notice stays hidden
+        const stored = window.localStorage.getItem('rcbDismissedNotices');
+        window.close();
+        window = await loadApp();
+        window.localStorage.setItem('rcbDismissedNotices', stored);
+        window.applyStatusData({ status: false, notices: live });
+        assert.equal(window.document.querySelectorAll('#noticeBanners .notice-banner').length, 1);
+        window.close();
+    });
+});
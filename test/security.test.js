@@ -0,0 +1,184 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, loadApp } = require('./helpers');
+const security = require('../lib/security');
+
+const ALLOWED_ORIGIN = 'https://allowed.example';
+
+describe('security', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ CORS_ORIGINS: ALLOWED_ORIGIN });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    describe('static files', () => {
+        for (const file of ['/server.js', '/package.json', '/status.json', '/lib/auth.js', '/.env']) {
+            it(`does not serve ${file}`, async () => {
+                const response = await fetch(server.baseUrl + file);
+                assert.equal(response.status, 404);
+            });
+        }
+
+        for (const file of ['/', '/app.js', '/styles.css', '/sw.js', '/manifest.webmanifest', '/icons/icon.svg']) {
+            it(`serves ${file} from public/`, async () => {
+                const response = await fetch(server.baseUrl + file);
+                assert.equal(response.status, 200);
+            });
+        }
+    });
+
+    describe('CORS', () => {
+        it('allows listed origins', async () => {
+            const response = await fetch(`${server.baseUrl}/api/status`, { headers: { origin: ALLOWED_ORIGIN } });
+            assert.equal(response.headers.get('access-control-allow-origin'), ALLOWED_ORIGIN);
+        });
+
+        it('sends no CORS headers to other origins', async () => {
+            const response = await fetch(`${server.baseUrl}/api/status`, { headers: { origin: 'https://evil.example' } });
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('access-control-allow-origin'), null);
+        });
+    });
+
+    describe('headers', () => {
+        it('sets CSP, framing and sniffing headers', async () => {
+            const response = await fetch(`${server.baseUrl}/`);
+            const csp = response.headers.get('content-security-policy');
+            assert.match(csp, /default-src 'self'/);
+            assert.match(csp, /script-src 'self' 'nonce-[^']+'/);
+            assert.match(csp, /frame-ancestors 'none'/);
+            assert.equal(response.headers.get('x-frame-options'), 'DENY');
+            assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+        });
+
+        it('uses a new nonce for every response', async () => {
+            const nonce = async () => /'nonce-([^']+)'/.exec((await fetch(`${server.baseUrl}/admin/login`)).headers.get('content-security-policy'))[1];
+            assert.notEqual(await nonce(), await nonce());
+        });
+
+        it('sends HSTS only over HTTPS', async () => {
+            const plain = await fetch(`${server.baseUrl}/`);
+            assert.equal(plain.headers.get('strict-transport-security'), null);
+
+            const proxied = await fetch(`${server.baseUrl}/`, { headers: { 'x-forwarded-proto': 'https' } });
+            assert.match(proxied.headers.get('strict-transport-security'), /max-age=\d+/);
+        });
+    });
+
+    describe('CSRF', () => {
+        it('rejects a login without a token', async () => {
+            const client = createClient(server.baseUrl);
+            await client.csrfToken('/admin/login');
+            const response = await client.postForm('/admin/login', { username: 'owner', password: 'anything' });
+            assert.equal(response.status, 403);
+        });
+
+        it('rejects admin changes without the session token', async () => {
+            const client = createClient(server.baseUrl);
+            await client.login();
+
+            const missing = await client.postForm('/admin/update-status', { status: 'auto' });
+            assert.equal(missing.status, 403);
+
+            const wrong = await client.postForm('/admin/update-status', { status: 'auto', _csrf: 'x'.repeat(64) });
+            assert.equal(wrong.status, 403);
+        });
+
+        it('rejects uploads without the session token', async () => {
+            const client = createClient(server.baseUrl);
+            await client.login();
+
+            const form = new FormData();
+            form.append('image', new Blob([Buffer.from('not really a png')], { type: 'image/png' }), 'photo.png');
+            const response = await client.request('/admin/upload-gallery', { method: 'POST', body: form });
+            assert.equal(response.status, 403);
+        });
+
+        it('rejects multipart posts without the token on routes that take no upload', async () => {
+            const client = createClient(server.baseUrl);
+            const token = await client.login();
+            assert.equal((await client.postForm('/admin/update-status', { status: 'false', _csrf: token })).status, 200);
+            const before = await (await fetch(`${server.baseUrl}/api/status`)).json();
+
+            for (const pathname of ['/admin/update-status', '/admin/gallery/delete', '/admin/backup/discard']) {
+                // A refused request signs the session out, so each post gets its own
+                const signedIn = createClient(server.baseUrl);
+                await signedIn.login();
+                const form = new FormData();
+                form.append('status', 'auto');
+                const response = await signedIn.request(pathname, { method: 'POST', body: form });
+                assert.equal(response.status, 403, pathname);
+            }
+            assert.equal((await (await fetch(`${server.baseUrl}/api/status`)).json()).lastUpdated, before.lastUpdated);
+        });
+
+        it('accepts the token in the form or the X-CSRF-Token header', async () => {
+            const client = createClient(server.baseUrl);
+            const token = await client.login();
+
+            const fromForm = await client.postForm('/admin/update-status', { status: 'auto', _csrf: token });
+            assert.equal(fromForm.status, 200);
+
+            const fromHeader = await client.request('/admin/update-status', {
+                method: 'POST',
+                headers: { 'content-type': 'application/json', [security.CSRF_HEADER]: token },
+                body: JSON.stringify({ status: 'auto' })
+            });
+            assert.equal(fromHeader.status, 200);
+        });
+
+        it('puts the token in every admin form', async () => {
+            const client = createClient(server.baseUrl);
+            await client.login();
+            const html = await (await client.request('/admin')).text();
+            const forms = html.match(/<form[^>]*method="POST"[\s\S]*?<\/form>/gi);
+            assert.ok(forms.length > 5);
+            for (const form of forms) assert.match(form, /name="_csrf"/);
+        });
+    });
+
+    describe('admin escaping', () => {
+        it('escapes the notice in the admin page', async () => {
+            const client = createClient(server.baseUrl);
+            const token = await client.login();
+            const notice = '<script>alert("x")</script>';
+
+            const response = await client.postForm('/admin/notices', { message: notice, endsAt: '', _csrf: token });
+            assert.equal(response.status, 200);
+
+            const html = await (await client.request('/admin')).text();
+            assert.ok(!html.includes(notice));
+            assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+        });
+    });
+});
+
+describe('gallery renderer', () => {
+    it('escapes descriptions and URLs', async () => {
+        const window = await loadApp();
+        window.updateGalleryDisplay([{
+            id: '1',
+            url: '/uploads/gallery/a.jpg" onerror="alert(1)',
+            description: '<img src=x onerror=alert(1)>'
+        }]);
+
+        const grid = window.document.getElementById('galleryScroll');
+        assert.equal(grid.querySelectorAll('.gallery-item').length, 1);
+        assert.equal(grid.querySelector('img[onerror]'), null);
+        assert.equal(grid.querySelector('.gallery-item p').textContent, '<img src=x onerror=alert(1)>');
+        assert.equal(grid.querySelector('.gallery-item img').getAttribute('alt'), '<img src=x onerror=alert(1)>');
+        window.close();
+    });
+});
+
+describe('escapeHtml', () => {
+    it('escapes markup and quotes', () => {
+        assert.equal(security.escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+        assert.equal(security.escapeHtml(null), '');
+    });
+});
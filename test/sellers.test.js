@@ -0,0 +1,191 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { startApp, createClient, loadApp } = require('./helpers');
+const sellers = require('../lib/sellers');
+
+describe('lib/sellers', () => {
+    it('checks the stall name, categories and days', () => {
+        assert.match(sellers.parseProfile({ stallName: 'A', categories: 'books', days: 'sunday' }).error, /stall name/);
+        assert.match(sellers.parseProfile({ stallName: 'Spin City', categories: 'records', days: 'sunday' }).error, /from the list/);
+        assert.match(sellers.parseProfile({ stallName: 'Spin City', categories: sellers.CATEGORIES.slice(0, 6), days: 'sunday' }).error, /up to 5/);
+        assert.match(sellers.parseProfile({ stallName: 'Spin City', categories: 'vinyl' }).error, /days/);
+
+        const { profile } = sellers.parseProfile({ stallName: ' Spin City ', categories: ['vinyl', 'vinyl', 'books'], days: ['sunday', 'saturday'] });
+        assert.equal(profile.stallName, 'Spin City');
+        assert.deepEqual(profile.categories, ['vinyl', 'books']);
+        assert.deepEqual(profile.days, ['saturday', 'sunday']);
+        assert.equal(profile.status, 'pending');
+    });
+
+    it('only lists approved stalls, by name', () => {
+        const listed = sellers.publicSellers({
+            sellers: [
+                { id: '1', stallName: 'zed tools', categories: ['tools'], days: ['sunday'], status: 'approved', photo: { filename: 'a.jpg', url: '/a.jpg' } },
+                { id: '2', stallName: 'Hidden', categories: ['books'], days: ['sunday'], status: 'hidden' },
+                { id: '3', stallName: 'Pending', categories: ['books'], days: ['sunday'], status: 'pending' },
+                { id: '4', stallName: 'Aunt Bea', categories: ['crafts'], days: ['saturday'], status: 'approved', photo: null }
+            ]
+        });
+        assert.deepEqual(listed.map(seller => seller.id), ['4', '1']);
+        assert.deepEqual(listed[1].photo, { url: '/a.jpg', variants: [] });
+        assert.equal(listed[1].status, undefined);
+    });
+});
+
+describe('/api/sellers', () => {
+    let server;
+    let client;
+    let token;
+
+    before(async () => {
+        server = await startApp();
+        client = createClient(server.baseUrl);
+        token = await client.login();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    async function listed() {
+        return (await (await fetch(`${server.baseUrl}/api/sellers`)).json()).sellers;
+    }
+
+    async function signUp(fields, photo) {
+        const form = new FormData();
+        for (const [name, value] of Object.entries(fields)) {
+            for (const item of [].concat(value)) form.append(name, item);
+        }
+        if (photo) form.append('photo', new Blob([photo], { type: 'image/png' }), 'stall.png');
+        return fetch(`${server.baseUrl}/api/sellers`, { method: 'POST', body: form });
+    }
+
+    it('keeps new stalls back until they are approved, then hides them again', async () => {
+        const photo = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#21808d' } }).png().toBuffer();
+        const response = await signUp({ stallName: 'Spin City', description: 'Soul and reggae LPs', categories: ['vinyl', 'books'], days: 'sunday' }, photo);
+        assert.equal(response.status, 201);
+        const { seller } = await response.json();
+        assert.equal(seller.status, 'pending');
+        assert.deepEqual(await listed(), []);
+
+        const page = await (await client.request('/admin')).text();
+        assert.match(page, /Seller Directory \(1 waiting\)/);
+        assert.match(page, /Spin City/);
+
+        const approved = await client.postForm('/admin/sellers/status', { id: seller.id, status: 'approved', _csrf: token });
+        assert.equal(approved.status, 200);
+        const [shown] = await listed();
+        assert.equal(shown.stallName, 'Spin City');
+        assert.deepEqual(shown.categories, ['vinyl', 'books']);
+        assert.deepEqual(shown.photo.variants.map(variant => variant.width), [320, 640]);
+        assert.equal((await fetch(server.baseUrl + shown.photo.url)).status, 200);
+
+        await client.postForm('/admin/sellers/status', { id: seller.id, status: 'hidden', _csrf: token });
+        assert.deepEqual(await listed(), []);
+
+        const history = await (await client.request('/admin/history?action=seller')).text();
+        assert.equal(history.match(/<td>seller\.status<\/td>/g).length, 2);
+    });
+
+    it('deletes a stall with its photo', async () => {
+        const photo = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#a84b2f' } }).png().toBuffer();
+        const { seller } = await (await signUp({ stallName: 'Toolbox Tom', categories: 'tools', days: 'saturday' }, photo)).json();
+        await client.postForm('/admin/sellers/status', { id: seller.id, status: 'approved', _csrf: token });
+        const [shown] = await listed();
+
+        const deleted = await client.postForm('/admin/sellers/delete', { id: seller.id, _csrf: token });
+        assert.equal(deleted.status, 200);
+        assert.deepEqual(await listed(), []);
+        assert.equal((await fetch(server.baseUrl + shown.photo.url)).status, 404);
+        assert.equal((await client.postForm('/admin/sellers/delete', { id: seller.id, _csrf: token })).status, 404);
+    });
+
+    it('rejects incomplete profiles and files that are not photos', async () => {
+        const noDays = await signUp({ stallName: 'Spin City', categories: 'vinyl' });
+        assert.equal(noDays.status, 400);
+        assert.match((await noDays.json()).error, /days/);
+
+        const notPhoto = await signUp({ stallName: 'Spin City', categories: 'vinyl', days: 'sunday' }, Buffer.from('not a png'));
+        assert.equal(notPhoto.status, 400);
+        assert.equal((await notPhoto.json()).error, 'File is not a readable image');
+
+        const unknown = await client.postForm('/admin/sellers/status', { id: 'nope', status: 'approved', _csrf: token });
+        assert.equal(unknown.status, 404);
+    });
+
+    it('keeps a sign-up that arrives while a stall is being approved, then turns sign-ups away before reading the photo', async () => {
+        const [hidden] = JSON.parse(await fs.readFile(path.join(server.dataDir, 'sellers.json'), 'utf8')).sellers;
+        const [signedUp, approved] = await Promise.all([
+            signUp({ stallName: 'Plant Pat', categories: 'garden', days: 'sunday' }),
+            client.postForm('/admin/sellers/status', { id: hidden.id, status: 'approved', _csrf: token })
+        ]);
+        assert.equal(signedUp.status, 201);
+        assert.equal(approved.status, 200);
+        const stored = JSON.parse(await fs.readFile(path.join(server.dataDir, 'sellers.json'), 'utf8')).sellers;
+        assert.deepEqual(stored.map(seller => `${seller.stallName} ${seller.status}`), ['Spin City approved', 'Plant Pat pending']);
+
+        const limited = await signUp({ stallName: 'Spin City', categories: 'vinyl', days: 'sunday' }, Buffer.from('not a png'));
+        assert.equal(limited.status, 429);
+    });
+});
+
+describe('app.js seller directory', () => {
+    const directory = {
+        categories: sellers.CATEGORIES,
+        sellers: [
+            { id: '1', stallName: 'Spin City', description: 'Soul and reggae LPs', categories: ['vinyl'], days: ['sunday'], photo: null },
+            { id: '2', stallName: 'Toolbox Tom', description: '', categories: ['tools', 'garden'], days: ['saturday', 'sunday'], photo: null },
+            { id: '3', stallName: '<b>Bea</b>', description: '', categories: ['crafts'], days: ['saturday'], photo: null }
+        ]
+    };
+
+    function names(window) {
+        return [...window.document.querySelectorAll('#sellerList h3')].map(heading => heading.textContent);
+    }
+
+    it('filters by category and searches names, descriptions and categories', async () => {
+        const window = await loadApp();
+        const { document } = window;
+        window.setupSellerDirectory();
+        window.updateSellerDisplay(directory);
+
+        const chips = [...document.querySelectorAll('#sellerFilters .seller-chip')].map(chip => chip.textContent.trim());
+        assert.deepEqual(chips, ['All', 'Vinyl & music', 'Tools & DIY', 'Crafts', 'Garden & plants']);
+        assert.deepEqual(names(window), ['Spin City', 'Toolbox Tom', '<b>Bea</b>']);
+        assert.match(document.querySelector('#sellerList .seller-card').textContent, /Usually here: Sunday/);
+
+        document.querySelector('.seller-chip[data-category="tools"]').click();
+        assert.deepEqual(names(window), ['Toolbox Tom']);
+        assert.equal(document.querySelector('.seller-chip[data-category="tools"]').getAttribute('aria-pressed'), 'true');
+
+        document.querySelector('.seller-chip[data-category=""]').click();
+        const search = document.getElementById('sellerSearch');
+        search.value = 'reggae';
+        search.dispatchEvent(new window.Event('input'));
+        assert.deepEqual(names(window), ['Spin City']);
+
+        search.value = 'garden';
+        search.dispatchEvent(new window.Event('input'));
+        assert.deepEqual(names(window), ['Toolbox Tom']);
+
+        search.value = 'lego';
+        search.dispatchEvent(new window.Event('input'));
+        assert.deepEqual(names(window), []);
+        assert.equal(document.getElementById('sellerEmpty').textContent, 'No stalls match your search.');
+        window.close();
+    });
+
+    it('offers every category on the sign-up form and says when no stalls are listed', async () => {
+        const window = await loadApp('cy');
+        window.updateSellerDisplay({ categories: sellers.CATEGORIES, sellers: [] });
+        const { document } = window;
+        assert.equal(document.querySelectorAll('#sellerCategories input[name="categories"]').length, sellers.CATEGORIES.length);
+        assert.equal(document.getElementById('sellerFilters').innerHTML, '');
+        assert.ok(!document.getElementById('sellerEmpty').classList.contains('hidden'));
+        assert.match(document.getElementById('sellerEmpty').textContent, /Does dim stondinau/);
+        window.close();
+    });
+});
@@ -0,0 +1,198 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const sharp = require('sharp');
+const { startServer, createClient } = require('./helpers');
+const seo = require('../lib/seo');
+const schedule = require('../lib/schedule');
+const pricing = require('../lib/pricing');
+
+const BASE_URL = 'https://rhylcarboot.example';
+// Saturday 4 July 2026, 09:00 in London
+const NOW = new Date('2026-07-04T08:00:00Z');
+
+function pageData(overrides = {}) {
+    const scheduleData = overrides.scheduleData || schedule.DEFAULT_SCHEDULE;
+    return {
+        statusData: schedule.computeStatus(scheduleData, overrides.status || { override: null }, NOW),
+        scheduleData,
+        pricingData: pricing.DEFAULT_PRICING,
+        contactData: { phone: '01745 123456', email: 'info@rhylcarboot.com' },
+        hero: overrides.hero || { filename: null }
+    };
+}
+
+function jsonLd(html) {
+    return JSON.parse(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/.exec(html)[1]);
+}
+
+describe('lib/seo', () => {
+    it('describes the live status, hours, prices and address', () => {
+        const description = seo.describePage('en', pageData(), NOW);
+        assert.equal(description, 'Open now until 1:00 PM. Car boot sale at Rhyl Showfield, North Wales: ' +
+            'Saturday 6:00 AM - 1:00 PM, Sunday 6:00 AM - 1:30 PM, April to October. ' +
+            'Entry from £1, pitches from £3. Rhuddlan Road, Rhyl LL18 2RG.');
+
+        const closed = pageData({ status: { override: { date: '2026-07-04', status: false } } });
+        assert.match(seo.describePage('en', closed, NOW), /^Next open Sunday 6:00 AM\./);
+        assert.match(seo.describePage('cy', closed, NOW), /^Ar agor nesaf Dydd Sul 6:00 yb\. Sêl cist car/);
+    });
+
+    it('lists the business and the next trading days as events', () => {
+        const graph = seo.structuredData('en', pageData(), BASE_URL, NOW)['@graph'];
+        const [business, ...events] = graph;
+
+        assert.equal(business['@type'], 'LocalBusiness');
+        assert.equal(business.address.postalCode, 'LL18 2RG');
+        assert.equal(business.address.streetAddress, 'Rhuddlan Road');
+        assert.equal(business.priceRange, '£1 - £15');
+        assert.deepEqual(business.openingHoursSpecification.map(spec => [spec.dayOfWeek, spec.opens, spec.closes, spec.validFrom]), [
+            ['https://schema.org/Saturday', '06:00', '13:00', '2026-04-01'],
+            ['https://schema.org/Sunday', '06:00', '13:30', '2026-04-01']
+        ]);
+
+        assert.deepEqual(events.map(event => event.startDate), [
+            '2026-07-04T05:00:00.000Z', '2026-07-05T05:00:00.000Z', '2026-07-11T05:00:00.000Z', '2026-07-12T05:00:00.000Z'
+        ]);
+        assert.ok(events.every(event => event.eventStatus === 'https://schema.org/EventScheduled'));
+        const sunday = events[1].offers.map(item => [item.category, item.name, item.price]);
+        assert.deepEqual(sunday, [
+            ['Buyers', 'Early Entry', '5.00'], ['Buyers', 'Regular Entry', '1.00'],
+            ['Sellers', 'Cars', '12.00'], ['Sellers', 'Vans', '15.00'], ['Sellers', 'Trailers', '3.00']
+        ]);
+    });
+
+    it('marks days closed by the override or an exception as cancelled', () => {
+        const scheduleData = { ...schedule.DEFAULT_SCHEDULE, exceptions: [{ date: '2026-07-05', closed: true, reason: 'Show' }] };
+        const data = pageData({ scheduleData, status: { override: { date: '2026-07-04', status: false } } });
+        const events = seo.structuredData('en', data, BASE_URL, NOW)['@graph'].slice(1);
+        assert.deepEqual(events.map(event => event.eventStatus.replace('https://schema.org/', '')),
+            ['EventCancelled', 'EventCancelled', 'EventScheduled', 'EventScheduled']);
+    });
+
+    it('works out the season around the year end', () => {
+        assert.deepEqual(seo.seasonDates({ start: '04-01', end: '10-31' }, '2026-11-20'), { from: '2027-04-01', through: '2027-10-31' });
+        assert.deepEqual(seo.seasonDates({ start: '10-01', end: '03-31' }, '2026-02-10'), { from: '2025-10-01', through: '2026-03-31' });
+    });
+
+    it('uses the hero image for link previews, falling back to the icon', () => {
+        const hero = { filename: 'hero.jpg', url: '/uploads/hero/hero.jpg', width: 1920, height: 1080 };
+        const tags = seo.metaTags('en', pageData({ hero }), BASE_URL, NOW);
+        assert.match(tags, /<meta property="og:image" content="https:\/\/rhylcarboot.example\/uploads\/hero\/hero.jpg">/);
+        assert.match(tags, /<meta property="og:image:width" content="1920">/);
+        assert.match(tags, /<meta name="twitter:card" content="summary_large_image">/);
+
+        const fallback = seo.metaTags('cy', pageData(), BASE_URL, NOW);
+        assert.match(fallback, /<meta property="og:image" content="https:\/\/rhylcarboot.example\/icons\/icon-512.png">/);
+        assert.match(fallback, /<meta name="twitter:card" content="summary">/);
+        assert.match(fallback, /<meta property="og:locale" content="cy_GB">/);
+        assert.match(fallback, /<meta property="og:url" content="https:\/\/rhylcarboot.example\/cy\/">/);
+    });
+
+    it('keeps admin-entered text from closing the JSON-LD script', () => {
+        const data = pageData();
+        data.pricingData = { ...data.pricingData, buyers: [{ id: 'x', label: '</script><script>alert(1)', from: '09:00', price: 100 }] };
+        const tags = seo.metaTags('en', data, BASE_URL, NOW);
+        assert.equal(tags.match(/<\/script>/g).length, 1);
+        assert.equal(jsonLd(tags)['@graph'][1].offers[0].name, '</script><script>alert(1)');
+    });
+});
+
+describe('SEO routes', () => {
+    let server;
+    let client;
+    let token;
+
+    before(async () => {
+        server = await startServer({ SITE_URL: BASE_URL });
+        client = createClient(server.baseUrl);
+        token = await client.login();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('serves robots.txt and a sitemap with both languages', async () => {
+        const robots = await fetch(`${server.baseUrl}/robots.txt`);
+        assert.match(robots.headers.get('content-type'), /text\/plain/);
+        const text = await robots.text();
+        assert.match(text, /^Disallow: \/admin$/m);
+        assert.match(text, /^Sitemap: https:\/\/rhylcarboot.example\/sitemap.xml$/m);
+
+        const sitemap = await fetch(`${server.baseUrl}/sitemap.xml`);
+        assert.match(sitemap.headers.get('content-type'), /application\/xml/);
+        const xml = await sitemap.text();
+        assert.match(xml, /<loc>https:\/\/rhylcarboot.example\/<\/loc>/);
+        assert.match(xml, /<loc>https:\/\/rhylcarboot.example\/cy\/<\/loc>/);
+        assert.equal(xml.match(/hreflang="cy"/g).length, 2);
+    });
+
+    it('renders one description and the structured data into the page', async () => {
+        const html = await (await fetch(`${server.baseUrl}/`)).text();
+        assert.equal(html.match(/<meta name="description"/g).length, 1);
+        assert.doesNotMatch(html, /seo:meta/);
+        assert.match(html, /<meta property="og:title" content="Rhyl Car Boot - Best Car Boot Sale in North Wales">/);
+        const [business] = jsonLd(html)['@graph'];
+        assert.equal(business.address.postalCode, 'LL18 2RG');
+        assert.equal(business.telephone, '01745 123456');
+
+        const welsh = await (await fetch(`${server.baseUrl}/cy/`)).text();
+        assert.match(welsh, /<meta name="description" content="[^"]*Ffordd Rhuddlan/);
+    });
+
+    it('follows the status and the hero image without a restart', async () => {
+        await client.postForm('/admin/update-status', { status: 'false', _csrf: token });
+        const closed = await (await fetch(`${server.baseUrl}/`)).text();
+        assert.match(closed, /<meta name="description" content="(Next open|Closed)/);
+
+        const jpeg = await sharp({ create: { width: 1600, height: 900, channels: 3, background: '#21808d' } }).jpeg().toBuffer();
+        const form = new FormData();
+        form.append('_csrf', token);
+        form.append('image', new Blob([jpeg], { type: 'image/jpeg' }), 'hero.jpg');
+        const uploaded = await client.request('/admin/upload-hero', { method: 'POST', body: form });
+        assert.equal(uploaded.status, 200);
+        const { hero } = await uploaded.json();
+
+        const html = await (await fetch(`${server.baseUrl}/`)).text();
+        assert.ok(html.includes(`<meta property="og:image" content="${BASE_URL}${hero.url}">`));
+        assert.match(html, /<meta property="og:image:width" content="1600">/);
+        assert.equal(jsonLd(html)['@graph'][0].image, `${BASE_URL}${hero.url}`);
+    });
+});
+
+describe('SEO routes without SITE_URL', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ SITE_URL: '' });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    // fetch() sets Host itself, so ask with http.get to send a forged one
+    function getWithHost(pathname, host) {
+        return new Promise((resolve, reject) => {
+            http.get(`${server.baseUrl}${pathname}`, { headers: { Host: host } }, response => {
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => { body += chunk; });
+                response.on('end', () => resolve(body));
+            }).on('error', reject);
+        });
+    }
+
+    it('never builds links from the Host header', async () => {
+        const port = new URL(server.baseUrl).port;
+        const html = await getWithHost('/', 'attacker.example');
+        assert.doesNotMatch(html, /attacker\.example/);
+        assert.ok(html.includes(`<link rel="canonical" href="http://localhost:${port}/">`));
+
+        const xml = await getWithHost('/sitemap.xml', 'attacker.example');
+        assert.doesNotMatch(xml, /attacker\.example/);
+        assert.ok(xml.includes(`<loc>http://localhost:${port}/</loc>`));
+        assert.doesNotMatch(await getWithHost('/robots.txt', 'attacker.example'), /attacker\.example/);
+    });
+});
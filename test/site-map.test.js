@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createClient, loadApp, waitFor } = require('./helpers');
+const siteMap = require('../lib/site-map');
+const schedule = require('../lib/schedule');
+
+describe('lib/site-map', () => {
+    it('reads the owner\'s feature lines and writes them back the same', () => {
+        const text = [
+            'entrances | main-gate | Main entrance | 30,60 |  | Y brif fynedfa',
+            'sellers | sunday-pitches | Sunday pitches | 40,6,55,24 | Sunday, saturday'
+        ].join('\n');
+        const features = siteMap.parseFeatureLines(text);
+        assert.deepEqual(features[0], { layer: 'entrances', id: 'main-gate', label: 'Main entrance', labelCy: 'Y brif fynedfa', x: 30, y: 60, days: [] });
+        assert.deepEqual(features[1].days, ['sunday', 'saturday']);
+        assert.equal(features[1].width, 55);
+
+        assert.equal(siteMap.formatFeatureLines(features), [
+            'entrances | main-gate | Main entrance | 30,60 |  | Y brif fynedfa',
+            'sellers | sunday-pitches | Sunday pitches | 40,6,55,24 | sunday saturday'
+        ].join('\n'));
+        assert.deepEqual(siteMap.parseFeatureLines(siteMap.formatFeatureLines(siteMap.DEFAULT_SITE_MAP.features)), siteMap.DEFAULT_SITE_MAP.features);
+    });
+
+    it('turns away lines it cannot draw', () => {
+        assert.throws(() => siteMap.parseFeatureLines('stalls | a | A | 1,1'), /Layer must be one of/);
+        assert.throws(() => siteMap.parseFeatureLines('food | Food Vans | A | 1,1'), /Invalid id/);
+        assert.throws(() => siteMap.parseFeatureLines('food | vans | A | 120,1'), /inside 100 x 60/);
+        assert.throws(() => siteMap.parseFeatureLines('parking | park | A | 90,10,20,5'), /Area must fit/);
+        assert.throws(() => siteMap.parseFeatureLines('food | vans | A | 1,1 | someday'), /Unknown day "someday"/);
+        assert.throws(() => siteMap.parseFeatureLines('food | vans | A | 1,1\ntoilets | vans | B | 2,2'), /unique/);
+    });
+
+    it('gives visitors the trading days and labels in their language', () => {
+        const plan = siteMap.publicSiteMap(null, schedule.DEFAULT_SCHEDULE, 'cy');
+        assert.deepEqual(plan.days, ['sunday', 'saturday']);
+        assert.equal(plan.timezone, 'Europe/London');
+        const gate = plan.features.find(feature => feature.id === 'bottom-gate');
+        assert.equal(gate.label, 'Y giât isaf');
+        assert.ok(!('labelCy' in gate));
+    });
+});
+
+describe('/api/site-map', () => {
+    let server;
+    let client;
+    let token;
+
+    before(async () => {
+        server = await startApp();
+        client = createClient(server.baseUrl);
+        token = await client.login();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('lets the owner redraw the plan', async () => {
+        const plan = await (await fetch(`${server.baseUrl}/api/site-map`)).json();
+        assert.equal(plan.features.length, siteMap.DEFAULT_SITE_MAP.features.length);
+        assert.match(await (await client.request('/admin')).text(), /id="section-sitemap"[\s\S]*bottom-gate \| Bottom gate \| 88,60 \| sunday/);
+
+        const invalid = await client.postForm('/admin/site-map', { features: 'food | vans | Vans | 1,1 | funday', _csrf: token });
+        assert.equal(invalid.status, 400);
+        assert.match((await invalid.json()).error, /Unknown day "funday"/);
+
+        const features = `${siteMap.formatFeatureLines(siteMap.DEFAULT_SITE_MAP.features)}\nfood | burger-van | Burger van | 80,50 | saturday | Fan byrgyrs`;
+        assert.equal((await client.postForm('/admin/site-map', { features, _csrf: token })).status, 200);
+
+        const welsh = await (await fetch(`${server.baseUrl}/api/site-map?lang=cy`)).json();
+        assert.equal(welsh.features.at(-1).label, 'Fan byrgyrs');
+        assert.match(await (await client.request('/admin/history?action=sitemap')).text(), /<td>sitemap\.update<\/td>/);
+    });
+});
+
+describe('app.js site map', () => {
+    let server;
+
+    before(async () => {
+        server = await startApp();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('draws the plan on tap and shows the gates open on the chosen day', async () => {
+        const plan = await (await fetch(`${server.baseUrl}/api/site-map`)).json();
+        const window = await loadApp();
+        const { document } = window;
+        window.fetch = url => Promise.resolve(url.startsWith('/api/site-map')
+            ? { ok: true, json: () => Promise.resolve(plan) }
+            : { ok: true, json: () => Promise.resolve({}) });
+
+        window.setupMap();
+        const placeholder = document.getElementById('mapPlaceholder');
+        placeholder.click();
+        await waitFor(() => placeholder.querySelector('svg'));
+        assert.equal(document.querySelector('#location iframe'), null);
+        const entrances = () => [...placeholder.querySelectorAll('.site-map__list .site-map__item--entrances')].map(item => item.textContent.trim());
+
+        placeholder.querySelector('[data-map-day="saturday"]').click();
+        assert.deepEqual(entrances(), ['Entrance: Main entrance (Rhuddlan Road)']);
+        assert.equal(placeholder.querySelectorAll('.site-map__feature--sellers').length, 1);
+
+        placeholder.querySelector('[data-map-day="sunday"]').click();
+        assert.equal(placeholder.querySelector('[data-map-day="sunday"]').getAttribute('aria-pressed'), 'true');
+        assert.deepEqual(entrances(), ['Entrance: Bottom gate']);
+        assert.equal(placeholder.querySelectorAll('.site-map__feature--sellers').length, 2);
+
+        const parking = placeholder.querySelector('[data-map-layer="parking"]');
+        parking.checked = false;
+        parking.dispatchEvent(new window.Event('change', { bubbles: true }));
+        assert.equal(placeholder.querySelectorAll('.site-map__feature--parking').length, 0);
+        assert.match(placeholder.querySelector('a[href^="https://www.google.com/maps/dir/"]').getAttribute('href'), /destination=53\.309,-3\.473$/);
+        window.close();
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+const weather = require('../lib/weather');
+
+describe('lib/weather', () => {
+    function flakyProvider() {
+        const provider = {
+            name: 'flaky',
+            calls: 0,
+            failing: false,
+            async getForecast() {
+                provider.calls++;
+                if (provider.failing) throw new Error('Forecast API returned 503');
+                return [{ time: '2026-07-05T09:00', windSpeed: 10 }];
+            }
+        };
+        return provider;
+    }
+
+    it('keeps serving the last forecast after a failed fetch until the retry interval has passed', async () => {
+        const provider = flakyProvider();
+        const service = weather.createWeatherService({ provider, ttlMs: 0, retryMs: 60 * 60 * 1000 });
+        const first = await service.getForecast();
+        assert.equal(first.stale, undefined);
+
+        provider.failing = true;
+        const stale = await service.getForecast();
+        assert.equal(stale.stale, true);
+        assert.deepEqual(stale.hours, first.hours);
+        assert.equal((await service.getForecast()).stale, true);
+        assert.equal(provider.calls, 2);
+    });
+
+    it('names the conditions and warnings by type, for the page to put into words', () => {
+        const hours = [
+            { time: '2026-07-05T06:00', windSpeed: 20, windGust: 48.6, precipitation: 1, precipitationProbability: 90, weatherCode: 61 },
+            { time: '2026-07-05T07:00', windSpeed: 12, windGust: 30, precipitation: 0, precipitationProbability: 40, weatherCode: 3 }
+        ];
+        const day = { date: '2026-07-05', day: 'sunday', open: '06:00', close: '13:30' };
+        const advisory = weather.assessTradingDay(hours, day, weather.DEFAULT_SETTINGS.thresholds);
+        assert.equal(advisory.condition, 'rain');
+        assert.equal(advisory.level, 'warning');
+        assert.deepEqual(advisory.flags, [
+            { type: 'windGust', value: 49, threshold: 45 },
+            { type: 'precipitationProbability', value: 90, threshold: 80 }
+        ]);
+    });
+
+    it('asks again once the retry interval is over', async () => {
+        const provider = flakyProvider();
+        provider.failing = true;
+        const service = weather.createWeatherService({ provider, retryMs: 0 });
+        assert.equal(await service.getForecast(), null);
+
+        provider.failing = false;
+        assert.equal((await service.getForecast()).source, 'flaky');
+        assert.equal(provider.calls, 2);
+    });
+});
+
+describe('app.js forecast badge', () => {
+    it('puts the forecast into the page language', async () => {
+        const window = await loadApp('cy');
+        const badge = window.document.getElementById('forecastBadge');
+        window.updateForecastBadge({ enabled: true, date: '2026-07-05', day: 'sunday', level: 'ok', condition: 'showers', warnings: [] });
+        assert.match(badge.textContent, /: Cawodydd$/);
+
+        window.updateForecastBadge({
+            enabled: true, date: '2026-07-05', day: 'sunday', level: 'warning', condition: 'rain',
+            warnings: [{ type: 'windGust', value: 49 }, { type: 'precipitationProbability', value: 90 }]
+        });
+        assert.match(badge.textContent, /: Hyrddiadau hyd at 49 mya, 90% siawns o law$/);
+        window.close();
+    });
+});